@@ -0,0 +1,100 @@
+// ============================================
+// activity-labels.js - Activity Markers Dropped During a Recording
+// ============================================
+//
+// Each tap stores { recordingId, timestamp, label } in the labels store. A label applies
+// from its timestamp until the next one; "End" stores a null label to close the current one.
+// Exports put the active label in the CSV Label column.
+
+import { ErrorBoundary, escapeHTML } from './utils.js';
+
+const DEFAULT_PRESETS = ['walking', 'running', 'stairs', 'sitting', 'fall'];
+
+export class ActivityLabels {
+    constructor(app) {
+        this.app = app;
+        this.currentLabel = null;
+        this.listenersAttached = false;
+    }
+
+    get bar() {
+        return document.getElementById('label-bar');
+    }
+
+    get presets() {
+        return window.MotionRecorderConfig?.labels?.presets || DEFAULT_PRESETS;
+    }
+
+    // Show the label buttons for a new recording
+    start() {
+        const bar = this.bar;
+        if (!bar) return;
+
+        this.currentLabel = null;
+        this.attachListeners();
+        this.render();
+        bar.hidden = false;
+    }
+
+    stop() {
+        const bar = this.bar;
+        if (bar) {
+            bar.hidden = true;
+        }
+        this.currentLabel = null;
+    }
+
+    render() {
+        const bar = this.bar;
+        if (!bar) return;
+
+        const buttons = this.presets.map(label => `
+            <button type="button" class="label-chip ${label === this.currentLabel ? 'active' : ''}" data-label="${escapeHTML(label)}">
+                ${escapeHTML(label)}
+            </button>
+        `).join('');
+
+        bar.querySelector('.label-bar-buttons').innerHTML = `
+            ${buttons}
+            <button type="button" class="label-chip label-chip-end" data-label="" ${this.currentLabel ? '' : 'disabled'}>
+                <span class="material-icons">block</span>
+                End
+            </button>
+        `;
+        bar.querySelector('.label-bar-current').textContent = this.currentLabel
+            ? `Labeling: ${this.currentLabel}`
+            : 'Tap an activity to label what follows';
+    }
+
+    attachListeners() {
+        if (this.listenersAttached) return;
+        this.listenersAttached = true;
+
+        this.bar.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-label]');
+            if (!button || button.disabled) return;
+
+            this.mark(button.dataset.label || null);
+        });
+    }
+
+    async mark(label) {
+        const recordingId = this.app.currentRecordingId;
+        if (!this.app.isRecording || !recordingId) return;
+
+        try {
+            await this.app.databaseManager.saveLabel({
+                recordingId,
+                timestamp: Date.now(),
+                label
+            });
+
+            this.currentLabel = label;
+            this.render();
+            console.log('🏷️ Label:', label ?? '(end)');
+
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Save Label');
+        }
+    }
+}
@@ -8,6 +8,23 @@ import { DatabaseManager } from './database.js';
 import { SensorManager } from './sensors.js';
 import { WorkerManager } from './worker-manager.js';
 import { UIManager } from './ui-manager.js';
+import { UploadQueue } from './upload-queue.js';
+import { ChunkedUploader, createCSVEncoder, createNDJSONEncoder } from './chunked-upload.js';
+import { UploadTargetManager, UploadFormat } from './upload-targets.js';
+import { PrivacyZoneManager } from './privacy-zones.js';
+import { networkManager } from './network.js';
+import { RecordingsBrowser } from './recordings-browser.js';
+import { ActivityLabels } from './activity-labels.js';
+import { createExportStream, createBundleStream, streamToBlob, isPayloadTooLarge, saveStream, downloadBlob } from './export-stream.js';
+import { RecordingRecovery } from './recording-recovery.js';
+import { RecordingImporter } from './recording-import.js';
+import { DataRetention } from './data-retention.js';
+import { ConsentManager } from './consent.js';
+import { StorageGuard, formatMB } from './storage-guard.js';
+import { UploadSigner } from './upload-signer.js';
+
+// Rough size of one encoded row, used to decide whether a recording fits in a single request
+const ESTIMATED_ROW_BYTES = 200;
 
 class MotionRecorderApp {
     constructor() {
@@ -16,10 +33,21 @@ class MotionRecorderApp {
         this.databaseManager = new DatabaseManager();
         this.sensorManager = new SensorManager(this.handleSensorData.bind(this));
         this.workerManager = new WorkerManager(
-            this.saveRecordingData.bind(this),
+            this.finalizeRecording.bind(this),
             this.updateStats.bind(this)
         );
         this.uiManager = new UIManager(this);
+        this.uploadTargets = new UploadTargetManager();
+        this.privacyZones = new PrivacyZoneManager(this.databaseManager);
+        this.uploadQueue = new UploadQueue(this);
+        this.recordingsBrowser = new RecordingsBrowser(this);
+        this.activityLabels = new ActivityLabels(this);
+        this.recordingRecovery = new RecordingRecovery(this);
+        this.recordingImporter = new RecordingImporter(this);
+        this.dataRetention = new DataRetention(this);
+        this.consent = new ConsentManager(this);
+        this.storageGuard = new StorageGuard(this);
+        this.uploadSigner = new UploadSigner(this);
         
         // Set app reference in worker manager for userID access
         this.workerManager.setApp(this);
@@ -41,15 +69,30 @@ class MotionRecorderApp {
         try {
             await this.userManager.init();
             await this.databaseManager.init();
+            await this.databaseManager.initEncryption(!!window.MotionRecorderConfig?.security?.encryptLocalStorage);
+            await this.privacyZones.init();
             this.uiManager.init();
             this.initPerformanceMonitor();
             await this.sensorManager.checkPermissions();
             this.workerManager.init();
             this.initBatteryMonitoring();
+            this.storageGuard.init();
             
             this.uiManager.updateAppStatus('Ready');
             this.uiManager.enableControls();
             
+            this.uploadQueue.init();
+            
+            // Recordings left in 'recording' by a crashed or closed tab
+            this.recordingRecovery.run();
+            this.recordingImporter.discardUnfinished()
+                .catch(error => ErrorBoundary.handle(error, 'Import Cleanup'));
+            
+            // Purge expired recordings, then ask for consent if this user hasn't given it yet
+            this.dataRetention.init()
+                .catch(error => ErrorBoundary.handle(error, 'Data Retention'))
+                .then(() => this.consent.init());
+            
         } catch (error) {
             ErrorBoundary.handle(error, 'App Initialization');
             this.uiManager.updateAppStatus('Error');
@@ -72,6 +115,9 @@ class MotionRecorderApp {
                 battery.addEventListener('levelchange', () => {
                     this.batteryLevel = battery.level;
                     this.sensorManager.adjustSampleRateForBattery(this.batteryLevel);
+                    if (this.isRecording) {
+                        this.workerManager.setSampleRate(this.sensorManager.adaptiveSampleRate);
+                    }
                 });
                 
                 // Check battery level periodically during recording
@@ -124,15 +170,47 @@ class MotionRecorderApp {
                 return;
             }
             
+            // Samples can't be written encrypted until the passphrase is entered
+            if (this.databaseManager.getEncryptionStatus().locked && this.databaseManager.encryptionEnabled) {
+                this.uiManager.showNotification('Unlock local data with your passphrase in the Data tab before recording', 'warning');
+                return;
+            }
+            
+            // Nothing is recorded before the user has agreed to what is collected
+            if (!(await this.consent.request())) {
+                this.uiManager.showNotification('Recording needs your consent to the data collection', 'warning');
+                return;
+            }
+            
+            // Adjust sample rate based on battery
+            this.sensorManager.adjustSampleRateForBattery(this.batteryLevel);
+            console.log('🔋 Battery level:', this.batteryLevel);
+            
+            // Ask once for persistent storage, then check there is room for a full-length recording
+            this.storageGuard.requestPersistence();
+            const maxDuration = window.MotionRecorderConfig?.sensors?.maxRecordingDuration || 3600000;
+            const rate = this.sensorManager.adaptiveSampleRate;
+            const preflight = await this.storageGuard.preflight(rate, maxDuration);
+            console.log(`💾 Pre-flight: ${Math.round(maxDuration / 60000)} min at ${rate} Hz needs ~${formatMB(preflight.bytes)}`,
+                preflight.available !== null ? `(${formatMB(preflight.available)} free)` : '(free space unknown)');
+            
+            if (preflight.blocked) {
+                this.uiManager.showNotification(`Not enough storage to record (${formatMB(preflight.available)} free). Upload or delete recordings first.`, 'error');
+                return;
+            }
+            if (!preflight.fits) {
+                this.uiManager.showNotification(
+                    `Storage is short: a ${Math.round(maxDuration / 60000)} min recording at ${rate} Hz needs ~${formatMB(preflight.bytes)}, `
+                    + `${formatMB(preflight.available)} is free. About ${Math.max(1, Math.floor(preflight.fitsMs / 60000))} min fit at this rate.`,
+                    'warning'
+                );
+            }
+            
             console.log('✅ Permissions granted, starting recording process...');
             this.isRecording = true;
             this.startTime = new Date().toISOString();
             console.log('⏰ Recording start time:', this.startTime);
 
-            // Adjust sample rate based on battery
-            this.sensorManager.adjustSampleRateForBattery(this.batteryLevel);
-            console.log('🔋 Battery level:', this.batteryLevel);
-
             // Update UI
             console.log('🎨 Updating UI to recording state...');
             this.uiManager.showRecordingState();
@@ -142,30 +220,42 @@ class MotionRecorderApp {
                 this.performanceMonitor.start();
             }
             
-            // Start worker recording
-            console.log('🛠️ Starting worker recording...');
-            this.workerManager.startRecording();
-
-            // Start sensor tracking
+            // Create recording entry in IndexedDB first - the worker writes data points against its id
             const userId = this.userManager.getUserId();
-            console.log('📊 Starting sensor tracking for user:', userId);
-            this.sensorManager.startTracking(this.startTime, userId);
-
-            // Create recording entry in IndexedDB
             const recording = {
                 userId: userId,
                 timestamp: this.startTime,
                 status: 'recording',
                 sampleRate: this.sensorManager.adaptiveSampleRate,
-                batteryLevel: this.batteryLevel
+                sensorBackend: this.sensorManager.motionSource?.backend || null,
+                batteryLevel: this.batteryLevel,
+                consentVersion: this.consent.getVersion(),
+                dataPointCount: 0
             };
 
             console.log('💾 Saving recording to database:', recording);
             this.currentRecordingId = await this.databaseManager.saveRecording(recording);
             console.log('✅ Recording created with ID:', this.currentRecordingId);
+            this.recordingRecovery.acquireLock(this.currentRecordingId);
+            this.storageGuard.start(this.currentRecordingId);
+            
+            // Start worker recording
+            console.log('🛠️ Starting worker recording...');
+            this.workerManager.startRecording({
+                recordingId: this.currentRecordingId,
+                dataKey: this.databaseManager.getWriteKey(),
+                fusion: window.MotionRecorderConfig?.sensors?.fusion,
+                sampleRate: this.sensorManager.adaptiveSampleRate
+            });
+
+            // Start sensor tracking
+            console.log('📊 Starting sensor tracking for user:', userId);
+            this.sensorManager.startTracking(this.startTime, userId);
+            
+            // Activity labels need the recording id
+            this.activityLabels.start();
             
             // Set maximum recording duration
-            const maxDuration = window.MotionRecorderConfig?.sensors?.maxRecordingDuration || 3600000;
             this.uiManager.setMaxRecordingDuration(maxDuration);
 
             // Start periodic stats updates
@@ -179,6 +269,8 @@ class MotionRecorderApp {
             
         } catch (error) {
             ErrorBoundary.handle(error, 'Start Recording');
+            this.recordingRecovery.releaseLock();
+            this.storageGuard.stop();
             this.isRecording = false;
             this.uiManager.showReadyState();
         }
@@ -190,6 +282,7 @@ class MotionRecorderApp {
 
             // Clear recording timeout
             this.uiManager.clearRecordingTimeout();
+            this.storageGuard.stop();
 
             // Clear stats interval
             if (this.statsInterval) {
@@ -204,6 +297,7 @@ class MotionRecorderApp {
 
             // Stop sensor tracking
             this.sensorManager.stopTracking();
+            this.activityLabels.stop();
 
             // Update UI
             this.uiManager.showIdleState();
@@ -216,55 +310,70 @@ class MotionRecorderApp {
         }
     }
     
-    async saveRecordingData(data, stats) {
+    // The worker has written every data point; mark the recording complete and queue the upload
+    async finalizeRecording(recordingId, stats) {
         try {
-            console.log('💾 saveRecordingData called:', {
-                hasCurrentRecordingId: !!this.currentRecordingId,
-                dataType: typeof data,
-                isArray: Array.isArray(data),
-                dataLength: data?.length,
+            console.log('💾 finalizeRecording called:', {
+                recordingId,
+                totalPoints: stats?.totalPoints,
                 statsAvgHz: stats?.averageHz
             });
 
-            if (!this.currentRecordingId) return;
+            if (!recordingId) return;
 
             // Update recording status
-            await this.databaseManager.updateRecording(this.currentRecordingId, {
+            await this.databaseManager.updateRecording(recordingId, {
                 status: 'completed',
                 endTime: new Date().toISOString(),
-                dataPointCount: data.length,
-                averageHz: stats?.averageHz || 0
+                dataPointCount: stats?.totalPoints || 0,
+                averageHz: stats?.averageHz || 0,
+                sensorEvents: stats?.sensorEvents || 0,
+                duplicateSamples: stats?.duplicateSamples || 0,
+                droppedSamples: stats?.droppedSamples || 0,
+                decimatedSamples: stats?.decimatedSamples || 0
             });
 
             // Save performance metrics
             if (stats) {
                 await this.databaseManager.savePerformanceMetrics({
-                    recordingId: this.currentRecordingId,
+                    recordingId,
                     totalPoints: stats.totalPoints,
                     averageHz: stats.averageHz,
                     timestamp: new Date().toISOString()
                 });
             }
 
-            // Save data points in chunks to avoid memory issues
-            await this.databaseManager.saveDataPoints(data, this.currentRecordingId);
-
             console.log('Recording saved successfully:', {
-                recordingId: this.currentRecordingId,
-                dataPoints: data.length,
+                recordingId,
+                dataPoints: stats?.totalPoints,
                 averageHz: stats?.averageHz
             });
 
-            this.uiManager.showNotification(
-                `Recording saved: ${data.length} data points at ${(stats?.averageHz || 0).toFixed(1)} Hz`,
-                'success'
-            );
+            if (stats?.unsavedPoints > 0) {
+                this.uiManager.showNotification(
+                    `Recording saved, but ${stats.unsavedPoints} data points could not be written to storage`,
+                    'warning'
+                );
+            } else {
+                this.uiManager.showNotification(
+                    `Recording saved: ${stats?.totalPoints || 0} data points at ${(stats?.averageHz || 0).toFixed(1)} Hz`,
+                    'success'
+                );
+            }
 
-            // Automatically upload CSV to server
-            await this.uploadCSVToServer(data);
+            // Queue the recording for upload; the queue retries with backoff until it succeeds
+            await this.uploadQueue.enqueue(recordingId);
+            if (navigator.onLine) {
+                this.uploadQueue.drain();
+            } else {
+                // Let the service worker upload once connectivity returns, even if this tab is closed
+                await this.uploadQueue.registerBackgroundSync();
+            }
 
         } catch (error) {
             ErrorBoundary.handle(error, 'Save Recording Data');
+        } finally {
+            this.recordingRecovery.releaseLock();
         }
     }
     
@@ -272,125 +381,255 @@ class MotionRecorderApp {
         this.uiManager.updateRecordingStats(stats);
     }
     
-    async downloadCSV() {
+    // Export a recording in one of the MotionExport.EXPORT_FORMATS; the summary statistics
+    // are saved next to it as <file>.summary.json. The `export` config section picks the
+    // delimiter, precision, date format, what metadata goes in and whether the file is gzipped.
+    async downloadRecording(recordingId = this.currentRecordingId, format = this.uiManager.getExportFormat()) {
         try {
-            if (!this.currentRecordingId) {
+            if (!recordingId) {
                 this.uiManager.showNotification('No recording to download', 'warning');
                 return;
             }
             
-            this.uiManager.showLoadingState('Generating CSV...');
-            
             // Get total count first to check data size
-            const totalCount = await this.databaseManager.getDataPointsCount(this.currentRecordingId);
+            const totalCount = await this.databaseManager.getDataPointsCount(recordingId);
             
             if (totalCount === 0) {
                 this.uiManager.showNotification('No data points to export', 'warning');
-                this.uiManager.hideLoadingState();
                 return;
             }
             
-            // For large datasets, use batch processing to avoid memory issues
-            if (totalCount > 10000) {
-                this.uiManager.showLoadingState(`Processing ${totalCount} data points in batches...`);
-                await this.downloadLargeCSV(this.currentRecordingId, totalCount);
-            } else {
-                // Get data from database (smaller datasets)
-                const dataPoints = await this.databaseManager.getDataPoints(this.currentRecordingId);
-                // Generate CSV using worker
-                this.workerManager.generateCSV(dataPoints);
-            }
+            const { label, contentType, extension, binary } = MotionExport.EXPORT_FORMATS[format];
+            const settings = this.getExportSettings();
+            const recording = await this.databaseManager.getRecording(recordingId);
+            const labels = await this.databaseManager.getLabels(recordingId);
+            const userId = recording?.userId || this.userManager.getUserId() || 'unknown';
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+            const filename = `motion-data-${userId}-${timestamp}${extension}${settings.compress ? '.gz' : ''}`;
+            const metadata = { version: '2.0.0', exportTime: new Date().toISOString(), format, userId };
+            let summary = null;
+            
+            // Rows stream from IndexedDB through the worker straight into the file
+            const saved = await saveStream(() => {
+                this.uiManager.showLoadingState(`Generating ${label}...`);
+                return createExportStream(this, recordingId, {
+                    format,
+                    options: { labels, headerRecord: { recording, labels, metadata }, settings },
+                    onProgress: this.showExportProgress(totalCount, 'Exporting'),
+                    onComplete: (stats) => { summary = stats; }
+                });
+            }, settings.compress ? {
+                filename,
+                type: 'application/gzip',
+                extension: `${extension}.gz`,
+                binary: true
+            } : {
+                filename,
+                type: contentType,
+                extension,
+                binary
+            });
             
             this.uiManager.hideLoadingState();
+            if (saved) {
+                // The sidecar carries whatever of the metadata and statistics the config includes,
+                // and always the privacy transforms applied
+                const privacy = summary?.privacy;
+                if (summary && (settings.includeMetadata || settings.includeStatistics || privacy)) {
+                    const sidecar = JSON.stringify({
+                        file: filename,
+                        recordingId,
+                        ...(settings.includeMetadata ? metadata : {}),
+                        ...(settings.includeStatistics ? summary : {}),
+                        ...(privacy ? { privacy } : {})
+                    }, null, 2);
+                    downloadBlob(new Blob([sidecar], { type: 'application/json' }), `${filename}.summary.json`);
+                }
+                console.log(`✅ Exported ${totalCount} data points of recording ${recordingId} as ${format}`);
+            }
             
         } catch (error) {
             this.uiManager.hideLoadingState();
-            ErrorBoundary.handle(error, 'Download CSV');
+            ErrorBoundary.handle(error, 'Download Recording');
         }
     }
     
-    async downloadLargeCSV(recordingId, totalCount) {
+    // Progress callback for export streams that updates the loading overlay
+    showExportProgress(totalCount, action) {
+        return (processed) => {
+            const progress = Math.round((processed / totalCount) * 100);
+            this.uiManager.showLoadingState(`${action}: ${progress}% (${processed}/${totalCount})`);
+        };
+    }
+    
+    async uploadRecordingNow(recordingId = this.currentRecordingId) {
         try {
-            const batchSize = 5000;
-            const allDataPoints = [];
-            let processed = 0;
-            
-            // Process in batches to avoid memory issues
-            for await (const batch of this.databaseManager.getDataPointsBatch(recordingId, batchSize)) {
-                allDataPoints.push(...batch);
-                processed += batch.length;
-                
-                // Update progress
-                const progress = Math.round((processed / totalCount) * 100);
-                this.uiManager.showLoadingState(`Processing batch: ${progress}% (${processed}/${totalCount})`);
-                
-                // Give browser time to breathe
-                await new Promise(resolve => setTimeout(resolve, 10));
+            if (!recordingId) {
+                this.uiManager.showNotification('No recording to upload', 'warning');
+                return;
+            }
+            
+            const target = this.uploadTargets.getActiveTarget();
+            if (!target || !target.endpoint) {
+                this.uiManager.showNotification('No upload destination configured', 'error');
+                return;
             }
             
-            // Generate CSV using worker
-            this.workerManager.generateCSV(allDataPoints);
+            this.uiManager.showLoadingState(`Uploading to ${target.name}...`);
+            
+            // Goes through the queue so a failed upload is retried with backoff
+            const entry = await this.uploadQueue.uploadNow(recordingId, { force: true });
+            
+            this.uiManager.hideLoadingState();
+            
+            if (entry.status !== 'uploaded') {
+                this.uiManager.showNotification('Upload failed - it will be retried automatically', 'warning');
+            }
             
         } catch (error) {
-            ErrorBoundary.handle(error, 'Download Large CSV');
-            throw error;
+            this.uiManager.hideLoadingState();
+            ErrorBoundary.handle(error, 'Upload Recording');
+            this.uiManager.showNotification('Upload failed. Data saved locally.', 'error');
         }
     }
     
-    async uploadJSON() {
+    // Download every matching recording as one ZIP built in the worker: a file per recording in
+    // one of the MotionExport.EXPORT_FORMATS and manifest.json with their metadata, performance
+    // metrics, the device and the active config.
+    // from/to are Dates (null = open ended); userId null means all users.
+    async downloadAllRecordings({ from = null, to = null, userId = null, format = this.uiManager.getExportFormat() } = {}) {
         try {
-            if (!this.currentRecordingId) {
-                this.uiManager.showNotification('No recording to upload', 'warning');
-                return;
-            }
+            // Recordings still being written are left out
+            const recordings = (await this.databaseManager.findRecordings({ from, to, userId }))
+                .filter(recording => recording.status !== 'recording');
             
-            const apiEndpoint = window.MotionRecorderConfig?.api?.endpoint;
-            if (!apiEndpoint || apiEndpoint === 'https://your-api-endpoint.com/api/recordings') {
-                this.uiManager.showNotification('API endpoint not configured', 'error');
+            if (recordings.length === 0) {
+                this.uiManager.showNotification('No recordings match the filters', 'warning');
                 return;
             }
             
-            this.uiManager.showLoadingState('Uploading data...');
+            // ZIP entries are deflated already, so export.compressExports doesn't apply to them
+            const settings = { ...this.getExportSettings(), compress: false };
+            const { extension } = MotionExport.EXPORT_FORMATS[format];
+            const exportTime = new Date().toISOString();
+            const entries = [];
+            const described = [];
+            let totalCount = 0;
             
-            // Get recording and data from database
-            const recordings = await this.databaseManager.getRecordings(this.userManager.getUserId());
-            const recording = recordings.find(r => r.id === this.currentRecordingId);
-            const dataPoints = await this.databaseManager.getDataPoints(this.currentRecordingId);
+            for (const recording of recordings) {
+                const labels = await this.databaseManager.getLabels(recording.id);
+                const dataPointCount = await this.databaseManager.getDataPointsCount(recording.id);
+                const file = `recording-${recording.id}-${recording.timestamp.slice(0, 19).replace(/[:.]/g, '-')}${extension}`;
+                const metadata = { version: '2.0.0', exportTime, format, userId: recording.userId || 'unknown' };
+                
+                entries.push({
+                    recordingId: recording.id,
+                    name: file,
+                    date: recording.timestamp,
+                    format,
+                    options: { labels, headerRecord: { recording, labels, metadata }, settings }
+                });
+                described.push({
+                    file,
+                    recording,
+                    labels,
+                    dataPointCount,
+                    performanceMetrics: await this.databaseManager.getPerformanceMetrics(recording.id)
+                });
+                totalCount += dataPointCount;
+            }
             
-            const payload = {
-                recording: recording,
-                dataPoints: dataPoints,
-                metadata: {
-                    version: '2.0.0',
-                    uploadTime: new Date().toISOString(),
-                    userAgent: navigator.userAgent,
-                    userId: this.userManager.getUserId() // Include userID in metadata
-                }
-            };
+            const buildManifest = (summaries) => ({
+                version: '2.0.0',
+                createdAt: exportTime,
+                format,
+                filters: { from: from?.toISOString() ?? null, to: to?.toISOString() ?? null, userId },
+                device: ErrorBoundary.getDeviceInfo(),
+                config: this.getConfigSnapshot(),
+                recordings: described.map((entry, i) => {
+                    const privacy = summaries[i]?.privacy;
+                    return {
+                        ...entry,
+                        ...(settings.includeStatistics ? { summary: summaries[i] } : {}),
+                        ...(privacy ? { privacy } : {})
+                    };
+                })
+            });
             
-            const response = await fetch(apiEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(payload)
+            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+            const saved = await saveStream(() => {
+                this.uiManager.showLoadingState('Building ZIP...');
+                return createBundleStream(this, entries, {
+                    buildManifest,
+                    onProgress: this.showExportProgress(totalCount, 'Zipping')
+                });
+            }, {
+                filename: `motion-recordings-${timestamp}.zip`,
+                type: 'application/zip',
+                extension: '.zip',
+                binary: true
             });
             
-            if (response.ok) {
-                this.uiManager.showNotification('Data uploaded successfully', 'success');
-            } else {
-                throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
+            this.uiManager.hideLoadingState();
+            if (saved) {
+                this.uiManager.showNotification(`Exported ${recordings.length} recording(s)`, 'success');
+                console.log(`✅ Bundled ${recordings.length} recordings (${totalCount} data points) into a ZIP`);
             }
             
+        } catch (error) {
+            this.uiManager.hideLoadingState();
+            ErrorBoundary.handle(error, 'Download All Recordings');
+        }
+    }
+    
+    // Import exported CSV files or ZIP bundles as new recordings and show what happened to each
+    async importRecordings(files) {
+        try {
+            this.uiManager.showLoadingState('Importing...');
+            const results = await this.recordingImporter.importFiles(files, {
+                onProgress: (source, rows) => this.uiManager.showLoadingState(`Importing ${source}: ${rows} rows`)
+            });
             this.uiManager.hideLoadingState();
             
+            this.uiManager.renderImportReport(results);
+            this.recordingsBrowser.render();
+            
+            const imported = results.filter(result => result.status === 'imported').length;
+            const failed = results.filter(result => result.status === 'failed').length;
+            const duplicates = results.length - imported - failed;
+            const skipped = duplicates > 0 ? `, ${duplicates} already present` : '';
+            this.uiManager.showNotification(
+                `Imported ${imported} of ${results.length} recording(s)${skipped}`,
+                failed > 0 ? 'warning' : 'success'
+            );
+            
         } catch (error) {
             this.uiManager.hideLoadingState();
-            ErrorBoundary.handle(error, 'Upload JSON');
-            this.uiManager.showNotification('Upload failed. Data saved locally.', 'error');
+            ErrorBoundary.handle(error, 'Import Recordings');
         }
     }
     
+    // Encoder settings from the `export` config section (MotionExport.resolveExportSettings)
+    // plus the location privacy set in the Data tab
+    getExportSettings() {
+        return {
+            ...this.getFormatSettings(),
+            privacy: this.privacyZones.getSettings()
+        };
+    }
+    
+    // Just the `export` config section, without the location privacy
+    getFormatSettings() {
+        return MotionExport.resolveExportSettings(window.MotionRecorderConfig?.export);
+    }
+    
+    // The active configuration without credentials, for export manifests
+    getConfigSnapshot() {
+        const config = window.MotionRecorderConfig || {};
+        return JSON.parse(JSON.stringify(config, (key, value) =>
+            key === 'authToken' || key === 'headers' ? undefined : value));
+    }
+    
     async exportAllData() {
         try {
             console.log('📤 exportAllData called - starting upload process');
@@ -430,18 +669,14 @@ class MotionRecorderApp {
                         `Uploading recording ${i + 1}/${recordings.length}...`
                     );
 
-                    // Get data points for this recording
-                    const dataPoints = await this.databaseManager.getDataPoints(recording.id);
-                    console.log(`📊 Recording ${recording.id} has ${dataPoints.length} data points`);
+                    // Upload this recording through the queue so its status is tracked
+                    console.log(`📤 Uploading recording ${recording.id}...`);
+                    const entry = await this.uploadQueue.uploadNow(recording.id, { force: true });
 
-                    if (dataPoints.length === 0) {
-                        console.log(`⏭️ Skipping recording ${recording.id} - no data points`);
-                        continue;
+                    if (entry.status !== 'uploaded') {
+                        throw new Error(entry.lastError || 'Upload failed');
                     }
 
-                    // Upload this recording
-                    console.log(`📤 Uploading recording ${recording.id}...`);
-                    await this.uploadCSVToServer(dataPoints);
                     uploadedCount++;
                     console.log(`✅ Recording ${recording.id} uploaded successfully`);
 
@@ -479,6 +714,20 @@ class MotionRecorderApp {
         }
     }
     
+    // reason (e.g. 'manual') records the deletion in the deletion log
+    async deleteRecording(recordingId, reason = null) {
+        if (this.isRecording && recordingId === this.currentRecordingId) {
+            throw new Error('Cannot delete the recording in progress');
+        }
+        
+        await this.databaseManager.deleteRecording(recordingId, reason);
+        
+        if (recordingId === this.currentRecordingId) {
+            this.currentRecordingId = null;
+        }
+        console.log('🗑️ Recording deleted:', recordingId);
+    }
+    
     async clearAllData() {
         try {
             // Clear IndexedDB data
@@ -494,12 +743,35 @@ class MotionRecorderApp {
                 sessionStorage.clear();
             }
             
+            // Custom upload destinations lived in localStorage
+            if (this.uploadTargets) {
+                this.uploadTargets.customTargets = [];
+                this.uploadTargets.activeTargetId = null;
+                this.uploadTargets.save();
+            }
+            if (this.privacyZones) {
+                await this.privacyZones.reset();
+            }
+            
             // Clear and regenerate user ID
             if (this.userManager) {
                 this.userManager.clearUserId();
                 await this.userManager.init();
             }
             
+            // The retention policy and consent records were cleared with the database;
+            // the new user ID is asked for consent again
+            if (this.dataRetention) {
+                await this.dataRetention.savePolicy();
+            }
+            if (this.consent) {
+                this.consent.init();
+            }
+            // Device signing keys went with the keys store; the new user ID enrolls afresh
+            if (this.uploadSigner) {
+                this.uploadSigner.reset();
+            }
+            
             // Update UI
             if (this.uiManager) {
                 await this.uiManager.updateStorageUsage();
@@ -513,103 +785,219 @@ class MotionRecorderApp {
         }
     }
     
-    async uploadCSVToServer(data) {
+    // Active upload destination; snapshotted into upload queue entries for the service worker
+    getUploadTarget() {
+        return this.uploadTargets.snapshot();
+    }
+
+    getUploadMetadata() {
+        return {
+            version: '2.0.0',
+            uploadTime: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            userId: this.userManager.getUserId() // Include userID in metadata
+        };
+    }
+
+    // Upload a stored recording; throws on failure so the upload queue can retry
+    async uploadRecording(recordingId, target = this.getUploadTarget()) {
+        if (!target || !target.endpoint) {
+            throw new Error('No upload destination configured');
+        }
+
+        const totalCount = await this.databaseManager.getDataPointsCount(recordingId);
+        console.log(`📊 Recording ${recordingId} has ${totalCount} data points`);
+
+        if (totalCount === 0) {
+            console.log(`⏭️ Skipping recording ${recordingId} - no data points`);
+            return { skipped: true, dataPoints: 0 };
+        }
+
+        // CSV targets get CSV parts; JSON and NDJSON targets get NDJSON parts
+        const chunkFormat = target.format === UploadFormat.CSV_MULTIPART ? 'csv' : 'json';
+
+        if (await this.shouldUploadInChunks(recordingId, target, chunkFormat, totalCount)) {
+            return this.uploadRecordingInChunks(recordingId, target, chunkFormat, totalCount);
+        }
+
         try {
-            console.log('📤 uploadCSVToServer called with data:', {
-                dataType: typeof data,
-                isArray: Array.isArray(data),
-                length: data?.length,
-                sample: data?.[0]
-            });
+            const result = await this.uploadToTarget(target, recordingId, totalCount);
+            return { ...result, dataPoints: totalCount };
+        } catch (error) {
+            // The row estimate let it through, but it encodes larger than a single request may be
+            if (!isPayloadTooLarge(error) || !this.isChunkedUploadEnabled()) throw error;
+            console.log(`📦 Recording ${recordingId} is over ${target.name}'s payload limit - switching to chunks`);
+            return this.uploadRecordingInChunks(recordingId, target, chunkFormat, totalCount);
+        }
+    }
 
-            if (!data || data.length === 0) {
-                console.log('❌ No data to upload - data is empty or undefined');
-                return;
-            }
+    async uploadRecordingInChunks(recordingId, target, format, totalCount) {
+        const recording = await this.databaseManager.getRecording(recordingId);
+        const labels = await this.databaseManager.getLabels(recordingId);
+        const metadata = this.getUploadMetadata();
 
-            this.uiManager.showNotification('Uploading recording to server...', 'info');
+        const result = await this.uploadInChunks(recordingId, totalCount, {
+            target,
+            format,
+            createEncoder: format === 'csv'
+                ? (state) => createCSVEncoder(state, labels, this.getExportSettings())
+                : createNDJSONEncoder({ recording, labels, metadata }, this.getExportSettings()),
+            metadata
+        });
+        return { ...result, dataPoints: totalCount };
+    }
 
-            // Generate CSV content using worker
-            const csvContent = await this.generateCSVContent(data);
+    isChunkedUploadEnabled() {
+        return window.MotionRecorderConfig?.api?.chunkedUpload?.enabled !== false;
+    }
 
-            // Get user ID
-            const userId = this.userManager.getUserId();
-            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-            const filename = `motion-data-${userId}-${timestamp}.csv`;
+    // Recordings over api.maxPayloadSize go through the chunked protocol, as does
+    // any upload that already has a session in progress
+    async shouldUploadInChunks(recordingId, target, format, totalCount) {
+        if (!this.isChunkedUploadEnabled()) return false;
 
-            // Upload to server
-            const uploadEndpoint = 'https://autom-store-worker.inboxy.workers.dev/';
+        const key = ChunkedUploader.sessionKey(recordingId, target.id, format);
+        const existing = await this.databaseManager.getUploadSession(key);
+        if (existing) return true;
 
-            const formData = new FormData();
-            const blob = new Blob([csvContent], { type: 'text/csv' });
-            formData.append('file', blob, filename);
-            formData.append('userId', userId);
-            formData.append('dataPoints', data.length.toString());
+        return totalCount * ESTIMATED_ROW_BYTES > target.maxPayloadSize;
+    }
 
-            const response = await fetch(uploadEndpoint, {
-                method: 'POST',
-                body: formData
-            });
+    async uploadInChunks(recordingId, totalCount, { target, format, createEncoder, metadata }) {
+        const api = window.MotionRecorderConfig?.api || {};
+        const uploader = new ChunkedUploader(this.databaseManager, {
+            baseUrl: api.chunkedUpload?.endpoint || target.endpoint,
+            headers: target.headers,
+            partSize: api.chunkedUpload?.partSize,
+            timeout: api.timeout,
+            compress: this.shouldCompressUpload(target),
+            onCompressionRejected: () => this.uploadTargets.markCompressionRejected(target.id),
+            signRequest: this.uploadSigner.signerFor(target)
+        });
 
-            if (response.ok) {
-                const result = await response.json();
-                console.log('CSV uploaded successfully:', result);
-                this.uiManager.showNotification(
-                    `✅ Recording uploaded successfully (${data.length} points)`,
-                    'success'
-                );
-            } else {
-                throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
-            }
+        console.log(`📦 Uploading recording ${recordingId} to ${target.name} in chunks (${totalCount} points)`);
 
+        try {
+            return await uploader.upload({
+                recordingId,
+                targetId: target.id,
+                format,
+                totalDataPoints: totalCount,
+                metadata,
+                createEncoder,
+                onProgress: ({ uploadedDataPoints }) => {
+                    const progress = Math.round((uploadedDataPoints / totalCount) * 100);
+                    console.log(`📤 Recording ${recordingId}: ${progress}% uploaded (${uploadedDataPoints}/${totalCount})`);
+                }
+            });
         } catch (error) {
-            console.error('Failed to upload CSV:', error);
-            ErrorBoundary.handle(error, 'Upload CSV to Server');
-            this.uiManager.showNotification(
-                '⚠️ Upload failed. Data saved locally.',
-                'warning'
-            );
+            if (error.status === 401) {
+                await this.uploadSigner.handleRejected(target);
+            }
+            throw error;
         }
     }
 
-    async generateCSVContent(data) {
-        return new Promise((resolve, reject) => {
-            console.log('🔨 Generating CSV content for upload (no download)');
+    // Single-request upload in the target's format; the body is streamed from IndexedDB into a Blob.
+    // That Blob is read whole again to sign and gzip it, so bodies are capped at the target's
+    // maxPayloadSize (api.maxPayloadSize): past it this throws a PayloadTooLargeError before
+    // anything is sent, and larger recordings go through uploadInChunks, a part at a time.
+    async uploadToTarget(target, recordingId, totalCount) {
+        console.log(`📤 Uploading ${totalCount} data points to ${target.name} (${target.format})`);
 
-            // Create a temporary message handler
-            const handleMessage = (e) => {
-                if (e.data.type === 'CSV_GENERATED') {
-                    this.workerManager.worker.removeEventListener('message', handleMessage);
-                    console.log('✅ CSV generated, returning content without download');
-                    resolve(e.data.data);
-                } else if (e.data.type === 'WORKER_ERROR') {
-                    this.workerManager.worker.removeEventListener('message', handleMessage);
-                    reject(new Error(e.data.data));
-                }
-            };
+        if (!totalCount) {
+            throw new Error('No data to upload');
+        }
 
-            this.workerManager.worker.addEventListener('message', handleMessage);
+        const metadata = this.getUploadMetadata();
+        const recording = await this.databaseManager.getRecording(recordingId);
+        const labels = await this.databaseManager.getLabels(recordingId);
 
-            // Request CSV generation directly from worker with skipDownload flag
-            this.workerManager.worker.postMessage({
-                type: 'GENERATE_CSV',
-                data: data,
-                skipDownload: true  // Don't trigger automatic download
-            });
+        // The whole request body is gzipped below instead (Content-Encoding), not the file in it
+        const settings = { ...this.getExportSettings(), compress: false };
+        const format = target.format === UploadFormat.CSV_MULTIPART ? 'csv' : target.format;
+        const { contentType, extension } = MotionExport.EXPORT_FORMATS[format];
+        const stream = createExportStream(this, recordingId, {
+            format,
+            options: { labels, headerRecord: { recording, labels, metadata }, summary: true, settings }
+        });
+        const content = await streamToBlob(stream, contentType, {
+            maxSize: target.maxPayloadSize
+        });
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+        const filename = `motion-data-${metadata.userId}-${timestamp}${extension}`;
 
-            // Timeout after 30 seconds
-            setTimeout(() => {
-                this.workerManager.worker.removeEventListener('message', handleMessage);
-                reject(new Error('CSV generation timed out'));
-            }, 30000);
+        const request = MotionExport.buildUploadRequest(target, {
+            recording,
+            dataPointCount: totalCount,
+            labels,
+            metadata,
+            content,
+            filename
         });
+
+        // Signed per attempt, so the uncompressed fallback gets its own nonce
+        const send = async ({ headers, body }) => {
+            const signed = await this.uploadSigner.sign(target, target.endpoint, { headers, body });
+            return fetch(target.endpoint, { method: 'POST', headers: signed.headers, body: signed.body });
+        };
+
+        let compression = null;
+        let response;
+        if (this.shouldCompressUpload(target)) {
+            const compressed = await MotionExport.compressUploadRequest(request);
+            response = await send(compressed);
+            compression = { originalBytes: compressed.originalSize, sentBytes: compressed.size };
+
+            // Servers that don't take Content-Encoding get the same request uncompressed
+            if (MotionExport.isCompressionRejected(response.status)) {
+                console.warn(`⚠️ ${target.name} rejected the gzipped upload (${response.status}) - sending it uncompressed`);
+                this.uploadTargets.markCompressionRejected(target.id);
+                response = null;
+                compression = null;
+            }
+        }
+        if (!response) {
+            response = await send(request);
+        }
+
+        if (!response.ok) {
+            if (response.status === 401) {
+                await this.uploadSigner.handleRejected(target);
+            }
+            const error = new Error(`Upload failed: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        // Not every backend answers with JSON
+        const text = await response.text();
+        let result = {};
+        try {
+            result = text ? JSON.parse(text) : {};
+        } catch (error) {
+            result = { response: text };
+        }
+
+        console.log(`Recording uploaded to ${target.name}:`, result);
+        return compression ? { ...result, compression } : result;
+    }
+
+    // Gzip upload bodies when export.compressExports is on (set by config.js under
+    // Save-Data) or the connection is poor, unless the target has rejected gzip before
+    shouldCompressUpload(target) {
+        if (typeof CompressionStream !== 'function' || this.uploadTargets.rejectsCompression(target.id)) {
+            return false;
+        }
+        return this.getExportSettings().compress || networkManager.getConnectionQuality().quality === 'poor';
     }
 
     async uploadPendingData() {
         try {
-            // This would be called when connection is restored
+            // Called when connection is restored
             console.log('Checking for pending data to upload...');
-            // Implementation for background sync would go here
+            await this.uploadQueue.drain();
         } catch (error) {
             console.warn('Failed to upload pending data:', error);
         }
@@ -0,0 +1,273 @@
+// ============================================
+// at-rest-crypto.js - AES-GCM encryption of stored recordings (security.encryptLocalStorage)
+// Loaded by the page (classic <script>), worker.js and sw.js - no access to window or DOM
+// ============================================
+//
+// Data chunks keep the fields their indexes and counts use (recordingId, startIndex,
+// endIndex, count, startTime, endTime) in the clear; the sample columns, shared fields
+// and extras go into `encrypted`. Recordings keep RECORDING_CLEAR_FIELDS - what the
+// indexes, the worker and the upload queue work on - and encrypt everything else (name,
+// notes, tags, device details, ...). An encrypted payload is { version, iv, data }: a
+// fresh 96-bit IV per write and the AES-GCM ciphertext, whose tag also detects tampering.
+//
+// One AES-GCM data key encrypts everything. It is only stored wrapped (AES-KW) in the
+// 'keys' store: by a non-extractable device key kept next to it, or by a key derived from
+// the user's passphrase with PBKDF2. Unwrapped, it is non-extractable and held in memory.
+
+(function (scope) {
+    const VERSION = 1;
+    const KEY_ID = 'data';
+    const KEY_STORE = 'keys';
+    const PBKDF2_ITERATIONS = 310000;
+
+    const DATA_KEY = { name: 'AES-GCM', length: 256 };
+    const WRAPPING_KEY = { name: 'AES-KW', length: 256 };
+
+    const RECORDING_CLEAR_FIELDS = [
+        'id', 'userId', 'timestamp', 'status', 'endTime',
+        'dataPointCount', 'lastSampleAt', 'uploadStatus'
+    ];
+
+    const ARRAY_TYPES = { Float64Array, Float32Array, Int8Array };
+
+    const textEncoder = new TextEncoder();
+    const textDecoder = new TextDecoder();
+
+    // Thrown when encrypted data is read or written without the passphrase having been entered
+    function lockedError(message = 'Local data is locked - enter your passphrase in the Data tab') {
+        const error = new Error(message);
+        error.name = 'LockedError';
+        return error;
+    }
+
+    function isLockedError(error) {
+        return error?.name === 'LockedError';
+    }
+
+    // JSON that also keeps undefined and non-finite numbers, which chunk extras rely on
+    function stringify(value) {
+        return JSON.stringify(value, (key, item) => {
+            if (item === undefined) return { __type: 'undefined' };
+            if (typeof item === 'number' && !Number.isFinite(item)) return { __type: 'number', value: String(item) };
+            return item;
+        });
+    }
+
+    // A reviver can't return undefined without deleting the key, so the markers are replaced afterwards
+    function restore(value) {
+        if (Array.isArray(value)) {
+            for (let i = 0; i < value.length; i++) {
+                value[i] = restore(value[i]);
+            }
+        } else if (value && typeof value === 'object') {
+            if (value.__type === 'undefined') return undefined;
+            if (value.__type === 'number') return Number(value.value);
+            for (const key of Object.keys(value)) {
+                value[key] = restore(value[key]);
+            }
+        }
+        return value;
+    }
+
+    async function encrypt(key, bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { version: VERSION, iv, data };
+    }
+
+    async function decrypt(key, payload) {
+        if (payload.version !== VERSION) {
+            throw new Error(`Unsupported encrypted payload version ${payload.version}`);
+        }
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: payload.iv }, key, payload.data));
+    }
+
+    // Columns, shared fields and extras of a chunk as bytes:
+    //   uint32 header length, JSON header { shared, extras, columns: [{ name, type, offset, length }] },
+    //   then the column buffers, each starting at a multiple of 8
+    function packChunk({ shared, columns, extras }) {
+        const layout = [];
+        let offset = 0;
+        for (const [name, column] of Object.entries(columns)) {
+            layout.push({ name, type: column.constructor.name, offset, length: column.length });
+            offset += Math.ceil(column.byteLength / 8) * 8;
+        }
+
+        const header = textEncoder.encode(stringify({ shared, extras, columns: layout }));
+        const start = Math.ceil((4 + header.length) / 8) * 8;
+        const bytes = new Uint8Array(start + offset);
+        new DataView(bytes.buffer).setUint32(0, header.length, true);
+        bytes.set(header, 4);
+
+        for (const { name, offset: columnOffset } of layout) {
+            const column = columns[name];
+            bytes.set(new Uint8Array(column.buffer, column.byteOffset, column.byteLength), start + columnOffset);
+        }
+        return bytes;
+    }
+
+    function unpackChunk(bytes) {
+        const headerLength = new DataView(bytes.buffer, bytes.byteOffset).getUint32(0, true);
+        const header = restore(JSON.parse(textDecoder.decode(bytes.subarray(4, 4 + headerLength))));
+        const start = Math.ceil((4 + headerLength) / 8) * 8;
+
+        const columns = {};
+        for (const { name, type, offset, length } of header.columns) {
+            const ArrayType = ARRAY_TYPES[type];
+            const begin = bytes.byteOffset + start + offset;
+            columns[name] = new ArrayType(bytes.buffer.slice(begin, begin + length * ArrayType.BYTES_PER_ELEMENT));
+        }
+        return { shared: header.shared, columns, extras: header.extras };
+    }
+
+    // A SampleCodec chunk with its samples encrypted
+    async function encryptChunk(chunk, key) {
+        const { shared, columns, extras, ...clear } = chunk;
+        return { ...clear, encrypted: await encrypt(key, packChunk({ shared, columns, extras })) };
+    }
+
+    // The plain chunk; chunks stored before encryption was turned on pass through
+    async function decryptChunk(chunk, key) {
+        if (!chunk.encrypted) return chunk;
+        if (!key) throw lockedError();
+
+        const { encrypted, ...clear } = chunk;
+        return { ...clear, ...unpackChunk(await decrypt(key, encrypted)) };
+    }
+
+    async function encryptRecording(recording, key) {
+        const clear = {};
+        const secret = {};
+        for (const [field, value] of Object.entries(recording)) {
+            (RECORDING_CLEAR_FIELDS.includes(field) ? clear : secret)[field] = value;
+        }
+        return { ...clear, encrypted: await encrypt(key, textEncoder.encode(stringify(secret))) };
+    }
+
+    // The plain recording. Without the key only the clear fields come back, marked locked,
+    // so lists can still show that the recording exists.
+    async function decryptRecording(recording, key) {
+        if (!recording?.encrypted) return recording;
+
+        const { encrypted, ...clear } = recording;
+        if (!key) return { ...clear, locked: true };
+
+        // Clear fields are updated in place (e.g. by the worker), so they win over the sealed copy
+        const secret = restore(JSON.parse(textDecoder.decode(await decrypt(key, encrypted))));
+        return { ...secret, ...clear };
+    }
+
+    // Any other record's contents (e.g. the location privacy settings) as one encrypted payload
+    async function encryptValue(value, key) {
+        return encrypt(key, textEncoder.encode(stringify(value)));
+    }
+
+    async function decryptValue(payload, key) {
+        if (!key) throw lockedError();
+        return restore(JSON.parse(textDecoder.decode(await decrypt(key, payload))));
+    }
+
+    // ---- Keys ----
+
+    async function deriveWrappingKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', textEncoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            WRAPPING_KEY,
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    }
+
+    // Keyring record for the 'keys' store holding dataKey (which must be extractable),
+    // wrapped by a new device key or, given a passphrase, by a key derived from it
+    async function wrapDataKey(dataKey, passphrase = null) {
+        const keyring = { id: KEY_ID, version: VERSION, createdAt: new Date().toISOString() };
+        let wrappingKey;
+
+        if (passphrase) {
+            keyring.protection = 'passphrase';
+            keyring.salt = crypto.getRandomValues(new Uint8Array(16));
+            keyring.iterations = PBKDF2_ITERATIONS;
+            wrappingKey = await deriveWrappingKey(passphrase, keyring.salt, keyring.iterations);
+        } else {
+            keyring.protection = 'device';
+            keyring.deviceKey = await crypto.subtle.generateKey(WRAPPING_KEY, false, ['wrapKey', 'unwrapKey']);
+            wrappingKey = keyring.deviceKey;
+        }
+
+        keyring.wrappedKey = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, 'AES-KW');
+        return keyring;
+    }
+
+    // A keyring with a new random data key
+    async function createKeyring(passphrase = null) {
+        const dataKey = await crypto.subtle.generateKey(DATA_KEY, true, ['encrypt', 'decrypt']);
+        return wrapDataKey(dataKey, passphrase);
+    }
+
+    // The data key of a keyring. Throws a LockedError if it needs a passphrase and none or
+    // the wrong one is given. extractable is only for re-wrapping it (changeProtection).
+    async function unwrapDataKey(keyring, passphrase = null, extractable = false) {
+        let wrappingKey = keyring.deviceKey;
+        if (keyring.protection === 'passphrase') {
+            if (!passphrase) throw lockedError();
+            wrappingKey = await deriveWrappingKey(passphrase, keyring.salt, keyring.iterations);
+        }
+
+        try {
+            return await crypto.subtle.unwrapKey('raw', keyring.wrappedKey, wrappingKey, 'AES-KW', DATA_KEY, extractable, ['encrypt', 'decrypt']);
+        } catch (error) {
+            // AES-KW's integrity check is what fails for a wrong passphrase
+            throw lockedError('Wrong passphrase');
+        }
+    }
+
+    // The same data key wrapped differently: under newPassphrase, or the device key if it is null.
+    // Stored data stays as it is.
+    async function changeProtection(keyring, currentPassphrase, newPassphrase) {
+        const dataKey = await unwrapDataKey(keyring, currentPassphrase, true);
+        return {
+            ...await wrapDataKey(dataKey, newPassphrase),
+            createdAt: keyring.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    // Keyring record from an open database; null if encryption was never set up
+    function loadKeyring(db) {
+        if (!db.objectStoreNames.contains(KEY_STORE)) return Promise.resolve(null);
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction([KEY_STORE], 'readonly').objectStore(KEY_STORE).get(KEY_ID);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // The device-protected data key for contexts that can't ask for a passphrase (worker,
+    // service worker): null without a keyring, a LockedError if a passphrase protects it
+    async function loadDataKey(db) {
+        const keyring = await loadKeyring(db);
+        return keyring ? unwrapDataKey(keyring) : null;
+    }
+
+    scope.AtRestCrypto = {
+        KEY_STORE,
+        RECORDING_CLEAR_FIELDS,
+        lockedError,
+        isLockedError,
+        encryptChunk,
+        decryptChunk,
+        encryptRecording,
+        decryptRecording,
+        encryptValue,
+        decryptValue,
+        createKeyring,
+        unwrapDataKey,
+        changeProtection,
+        loadKeyring,
+        loadDataKey
+    };
+})(self);
@@ -0,0 +1,316 @@
+// ============================================
+// chunked-upload.js - Chunked, Resumable Uploads
+// ============================================
+//
+// Protocol (implemented by mock-upload-server.js):
+//   POST {base}/uploads                          -> { sessionId }
+//   PUT  {base}/uploads/{sessionId}/parts/{n}    -> { index, bytes }
+//   GET  {base}/uploads/{sessionId}              -> { sessionId, parts: [{ index, bytes }] }
+//   POST {base}/uploads/{sessionId}/complete     -> server result
+//
+// Parts are raw slices of the encoded file; the server concatenates them in index order.
+// Progress is persisted after every acknowledged part so an interrupted upload resumes
+// from the next part instead of starting over. With the compress option each part is sent
+// gzipped (Content-Encoding: gzip); part sizes in the manifest are always uncompressed.
+// With the signRequest option every request is signed just before it goes out
+// (UploadSigner.signerFor), so retries carry a fresh nonce.
+
+export class ChunkedUploader {
+    constructor(databaseManager, options = {}) {
+        this.databaseManager = databaseManager;
+        this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+        this.partSize = options.partSize || 1048576;
+        this.batchSize = options.batchSize || 1000;
+        this.timeout = options.timeout || 30000;
+        this.headers = options.headers || {};
+        this.compress = options.compress || false;
+        this.onCompressionRejected = options.onCompressionRejected || null;
+        this.signRequest = options.signRequest || null;
+    }
+
+    // Sessions are per recording, destination and format, so switching targets never resumes elsewhere
+    static sessionKey(recordingId, targetId, format) {
+        return `${recordingId}:${targetId}:${format}`;
+    }
+
+    // Upload one recording. createEncoder(state) must return an object with
+    // contentType, header(), row(point), trailer() and getState().
+    async upload({ recordingId, targetId, format, totalDataPoints, metadata = {}, createEncoder, onProgress = null }) {
+        const key = ChunkedUploader.sessionKey(recordingId, targetId, format);
+        let session = await this.databaseManager.getUploadSession(key);
+
+        if (session && !(await this.verifySession(session))) {
+            console.log(`♻️ Upload session ${session.sessionId} expired on server - starting over`);
+            await this.databaseManager.deleteUploadSession(key);
+            session = null;
+        }
+
+        if (!session) {
+            session = await this.createSession(key, { recordingId, format, totalDataPoints, metadata, createEncoder });
+        } else {
+            console.log(`⏯️ Resuming upload of recording ${recordingId} at part ${session.nextPart} (${session.nextOffset}/${totalDataPoints} points)`);
+        }
+
+        const encoder = createEncoder(session.encoderState);
+        let lines = [];
+        let bytes = 0;
+        let pointsInPart = 0;
+
+        // The header travels with the first part only
+        if (session.nextPart === 0) {
+            const header = encoder.header();
+            if (header) {
+                lines.push(header);
+                bytes += header.length + 1;
+            }
+        }
+
+        if (!session.rowsComplete) {
+            for await (const batch of this.databaseManager.getDataPointsBatch(recordingId, this.batchSize, session.nextOffset)) {
+                for (const point of batch) {
+                    const line = encoder.row(point);
+                    lines.push(line);
+                    bytes += line.length + 1;
+                    pointsInPart++;
+
+                    if (bytes >= this.partSize) {
+                        await this.sendPart(session, lines, pointsInPart, encoder, onProgress);
+                        lines = [];
+                        bytes = 0;
+                        pointsInPart = 0;
+                    }
+                }
+            }
+
+            // Running out of rows early must not complete a short upload; the session stays
+            // for the next attempt
+            const read = session.nextOffset + pointsInPart;
+            if (read < session.totalDataPoints) {
+                throw new Error(`Read ${read} of the ${session.totalDataPoints} data points of recording ${recordingId}`);
+            }
+
+            // Remaining rows plus the trailer (e.g. CSV summary) form the last part
+            const trailer = encoder.trailer();
+            if (trailer) {
+                lines.push(trailer);
+            }
+            if (lines.length > 0) {
+                await this.sendPart(session, lines, pointsInPart, encoder, onProgress, { isLast: true });
+            } else {
+                session.rowsComplete = true;
+                await this.saveSession(session);
+            }
+        }
+
+        const result = await this.complete(session);
+        await this.databaseManager.deleteUploadSession(key);
+
+        console.log(`✅ Chunked upload of recording ${recordingId} finalized (${session.parts.length} parts)`);
+
+        if (!session.parts.some(part => part.compressedBytes !== undefined)) {
+            return result;
+        }
+        return {
+            ...result,
+            compression: {
+                originalBytes: session.parts.reduce((sum, part) => sum + part.bytes, 0),
+                sentBytes: session.parts.reduce((sum, part) => sum + (part.compressedBytes ?? part.bytes), 0)
+            }
+        };
+    }
+
+    async createSession(key, { recordingId, format, totalDataPoints, metadata, createEncoder }) {
+        const response = await this.request('POST', '/uploads', {
+            recordingId,
+            format,
+            contentType: createEncoder(null).contentType,
+            totalDataPoints,
+            partSize: this.partSize,
+            metadata
+        });
+
+        const now = Date.now();
+        const session = {
+            key,
+            recordingId,
+            format,
+            sessionId: response.sessionId,
+            totalDataPoints,
+            metadata,
+            nextPart: 0,
+            nextOffset: 0,
+            encoderState: null,
+            parts: [],
+            rowsComplete: false,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        await this.databaseManager.saveUploadSession(session);
+        console.log(`📦 Started chunked upload session ${session.sessionId} for recording ${recordingId}`);
+        return session;
+    }
+
+    // A session can only be resumed if the server still holds every part we think it acknowledged
+    async verifySession(session) {
+        try {
+            const status = await this.request('GET', `/uploads/${encodeURIComponent(session.sessionId)}`);
+            const received = new Set((status.parts || []).map(part => part.index));
+            return session.parts.every(part => received.has(part.index));
+        } catch (error) {
+            if (error.status === 404 || error.status === 410) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async sendPart(session, lines, dataPoints, encoder, onProgress, { isLast = false } = {}) {
+        const index = session.nextPart;
+        const body = new Blob([lines.join('\n') + (isLast ? '' : '\n')], { type: encoder.contentType });
+
+        const compressedBytes = await this.putPart(session, index, body, dataPoints);
+
+        // Only advance after the server acknowledged the part
+        const part = { index, bytes: body.size, dataPoints };
+        if (compressedBytes !== null) {
+            part.compressedBytes = compressedBytes;
+        }
+        session.parts.push(part);
+        session.nextPart = index + 1;
+        session.nextOffset += dataPoints;
+        session.encoderState = encoder.getState();
+        session.rowsComplete = isLast;
+        await this.saveSession(session);
+
+        if (onProgress) {
+            onProgress({
+                recordingId: session.recordingId,
+                part: index,
+                uploadedDataPoints: session.nextOffset,
+                totalDataPoints: session.totalDataPoints
+            });
+        }
+    }
+
+    // PUT one part, gzipped while compression is on. Returns the gzipped size, or null if it went
+    // uncompressed. A server that rejects the encoding gets this and every later part uncompressed.
+    async putPart(session, index, body, dataPoints) {
+        const path = `/uploads/${encodeURIComponent(session.sessionId)}/parts/${index}`;
+        const headers = { 'X-Part-Data-Points': String(dataPoints) };
+
+        if (this.compress) {
+            const compressed = await new Response(body.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+            try {
+                await this.request('PUT', path, compressed, { ...headers, 'Content-Type': body.type, 'Content-Encoding': 'gzip' });
+                return compressed.size;
+            } catch (error) {
+                if (!MotionExport.isCompressionRejected(error.status)) {
+                    throw error;
+                }
+                console.warn(`⚠️ Server rejected gzipped part ${index} (${error.status}) - sending parts uncompressed`);
+                this.compress = false;
+                if (this.onCompressionRejected) {
+                    this.onCompressionRejected();
+                }
+            }
+        }
+
+        await this.request('PUT', path, body, headers);
+        return null;
+    }
+
+    async complete(session) {
+        return this.request('POST', `/uploads/${encodeURIComponent(session.sessionId)}/complete`, {
+            recordingId: session.recordingId,
+            format: session.format,
+            totalParts: session.parts.length,
+            totalDataPoints: session.nextOffset,
+            totalBytes: session.parts.reduce((sum, part) => sum + part.bytes, 0),
+            parts: session.parts,
+            metadata: session.metadata
+        });
+    }
+
+    async saveSession(session) {
+        session.updatedAt = Date.now();
+        await this.databaseManager.saveUploadSession(session);
+    }
+
+    async request(method, path, body = null, headers = {}) {
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+
+        const isJSON = body !== null && !(body instanceof Blob);
+        const url = this.baseUrl + path;
+        let request = {
+            headers: isJSON
+                ? { ...this.headers, 'Content-Type': 'application/json', ...headers }
+                : { ...this.headers, ...headers },
+            body: isJSON ? JSON.stringify(body) : body
+        };
+
+        try {
+            if (this.signRequest) {
+                request = await this.signRequest({ method, url, ...request });
+            }
+
+            const response = await fetch(url, {
+                method,
+                headers: request.headers,
+                body: request.body,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const error = new Error(`Chunked upload ${method} ${path} failed: ${response.status} ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const text = await response.text();
+            return text ? JSON.parse(text) : {};
+
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+}
+
+// Encoder for the CSV upload format; resumes its frequency window, summary and privacy offset
+// from saved state. settings (MotionExport.resolveExportSettings) pick the delimiter, precision,
+// date format and location privacy transforms.
+export function createCSVEncoder(state = null, labels = [], settings = MotionExport.EXPORT_DEFAULTS) {
+    const writer = MotionExport.createCSVWriter(state?.writer, labels, settings);
+    const summary = MotionExport.createCSVSummary(state?.summary);
+    const privacy = MotionExport.createPrivacyFilter(settings.privacy, state?.privacy);
+
+    return {
+        contentType: writer.contentType,
+        header: () => writer.header(),
+        row(point) {
+            const exported = privacy.apply(point);
+            summary.add(exported);
+            return writer.row(exported);
+        },
+        trailer: () => [
+            ...(settings.includeStatistics ? summary.result(settings).lines : []),
+            ...MotionExport.privacyLines(privacy.report(), settings.delimiter)
+        ].join('\n'),
+        getState: () => ({ writer: writer.getState(), summary: summary.getState(), privacy: privacy.getState() })
+    };
+}
+
+// Encoder for JSON uploads: newline-delimited JSON, recording metadata and privacy transforms first
+export function createNDJSONEncoder(headerRecord, settings = MotionExport.EXPORT_DEFAULTS) {
+    return (state = null) => {
+        const privacy = MotionExport.createPrivacyFilter(settings.privacy, state?.privacy);
+        return {
+            contentType: 'application/x-ndjson',
+            header: () => JSON.stringify(privacy.active ? { ...headerRecord, privacy: privacy.transforms } : headerRecord),
+            row: (point) => JSON.stringify(privacy.apply(point)),
+            trailer: () => '',
+            getState: () => ({ privacy: privacy.getState() })
+        };
+    };
+}
@@ -9,7 +9,37 @@ window.MotionRecorderConfig = {
         timeout: 30000, // 30 seconds
         retryAttempts: 3,
         retryDelay: 1000, // 1 second
-        maxPayloadSize: 10485760 // 10MB max upload size
+        maxPayloadSize: 10485760, // 10MB max single-request body (built in memory); larger recordings go in resumable parts
+        // Upload destinations (more can be added from the Data tab). endpoint: null uses api.endpoint above.
+        // format is 'csv-multipart', 'json' or 'ndjson'; authToken is sent as a Bearer token.
+        // signing: true signs every upload with this device's enrolled key (security.uploadSigning).
+        uploadTargets: [
+            {
+                id: 'inboxy-storage',
+                name: 'Inboxy storage',
+                endpoint: 'https://autom-store-worker.inboxy.workers.dev/',
+                format: 'csv-multipart',
+                headers: {},
+                authToken: null,
+                signing: false
+            },
+            {
+                id: 'recordings-api',
+                name: 'Recordings API',
+                endpoint: null,
+                format: 'json',
+                headers: {},
+                authToken: null,
+                signing: true
+            }
+        ],
+        activeUploadTarget: 'inboxy-storage',
+        // Recordings larger than maxPayloadSize are uploaded in resumable parts
+        chunkedUpload: {
+            enabled: true,
+            endpoint: null, // Base URL of the chunked upload API (defaults to the upload endpoint)
+            partSize: 2097152 // 2MB per part
+        }
     },
     
     // Sensor Configuration - OPTIMIZED FOR 140Hz
@@ -24,18 +54,40 @@ window.MotionRecorderConfig = {
         dataValidation: true,
         maxBufferSize: 5000, // Maximum data points before forced flush
         batchSize: 10, // Batch size for sending data to worker
-        batchInterval: 100 // Send batches every 100ms
+        batchInterval: 100, // Send batches every 100ms
+        // Motion backend: 'auto' (Generic Sensor API where available, else devicemotion),
+        // 'generic-sensor' or 'devicemotion'. Falls back to devicemotion if sensors fail to start.
+        backend: 'auto',
+        // Extra channels recorded with each motion sample
+        channels: {
+            orientation: true, // DeviceOrientation alpha/beta/gamma (absolute where supported) and iOS compass heading
+            linearAcceleration: true, // Acceleration without gravity (event.acceleration)
+            interval: true, // Sampling interval reported by the browser (event.interval)
+            magnetometer: true, // Magnetic field in µT (Generic Sensor API only)
+            orientationQuaternion: true // AbsoluteOrientationSensor quaternion (Generic Sensor API only)
+        },
+        // How the worker combines samples into CSV rows
+        fusion: {
+            layout: 'fused', // 'fused' (one row per motion event) or 'sparse' (separate accel, gyro and GPS rows)
+            gpsPolicy: 'latest', // 'latest', 'interpolated' or 'nearest'
+            gpsMaxGapMs: 1000 // 'nearest'/'interpolated': ignore fixes further than this from the motion event
+        }
     },
     
     // Storage Configuration
     storage: {
-        maxDataPoints: 100000, // Increased for 140Hz operation
         chunkSize: 1000, // Process data in chunks
-        cacheDuration: 86400000, // 24 hours in milliseconds
+        cacheDuration: 86400000, // 24 hours in milliseconds - unfinished chunked upload sessions are dropped after this
         maxCacheSize: 100, // Increased cache size
         compressionEnabled: false, // Enable if needed for large datasets
-        autoCleanup: true, // Automatically clean old recordings
-        cleanupThreshold: 7 // Days to keep recordings
+        autoCleanup: true, // Delete recordings older than cleanupThreshold once their upload is confirmed (retention-policy.js)
+        cleanupThreshold: 7, // Days to keep recordings
+        persistentStorage: true, // Ask the browser at the first recording not to evict stored data
+        lowSpaceThreshold: 200, // MB free - low-space warning; below it lowSpacePolicy applies while recording
+        criticalSpaceThreshold: 50, // MB free - a recording is stopped (and none started) below this
+        lowSpacePolicy: 'downsample', // 'downsample' (to downsampleRate), 'stop' or 'warn'
+        downsampleRate: 30, // Hz while short of storage
+        quotaCheckInterval: 10000 // ms between storage checks while recording
     },
     
     // Performance Configuration
@@ -74,16 +126,23 @@ window.MotionRecorderConfig = {
         httpsRequired: true,
         validateTimestamps: true,
         sanitizeData: true,
-        encryptLocalStorage: false, // Enable if storing sensitive data
+        encryptLocalStorage: false, // AES-GCM encrypt stored recordings and GPS data (at-rest-crypto.js); passphrase optional in the Data tab
         maxUploadRetries: 3,
-        csrfProtection: true
+        csrfProtection: true,
+        // Signed uploads for targets with signing: true (request-signing.js; servers verify with upload-signature.js)
+        uploadSigning: {
+            enabled: true,
+            algorithm: 'HMAC-SHA256', // Secret issued by the server at enrollment, or 'ECDSA-P256-SHA256' for a device key pair
+            enrollPath: 'devices' // Enrollment URL, relative to the target endpoint
+        },
+        consentVersion: '1' // Bump when the consent screen text changes - everyone is asked again
     },
     
     // Feature Flags
     features: {
         backgroundSync: true,
         pushNotifications: false,
-        periodicSync: false,
+        periodicSync: true, // Daily retention cleanup by the service worker (installed app only)
         offlineMode: true,
         errorReporting: true,
         analytics: false,
@@ -101,15 +160,20 @@ window.MotionRecorderConfig = {
         showDebugPanel: false
     },
     
+    // Activity labels offered as buttons while recording (CSV Label column)
+    labels: {
+        presets: ['walking', 'running', 'stairs', 'sitting', 'fall']
+    },
+    
     // Export Configuration
     export: {
-        csvDelimiter: ',',
+        csvDelimiter: ',', // Any single character except quotes and line breaks
         csvEncoding: 'UTF-8',
-        includeMetadata: true,
-        includeStatistics: true,
-        dateFormat: 'ISO', // 'ISO' or 'LOCAL'
-        precision: 6, // Decimal places for numbers
-        compressExports: false
+        includeMetadata: true, // Recording metadata in JSON/columnar headers and the .summary.json sidecar
+        includeStatistics: true, // CSV summary block, columnar footer and manifest summaries
+        dateFormat: 'ISO', // CSV dates: 'ISO' (UTC), 'LOCAL' (with UTC offset) or 'EPOCH' (ms)
+        precision: 6, // Decimal places for numbers (null = by magnitude)
+        compressExports: false // Gzip downloads (.gz) and upload bodies
     }
 };
 
@@ -160,7 +224,6 @@ const detectOptimalConfiguration = () => {
         config.sensors.targetRate = Math.min(100, config.sensors.targetRate);
         config.sensors.fallbackRate = 60;
         config.sensors.batchSize = 5;
-        config.storage.maxDataPoints = 75000;
         config.sensors.maxBufferSize = 3000;
     } else if (isAndroid) {
         if (cores >= 8 && memory >= 6) {
@@ -197,11 +260,9 @@ const detectOptimalConfiguration = () => {
     }
     
     if (memory < 2) {
-        config.storage.maxDataPoints = 25000;
         config.sensors.maxBufferSize = 1000;
         config.sensors.targetRate = Math.min(60, config.sensors.targetRate);
     } else if (memory >= 8) {
-        config.storage.maxDataPoints = 200000;
         config.sensors.maxBufferSize = 10000;
     }
     
@@ -248,11 +309,9 @@ const detectDeviceCapabilities = () => {
         const memory = navigator.deviceMemory;
         if (memory < 4) {
             // Low memory device
-            window.MotionRecorderConfig.storage.maxDataPoints = 50000;
             window.MotionRecorderConfig.sensors.maxBufferSize = 2500;
         } else if (memory >= 8) {
             // High memory device
-            window.MotionRecorderConfig.storage.maxDataPoints = 200000;
             window.MotionRecorderConfig.sensors.maxBufferSize = 10000;
         }
     }
@@ -324,11 +383,6 @@ const validateConfig = () => {
         warnings.push(`Target rate of ${config.sensors.targetRate}Hz may not be achievable on all devices.`);
     }
     
-    // Validate storage limits
-    if (config.storage.maxDataPoints < 1000) {
-        warnings.push('Max data points is very low. Recommended minimum: 1000.');
-    }
-    
     // Check for HTTPS in production
     if (config.security.httpsRequired && window.location.protocol !== 'https:' && !config.development.skipHTTPSCheck) {
         errors.push('HTTPS is required but the app is running on HTTP.');
@@ -0,0 +1,80 @@
+// ============================================
+// consent.js - First-Run Consent to Data Collection
+// ============================================
+//
+// Before anything is recorded the user is shown what the app collects, where it goes and
+// how long it stays on the device (#consent-screen). Accepting stores
+// { userId, version, acceptedAt } in the 'consents' store. security.consentVersion is
+// bumped whenever that text changes, which asks everyone again; a new user ID (Clear All
+// Data) needs its own consent too.
+
+import { ErrorBoundary } from './utils.js';
+
+export class ConsentManager {
+    constructor(app) {
+        this.app = app;
+        this.consent = null;
+        this.pending = null;
+    }
+
+    getVersion() {
+        return String(window.MotionRecorderConfig?.security?.consentVersion ?? '1');
+    }
+
+    // Load the current user's consent and show the consent screen if it is missing or outdated
+    async init() {
+        try {
+            await this.load();
+            if (!this.hasConsented()) {
+                this.request().catch(error => ErrorBoundary.handle(error, 'Consent'));
+            }
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Consent');
+        }
+    }
+
+    async load() {
+        const userId = this.app.userManager.getUserId();
+        this.consent = userId ? await this.app.databaseManager.getConsent(userId) : null;
+        return this.consent;
+    }
+
+    hasConsented() {
+        return this.consent?.version === this.getVersion();
+    }
+
+    // Resolves true once the user has consented, false if they decline
+    request() {
+        if (this.hasConsented()) return Promise.resolve(true);
+
+        // One screen at a time, whoever asks
+        if (!this.pending) {
+            this.pending = this.app.uiManager.showConsentScreen({
+                version: this.getVersion(),
+                policy: this.app.dataRetention.getPolicy(),
+                target: this.app.uploadTargets.getActiveTarget()
+            }).then(async (accepted) => {
+                if (accepted) {
+                    await this.accept();
+                } else {
+                    console.log('🚫 Consent declined - recording stays disabled');
+                }
+                return accepted;
+            }).finally(() => {
+                this.pending = null;
+            });
+        }
+        return this.pending;
+    }
+
+    async accept() {
+        const consent = {
+            userId: this.app.userManager.getUserId(),
+            version: this.getVersion(),
+            acceptedAt: new Date().toISOString()
+        };
+        this.consent = await this.app.databaseManager.saveConsent(consent);
+        console.log('✅ Consent recorded:', consent);
+        return this.consent;
+    }
+}
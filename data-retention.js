@@ -0,0 +1,128 @@
+// ============================================
+// data-retention.js - Automatic Cleanup of Old Recordings
+// ============================================
+//
+// Applies the retention policy (retention-policy.js) on startup and registers the service
+// worker's periodic sync, which applies it while the app is closed. The policy comes from
+// the `storage` config section; the one choice left to the user - also deleting recordings
+// that were never uploaded - lives in the stored policy record the service worker reads.
+
+import { ErrorBoundary } from './utils.js';
+
+const DAY = 86400000;
+
+export class DataRetention {
+    constructor(app) {
+        this.app = app;
+        this.policy = null;
+        this.isRunning = false;
+    }
+
+    async init() {
+        // The service worker tells us when it purged recordings in the background
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type === 'RETENTION_CLEANUP_COMPLETE') {
+                    console.log('🧹 Background retention cleanup deleted recordings:', event.data.deleted);
+                    this.notifyChange();
+                }
+            });
+        }
+
+        const stored = await RetentionPolicy.loadPolicy(this.app.databaseManager.db);
+        await this.savePolicy({ deleteUnuploaded: stored?.deleteUnuploaded === true });
+        this.app.uiManager.renderRetentionSettings();
+
+        await this.run();
+        this.registerPeriodicSync();
+    }
+
+    // Resolve the policy from the current config and store it for the service worker
+    async savePolicy(preferences = {}) {
+        this.policy = RetentionPolicy.resolvePolicy(window.MotionRecorderConfig?.storage, preferences);
+        await RetentionPolicy.savePolicy(this.app.databaseManager.db, this.policy);
+        return this.policy;
+    }
+
+    getPolicy() {
+        return this.policy;
+    }
+
+    // Opt in to (or out of) deleting expired recordings that were never uploaded
+    async setDeleteUnuploaded(enabled) {
+        await this.savePolicy({ deleteUnuploaded: enabled });
+        console.log(`🧹 Retention: recordings that were never uploaded are ${enabled ? 'deleted' : 'kept'} once expired`);
+    }
+
+    // Purge expired recordings now; resolves with RetentionPolicy.purgeExpired()'s result
+    async run() {
+        if (this.isRunning || !this.policy) return null;
+        this.isRunning = true;
+
+        try {
+            const result = await RetentionPolicy.purgeExpired(this.app.databaseManager.db, this.policy, { source: 'app' });
+
+            if (result.deleted.length > 0) {
+                console.log(`🧹 Retention cleanup deleted ${result.deleted.length} recording(s) older than ${this.policy.thresholdDays} days`);
+                if (result.deleted.some(entry => entry.recordingId === this.app.currentRecordingId)) {
+                    this.app.currentRecordingId = null;
+                }
+                this.notifyChange();
+            }
+            if (result.sessionsDropped > 0) {
+                console.log(`🧹 Dropped ${result.sessionsDropped} stale upload session(s)`);
+            }
+            return result;
+
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Data Retention');
+            return null;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    getLog(limit = 50) {
+        return this.app.databaseManager.getDeletionLog(limit);
+    }
+
+    // Daily cleanup by the service worker. Browsers only grant periodic sync to installed apps.
+    async registerPeriodicSync() {
+        if (!window.MotionRecorderConfig?.features?.periodicSync) return false;
+        if (!('serviceWorker' in navigator)) return false;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!registration.periodicSync) {
+                console.log('⚠️ Periodic Background Sync not supported - retention runs when the app opens');
+                return false;
+            }
+
+            if (!this.policy?.enabled) {
+                await registration.periodicSync.unregister(RetentionPolicy.PERIODIC_SYNC_TAG);
+                return false;
+            }
+
+            const permission = await navigator.permissions?.query({ name: 'periodic-background-sync' }).catch(() => null);
+            if (permission && permission.state !== 'granted') {
+                console.log('⚠️ Periodic Background Sync not granted - retention runs when the app opens');
+                return false;
+            }
+
+            await registration.periodicSync.register(RetentionPolicy.PERIODIC_SYNC_TAG, { minInterval: DAY });
+            console.log('🔄 Periodic sync registered:', RetentionPolicy.PERIODIC_SYNC_TAG);
+            return true;
+        } catch (error) {
+            console.warn('Failed to register periodic sync:', error);
+            return false;
+        }
+    }
+
+    // Refresh the recordings list and the Data tab after deletions
+    notifyChange() {
+        if (window.materialTabs) {
+            window.materialTabs.updateRecordingsList();
+        }
+        this.app.uiManager.renderRetentionSettings();
+    }
+}
@@ -4,11 +4,26 @@
 
 import { ErrorBoundary } from './utils.js';
 
+// Plaintext records encrypted per transaction when encryption is turned on
+const ENCRYPT_BATCH_SIZE = 200;
+
+// Most chunks read per transaction when walking a recording
+const MAX_CHUNK_READ = 16;
+
+// 'settings' store record of the location privacy settings; sw.js reads it too
+const PRIVACY_SETTINGS_ID = 'privacy';
+
 export class DatabaseManager {
     constructor() {
         this.db = null;
         this.dbName = 'MotionRecorderDB';
-        this.dbVersion = 2;
+        this.dbVersion = 9;
+        
+        // At-rest encryption (see at-rest-crypto.js): the keyring record and, once
+        // unwrapped, the data key. encryptionEnabled means new data is written encrypted.
+        this.encryptionEnabled = false;
+        this.keyring = null;
+        this.dataKey = null;
     }
     
     async init() {
@@ -23,6 +38,7 @@ export class DatabaseManager {
             
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
+                const transaction = event.target.transaction;
                 
                 // Create recordings store if it doesn't exist
                 if (!db.objectStoreNames.contains('recordings')) {
@@ -34,14 +50,24 @@ export class DatabaseManager {
                     recordingStore.createIndex('userId', 'userId', { unique: false });
                 }
                 
-                // Create data points store if it doesn't exist
-                if (!db.objectStoreNames.contains('dataPoints')) {
-                    const dataStore = db.createObjectStore('dataPoints', {
+                // Create data chunks store (columnar blocks of data points, see sample-codec.js)
+                if (!db.objectStoreNames.contains('dataChunks')) {
+                    const chunkStore = db.createObjectStore('dataChunks', {
                         keyPath: 'id',
                         autoIncrement: true
                     });
-                    dataStore.createIndex('recordingId', 'recordingId', { unique: false });
-                    dataStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    chunkStore.createIndex('recordingEnd', ['recordingId', 'endIndex'], { unique: true });
+                }
+                
+                // Version 7: chunks by end time, for time-window queries
+                const chunkStore = transaction.objectStore('dataChunks');
+                if (!chunkStore.indexNames.contains('recordingTime')) {
+                    chunkStore.createIndex('recordingTime', ['recordingId', 'endTime'], { unique: false });
+                }
+                
+                // Before version 6 every data point was its own record
+                if (db.objectStoreNames.contains('dataPoints')) {
+                    this._migrateDataPoints(db, transaction);
                 }
                 
                 // Create performance metrics store
@@ -52,15 +78,279 @@ export class DatabaseManager {
                     });
                     metricsStore.createIndex('recordingId', 'recordingId', { unique: false });
                 }
+                
+                // Create upload queue store (one entry per recording)
+                if (!db.objectStoreNames.contains('uploadQueue')) {
+                    const queueStore = db.createObjectStore('uploadQueue', {
+                        keyPath: 'recordingId'
+                    });
+                    queueStore.createIndex('status', 'status', { unique: false });
+                }
+                
+                // Create upload sessions store (progress of chunked uploads, keyed by recording and format)
+                if (!db.objectStoreNames.contains('uploadSessions')) {
+                    const sessionStore = db.createObjectStore('uploadSessions', {
+                        keyPath: 'key'
+                    });
+                    sessionStore.createIndex('recordingId', 'recordingId', { unique: false });
+                }
+                
+                // Create labels store (activity markers dropped during a recording)
+                if (!db.objectStoreNames.contains('labels')) {
+                    const labelStore = db.createObjectStore('labels', {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    labelStore.createIndex('recordingId', 'recordingId', { unique: false });
+                }
+                
+                // Version 8: wrapped at-rest encryption key
+                if (!db.objectStoreNames.contains('keys')) {
+                    db.createObjectStore('keys', { keyPath: 'id' });
+                }
+                
+                // Version 9: retention policy for the service worker, deletion log and consent records
+                if (!db.objectStoreNames.contains('settings')) {
+                    db.createObjectStore('settings', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('deletionLog')) {
+                    const logStore = db.createObjectStore('deletionLog', {
+                        keyPath: 'id',
+                        autoIncrement: true
+                    });
+                    logStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+                }
+                if (!db.objectStoreNames.contains('consents')) {
+                    db.createObjectStore('consents', { keyPath: 'userId' });
+                }
             };
         });
     }
     
+    // Re-encode the old one-record-per-point store into chunks, then drop it.
+    // Runs inside the version change transaction, so a failure leaves the old schema intact.
+    _migrateDataPoints(db, transaction) {
+        const chunkStore = transaction.objectStore('dataChunks');
+        const request = transaction.objectStore('dataPoints').index('recordingId').openCursor();
+        let rows = [];
+        let recordingId = null;
+        let startIndex = 0;
+        let migrated = 0;
+        
+        const writeChunk = () => {
+            if (rows.length === 0) return;
+            chunkStore.add(SampleCodec.encodeChunk(rows, recordingId, startIndex));
+            startIndex += rows.length;
+            migrated += rows.length;
+            rows = [];
+        };
+        
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            
+            if (!cursor) {
+                writeChunk();
+                db.deleteObjectStore('dataPoints');
+                console.log(`📦 Migrated ${migrated} data points to chunked storage`);
+                return;
+            }
+            
+            // The index walks one recording at a time, in insertion order
+            if (cursor.key !== recordingId) {
+                writeChunk();
+                recordingId = cursor.key;
+                startIndex = 0;
+            }
+            
+            rows.push(cursor.value);
+            if (rows.length >= SampleCodec.CHUNK_SIZE) {
+                writeChunk();
+            }
+            cursor.continue();
+        };
+    }
+    
+    // ---- At-rest encryption (security.encryptLocalStorage, see at-rest-crypto.js) ----
+    
+    // Called after init(). With encryption enabled the key is created on first use and data
+    // stored before is encrypted in the background. A passphrase-protected key stays locked
+    // until unlock(). Encrypted data stays readable when the setting is turned off again.
+    async initEncryption(enabled) {
+        try {
+            this.encryptionEnabled = enabled;
+            this.dataKey = null;
+            this.keyring = await AtRestCrypto.loadKeyring(this.db);
+            
+            if (!this.keyring && enabled) {
+                this.keyring = await AtRestCrypto.createKeyring();
+                await this._saveKeyring(this.keyring);
+                console.log('🔐 Created local encryption key');
+            }
+            
+            if (this.keyring?.protection === 'device') {
+                this.dataKey = await AtRestCrypto.unwrapDataKey(this.keyring);
+                this._encryptInBackground();
+            }
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Init Encryption');
+            throw error;
+        }
+    }
+    
+    // { enabled, protection: 'device' | 'passphrase' | null, locked }
+    getEncryptionStatus() {
+        return {
+            enabled: this.encryptionEnabled,
+            protection: this.keyring?.protection || null,
+            locked: !!this.keyring && !this.dataKey
+        };
+    }
+    
+    // Key new data is encrypted with, null while encryption is off. Throws a LockedError while locked.
+    getWriteKey() {
+        if (!this.encryptionEnabled) return null;
+        if (!this.dataKey) throw AtRestCrypto.lockedError();
+        return this.dataKey;
+    }
+    
+    // Unlock a passphrase-protected key; rejects with a LockedError for a wrong passphrase
+    async unlock(passphrase) {
+        this.dataKey = await AtRestCrypto.unwrapDataKey(this.keyring, passphrase);
+        console.log('🔓 Local data unlocked');
+        this._encryptInBackground();
+    }
+    
+    // Protect the key with a passphrase, or with the device key again when passphrase is empty.
+    // currentPassphrase is required while one is set. Stored data isn't re-encrypted.
+    async setPassphrase(passphrase, currentPassphrase = null) {
+        const keyring = await AtRestCrypto.changeProtection(this.keyring, currentPassphrase, passphrase || null);
+        await this._saveKeyring(keyring);
+        this.keyring = keyring;
+        this.dataKey ||= await AtRestCrypto.unwrapDataKey(keyring, passphrase || null);
+        console.log(passphrase ? '🔐 Local data protected with a passphrase' : '🔐 Passphrase removed from local data');
+    }
+    
+    async _saveKeyring(keyring) {
+        const transaction = this.db.transaction(['keys'], 'readwrite');
+        transaction.objectStore('keys').put(keyring);
+        
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    _encryptInBackground() {
+        if (!this.encryptionEnabled || this.encrypting) return;
+        
+        this.encrypting = this.encryptExistingData()
+            .catch(error => ErrorBoundary.handle(error, 'Encrypt Existing Data'))
+            .finally(() => {
+                this.encrypting = null;
+            });
+    }
+    
+    // Migration: encrypt recordings and chunks stored in plaintext, a batch at a time
+    async encryptExistingData() {
+        const key = this.getWriteKey();
+        
+        const chunks = await this._encryptStore('dataChunks', [], chunk => AtRestCrypto.encryptChunk(chunk, key));
+        const recordings = await this._encryptStore('recordings', AtRestCrypto.RECORDING_CLEAR_FIELDS,
+            recording => AtRestCrypto.encryptRecording(recording, key));
+        
+        if (chunks + recordings > 0) {
+            console.log(`🔐 Encrypted ${recordings} recordings and ${chunks} data chunks stored in plaintext`);
+        }
+        
+        const privacy = await this._getSetting(PRIVACY_SETTINGS_ID);
+        if (privacy?.settings) {
+            await this.savePrivacySettings(privacy.settings);
+        }
+    }
+    
+    // Replace the plaintext records of a store with encrypt(record). Each is read again before
+    // it is replaced: deleted records stay deleted and liveFields written meanwhile are kept.
+    async _encryptStore(storeName, liveFields, encrypt) {
+        let range = null;
+        let encrypted = 0;
+        
+        while (true) {
+            const records = await new Promise((resolve, reject) => {
+                const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll(range, ENCRYPT_BATCH_SIZE);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            if (records.length === 0) return encrypted;
+            range = IDBKeyRange.lowerBound(records[records.length - 1].id, true);
+            
+            const sealed = await Promise.all(records.filter(record => !record.encrypted).map(encrypt));
+            
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+                
+                for (const record of sealed) {
+                    const request = store.get(record.id);
+                    request.onsuccess = () => {
+                        const current = request.result;
+                        if (!current || current.encrypted) return;
+                        store.put({ ...record, ...this._selectFields(current, liveFields) });
+                        encrypted++;
+                    };
+                }
+                
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+    }
+    
+    _openChunk(chunk) {
+        return AtRestCrypto.decryptChunk(chunk, this.dataKey);
+    }
+    
+    // Decrypted recording, or its clear fields marked locked while the key is locked
+    _openRecording(recording) {
+        return AtRestCrypto.decryptRecording(recording, this.dataKey);
+    }
+    
+    _openRecordings(recordings) {
+        return Promise.all(recordings.map(recording => this._openRecording(recording)));
+    }
+    
+    // Chunks of a recording from position fromIndex on, decrypted, in order, until
+    // visit(chunk) returns false. A transaction can't stay open while WebCrypto runs,
+    // so chunks are read a few at a time, twice as many each round.
+    async _walkChunks(recordingId, fromIndex, visit) {
+        let range = SampleCodec.chunkRange(recordingId, fromIndex);
+        let count = 2;
+        
+        while (true) {
+            const chunks = await new Promise((resolve, reject) => {
+                const index = this.db.transaction(['dataChunks'], 'readonly').objectStore('dataChunks').index('recordingEnd');
+                const request = index.getAll(range, count);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            
+            for (const chunk of chunks) {
+                if (visit(await this._openChunk(chunk)) === false) return;
+            }
+            if (chunks.length < count) return;
+            
+            range = SampleCodec.chunkRange(recordingId, chunks[chunks.length - 1].endIndex);
+            count = Math.min(count * 2, MAX_CHUNK_READ);
+        }
+    }
+    
     async saveRecording(recording) {
         try {
+            const key = this.getWriteKey();
+            const record = key ? await AtRestCrypto.encryptRecording(recording, key) : recording;
+            
             const transaction = this.db.transaction(['recordings'], 'readwrite');
             const store = transaction.objectStore('recordings');
-            const request = store.add(recording);
+            const request = store.add(record);
             
             return new Promise((resolve, reject) => {
                 request.onsuccess = () => resolve(request.result);
@@ -74,6 +364,13 @@ export class DatabaseManager {
     
     async updateRecording(id, updates) {
         try {
+            // Fields inside the encrypted part are merged and sealed again outside the transaction
+            const clearOnly = Object.keys(updates).every(field => AtRestCrypto.RECORDING_CLEAR_FIELDS.includes(field));
+            const key = clearOnly ? null : this.getWriteKey();
+            if (key) {
+                return this._updateSealedRecording(id, updates, key);
+            }
+            
             const transaction = this.db.transaction(['recordings'], 'readwrite');
             const store = transaction.objectStore('recordings');
             
@@ -85,7 +382,7 @@ export class DatabaseManager {
                     if (recording) {
                         Object.assign(recording, updates);
                         const updateRequest = store.put(recording);
-                        updateRequest.onsuccess = () => resolve(recording);
+                        updateRequest.onsuccess = () => resolve(this._openRecording(recording));
                         updateRequest.onerror = () => reject(updateRequest.error);
                     } else {
                         reject(new Error('Recording not found'));
@@ -99,9 +396,42 @@ export class DatabaseManager {
         }
     }
     
+    async _updateSealedRecording(id, updates, key) {
+        const recording = await this.getRecording(id);
+        if (!recording) {
+            throw new Error('Recording not found');
+        }
+        const sealed = await AtRestCrypto.encryptRecording({ ...recording, ...updates }, key);
+        
+        // Clear fields may have changed meanwhile (the worker keeps counting), so they are
+        // taken from the stored record again
+        const transaction = this.db.transaction(['recordings'], 'readwrite');
+        const store = transaction.objectStore('recordings');
+        let updated = null;
+        
+        const getRequest = store.get(id);
+        getRequest.onsuccess = () => {
+            if (!getRequest.result) return;
+            updated = {
+                ...this._selectFields(getRequest.result, AtRestCrypto.RECORDING_CLEAR_FIELDS),
+                ...this._selectFields(sealed, [...Object.keys(updates), 'encrypted'])
+            };
+            store.put(updated);
+        };
+        
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+        if (!updated) {
+            throw new Error('Recording not found');
+        }
+        return this._openRecording(updated);
+    }
+    
     async saveDataPoints(dataPoints, recordingId) {
         try {
-            const CHUNK_SIZE = 1000;
+            const CHUNK_SIZE = SampleCodec.CHUNK_SIZE;
             
             for (let i = 0; i < dataPoints.length; i += CHUNK_SIZE) {
                 const chunk = dataPoints.slice(i, i + CHUNK_SIZE);
@@ -113,15 +443,26 @@ export class DatabaseManager {
         }
     }
     
+    // Append the points as one encoded chunk after the recording's last chunk
     async saveDataChunk(chunk, recordingId) {
+        if (chunk.length === 0) return;
+        
+        // Encrypted before the transaction opens; positioned once the last chunk is known
+        const key = this.getWriteKey();
+        let encoded = SampleCodec.encodeChunk(chunk, recordingId, 0);
+        if (key) {
+            encoded = await AtRestCrypto.encryptChunk(encoded, key);
+        }
+        
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['dataPoints'], 'readwrite');
-            const store = transaction.objectStore('dataPoints');
+            const transaction = this.db.transaction(['dataChunks'], 'readwrite');
+            const store = transaction.objectStore('dataChunks');
             
-            chunk.forEach(point => {
-                point.recordingId = recordingId;
-                store.add(point);
-            });
+            const lastRequest = store.index('recordingEnd').openKeyCursor(SampleCodec.chunkRange(recordingId), 'prev');
+            lastRequest.onsuccess = () => {
+                const startIndex = lastRequest.result ? lastRequest.result.key[1] : 0;
+                store.add({ ...encoded, startIndex, endIndex: startIndex + encoded.count });
+            };
             
             transaction.oncomplete = () => resolve();
             transaction.onerror = () => reject(transaction.error);
@@ -144,6 +485,22 @@ export class DatabaseManager {
         }
     }
     
+    async getRecording(id) {
+        try {
+            const transaction = this.db.transaction(['recordings'], 'readonly');
+            const store = transaction.objectStore('recordings');
+            
+            return new Promise((resolve, reject) => {
+                const request = store.get(id);
+                request.onsuccess = () => resolve(request.result ? this._openRecording(request.result) : null);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Get Recording');
+            throw error;
+        }
+    }
+    
     async getRecordings(userId = null, options = {}) {
         try {
             const { 
@@ -156,25 +513,27 @@ export class DatabaseManager {
             const transaction = this.db.transaction(['recordings'], 'readonly');
             const store = transaction.objectStore('recordings');
             
-            return new Promise((resolve, reject) => {
+            // Walk the cursor in the requested order so offset/limit pages are contiguous.
+            // Keys are auto-increment ids, which follow recording start time.
+            const direction = sortBy === 'timestamp' && sortOrder === 'desc' ? 'prev' : 'next';
+            
+            const results = await new Promise((resolve, reject) => {
                 const results = [];
                 let skipCount = 0;
                 let request;
                 
                 if (userId) {
                     const index = store.index('userId');
-                    request = index.openCursor(userId);
+                    request = index.openCursor(IDBKeyRange.only(userId), direction);
                 } else {
-                    request = store.openCursor();
+                    request = store.openCursor(null, direction);
                 }
                 
                 request.onsuccess = (event) => {
                     const cursor = event.target.result;
                     
                     if (!cursor) {
-                        // Sort and resolve results
-                        const sortedResults = this._sortRecordings(results, sortBy, sortOrder);
-                        resolve(sortedResults);
+                        resolve(results);
                         return;
                     }
                     
@@ -189,8 +548,7 @@ export class DatabaseManager {
                         
                         // Stop if we've reached the limit
                         if (results.length >= limit) {
-                            const sortedResults = this._sortRecordings(results, sortBy, sortOrder);
-                            resolve(sortedResults);
+                            resolve(results);
                             return;
                         }
                     }
@@ -201,6 +559,9 @@ export class DatabaseManager {
                 
                 request.onerror = () => reject(request.error);
             });
+            
+            // Decrypted before sorting - names and other sort fields may be encrypted
+            return this._sortRecordings(await this._openRecordings(results), sortBy, sortOrder);
         } catch (error) {
             ErrorBoundary.handle(error, 'Get Recordings');
             throw error;
@@ -284,61 +645,35 @@ export class DatabaseManager {
     
     // Private method for getting all data points (backwards compatibility)
     async _getAllDataPoints(recordingId) {
-        const transaction = this.db.transaction(['dataPoints'], 'readonly');
-        const store = transaction.objectStore('dataPoints');
-        const index = store.index('recordingId');
+        const transaction = this.db.transaction(['dataChunks'], 'readonly');
+        const index = transaction.objectStore('dataChunks').index('recordingEnd');
         
         return new Promise((resolve, reject) => {
-            const request = index.getAll(recordingId);
+            const request = index.getAll(SampleCodec.chunkRange(recordingId));
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
+        }).then(async (chunks) => {
+            const dataPoints = [];
+            for (const chunk of chunks) {
+                dataPoints.push(...SampleCodec.decodeChunk(await this._openChunk(chunk)));
+            }
+            return dataPoints;
         });
     }
     
-    // Private method for paginated data points
+    // Private method for paginated data points - seeks straight to the chunk holding `offset`
     async _getPaginatedDataPoints(recordingId, limit, offset, sortBy, sortOrder, fields) {
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['dataPoints'], 'readonly');
-            const store = transaction.objectStore('dataPoints');
-            const index = store.index('recordingId');
-            const results = [];
-            let skipCount = 0;
-            
-            const request = index.openCursor(recordingId);
-            
-            request.onsuccess = (event) => {
-                const cursor = event.target.result;
-                
-                if (!cursor) {
-                    // Sort results if needed (for in-memory sorting)
-                    const sortedResults = this._sortDataPoints(results, sortBy, sortOrder);
-                    resolve(sortedResults);
-                    return;
-                }
-                
-                // Skip records for offset
-                if (skipCount < offset) {
-                    skipCount++;
-                    cursor.continue();
-                    return;
-                }
-                
-                // Stop if we've reached the limit
-                if (results.length >= limit) {
-                    const sortedResults = this._sortDataPoints(results, sortBy, sortOrder);
-                    resolve(sortedResults);
-                    return;
-                }
-                
-                // Add record to results (with field selection if specified)
-                const record = fields ? this._selectFields(cursor.value, fields) : cursor.value;
-                results.push(record);
-                
-                cursor.continue();
-            };
-            
-            request.onerror = () => reject(request.error);
+        const results = [];
+        
+        await this._walkChunks(recordingId, offset, (chunk) => {
+            const from = Math.max(0, offset - chunk.startIndex);
+            const to = Math.min(chunk.count, from + limit - results.length);
+            results.push(...SampleCodec.decodeChunk(chunk, from, to, fields));
+            return results.length < limit;
         });
+        
+        // Sort results if needed (for in-memory sorting)
+        return this._sortDataPoints(results, sortBy, sortOrder);
     }
     
     // Helper method to sort data points
@@ -375,16 +710,15 @@ export class DatabaseManager {
         return selectedRecord;
     }
     
-    // Get total count of data points for a recording (for pagination info)
+    // Get total count of data points for a recording (for pagination info) - the last chunk's endIndex
     async getDataPointsCount(recordingId) {
         try {
-            const transaction = this.db.transaction(['dataPoints'], 'readonly');
-            const store = transaction.objectStore('dataPoints');
-            const index = store.index('recordingId');
+            const transaction = this.db.transaction(['dataChunks'], 'readonly');
+            const index = transaction.objectStore('dataChunks').index('recordingEnd');
             
             return new Promise((resolve, reject) => {
-                const request = index.count(recordingId);
-                request.onsuccess = () => resolve(request.result);
+                const request = index.openKeyCursor(SampleCodec.chunkRange(recordingId), 'prev');
+                request.onsuccess = () => resolve(request.result ? request.result.key[1] : 0);
                 request.onerror = () => reject(request.error);
             });
         } catch (error) {
@@ -393,23 +727,193 @@ export class DatabaseManager {
         }
     }
     
-    // Get data points in batches for streaming/processing large datasets
-    async* getDataPointsBatch(recordingId, batchSize = 1000) {
+    // Recordings with the given status, e.g. 'recording' rows left behind by a crashed tab
+    async getRecordingsByStatus(status) {
+        try {
+            const transaction = this.db.transaction(['recordings'], 'readonly');
+            const store = transaction.objectStore('recordings');
+            
+            return new Promise((resolve, reject) => {
+                const results = [];
+                const request = store.openCursor();
+                
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result;
+                    if (!cursor) {
+                        resolve(this._openRecordings(results));
+                        return;
+                    }
+                    if (cursor.value.status === status) {
+                        results.push(cursor.value);
+                    }
+                    cursor.continue();
+                };
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Get Recordings By Status');
+            throw error;
+        }
+    }
+    
+    // Recordings started within [from, to] (Dates, null = open ended), oldest first,
+    // optionally only those of one user
+    async findRecordings({ from = null, to = null, userId = null } = {}) {
+        try {
+            const transaction = this.db.transaction(['recordings'], 'readonly');
+            const index = transaction.objectStore('recordings').index('timestamp');
+            
+            // Start times are ISO strings, which sort chronologically
+            let range = null;
+            if (from && to) {
+                range = IDBKeyRange.bound(from.toISOString(), to.toISOString());
+            } else if (from) {
+                range = IDBKeyRange.lowerBound(from.toISOString());
+            } else if (to) {
+                range = IDBKeyRange.upperBound(to.toISOString());
+            }
+            
+            return new Promise((resolve, reject) => {
+                const request = index.getAll(range);
+                request.onsuccess = () => resolve(this._openRecordings(userId
+                    ? request.result.filter(recording => recording.userId === userId)
+                    : request.result));
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Find Recordings');
+            throw error;
+        }
+    }
+    
+    // Performance metrics saved when the recording was stopped
+    async getPerformanceMetrics(recordingId) {
+        try {
+            const transaction = this.db.transaction(['performanceMetrics'], 'readonly');
+            const index = transaction.objectStore('performanceMetrics').index('recordingId');
+            
+            return new Promise((resolve, reject) => {
+                const request = index.getAll(recordingId);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Get Performance Metrics');
+            throw error;
+        }
+    }
+    
+    // Most recently written data point of a recording
+    async getLastDataPoint(recordingId) {
+        try {
+            const transaction = this.db.transaction(['dataChunks'], 'readonly');
+            const index = transaction.objectStore('dataChunks').index('recordingEnd');
+            
+            return new Promise((resolve, reject) => {
+                const request = index.openCursor(SampleCodec.chunkRange(recordingId), 'prev');
+                request.onsuccess = () => resolve(request.result?.value || null);
+                request.onerror = () => reject(request.error);
+            }).then(async (chunk) => {
+                if (!chunk) return null;
+                return SampleCodec.decodeChunk(await this._openChunk(chunk), chunk.count - 1)[0];
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Get Last Data Point');
+            throw error;
+        }
+    }
+    
+    // Keyset pagination: up to `limit` points after position `afterKey` (-1 = from the start),
+    // optionally only rows carrying `channel` ('gps', 'accel', ... see SampleCodec.CHANNEL_FILTERS).
+    // Pass the returned lastKey as afterKey to get the next page; done is true after the last one.
+    async getDataPointsPage(recordingId, { afterKey = -1, limit = 1000, channel = null, fields = null } = {}) {
+        try {
+            const dataPoints = [];
+            let lastKey = afterKey;
+            let done = true;
+            
+            await this._walkChunks(recordingId, afterKey + 1, (chunk) => {
+                if (dataPoints.length >= limit) {
+                    done = false;
+                    return false;
+                }
+                
+                const from = Math.max(0, lastKey + 1 - chunk.startIndex);
+                const positions = SampleCodec.findRows(chunk, { from, channel });
+                const taken = positions.slice(0, limit - dataPoints.length);
+                const decode = SampleCodec.createDecoder(chunk, fields);
+                
+                for (const position of taken) {
+                    dataPoints.push(decode(position));
+                }
+                
+                // Stopped partway through the chunk - the rest of it is the next page
+                if (taken.length < positions.length) {
+                    lastKey = chunk.startIndex + taken[taken.length - 1];
+                    done = false;
+                    return false;
+                }
+                
+                // Filtered-out rows at the end of the chunk are passed over too
+                lastKey = chunk.endIndex - 1;
+            });
+            
+            return { dataPoints, lastKey, done };
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Get Data Points Page');
+            throw error;
+        }
+    }
+    
+    // Points with start <= timestamp <= end (epoch ms), optionally only rows carrying `channel`
+    async getDataPointsInRange(recordingId, start, end, { channel = null, fields = null } = {}) {
+        try {
+            // The time index finds the first chunk in the window; the rest follow by position
+            const firstIndex = await new Promise((resolve, reject) => {
+                const index = this.db.transaction(['dataChunks'], 'readonly').objectStore('dataChunks').index('recordingTime');
+                const request = index.openCursor(SampleCodec.timeRange(recordingId, start));
+                request.onsuccess = () => resolve(request.result ? request.result.value.startIndex : null);
+                request.onerror = () => reject(request.error);
+            });
+            
+            const dataPoints = [];
+            if (firstIndex === null) return dataPoints;
+            
+            await this._walkChunks(recordingId, firstIndex, (chunk) => {
+                // Chunks come in time order - the rest start after the window
+                if (chunk.startTime > end) return false;
+                
+                const decode = SampleCodec.createDecoder(chunk, fields);
+                for (const position of SampleCodec.findRows(chunk, { channel, start, end })) {
+                    dataPoints.push(decode(position));
+                }
+            });
+            
+            return dataPoints;
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Get Data Points In Range');
+            throw error;
+        }
+    }
+    
+    // Get data points in batches for streaming/processing large datasets.
+    // Each batch continues from the last key of the previous one, so this stays linear.
+    async* getDataPointsBatch(recordingId, batchSize = 1000, startOffset = 0) {
         try {
-            let offset = 0;
-            let batch;
+            let afterKey = startOffset - 1;
+            let page;
             
             do {
-                batch = await this.getDataPoints(recordingId, {
-                    limit: batchSize,
-                    offset: offset
+                page = await this.getDataPointsPage(recordingId, {
+                    afterKey,
+                    limit: batchSize
                 });
                 
-                if (batch.length > 0) {
-                    yield batch;
-                    offset += batch.length;
+                if (page.dataPoints.length > 0) {
+                    yield page.dataPoints;
                 }
-            } while (batch.length === batchSize);
+                afterKey = page.lastKey;
+            } while (!page.done);
             
         } catch (error) {
             ErrorBoundary.handle(error, 'Get Data Points Batch');
@@ -417,62 +921,309 @@ export class DatabaseManager {
         }
     }
     
-    async deleteRecording(recordingId) {
+    // Upload queue entries track the upload state of each recording
+    async saveUploadEntry(entry) {
         try {
-            const transaction = this.db.transaction(['recordings', 'dataPoints', 'performanceMetrics'], 'readwrite');
-            
-            // Delete recording
+            const transaction = this.db.transaction(['uploadQueue', 'recordings'], 'readwrite');
+            const queueStore = transaction.objectStore('uploadQueue');
             const recordingStore = transaction.objectStore('recordings');
-            recordingStore.delete(recordingId);
             
-            // Delete associated data points
-            const dataStore = transaction.objectStore('dataPoints');
-            const dataIndex = dataStore.index('recordingId');
-            const dataRequest = dataIndex.openCursor(recordingId);
+            queueStore.put(entry);
             
-            dataRequest.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    cursor.delete();
-                    cursor.continue();
+            // Mirror the status onto the recording so lists can show it without a join
+            const getRequest = recordingStore.get(entry.recordingId);
+            getRequest.onsuccess = () => {
+                const recording = getRequest.result;
+                if (recording) {
+                    recording.uploadStatus = entry.status;
+                    recordingStore.put(recording);
                 }
             };
             
-            // Delete associated metrics
-            const metricsStore = transaction.objectStore('performanceMetrics');
-            const metricsIndex = metricsStore.index('recordingId');
-            const metricsRequest = metricsIndex.openCursor(recordingId);
+            return new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve(entry);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Save Upload Entry');
+            throw error;
+        }
+    }
+    
+    async getUploadEntry(recordingId) {
+        try {
+            const transaction = this.db.transaction(['uploadQueue'], 'readonly');
+            const store = transaction.objectStore('uploadQueue');
             
-            metricsRequest.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    cursor.delete();
-                    cursor.continue();
-                }
+            return new Promise((resolve, reject) => {
+                const request = store.get(recordingId);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Get Upload Entry');
+            throw error;
+        }
+    }
+    
+    // Atomically move an entry to 'uploading' so the page and the service worker
+    // never upload the same recording at once. Resolves null if someone else holds it.
+    async claimUploadEntry(recordingId, staleAfter) {
+        try {
+            const transaction = this.db.transaction(['uploadQueue', 'recordings'], 'readwrite');
+            const queueStore = transaction.objectStore('uploadQueue');
+            const recordingStore = transaction.objectStore('recordings');
+            let claimed = null;
+            
+            const getRequest = queueStore.get(recordingId);
+            getRequest.onsuccess = () => {
+                const entry = getRequest.result;
+                if (!entry) return;
+                
+                const now = Date.now();
+                const isStale = entry.status === 'uploading' && now - entry.updatedAt > staleAfter;
+                if (entry.status !== 'pending' && !isStale) return;
+                
+                entry.status = 'uploading';
+                entry.updatedAt = now;
+                queueStore.put(entry);
+                claimed = entry;
+                
+                const recordingRequest = recordingStore.get(recordingId);
+                recordingRequest.onsuccess = () => {
+                    const recording = recordingRequest.result;
+                    if (recording) {
+                        recording.uploadStatus = entry.status;
+                        recordingStore.put(recording);
+                    }
+                };
             };
             
+            return new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve(claimed);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Claim Upload Entry');
+            throw error;
+        }
+    }
+    
+    // Labels mark when an activity starts; a null label ends the current one
+    async saveLabel(label) {
+        try {
+            const transaction = this.db.transaction(['labels'], 'readwrite');
+            const store = transaction.objectStore('labels');
+            
+            return new Promise((resolve, reject) => {
+                const request = store.add(label);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Save Label');
+            throw error;
+        }
+    }
+    
+    // Labels of a recording in timestamp order
+    async getLabels(recordingId) {
+        try {
+            const transaction = this.db.transaction(['labels'], 'readonly');
+            const index = transaction.objectStore('labels').index('recordingId');
+            
+            return new Promise((resolve, reject) => {
+                const request = index.getAll(recordingId);
+                request.onsuccess = () => resolve(request.result.sort((a, b) => a.timestamp - b.timestamp));
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Get Labels');
+            throw error;
+        }
+    }
+    
+    // Chunked upload sessions persist which parts the server has acknowledged
+    async getUploadSession(key) {
+        try {
+            const transaction = this.db.transaction(['uploadSessions'], 'readonly');
+            const store = transaction.objectStore('uploadSessions');
+            
+            return new Promise((resolve, reject) => {
+                const request = store.get(key);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Get Upload Session');
+            throw error;
+        }
+    }
+    
+    async saveUploadSession(session) {
+        try {
+            const transaction = this.db.transaction(['uploadSessions'], 'readwrite');
+            transaction.objectStore('uploadSessions').put(session);
+            
+            return new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve(session);
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Save Upload Session');
+            throw error;
+        }
+    }
+    
+    async deleteUploadSession(key) {
+        try {
+            const transaction = this.db.transaction(['uploadSessions'], 'readwrite');
+            transaction.objectStore('uploadSessions').delete(key);
+            
             return new Promise((resolve, reject) => {
                 transaction.oncomplete = () => resolve();
                 transaction.onerror = () => reject(transaction.error);
             });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Delete Upload Session');
+            throw error;
+        }
+    }
+    
+    async getUploadQueue(statuses = null) {
+        try {
+            const transaction = this.db.transaction(['uploadQueue'], 'readonly');
+            const store = transaction.objectStore('uploadQueue');
+            
+            return new Promise((resolve, reject) => {
+                const request = store.getAll();
+                request.onsuccess = () => {
+                    const entries = request.result || [];
+                    resolve(statuses ? entries.filter(entry => statuses.includes(entry.status)) : entries);
+                };
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Get Upload Queue');
+            throw error;
+        }
+    }
+    
+    // reason (e.g. 'manual') logs the deletion in the deletion log (see retention-policy.js)
+    async deleteRecording(recordingId, reason = null) {
+        try {
+            const transaction = this.db.transaction([...RetentionPolicy.RECORDING_STORES, RetentionPolicy.LOG_STORE], 'readwrite');
+            await RetentionPolicy.deleteRecordingRecords(transaction, recordingId, reason ? { reason, source: 'app' } : null);
         } catch (error) {
             ErrorBoundary.handle(error, 'Delete Recording');
             throw error;
         }
     }
     
+    async getDeletionLog(limit = 50) {
+        return RetentionPolicy.readLog(this.db, limit);
+    }
+    
+    async getConsent(userId) {
+        const transaction = this.db.transaction(['consents'], 'readonly');
+        const request = transaction.objectStore('consents').get(userId);
+        
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    async saveConsent(consent) {
+        const transaction = this.db.transaction(['consents'], 'readwrite');
+        transaction.objectStore('consents').put(consent);
+        
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve(consent);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Location privacy settings (privacy-zones.js); null before any were saved. Throws a
+    // LockedError while they are encrypted and the key is locked.
+    async getPrivacySettings() {
+        const record = await this._getSetting(PRIVACY_SETTINGS_ID);
+        if (!record) return null;
+        return record.encrypted ? AtRestCrypto.decryptValue(record.encrypted, this.dataKey) : record.settings;
+    }
+    
+    // Encrypted while encryption is on - zone centres are places like the user's home
+    async savePrivacySettings(settings) {
+        const key = this.getWriteKey();
+        const record = key
+            ? { id: PRIVACY_SETTINGS_ID, encrypted: await AtRestCrypto.encryptValue(settings, key) }
+            : { id: PRIVACY_SETTINGS_ID, settings };
+        
+        const transaction = this.db.transaction(['settings'], 'readwrite');
+        transaction.objectStore('settings').put(record);
+        
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve(settings);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    async _getSetting(id) {
+        const transaction = this.db.transaction(['settings'], 'readonly');
+        const request = transaction.objectStore('settings').get(id);
+        
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Upload queue entries once carried a plaintext copy of the privacy settings; drop it
+    async removeQueuedPrivacySettings() {
+        const transaction = this.db.transaction(['uploadQueue'], 'readwrite');
+        const request = transaction.objectStore('uploadQueue').openCursor();
+        
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            
+            const { exportSettings } = cursor.value;
+            if (exportSettings?.privacy) {
+                const { privacy, ...formatSettings } = exportSettings;
+                cursor.update({ ...cursor.value, exportSettings: formatSettings });
+            }
+            cursor.continue();
+        };
+        
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+    
+    // Also drops the encryption key - the way out of a forgotten passphrase. A new key is
+    // created afterwards if encryption is enabled.
     async clearAllData() {
         try {
-            const transaction = this.db.transaction(['recordings', 'dataPoints', 'performanceMetrics'], 'readwrite');
+            const transaction = this.db.transaction(['recordings', 'dataChunks', 'performanceMetrics', 'uploadQueue', 'uploadSessions', 'labels', 'keys', 'settings', 'deletionLog', 'consents'], 'readwrite');
             
             transaction.objectStore('recordings').clear();
-            transaction.objectStore('dataPoints').clear();
+            transaction.objectStore('dataChunks').clear();
             transaction.objectStore('performanceMetrics').clear();
+            transaction.objectStore('uploadQueue').clear();
+            transaction.objectStore('uploadSessions').clear();
+            transaction.objectStore('labels').clear();
+            transaction.objectStore('keys').clear();
+            transaction.objectStore('settings').clear();
+            transaction.objectStore('deletionLog').clear();
+            transaction.objectStore('consents').clear();
             
-            return new Promise((resolve, reject) => {
+            await new Promise((resolve, reject) => {
                 transaction.oncomplete = () => resolve();
                 transaction.onerror = () => reject(transaction.error);
             });
+            
+            await this.initEncryption(this.encryptionEnabled);
         } catch (error) {
             ErrorBoundary.handle(error, 'Clear All Data');
             throw error;
@@ -498,19 +1249,19 @@ export class DatabaseManager {
             
             // Fallback: try to estimate by counting records
             const recordingCount = await this.getRecordCount('recordings');
-            const dataPointCount = await this.getRecordCount('dataPoints');
+            const dataChunkCount = await this.getRecordCount('dataChunks');
             const metricsCount = await this.getRecordCount('performanceMetrics');
             
             // Rough estimate: 
             // - Each recording: ~500 bytes
-            // - Each data point: ~200 bytes  
+            // - Each data chunk: ~40 KB (up to 1000 points)
             // - Each metric: ~100 bytes
-            const estimatedUsage = (recordingCount * 500) + (dataPointCount * 200) + (metricsCount * 100);
+            const estimatedUsage = (recordingCount * 500) + (dataChunkCount * 40000) + (metricsCount * 100);
             const estimatedQuota = 50 * 1024 * 1024; // Assume 50MB quota
             
             console.log('Fallback storage estimate:', {
                 recordings: recordingCount,
-                dataPoints: dataPointCount,
+                dataChunks: dataChunkCount,
                 metrics: metricsCount,
                 estimatedUsage
             });
@@ -555,8 +1306,7 @@ export class DatabaseManager {
             let totalDataPoints = 0;
             
             for (const recording of recordings) {
-                const dataPoints = await this.getDataPoints(recording.id);
-                totalDataPoints += dataPoints.length;
+                totalDataPoints += await this.getDataPointsCount(recording.id);
             }
             
             const sizeInfo = await this.getDatabaseSize();
@@ -0,0 +1,1140 @@
+// ============================================
+// export-formats.js - Export and upload formats shared by the page, worker.js and sw.js
+// Loaded with importScripts() or a classic <script> - no access to window or DOM
+// ============================================
+
+(function (scope) {
+    // Updated headers with Recording Session Start column removed
+    const CSV_HEADERS = [
+        'Data Point Timestamp', 'User ID', 'GPS Date Timestamp',
+        'GPS LAT', 'GPS LON', 'GPS ERROR', 'GPS ALT', 'GPS ALT ACCURACY',
+        'GPS HEADING', 'GPS SPEED', 'Accel Date Timestamp',
+        'Accel X', 'Accel Y', 'Accel Z', 'Gyro Date Timestamp',
+        'Gyro Alpha', 'Gyro Beta', 'Gyro Gamma', 'Sample Time (ms)', 'Frequency (Hz)',
+        'Orientation Alpha', 'Orientation Beta', 'Orientation Gamma', 'Orientation Absolute',
+        'Compass Heading', 'Linear Accel X', 'Linear Accel Y', 'Linear Accel Z',
+        'Motion Interval (ms)', 'Mag X (uT)', 'Mag Y (uT)', 'Mag Z (uT)',
+        'Quat X', 'Quat Y', 'Quat Z', 'Quat W', 'Label'
+    ];
+
+    // Export options from the `export` section of config.js, as passed to the encoders
+    // (options.settings). precision null keeps the built-in rules of formatNumber.
+    const EXPORT_DEFAULTS = {
+        delimiter: ',',
+        precision: null,
+        dateFormat: 'ISO',
+        includeMetadata: true,
+        includeStatistics: true,
+        compress: false,
+        // Location privacy transforms (PRIVACY_DEFAULTS), set from the Data tab rather than config.js
+        privacy: null
+    };
+
+    // 'ISO' (UTC), 'LOCAL' (ISO 8601 in local time with its UTC offset) or 'EPOCH' (milliseconds)
+    const DATE_FORMATS = ['ISO', 'LOCAL', 'EPOCH'];
+
+    // Settings from the config.js `export` section; invalid values fall back to the defaults
+    function resolveExportSettings(config = {}) {
+        const settings = { ...EXPORT_DEFAULTS };
+        if (!config) return settings;
+
+        const delimiter = config.csvDelimiter;
+        if (typeof delimiter === 'string' && delimiter.length === 1 && !'"\r\n'.includes(delimiter)) {
+            settings.delimiter = delimiter;
+        } else if (delimiter !== undefined) {
+            console.warn('Invalid export.csvDelimiter, using ","', delimiter);
+        }
+
+        if (Number.isInteger(config.precision) && config.precision >= 0 && config.precision <= 20) {
+            settings.precision = config.precision;
+        } else if (config.precision !== undefined && config.precision !== null) {
+            console.warn('Invalid export.precision, using the default number formatting', config.precision);
+        }
+
+        const dateFormat = String(config.dateFormat || EXPORT_DEFAULTS.dateFormat).toUpperCase();
+        if (DATE_FORMATS.includes(dateFormat)) {
+            settings.dateFormat = dateFormat;
+        } else {
+            console.warn('Invalid export.dateFormat, using ISO', config.dateFormat);
+        }
+
+        settings.includeMetadata = config.includeMetadata !== false;
+        settings.includeStatistics = config.includeStatistics !== false;
+        settings.compress = config.compressExports === true;
+        return settings;
+    }
+
+    // Optimized number formatting; precision (decimal places) overrides the magnitude rules.
+    // fixedDecimals is used instead of those rules for columns that always had a fixed width.
+    function formatNumber(value, precision = null, fixedDecimals = null) {
+        if (value == null || value === '') return '';
+
+        if (typeof value === 'number') {
+            if (precision !== null) {
+                return value.toFixed(precision);
+            }
+            if (fixedDecimals !== null) {
+                return value.toFixed(fixedDecimals);
+            }
+
+            // Fast path for integers
+            if (value === Math.floor(value)) {
+                return value.toString();
+            }
+
+            // Use appropriate precision based on magnitude
+            if (Math.abs(value) > 100) {
+                return value.toFixed(2);
+            } else {
+                return value.toFixed(6);
+            }
+        }
+
+        return value.toString();
+    }
+
+    function escapeCSVField(field, delimiter = ',') {
+        if (field === null || field === undefined) {
+            return '';
+        }
+
+        // Convert to string
+        field = field.toString();
+
+        // Check if field needs escaping
+        if (field.includes(delimiter) || field.includes('"') || field.includes('\n') || field.includes('\r')) {
+            // Escape quotes by doubling them
+            return '"' + field.replace(/"/g, '""') + '"';
+        }
+
+        return field;
+    }
+
+    function pad(value, length = 2) {
+        return String(value).padStart(length, '0');
+    }
+
+    // A date (epoch ms or ISO string) in one of the DATE_FORMATS
+    function formatDate(value, dateFormat = 'ISO') {
+        if (value === null || value === undefined || value === '') return '';
+
+        // Stored ISO strings are passed through untouched
+        if (dateFormat === 'ISO' && typeof value === 'string') return value;
+
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) return String(value);
+
+        switch (dateFormat) {
+            case 'EPOCH':
+                return String(date.getTime());
+            case 'LOCAL': {
+                const offset = -date.getTimezoneOffset();
+                const sign = offset >= 0 ? '+' : '-';
+                return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+                    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}` +
+                    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+            }
+            default:
+                return date.toISOString();
+        }
+    }
+
+    // Stateful row writer - keeps the rolling frequency window between rows,
+    // so rows must be written in timestamp order. Pass a saved getState() to resume.
+    // labels ({ timestamp, label } sorted by timestamp) fill the Label column: each row
+    // gets the most recent label at or before it; a null label ends the previous one.
+    // settings (see resolveExportSettings) choose the delimiter, precision and date format.
+    function createCSVWriter(state = null, labels = [], settings = EXPORT_DEFAULTS) {
+        const { delimiter, precision, dateFormat } = settings;
+        const number = (value) => formatNumber(value, precision);
+        const text = (value) => escapeCSVField(value, delimiter);
+        const date = (value) => escapeCSVField(formatDate(value, dateFormat), delimiter);
+        let lastTimestamp = state ? state.lastTimestamp : null;
+        const frequencyWindow = state ? state.frequencyWindow.slice() : new Array(10).fill(0);
+        let windowIndex = state ? state.windowIndex : 0;
+        let labelIndex = state?.labelIndex ?? -1;
+
+        return {
+            contentType: 'text/csv',
+
+            header() {
+                return CSV_HEADERS.map(text).join(delimiter);
+            },
+
+            row(point) {
+                // Efficient frequency calculation using the actual data point timestamp
+                let sampleTime = 0;
+                let frequency = 0;
+
+                if (lastTimestamp && point.timestamp) {
+                    sampleTime = point.timestamp - lastTimestamp;
+                    if (sampleTime > 0) {
+                        frequency = 1000 / sampleTime;
+                        frequencyWindow[windowIndex] = frequency;
+                        windowIndex = (windowIndex + 1) % frequencyWindow.length;
+                    }
+                }
+                lastTimestamp = point.timestamp;
+
+                // Calculate average frequency
+                const avgFrequency = frequencyWindow.reduce((a, b) => a + b, 0) / frequencyWindow.length;
+
+                while (labelIndex + 1 < labels.length && labels[labelIndex + 1].timestamp <= point.timestamp) {
+                    labelIndex++;
+                }
+                const label = labelIndex >= 0 ? labels[labelIndex].label : null;
+
+                return [
+                    date(point.timestamp),                                 // Unique timestamp for each data point
+                    text(point.userId || ''),
+                    date(point.gpsTimestamp),
+                    number(point.gpsLat),
+                    number(point.gpsLon),
+                    number(point.gpsError),
+                    number(point.gpsAlt),
+                    number(point.gpsAltAccuracy),
+                    number(point.gpsHeading),
+                    number(point.gpsSpeed),
+                    date(point.accelTimestamp),
+                    number(point.accelX),
+                    number(point.accelY),
+                    number(point.accelZ),
+                    date(point.gyroTimestamp),
+                    number(point.gyroAlpha),
+                    number(point.gyroBeta),
+                    number(point.gyroGamma),
+                    formatNumber(sampleTime, precision, 2),
+                    formatNumber(avgFrequency, precision, 2),
+                    number(point.orientationAlpha),
+                    number(point.orientationBeta),
+                    number(point.orientationGamma),
+                    point.orientationAbsolute === undefined ? '' : String(point.orientationAbsolute),
+                    number(point.compassHeading),
+                    number(point.linearAccelX),
+                    number(point.linearAccelY),
+                    number(point.linearAccelZ),
+                    number(point.motionInterval),
+                    number(point.magX),
+                    number(point.magY),
+                    number(point.magZ),
+                    number(point.quatX),
+                    number(point.quatY),
+                    number(point.quatZ),
+                    number(point.quatW),
+                    text(label || '')
+                ].join(delimiter);
+            },
+
+            getState() {
+                return { lastTimestamp, frequencyWindow: frequencyWindow.slice(), windowIndex, labelIndex };
+            }
+        };
+    }
+
+    // Incremental summary statistics - add() every point in timestamp order, then lines().
+    // Pass a saved getState() to resume.
+    function createCSVSummary(state = null) {
+        const totals = state ? { ...state } : {
+            count: 0,
+            gpsCount: 0,
+            accelCount: 0,
+            gyroCount: 0,
+            firstTimestamp: null,
+            lastTimestamp: null,
+            lastGPSTimestamp: null,
+            duplicateCount: 0,
+            droppedCount: 0,
+            userId: null
+        };
+
+        return {
+            add(point) {
+                if (totals.count === 0) {
+                    totals.firstTimestamp = point.timestamp;
+                    totals.userId = point.userId;
+                }
+                totals.lastTimestamp = point.timestamp;
+                totals.count++;
+
+                // Count different data types. In the fused layout one fix is repeated on many
+                // rows, so a GPS sample is counted when the fix changes.
+                if (point.gpsLat !== undefined && point.gpsLat !== null && point.gpsTimestamp !== totals.lastGPSTimestamp) {
+                    totals.gpsCount++;
+                    totals.lastGPSTimestamp = point.gpsTimestamp;
+                }
+                if (point.accelX !== undefined && point.accelX !== null) totals.accelCount++;
+                if (point.gyroAlpha !== undefined && point.gyroAlpha !== null) totals.gyroCount++;
+
+                // Sensor events lost before this row (set by the worker)
+                if (point.duplicateSamples) totals.duplicateCount = (totals.duplicateCount || 0) + point.duplicateSamples;
+                if (point.droppedSamples) totals.droppedCount = (totals.droppedCount || 0) + point.droppedSamples;
+            },
+
+            // Lines of the '#' summary block; settings pick the delimiter and date format
+            result(settings = EXPORT_DEFAULTS) {
+                const { delimiter } = settings;
+                const { count, gpsCount, accelCount, gyroCount } = totals;
+                const duration = count > 1
+                    ? (totals.lastTimestamp - totals.firstTimestamp) / 1000
+                    : 0;
+                const averageHz = duration > 0 ? count / duration : 0;
+                const rate = (samples) => duration > 0 ? samples / duration : 0;
+                const number = (value) => formatNumber(value, settings.precision, 2);
+
+                // Get userID from the first data point
+                const userId = count > 0 ? totals.userId : 'unknown';
+
+                const lines = [
+                    '',
+                    '# Summary Statistics',
+                    `# User ID${delimiter}${escapeCSVField(userId, delimiter)}`,
+                    `# Export Date${delimiter}${formatDate(Date.now(), settings.dateFormat)}`,
+                    `# Total Samples${delimiter}${count}`,
+                    `# GPS Samples${delimiter}${gpsCount}`,
+                    `# Accelerometer Samples${delimiter}${accelCount}`,
+                    `# Gyroscope Samples${delimiter}${gyroCount}`,
+                    `# Duplicate Samples${delimiter}${totals.duplicateCount || 0}`,
+                    `# Dropped Samples${delimiter}${totals.droppedCount || 0}`,
+                    `# Duration (seconds)${delimiter}${number(duration)}`,
+                    `# Average Sample Rate (Hz)${delimiter}${number(averageHz)}`
+                ];
+
+                if (gpsCount > 0) {
+                    lines.push(`# GPS Sample Rate (Hz)${delimiter}${number(rate(gpsCount))}`);
+                }
+                if (accelCount > 0) {
+                    lines.push(`# Accelerometer Sample Rate (Hz)${delimiter}${number(rate(accelCount))}`);
+                }
+                if (gyroCount > 0) {
+                    lines.push(`# Gyroscope Sample Rate (Hz)${delimiter}${number(rate(gyroCount))}`);
+                }
+
+                return { lines, userId, averageHz };
+            },
+
+            // The same figures as result() for the summary sidecar of an export
+            stats() {
+                const { count, gpsCount, accelCount, gyroCount } = totals;
+                const duration = count > 1
+                    ? (totals.lastTimestamp - totals.firstTimestamp) / 1000
+                    : 0;
+                const rate = (samples) => samples > 0 && duration > 0 ? samples / duration : null;
+
+                return {
+                    userId: count > 0 ? totals.userId : null,
+                    totalSamples: count,
+                    gpsSamples: gpsCount,
+                    accelerometerSamples: accelCount,
+                    gyroscopeSamples: gyroCount,
+                    duplicateSamples: totals.duplicateCount || 0,
+                    droppedSamples: totals.droppedCount || 0,
+                    firstTimestamp: totals.firstTimestamp,
+                    lastTimestamp: totals.lastTimestamp,
+                    durationSeconds: duration,
+                    averageHz: duration > 0 ? count / duration : 0,
+                    gpsHz: rate(gpsCount),
+                    accelerometerHz: rate(accelCount),
+                    gyroscopeHz: rate(gyroCount)
+                };
+            },
+
+            getState() {
+                return { ...totals };
+            }
+        };
+    }
+
+    // Summary statistics lines appended after the data rows
+    function summarizeCSV(data) {
+        const summary = createCSVSummary();
+        for (const point of data) {
+            summary.add(point);
+        }
+        return summary.result();
+    }
+
+    // Reading exported CSV back: the data point field and value type of each column.
+    // null marks columns that are derived on export and ignored on import.
+    const CSV_COLUMNS = {
+        'Data Point Timestamp': { field: 'timestamp', type: 'epoch' },
+        'User ID': { field: 'userId', type: 'text' },
+        'GPS Date Timestamp': { field: 'gpsTimestamp', type: 'time' },
+        'GPS LAT': { field: 'gpsLat', type: 'number' },
+        'GPS LON': { field: 'gpsLon', type: 'number' },
+        'GPS ERROR': { field: 'gpsError', type: 'number' },
+        'GPS ALT': { field: 'gpsAlt', type: 'number' },
+        'GPS ALT ACCURACY': { field: 'gpsAltAccuracy', type: 'number' },
+        'GPS HEADING': { field: 'gpsHeading', type: 'number' },
+        'GPS SPEED': { field: 'gpsSpeed', type: 'number' },
+        'Accel Date Timestamp': { field: 'accelTimestamp', type: 'time' },
+        'Accel X': { field: 'accelX', type: 'number' },
+        'Accel Y': { field: 'accelY', type: 'number' },
+        'Accel Z': { field: 'accelZ', type: 'number' },
+        'Gyro Date Timestamp': { field: 'gyroTimestamp', type: 'time' },
+        'Gyro Alpha': { field: 'gyroAlpha', type: 'number' },
+        'Gyro Beta': { field: 'gyroBeta', type: 'number' },
+        'Gyro Gamma': { field: 'gyroGamma', type: 'number' },
+        'Sample Time (ms)': null,
+        'Frequency (Hz)': null,
+        'Orientation Alpha': { field: 'orientationAlpha', type: 'number' },
+        'Orientation Beta': { field: 'orientationBeta', type: 'number' },
+        'Orientation Gamma': { field: 'orientationGamma', type: 'number' },
+        'Orientation Absolute': { field: 'orientationAbsolute', type: 'boolean' },
+        'Compass Heading': { field: 'compassHeading', type: 'number' },
+        'Linear Accel X': { field: 'linearAccelX', type: 'number' },
+        'Linear Accel Y': { field: 'linearAccelY', type: 'number' },
+        'Linear Accel Z': { field: 'linearAccelZ', type: 'number' },
+        'Motion Interval (ms)': { field: 'motionInterval', type: 'number' },
+        'Mag X (uT)': { field: 'magX', type: 'number' },
+        'Mag Y (uT)': { field: 'magY', type: 'number' },
+        'Mag Z (uT)': { field: 'magZ', type: 'number' },
+        'Quat X': { field: 'quatX', type: 'number' },
+        'Quat Y': { field: 'quatY', type: 'number' },
+        'Quat Z': { field: 'quatZ', type: 'number' },
+        'Quat W': { field: 'quatW', type: 'number' },
+        'Label': { field: 'label', type: 'text' }
+    };
+
+    // Delimiter of an exported CSV (export.csvDelimiter), read from the start of its header line
+    function detectCSVDelimiter(text) {
+        const match = /^\uFEFF?"?Data Point Timestamp"?(.)/.exec(text);
+        return match && !'\r\n'.includes(match[1]) ? match[1] : ',';
+    }
+
+    // Streaming CSV tokenizer: push(text) returns the records completed so far as
+    // { line, fields } (line is where the record starts), finish() returns the last one.
+    // Quoted fields may contain delimiters, doubled quotes and line breaks.
+    function createCSVParser(delimiter = ',') {
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let quoteSeen = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = (records) => {
+            fields.push(field);
+            records.push({ line: recordLine, fields });
+            fields = [];
+            field = '';
+        };
+
+        return {
+            push(text) {
+                const records = [];
+
+                for (let i = 0; i < text.length; i++) {
+                    const c = text[i];
+
+                    // A quote inside a quoted field either escapes the next quote or ends the field
+                    if (quoteSeen) {
+                        quoteSeen = false;
+                        if (c === '"') {
+                            field += c;
+                            continue;
+                        }
+                        quoted = false;
+                    }
+
+                    if (quoted) {
+                        if (c === '"') {
+                            quoteSeen = true;
+                        } else {
+                            field += c;
+                            if (c === '\n') line++;
+                        }
+                    } else if (c === delimiter) {
+                        fields.push(field);
+                        field = '';
+                    } else if (c === '\n') {
+                        endRecord(records);
+                        recordLine = ++line;
+                    } else if (c === '"' && field === '') {
+                        quoted = true;
+                    } else if (c !== '\r') {
+                        field += c;
+                    }
+                }
+
+                return records;
+            },
+
+            finish() {
+                const records = [];
+                if (fields.length > 0 || field !== '') {
+                    endRecord(records);
+                }
+                return records;
+            }
+        };
+    }
+
+    // Epoch ms of a date in any of the DATE_FORMATS (NaN if it isn't one)
+    function parseCSVDate(raw) {
+        return /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+    }
+
+    function parseCSVValue(type, raw) {
+        switch (type) {
+            case 'epoch': {
+                const time = parseCSVDate(raw);
+                return Number.isFinite(time) ? time : undefined;
+            }
+            case 'time': {
+                // Stored as UTC ISO strings, whatever dateFormat the file was written with
+                const time = parseCSVDate(raw);
+                if (!Number.isFinite(time)) return undefined;
+                return raw.endsWith('Z') ? raw : new Date(time).toISOString();
+            }
+            case 'number': {
+                const value = Number(raw);
+                return raw.trim() !== '' && Number.isFinite(value) ? value : undefined;
+            }
+            case 'boolean':
+                return raw === 'true' ? true : raw === 'false' ? false : undefined;
+            default:
+                return raw;
+        }
+    }
+
+    // Reads the records of an exported CSV after its header record back into data points.
+    // read(fields) returns { point, label, errors } - errors describe what was wrong with the row.
+    // Columns we don't know are ignored and listed in unknownColumns.
+    function createCSVRowReader(header) {
+        const names = header.map(name => name.trim());
+        const timestampIndex = names.indexOf('Data Point Timestamp');
+        if (timestampIndex < 0) {
+            throw new Error('Not a Motion Recorder CSV (no "Data Point Timestamp" column)');
+        }
+        const columns = names.map(name => CSV_COLUMNS[name] || null);
+
+        return {
+            unknownColumns: names.filter(name => !(name in CSV_COLUMNS)),
+
+            read(fields) {
+                const point = {};
+                const errors = [];
+                let label = null;
+
+                if (fields.length !== names.length) {
+                    errors.push(`expected ${names.length} fields, found ${fields.length}`);
+                }
+
+                columns.forEach((column, i) => {
+                    const raw = fields[i];
+                    if (!column || raw === undefined || raw === '') return;
+
+                    const value = parseCSVValue(column.type, raw);
+                    if (value === undefined) {
+                        errors.push(`invalid ${names[i]} "${raw}"`);
+                    } else if (column.field === 'label') {
+                        label = value;
+                    } else {
+                        point[column.field] = value;
+                    }
+                });
+
+                if (!fields[timestampIndex]) {
+                    errors.push('missing Data Point Timestamp');
+                }
+                return { point, label, errors };
+            }
+        };
+    }
+
+    // ---- Location privacy ----
+    //
+    // Applied to the rows of an export or upload, never to what is stored. Fixes inside a
+    // privacy zone (centre + radius in metres) are dropped from the row - the motion data
+    // stays - or snapped to the zone centre. Then every remaining fix is shifted by one
+    // random offset per export (so the track keeps its shape and the offset can't be
+    // averaged out) and rounded to `precision` decimal places. What was applied goes into
+    // the export, without the zone positions or the offset drawn.
+    const PRIVACY_DEFAULTS = {
+        zones: [],
+        zoneMode: 'drop',
+        precision: null,
+        offset: 0
+    };
+
+    // 'drop' removes the GPS columns of rows in a zone, 'snap' reports the zone centre instead
+    const ZONE_MODES = ['drop', 'snap'];
+
+    const GPS_FIELDS = ['gpsTimestamp', 'gpsLat', 'gpsLon', 'gpsError', 'gpsAlt', 'gpsAltAccuracy', 'gpsHeading', 'gpsSpeed'];
+
+    const EARTH_RADIUS = 6371008.8;
+
+    function isValidZone(zone) {
+        return zone
+            && Number.isFinite(zone.lat) && Math.abs(zone.lat) <= 90
+            && Number.isFinite(zone.lon) && Math.abs(zone.lon) <= 180
+            && Number.isFinite(zone.radius) && zone.radius > 0;
+    }
+
+    // Privacy settings with invalid values replaced by the defaults
+    function resolvePrivacySettings(privacy = null) {
+        const settings = { ...PRIVACY_DEFAULTS };
+        if (!privacy) return settings;
+
+        settings.zones = Array.isArray(privacy.zones) ? privacy.zones.filter(isValidZone) : [];
+        if (ZONE_MODES.includes(privacy.zoneMode)) {
+            settings.zoneMode = privacy.zoneMode;
+        }
+        if (Number.isInteger(privacy.precision) && privacy.precision >= 0 && privacy.precision <= 8) {
+            settings.precision = privacy.precision;
+        }
+        if (Number.isFinite(privacy.offset) && privacy.offset > 0) {
+            settings.offset = privacy.offset;
+        }
+        return settings;
+    }
+
+    // Great-circle distance in metres
+    function distanceMeters(lat1, lon1, lat2, lon2) {
+        const toRadians = Math.PI / 180;
+        const dLat = (lat2 - lat1) * toRadians;
+        const dLon = (lon2 - lon1) * toRadians;
+        const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+    }
+
+    // Shift of between half and all of maxMeters in a random direction, as { north, east } metres
+    function randomOffset(maxMeters) {
+        const [angle, distance] = crypto.getRandomValues(new Uint32Array(2));
+        const bearing = (angle / 0x100000000) * 2 * Math.PI;
+        const meters = maxMeters * (0.5 + 0.5 * distance / 0x100000000);
+        return { north: meters * Math.cos(bearing), east: meters * Math.sin(bearing) };
+    }
+
+    function roundTo(value, decimals) {
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor;
+    }
+
+    // Applies settings.privacy to one point at a time: apply(point) returns the point to
+    // encode (the same object when nothing changes). Pass a saved getState() to resume with
+    // the same offset and counts (chunked uploads).
+    function createPrivacyFilter(privacy = null, state = null) {
+        const settings = resolvePrivacySettings(privacy);
+        const active = settings.zones.length > 0 || settings.precision !== null || settings.offset > 0;
+        const offset = state?.offset || (settings.offset > 0 ? randomOffset(settings.offset) : null);
+        let rowsInZones = state?.rowsInZones || 0;
+
+        // Transforms applied, for export headers
+        const transforms = active ? {
+            zones: settings.zones.length,
+            zoneMode: settings.zones.length > 0 ? settings.zoneMode : null,
+            precision: settings.precision,
+            maxOffsetMeters: settings.offset || null
+        } : null;
+
+        return {
+            active,
+            transforms,
+
+            apply(point) {
+                if (!active || !hasFix(point)) return point;
+
+                let lat = point.gpsLat;
+                let lon = point.gpsLon;
+                const result = { ...point };
+
+                const zone = settings.zones.find(zone => distanceMeters(lat, lon, zone.lat, zone.lon) <= zone.radius);
+                if (zone) {
+                    rowsInZones++;
+                    if (settings.zoneMode === 'drop') {
+                        for (const field of GPS_FIELDS) {
+                            delete result[field];
+                        }
+                        return result;
+                    }
+                    // Only the zone is known; heading and speed would show movement inside it
+                    lat = zone.lat;
+                    lon = zone.lon;
+                    result.gpsError = Math.max(point.gpsError || 0, zone.radius);
+                    delete result.gpsHeading;
+                    delete result.gpsSpeed;
+                }
+
+                if (offset) {
+                    lat += (offset.north / EARTH_RADIUS) * (180 / Math.PI);
+                    lon += (offset.east / (EARTH_RADIUS * Math.cos(lat * Math.PI / 180))) * (180 / Math.PI);
+                }
+                if (settings.precision !== null) {
+                    lat = roundTo(lat, settings.precision);
+                    lon = roundTo(lon, settings.precision);
+                }
+
+                result.gpsLat = lat;
+                result.gpsLon = lon;
+                return result;
+            },
+
+            // transforms plus how many rows had their fix dropped or snapped; null when inactive
+            report: () => active ? { ...transforms, rowsInZones } : null,
+
+            getState: () => ({ offset, rowsInZones })
+        };
+    }
+
+    // [label, value] pairs describing a privacy report, for the CSV summary block and GPX
+    function describePrivacy(report) {
+        const lines = [];
+        if (report.zones > 0) {
+            lines.push(['Privacy Zones', `${report.zones} (${report.zoneMode === 'snap' ? 'snapped to centre' : 'fixes dropped'})`]);
+            if (report.rowsInZones !== undefined) {
+                lines.push(['Rows In Privacy Zones', report.rowsInZones]);
+            }
+        }
+        if (report.precision !== null) {
+            lines.push(['GPS Precision (decimals)', report.precision]);
+        }
+        if (report.maxOffsetMeters) {
+            lines.push(['GPS Random Offset (m)', `up to ${report.maxOffsetMeters}`]);
+        }
+        return lines;
+    }
+
+    // The '#' lines of the CSV summary block for a privacy report; none without one
+    function privacyLines(report, delimiter = ',') {
+        if (!report) return [];
+        return [
+            '',
+            '# Privacy Transforms',
+            ...describePrivacy(report).map(([label, value]) => `# ${label}${delimiter}${escapeCSVField(value, delimiter)}`)
+        ];
+    }
+
+    function hasFix(point) {
+        return typeof point.gpsLat === 'number' && typeof point.gpsLon === 'number';
+    }
+
+    function escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // GPS fixes in order, each once - in the fused layout one fix is repeated on many rows
+    function createFixFilter() {
+        let lastFix;
+        return (point) => {
+            if (!hasFix(point)) return false;
+            const key = point.gpsTimestamp ?? `${point.gpsLat},${point.gpsLon}`;
+            if (key === lastFix) return false;
+            lastFix = key;
+            return true;
+        };
+    }
+
+    function fixTime(point) {
+        return point.gpsTimestamp || new Date(point.timestamp).toISOString();
+    }
+
+    function createCSVEncoder(options) {
+        const { settings } = options;
+        const writer = createCSVWriter(null, options.labels || [], settings);
+        return {
+            header: () => writer.header(),
+            rows: (points) => points.map(point => '\n' + writer.row(point)).join(''),
+            // The '#' summary block breaks strict CSV parsers, so it is opt-in (uploads).
+            // Privacy transforms are listed in it even without the statistics.
+            trailer(summary) {
+                if (!options.summary) return '';
+                const lines = [
+                    ...(settings.includeStatistics ? summary.result(settings).lines : []),
+                    ...privacyLines(options.privacy?.report(), settings.delimiter)
+                ];
+                return lines.length > 0 ? '\n' + lines.join('\n') : '';
+            }
+        };
+    }
+
+    // Without a header record (includeMetadata off) the first line is the first data point,
+    // unless privacy transforms are applied - they are always listed on the first line
+    function createNDJSONEncoder(options) {
+        const transforms = options.privacy?.transforms;
+        const headerRecord = transforms ? { ...(options.headerRecord || {}), privacy: transforms } : options.headerRecord;
+        let first = !headerRecord;
+        return {
+            header: () => headerRecord ? JSON.stringify(headerRecord) : '',
+            rows(points) {
+                let text = '';
+                for (const point of points) {
+                    text += (first ? '' : '\n') + JSON.stringify(point);
+                    first = false;
+                }
+                return text;
+            },
+            trailer: () => ''
+        };
+    }
+
+    function createJSONEncoder(options) {
+        let first = true;
+        const head = JSON.stringify({ ...(options.headerRecord || {}), dataPoints: [] });
+        return {
+            // Everything up to the opening bracket of the empty dataPoints array
+            header: () => head.slice(0, -2),
+            rows(points) {
+                let text = '';
+                for (const point of points) {
+                    text += (first ? '' : ',') + JSON.stringify(point);
+                    first = false;
+                }
+                return text;
+            },
+            // Privacy transforms follow the points, with how many rows they changed
+            trailer: () => options.privacy?.active
+                ? '],"privacy":' + JSON.stringify(options.privacy.report()) + '}'
+                : ']}'
+        };
+    }
+
+    // One LineString feature of [lon, lat(, alt)] positions; the fix times go in
+    // properties.coordTimes, which most mapping tools read as the track's timestamps
+    function createGeoJSONEncoder(options) {
+        const recording = options.headerRecord?.recording || {};
+        const isNewFix = createFixFilter();
+        const coordTimes = [];
+
+        return {
+            header: () => '{"type":"FeatureCollection","features":[{"type":"Feature","geometry":{"type":"LineString","coordinates":[',
+            rows(points) {
+                let text = '';
+                for (const point of points) {
+                    if (!isNewFix(point)) continue;
+                    const position = [point.gpsLon, point.gpsLat];
+                    if (typeof point.gpsAlt === 'number') {
+                        position.push(point.gpsAlt);
+                    }
+                    text += (coordTimes.length > 0 ? ',' : '') + JSON.stringify(position);
+                    coordTimes.push(fixTime(point));
+                }
+                return text;
+            },
+            trailer: () => ']},"properties":' + JSON.stringify({
+                recordingId: recording.id ?? null,
+                name: recording.name || null,
+                userId: recording.userId ?? null,
+                startTime: recording.timestamp ?? null,
+                coordTimes,
+                ...(options.privacy?.active ? { privacy: options.privacy.report() } : {})
+            }) + '}]}'
+        };
+    }
+
+    // GPX 1.1 with one track segment of the GPS fixes
+    function createGPXEncoder(options) {
+        const recording = options.headerRecord?.recording || {};
+        const isNewFix = createFixFilter();
+        const name = recording.name || `Motion recording ${recording.timestamp || ''}`.trim();
+        const transforms = options.privacy?.transforms;
+        const privacy = transforms
+            ? describePrivacy(transforms).map(([label, value]) => `${label}: ${value}`).join('; ')
+            : null;
+
+        return {
+            header: () => [
+                '<?xml version="1.0" encoding="UTF-8"?>',
+                '<gpx version="1.1" creator="Motion Recorder" xmlns="http://www.topografix.com/GPX/1/1">',
+                '  <metadata>',
+                ...(privacy ? [`    <desc>${escapeXML(privacy)}</desc>`] : []),
+                `    <time>${new Date().toISOString()}</time>`,
+                '  </metadata>',
+                '  <trk>',
+                `    <name>${escapeXML(name)}</name>`,
+                '    <trkseg>'
+            ].join('\n'),
+            rows(points) {
+                let text = '';
+                for (const point of points) {
+                    if (!isNewFix(point)) continue;
+                    const ele = typeof point.gpsAlt === 'number' ? `<ele>${point.gpsAlt}</ele>` : '';
+                    text += `\n      <trkpt lat="${point.gpsLat}" lon="${point.gpsLon}">${ele}<time>${escapeXML(fixTime(point))}</time></trkpt>`;
+                }
+                return text;
+            },
+            trailer: () => '\n    </trkseg>\n  </trk>\n</gpx>\n'
+        };
+    }
+
+    // Compact columnar binary, all numbers little-endian:
+    //   'MRC1', uint32 length + UTF-8 JSON header { version, columns: [{ name, type }], ...headerRecord }
+    //   one row group per rows() batch: uint32 row count, one byte per column (1 = present),
+    //     then the row count's worth of values for each present column
+    //   uint32 0, uint32 length + UTF-8 JSON footer { rowGroups, rows, summary }, 'MRC1'
+    // Columns follow SampleCodec.CHANNELS; times are epoch ms, missing numbers are NaN and
+    // missing booleans -1.
+    const COLUMNAR_MAGIC = 'MRC1';
+    const COLUMNAR_VERSION = 1;
+    const COLUMNAR_TYPES = { f64: 'f64', f32: 'f32', time: 'f64', bool: 'i8' };
+    const COLUMNAR_WIDTHS = { f64: 8, f32: 4, i8: 1 };
+
+    // Number stored for the value, or undefined when it has none
+    function columnarValue(channelType, value) {
+        switch (channelType) {
+            case 'time': {
+                const time = typeof value === 'string' ? Date.parse(value) : NaN;
+                return Number.isFinite(time) ? time : undefined;
+            }
+            case 'bool':
+                return typeof value === 'boolean' ? (value ? 1 : 0) : undefined;
+            default:
+                return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+        }
+    }
+
+    function concatBytes(parts) {
+        const out = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+
+    function createColumnarEncoder(options) {
+        const textEncoder = new TextEncoder();
+        const columns = Object.entries(SampleCodec.CHANNELS)
+            .map(([name, channelType]) => ({ name, channelType, type: COLUMNAR_TYPES[channelType] }));
+        let rowGroups = 0;
+        let rowCount = 0;
+
+        const jsonBlock = (value) => {
+            const json = textEncoder.encode(JSON.stringify(value));
+            const block = new Uint8Array(4 + json.length);
+            new DataView(block.buffer).setUint32(0, json.length, true);
+            block.set(json, 4);
+            return block;
+        };
+
+        return {
+            header: () => concatBytes([
+                textEncoder.encode(COLUMNAR_MAGIC),
+                jsonBlock({
+                    version: COLUMNAR_VERSION,
+                    columns: columns.map(({ name, type }) => ({ name, type })),
+                    ...(options.headerRecord || {})
+                })
+            ]),
+
+            rows(points) {
+                if (points.length === 0) return new Uint8Array(0);
+
+                const values = columns.map(({ name, channelType }) => points.map(point => columnarValue(channelType, point[name])));
+                const present = values.map(column => column.some(value => value !== undefined));
+                const size = columns.reduce((total, column, c) => total + (present[c] ? points.length * COLUMNAR_WIDTHS[column.type] : 0), 4 + columns.length);
+
+                const group = new Uint8Array(size);
+                const view = new DataView(group.buffer);
+                view.setUint32(0, points.length, true);
+                present.forEach((isPresent, c) => { group[4 + c] = isPresent ? 1 : 0; });
+
+                let offset = 4 + columns.length;
+                columns.forEach((column, c) => {
+                    if (!present[c]) return;
+                    for (const value of values[c]) {
+                        switch (column.type) {
+                            case 'f64':
+                                view.setFloat64(offset, value ?? NaN, true);
+                                break;
+                            case 'f32':
+                                view.setFloat32(offset, value ?? NaN, true);
+                                break;
+                            default:
+                                view.setInt8(offset, value ?? -1);
+                        }
+                        offset += COLUMNAR_WIDTHS[column.type];
+                    }
+                });
+
+                rowGroups++;
+                rowCount += points.length;
+                return group;
+            },
+
+            trailer: (summary) => concatBytes([
+                new Uint8Array(4),
+                jsonBlock({
+                    rowGroups,
+                    rows: rowCount,
+                    summary: options.settings.includeStatistics ? summary.stats() : null,
+                    privacy: options.privacy?.report() || null
+                }),
+                textEncoder.encode(COLUMNAR_MAGIC)
+            ])
+        };
+    }
+
+    // Export format registry. create(options) returns { header(), rows(points), trailer(summary) }
+    // pieces that concatenate to the whole file; binary formats produce Uint8Arrays instead
+    // of text. Formats without a label are only used for uploads. Options:
+    //   headerRecord - { recording, labels, metadata } for formats that carry metadata
+    //   labels       - label ranges for the CSV Label column
+    //   summary      - append the '#' summary block to CSV
+    //   settings     - resolveExportSettings() result; includeMetadata off drops headerRecord,
+    //                  includeStatistics off drops the summary block and the columnar footer summary
+    //   privacy      - createPrivacyFilter() of settings.privacy (set by createStreamEncoder), whose
+    //                  transforms and report each format records
+    const EXPORT_FORMATS = {
+        csv: { label: 'CSV', contentType: 'text/csv', extension: '.csv', create: createCSVEncoder },
+        ndjson: { label: 'JSON Lines', contentType: 'application/x-ndjson', extension: '.ndjson', create: createNDJSONEncoder },
+        json: { contentType: 'application/json', extension: '.json', create: createJSONEncoder },
+        geojson: { label: 'GeoJSON track', contentType: 'application/geo+json', extension: '.geojson', create: createGeoJSONEncoder },
+        gpx: { label: 'GPX track', contentType: 'application/gpx+xml', extension: '.gpx', create: createGPXEncoder },
+        columnar: { label: 'Columnar (binary)', contentType: 'application/octet-stream', extension: '.mrc', binary: true, create: createColumnarEncoder }
+    };
+
+    // Streaming encoder for a registered format: header(), then rows(points) for each batch
+    // in timestamp order, then trailer(). summary() returns the recording's summary
+    // statistics once every batch has been encoded.
+    function createStreamEncoder(format, options = {}) {
+        const entry = EXPORT_FORMATS[format];
+        if (!entry) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        const settings = { ...EXPORT_DEFAULTS, ...(options.settings || {}) };
+        const privacy = createPrivacyFilter(settings.privacy);
+        const encoder = entry.create({
+            ...options,
+            settings,
+            privacy,
+            headerRecord: settings.includeMetadata ? options.headerRecord : null
+        });
+        const summary = createCSVSummary();
+        return {
+            contentType: entry.contentType,
+            extension: entry.extension,
+            binary: !!entry.binary,
+            header: () => encoder.header(),
+            rows(points) {
+                // Statistics describe what is exported, i.e. after the privacy transforms
+                const exported = privacy.active ? points.map(point => privacy.apply(point)) : points;
+                for (const point of exported) {
+                    summary.add(point);
+                }
+                return encoder.rows(exported);
+            },
+            trailer: () => encoder.trailer(summary),
+            summary: () => privacy.active ? { ...summary.stats(), privacy: privacy.report() } : summary.stats()
+        };
+    }
+
+    // Encode a whole array in one go
+    function encodeAll(format, dataPoints, options = {}) {
+        const encoder = createStreamEncoder(format, options);
+        const parts = [encoder.header(), encoder.rows(dataPoints), encoder.trailer()];
+        return encoder.binary ? concatBytes(parts) : parts.join('');
+    }
+
+    // One-shot CSV generation with the summary block, for uploads from callers that can block (service worker)
+    function generateCSV(data, labels = [], settings = EXPORT_DEFAULTS) {
+        data.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        return encodeAll('csv', data, { labels, summary: true, settings });
+    }
+
+    // The file a single-request upload sends, encoded in one go from dataPoints
+    function encodeUpload(target, { recording, dataPoints = [], labels = [], metadata, settings = EXPORT_DEFAULTS }) {
+        switch (target.format) {
+            case 'csv-multipart':
+                return generateCSV(dataPoints, labels, settings);
+            case 'json':
+            case 'ndjson':
+                return encodeAll(target.format, dataPoints, { headerRecord: { recording, labels, metadata }, settings });
+            default:
+                throw new Error(`Unsupported upload format: ${target.format}`);
+        }
+    }
+
+    // Request body for a single-request upload in the target's format
+    // ('csv-multipart', 'json' or 'ndjson'). `content` is the already encoded file
+    // (string or Blob, e.g. streamed through createStreamEncoder); without it the body
+    // is encoded here from dataPoints.
+    // Returns { body, headers, size } where size is the approximate payload size in bytes.
+    function buildUploadRequest(target, { recording, dataPoints = [], dataPointCount = dataPoints.length, labels = [], metadata, content = null, settings = EXPORT_DEFAULTS, filename }) {
+        const headers = { ...(target.headers || {}) };
+        const sizeOf = (value) => typeof value === 'string' ? value.length : value.size;
+        const body = content ?? encodeUpload(target, { recording, dataPoints, labels, metadata, settings });
+
+        switch (target.format) {
+            case 'csv-multipart': {
+                const formData = new FormData();
+                formData.append('file', new Blob([body], { type: 'text/csv' }), filename);
+                formData.append('userId', metadata.userId);
+                formData.append('dataPoints', dataPointCount.toString());
+                // The browser sets the multipart boundary itself
+                return { body: formData, headers, size: sizeOf(body) };
+            }
+
+            case 'json':
+            case 'ndjson':
+                headers['Content-Type'] = target.format === 'json' ? 'application/json' : 'application/x-ndjson';
+                return { body, headers, size: sizeOf(body) };
+
+            default:
+                throw new Error(`Unsupported upload format: ${target.format}`);
+        }
+    }
+
+    // Statuses a server answers a Content-Encoding it doesn't support with; the upload is
+    // then sent again uncompressed
+    const COMPRESSION_REJECTED_STATUSES = [400, 415, 501];
+
+    function isCompressionRejected(status) {
+        return COMPRESSION_REJECTED_STATUSES.includes(status);
+    }
+
+    // The request from buildUploadRequest with its whole body gzipped (Content-Encoding: gzip).
+    // FormData is serialized first so its multipart boundary can go in Content-Type.
+    // Returns { body, headers, size, originalSize } with both sizes in bytes.
+    async function compressUploadRequest({ body, headers }) {
+        const serialized = new Response(body);
+        const original = await serialized.blob();
+        const compressed = await new Response(original.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+
+        return {
+            body: compressed,
+            headers: {
+                'Content-Type': serialized.headers.get('Content-Type'),
+                ...headers,
+                'Content-Encoding': 'gzip'
+            },
+            size: compressed.size,
+            originalSize: original.size
+        };
+    }
+
+    scope.MotionExport = {
+        CSV_HEADERS,
+        EXPORT_DEFAULTS,
+        resolveExportSettings,
+        formatNumber,
+        formatDate,
+        escapeCSVField,
+        createCSVWriter,
+        createCSVSummary,
+        summarizeCSV,
+        PRIVACY_DEFAULTS,
+        ZONE_MODES,
+        resolvePrivacySettings,
+        createPrivacyFilter,
+        privacyLines,
+        EXPORT_FORMATS,
+        createStreamEncoder,
+        detectCSVDelimiter,
+        createCSVParser,
+        createCSVRowReader,
+        encodeAll,
+        generateCSV,
+        encodeUpload,
+        buildUploadRequest,
+        isCompressionRejected,
+        compressUploadRequest
+    };
+})(self);
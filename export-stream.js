@@ -0,0 +1,235 @@
+// ============================================
+// export-stream.js - Stream Recordings Out of IndexedDB Without Holding Them in Memory
+// ============================================
+//
+// createExportStream() pulls one batch at a time from DatabaseManager.getDataPointsBatch,
+// has the worker encode it (MotionExport.createStreamEncoder) and yields the text, so at
+// most a batch or two is in memory however long the recording is. A stream that gets fewer
+// rows than the recording's stored count errors instead of closing. Binary formats
+// (MotionExport.EXPORT_FORMATS[format].binary) yield Uint8Arrays instead. The stream goes
+// to a file (saveStream) or is folded into a Blob for an upload body (streamToBlob).
+// createBundleStream() does the same for several recordings at once, zipped in the worker.
+
+const BATCH_SIZE = 5000;
+
+// Pending output is folded into a Blob part once it reaches this many characters or bytes
+const BLOB_PART_SIZE = 4 * 1024 * 1024;
+
+let exportCounter = 0;
+
+// Every row of a recording, a batch at a time. Running out before the count stored when
+// reading started is an error, so a short read fails the export instead of shipping a short file.
+async function* readRecording(databaseManager, recordingId, batchSize) {
+    const expected = await databaseManager.getDataPointsCount(recordingId);
+    let read = 0;
+
+    for await (const points of databaseManager.getDataPointsBatch(recordingId, batchSize)) {
+        read += points.length;
+        yield points;
+    }
+
+    if (read < expected) {
+        throw new Error(`Read ${read} of the ${expected} data points of recording ${recordingId}`);
+    }
+}
+
+// ReadableStream of encoded text for one recording.
+// format and options go to MotionExport.createStreamEncoder; onProgress(processed) runs after each batch
+// and onComplete(summary) with the summary statistics once the whole recording is encoded.
+export function createExportStream(app, recordingId, { format = 'csv', options = {}, batchSize = BATCH_SIZE, onProgress = null, onComplete = null } = {}) {
+    const { databaseManager, workerManager } = app;
+    const exportId = `${recordingId}-${++exportCounter}`;
+    const batches = readRecording(databaseManager, recordingId, batchSize);
+    let processed = 0;
+
+    const abort = () => {
+        batches.return();
+        workerManager.request('EXPORT_END', { exportId, aborted: true }).catch(() => {});
+    };
+
+    return new ReadableStream({
+        async start(controller) {
+            controller.enqueue(await workerManager.request('EXPORT_BEGIN', { exportId, format, options }));
+        },
+
+        async pull(controller) {
+            try {
+                const { value, done } = await batches.next();
+
+                if (done) {
+                    const { trailer, summary } = await workerManager.request('EXPORT_END', { exportId });
+                    if (trailer.length > 0) {
+                        controller.enqueue(trailer);
+                    }
+                    controller.close();
+                    if (onComplete) {
+                        onComplete(summary);
+                    }
+                    return;
+                }
+
+                controller.enqueue(await workerManager.request('EXPORT_ROWS', { exportId, points: value }));
+                processed += value.length;
+                if (onProgress) {
+                    onProgress(processed);
+                }
+            } catch (error) {
+                abort();
+                throw error;
+            }
+        },
+
+        cancel: abort
+    });
+}
+
+// ReadableStream of a ZIP archive (Uint8Array pieces) with one file per entry, then manifest.json.
+// entries: [{ recordingId, name, date, format, options }]; buildManifest(summaries) returns the
+// manifest object, given each entry's summary statistics in entry order.
+export function createBundleStream(app, entries, { buildManifest, batchSize = BATCH_SIZE, onProgress = null } = {}) {
+    const { databaseManager, workerManager } = app;
+    const bundleId = `bundle-${++exportCounter}`;
+    const request = (type, data = {}) => workerManager.request(type, { bundleId, ...data });
+    let processed = 0;
+
+    async function* pieces() {
+        yield await request('BUNDLE_BEGIN');
+        const summaries = [];
+
+        for (const { recordingId, name, date, format, options } of entries) {
+            yield await request('BUNDLE_ENTRY_BEGIN', { name, date, format, options });
+
+            for await (const points of readRecording(databaseManager, recordingId, batchSize)) {
+                yield await request('BUNDLE_ENTRY_ROWS', { points });
+                processed += points.length;
+                if (onProgress) {
+                    onProgress(processed);
+                }
+            }
+
+            const { bytes, summary } = await request('BUNDLE_ENTRY_END');
+            summaries.push(summary);
+            yield bytes;
+        }
+
+        const manifest = JSON.stringify(buildManifest(summaries), null, 2);
+        yield await request('BUNDLE_FILE', { name: 'manifest.json', content: manifest });
+        yield await request('BUNDLE_END');
+    }
+
+    const generator = pieces();
+    const abort = () => {
+        generator.return();
+        request('BUNDLE_END', { aborted: true }).catch(() => {});
+    };
+
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                const { value, done } = await generator.next();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            } catch (error) {
+                abort();
+                throw error;
+            }
+        },
+
+        cancel: abort
+    });
+}
+
+// Collect a text or byte stream into a Blob a few MB at a time, never building one huge string.
+// Beyond maxSize characters or bytes the stream is cancelled and a PayloadTooLargeError thrown.
+export async function streamToBlob(stream, type, { maxSize = Infinity } = {}) {
+    const parts = [];
+    let pending = [];
+    let pendingSize = 0;
+    let size = 0;
+    const reader = stream.getReader();
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        size += value.length;
+        if (size > maxSize) {
+            await reader.cancel();
+            const error = new Error(`Upload body is larger than ${maxSize} bytes`);
+            error.name = 'PayloadTooLargeError';
+            throw error;
+        }
+
+        pending.push(value);
+        pendingSize += value.length;
+        if (pendingSize >= BLOB_PART_SIZE) {
+            parts.push(new Blob(pending));
+            pending = [];
+            pendingSize = 0;
+        }
+    }
+
+    return new Blob([...parts, ...pending], { type });
+}
+
+export function isPayloadTooLarge(error) {
+    return error?.name === 'PayloadTooLargeError';
+}
+
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    // Give the download a moment to start before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Ask where to save with the File System Access API. Returns null when the API is missing
+// or the picker can't be shown (e.g. the click is too long ago) - callers fall back to a
+// Blob download. Throws an AbortError when the user cancels.
+async function pickSaveFile(filename, type, extension) {
+    if (typeof window.showSaveFilePicker !== 'function') return null;
+
+    try {
+        return await window.showSaveFilePicker({
+            suggestedName: filename,
+            types: [{ description: `${extension.slice(1).toUpperCase()} file`, accept: { [type]: [extension] } }]
+        });
+    } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.warn('Save file picker unavailable, downloading instead:', error.message);
+        return null;
+    }
+}
+
+// Write the stream from createStream() to a file the user picks, or download it as a Blob.
+// The stream is only created once the destination is known; binary streams are written as they are.
+// Returns false if the user cancelled.
+export async function saveStream(createStream, { filename, type, extension, binary = false }) {
+    let handle;
+    try {
+        handle = await pickSaveFile(filename, type, extension);
+    } catch (error) {
+        return false;
+    }
+
+    const stream = createStream();
+
+    if (handle) {
+        const writable = await handle.createWritable();
+        await (binary ? stream : stream.pipeThrough(new TextEncoderStream())).pipeTo(writable);
+        console.log('💾 Export written to', handle.name);
+    } else {
+        downloadBlob(await streamToBlob(stream, type), filename);
+        console.log('💾 Export downloaded as', filename);
+    }
+    return true;
+}
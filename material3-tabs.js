@@ -470,74 +470,26 @@ class MaterialTabs {
                 // Estimate ~100 bytes per data point
                 const storageMB = (totalDataPoints * 100 / 1024 / 1024).toFixed(1);
                 this.updateElement('storage-used', `${storageMB} MB`);
+                
+                // Free space, flagged when low (storage-guard.js)
+                const storage = await window.app.storageGuard?.describe();
+                const freeElement = document.getElementById('storage-free');
+                if (freeElement && storage) {
+                    freeElement.textContent = storage.text;
+                    freeElement.classList.toggle('storage-low', storage.low);
+                }
             }
         } catch (error) {
             console.error('Failed to update data overview:', error);
         }
     }
     
+    // The paginated list itself is rendered by RecordingsBrowser (recordings-browser.js)
     async updateRecordingsList() {
         if (this.activeTab !== 'data') return;
         
-        const container = document.querySelector('.recordings-container');
-        if (!container) return;
-        
-        try {
-            if (window.app && window.app.databaseManager) {
-                const userId = window.app.userManager?.getUserId();
-                const recordings = await window.app.databaseManager.getRecordings(userId);
-                
-                if (recordings && recordings.length > 0) {
-                    // Show recent recordings (limit to 5)
-                    const recentRecordings = recordings.slice(0, 5);
-                    
-                    container.innerHTML = recentRecordings.map(recording => `
-                        <div class="recording-item" style="
-                            display: flex;
-                            justify-content: space-between;
-                            align-items: center;
-                            padding: 12px;
-                            border: 1px solid var(--md-sys-color-outline-variant);
-                            border-radius: 8px;
-                            margin-bottom: 8px;
-                        ">
-                            <div>
-                                <div style="font-weight: 500; margin-bottom: 4px;">
-                                    ${new Date(recording.timestamp).toLocaleDateString()} 
-                                    ${new Date(recording.timestamp).toLocaleTimeString()}
-                                </div>
-                                <div style="font-size: 12px; color: var(--md-sys-color-on-surface-variant);">
-                                    ${recording.dataPointCount || 0} data points • ${(recording.averageHz || 0).toFixed(1)} Hz
-                                </div>
-                            </div>
-                            <div style="
-                                padding: 4px 8px;
-                                border-radius: 12px;
-                                font-size: 12px;
-                                background-color: var(--md-sys-color-success-container);
-                                color: var(--md-sys-color-on-success-container);
-                            ">
-                                ${recording.status || 'completed'}
-                            </div>
-                        </div>
-                    `).join('');
-                } else {
-                    container.innerHTML = `
-                        <div class="empty-state">
-                            <span class="material-icons">folder_open</span>
-                            <p>No recordings yet. Start recording to see your data here.</p>
-                        </div>
-                    `;
-                }
-            }
-        } catch (error) {
-            console.error('Failed to update recordings list:', error);
-            container.innerHTML = `
-                <div class="empty-state">
-                    <span class="material-icons">error</span>
-                    <p>Failed to load recordings.</p>
-                </div>
-            `;
+        if (window.app && window.app.recordingsBrowser) {
+            await window.app.recordingsBrowser.render();
         }
     }
     
@@ -586,12 +538,14 @@ class MaterialTabs {
                 <span class="material-icons">
                     ${type === 'error' ? 'error' : type === 'success' ? 'check_circle' : 'info'}
                 </span>
-                <span class="notification-text">${message}</span>
+                <span class="notification-text"></span>
             </div>
             <button class="notification-close" aria-label="Close notification">
                 <span class="material-icons">close</span>
             </button>
         `;
+        // Messages carry user input (target and zone names, error text) - never parse them as HTML
+        notification.querySelector('.notification-text').textContent = message;
         
         // Add notification styles
         notification.style.cssText = `
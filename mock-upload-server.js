@@ -0,0 +1,337 @@
+// ============================================
+// mock-upload-server.js - Local Upload Server for Testing
+// ============================================
+//
+// Run with:  node mock-upload-server.js [--port 8787] [--out ./mock-uploads] [--fail-every N] [--no-gzip] [--require-signature]
+//                                        [--enroll-token TOKEN]
+// Then set MotionRecorderConfig.development.mockApi = true and pick "Local mock server"
+// as the upload destination in the Data tab.
+//
+// Accepts both upload styles the app uses:
+//   POST /                                  single multipart CSV upload (field "file")
+//   POST /uploads                           start a chunked session -> { sessionId }
+//   PUT  /uploads/{sessionId}/parts/{n}     store part n (idempotent)
+//   GET  /uploads/{sessionId}               list received parts (used to resume)
+//   POST /uploads/{sessionId}/complete      verify the manifest and assemble the file
+//   POST /devices                           enroll a device's signing key -> { keyId, ... }
+//
+// --fail-every N rejects every Nth part with 503 to exercise resume.
+// Request bodies sent with Content-Encoding: gzip are decoded; --no-gzip answers them with
+// 415 instead to exercise the app's uncompressed fallback.
+// Signed requests (request-signing.js) are verified with upload-signature.js and rejected
+// with 401 if the signature, timestamp or nonce doesn't hold; --require-signature also
+// rejects unsigned ones. Devices are only kept in memory, so a restart makes the app enroll again.
+// Enrolling needs `Authorization: Bearer <token>` with the --enroll-token (default
+// 'mock-enroll-token', the built-in mock target's auth token). Upload sessions belong to the
+// device that started them, and a signed upload may only claim its device's user.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { createDeviceRegistry, createVerifier, isSigned, bearerToken } = require('./upload-signature');
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const PORT = Number(getArg('port', process.env.PORT || 8787));
+const OUT_DIR = getArg('out', null);
+const FAIL_EVERY = Number(getArg('fail-every', 0));
+const NO_GZIP = args.includes('--no-gzip');
+const REQUIRE_SIGNATURE = args.includes('--require-signature');
+const ENROLL_TOKEN = getArg('enroll-token', 'mock-enroll-token');
+
+const sessions = new Map();
+// The token is shared, so it vouches for the device but not the user: any userId goes
+const devices = createDeviceRegistry({
+    authenticate: (headers, body) => bearerToken(headers) === ENROLL_TOKEN ? body.userId : null
+});
+const verifier = createVerifier({ getDevice: keyId => devices.getDevice(keyId) });
+let partRequests = 0;
+
+const log = (message, data = '') => {
+    console.log(`[mock-upload ${new Date().toISOString()}] ${message}`, data);
+};
+
+const sendJSON = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+};
+
+// Raw body bytes as sent, read once; signatures cover these
+const readRawBody = (req) => {
+    req.rawBody ||= new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+    return req.rawBody;
+};
+
+const readBody = async (req) => {
+    const body = await readRawBody(req);
+    return req.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(body) : body;
+};
+
+const readJSON = async (req) => {
+    const body = await readBody(req);
+    return body.length > 0 ? JSON.parse(body.toString('utf8')) : {};
+};
+
+const saveFile = (name, content) => {
+    if (!OUT_DIR) return null;
+
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    const filePath = path.join(OUT_DIR, name.replace(/[^\w.-]/g, '_'));
+    fs.writeFileSync(filePath, content);
+    return filePath;
+};
+
+// ---- Chunked upload handlers ----
+
+const createSession = async (req, res) => {
+    const body = await readJSON(req);
+
+    // A signed upload may only claim the user its device enrolled as
+    if (req.device && body.metadata?.userId && body.metadata.userId !== req.device.userId) {
+        sendJSON(res, 403, { error: 'userId does not match the signing device' });
+        return;
+    }
+    const sessionId = crypto.randomUUID();
+
+    sessions.set(sessionId, {
+        sessionId,
+        recordingId: body.recordingId,
+        format: body.format,
+        contentType: body.contentType,
+        totalDataPoints: body.totalDataPoints,
+        metadata: body.metadata || {},
+        deviceKeyId: req.device?.keyId || null,
+        parts: new Map(),
+        createdAt: Date.now()
+    });
+
+    log(`Session ${sessionId} started`, { recordingId: body.recordingId, format: body.format });
+    sendJSON(res, 201, { sessionId });
+};
+
+const putPart = async (req, res, session, index) => {
+    const body = await readBody(req);
+
+    partRequests++;
+    if (FAIL_EVERY > 0 && partRequests % FAIL_EVERY === 0) {
+        log(`Simulated failure for part ${index} of ${session.sessionId}`);
+        sendJSON(res, 503, { error: 'Simulated failure' });
+        return;
+    }
+
+    session.parts.set(index, {
+        index,
+        data: body,
+        dataPoints: Number(req.headers['x-part-data-points'] || 0)
+    });
+
+    log(`Session ${session.sessionId} part ${index} received`, `${body.length} bytes`);
+    sendJSON(res, 200, { index, bytes: body.length });
+};
+
+const getSession = (res, session) => {
+    sendJSON(res, 200, {
+        sessionId: session.sessionId,
+        parts: [...session.parts.values()].map(part => ({ index: part.index, bytes: part.data.length }))
+    });
+};
+
+const completeSession = async (req, res, session) => {
+    const manifest = await readJSON(req);
+
+    // Every part in the manifest must be present with the same size
+    for (let index = 0; index < manifest.totalParts; index++) {
+        const part = session.parts.get(index);
+        const expected = manifest.parts.find(p => p.index === index);
+        if (!part || !expected || part.data.length !== expected.bytes) {
+            sendJSON(res, 409, { error: `Part ${index} missing or incomplete` });
+            return;
+        }
+    }
+
+    const content = Buffer.concat(
+        [...Array(manifest.totalParts).keys()].map(index => session.parts.get(index).data)
+    );
+    if (content.length !== manifest.totalBytes) {
+        sendJSON(res, 409, { error: 'Assembled size does not match manifest' });
+        return;
+    }
+
+    const extension = session.format === 'json' ? 'ndjson' : 'csv';
+    const savedTo = saveFile(`recording-${session.recordingId}-${session.sessionId}.${extension}`, content);
+    sessions.delete(session.sessionId);
+
+    log(`Session ${session.sessionId} completed`, {
+        parts: manifest.totalParts,
+        bytes: content.length,
+        dataPoints: manifest.totalDataPoints,
+        savedTo
+    });
+
+    sendJSON(res, 200, {
+        success: true,
+        sessionId: session.sessionId,
+        bytes: content.length,
+        dataPoints: manifest.totalDataPoints
+    });
+};
+
+// ---- Single request upload ----
+
+// The userId an upload claims: the multipart "userId" field, or the metadata of the
+// JSON body / first NDJSON line
+const claimedUserId = async (req, body) => {
+    const contentType = req.headers['content-type'] || '';
+    if (contentType.startsWith('multipart/form-data')) {
+        const form = await new Response(body, { headers: { 'Content-Type': contentType } }).formData();
+        return form.get('userId');
+    }
+    if (contentType.startsWith('application/json')) {
+        return JSON.parse(body.toString('utf8')).metadata?.userId ?? null;
+    }
+    if (contentType.startsWith('application/x-ndjson')) {
+        const firstLine = body.toString('utf8').split('\n', 1)[0];
+        return firstLine ? JSON.parse(firstLine).metadata?.userId ?? null : null;
+    }
+    return null;
+};
+
+const singleUpload = async (req, res) => {
+    const body = await readBody(req);
+
+    // A signed upload may only claim the user its device enrolled as
+    const userId = req.device ? await claimedUserId(req, body) : null;
+    if (userId && userId !== req.device.userId) {
+        sendJSON(res, 403, { error: 'userId does not match the signing device' });
+        return;
+    }
+    const savedTo = saveFile(`upload-${Date.now()}.bin`, body);
+
+    log('Single upload received', { bytes: body.length, contentType: req.headers['content-type'], device: req.device?.keyId, savedTo });
+    sendJSON(res, 200, { success: true, bytes: body.length });
+};
+
+// ---- Signing ----
+
+const enrollDevice = async (req, res) => {
+    const result = await devices.enroll({ headers: req.headers, body: await readJSON(req) });
+    if (!result.ok) {
+        log('Rejected enrollment', result.code);
+        sendJSON(res, result.status, { error: result.error, code: result.code });
+        return;
+    }
+
+    log(`Device ${result.device.keyId} enrolled`, { userId: result.device.userId, algorithm: result.device.algorithm });
+    sendJSON(res, 201, result.response);
+};
+
+// Sets req.device for a valid signature; answers and returns false otherwise
+const verifySignature = async (req, res, pathname) => {
+    if (!isSigned(req.headers)) {
+        if (!REQUIRE_SIGNATURE) return true;
+        sendJSON(res, 401, { error: 'Request is not signed', code: 'missing_signature' });
+        return false;
+    }
+
+    const result = await verifier.verify({
+        method: req.method,
+        path: pathname + new URL(req.url, `http://localhost:${PORT}`).search,
+        headers: req.headers,
+        body: await readRawBody(req)
+    });
+    if (!result.ok) {
+        log(`Rejected signature on ${req.method} ${pathname}`, result.code);
+        sendJSON(res, result.status, { error: result.error, code: result.code });
+        return false;
+    }
+
+    req.device = result.device;
+    return true;
+};
+
+const server = http.createServer(async (req, res) => {
+    // The app is served from a different origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', '*');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (NO_GZIP && req.headers['content-encoding']) {
+        log('Rejected Content-Encoding', req.headers['content-encoding']);
+        return sendJSON(res, 415, { error: 'Content-Encoding not supported' });
+    }
+
+    try {
+        const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+        const parts = pathname.split('/').filter(Boolean);
+
+        if (parts.length === 1 && parts[0] === 'devices' && req.method === 'POST') {
+            return await enrollDevice(req, res);
+        }
+
+        if (!(await verifySignature(req, res, pathname))) return;
+
+        if (parts[0] !== 'uploads') {
+            if (req.method === 'POST') return await singleUpload(req, res);
+            return sendJSON(res, 404, { error: 'Not found' });
+        }
+
+        if (parts.length === 1 && req.method === 'POST') {
+            return await createSession(req, res);
+        }
+
+        const session = sessions.get(decodeURIComponent(parts[1] || ''));
+        if (!session) {
+            return sendJSON(res, 404, { error: 'Unknown upload session' });
+        }
+        // Only the device that started a signed session may see or add to it
+        if (session.deviceKeyId && session.deviceKeyId !== req.device?.keyId) {
+            return sendJSON(res, 403, { error: 'Upload session belongs to another device' });
+        }
+
+        if (parts.length === 2 && req.method === 'GET') {
+            return getSession(res, session);
+        }
+        if (parts.length === 3 && parts[2] === 'complete' && req.method === 'POST') {
+            return await completeSession(req, res, session);
+        }
+        if (parts.length === 4 && parts[2] === 'parts' && req.method === 'PUT') {
+            const index = Number(parts[3]);
+            if (!Number.isInteger(index) || index < 0) {
+                return sendJSON(res, 400, { error: 'Invalid part index' });
+            }
+            return await putPart(req, res, session, index);
+        }
+
+        sendJSON(res, 404, { error: 'Not found' });
+
+    } catch (err) {
+        log('Request failed', err.message);
+        sendJSON(res, 500, { error: err.message });
+    }
+});
+
+// --port 0 picks a free port
+server.listen(PORT, () => {
+    log(`Listening on http://localhost:${server.address().port}`, [
+        FAIL_EVERY ? `(failing every ${FAIL_EVERY}th part)` : '',
+        NO_GZIP ? '(rejecting gzip bodies)' : '',
+        REQUIRE_SIGNATURE ? '(requiring signed requests)' : ''
+    ].filter(Boolean).join(' '));
+});
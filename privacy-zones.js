@@ -0,0 +1,155 @@
+// ============================================
+// privacy-zones.js - Location Privacy Settings for Exports and Uploads
+// ============================================
+//
+// Privacy zones (centre + radius) and the coordinate precision and random offset options
+// set in the Data tab. They are kept in the 'settings' store, encrypted like recordings
+// when at-rest encryption is on (DatabaseManager.savePrivacySettings), because zone
+// centres are places like the user's home. Page exports and uploads take them from
+// getSettings(); the service worker reads the same record when it uploads, so queued
+// uploads always use the current settings. Both apply them with
+// MotionExport.createPrivacyFilter. Stored recordings keep the exact positions.
+
+import { generateId } from './utils.js';
+
+// Where versions before the settings store kept them, in plaintext
+const LEGACY_STORAGE_KEY = 'motionRecorder.privacy';
+
+// Zones smaller than this hide little beyond GPS noise
+const MIN_ZONE_RADIUS = 50;
+const MAX_ZONE_RADIUS = 10000;
+
+const defaultOptions = () => ({
+    zoneMode: MotionExport.PRIVACY_DEFAULTS.zoneMode,
+    precision: MotionExport.PRIVACY_DEFAULTS.precision,
+    offset: MotionExport.PRIVACY_DEFAULTS.offset
+});
+
+export class PrivacyZoneManager {
+    constructor(databaseManager) {
+        this.databaseManager = databaseManager;
+        this.zones = [];
+        this.options = defaultOptions();
+        // Stored encrypted and the passphrase hasn't been entered yet
+        this.locked = false;
+        this.listeners = new Set();
+    }
+
+    // After DatabaseManager.initEncryption(), and again once the passphrase is entered
+    async init() {
+        try {
+            const stored = await this.databaseManager.getPrivacySettings();
+            this.locked = false;
+            this.apply(stored || this.loadLegacy());
+
+            // The service worker needs the record before it uploads anything
+            if (!stored) {
+                await this.databaseManager.savePrivacySettings(this.getSettings());
+                localStorage.removeItem(LEGACY_STORAGE_KEY);
+            }
+            // Queue entries used to carry a copy, zone centres included
+            await this.databaseManager.removeQueuedPrivacySettings();
+        } catch (error) {
+            if (!AtRestCrypto.isLockedError(error)) throw error;
+            this.locked = true;
+            console.log('🔒 Location privacy settings locked until the passphrase is entered');
+        }
+        this.notify();
+    }
+
+    loadLegacy() {
+        try {
+            return JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || 'null');
+        } catch (error) {
+            console.warn('Failed to load privacy zones:', error);
+            return null;
+        }
+    }
+
+    apply(saved) {
+        const settings = MotionExport.resolvePrivacySettings(saved);
+        this.zones = settings.zones;
+        this.options = { zoneMode: settings.zoneMode, precision: settings.precision, offset: settings.offset };
+    }
+
+    async save() {
+        await this.databaseManager.savePrivacySettings(this.getSettings());
+        this.notify();
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // settings.privacy for MotionExport encoders. Throws a LockedError while locked, so
+    // nothing is exported without the zones.
+    getSettings() {
+        if (this.locked) throw AtRestCrypto.lockedError();
+        return { zones: this.zones.map(zone => ({ ...zone })), ...this.options };
+    }
+
+    // Whether exports change any coordinates
+    isActive() {
+        return this.zones.length > 0 || this.options.precision !== null || this.options.offset > 0;
+    }
+
+    async addZone(input) {
+        if (this.locked) throw AtRestCrypto.lockedError();
+        const zone = this.validateZone(input);
+        zone.id = `zone-${generateId(8)}`;
+        this.zones.push(zone);
+        await this.save();
+        console.log('🛡️ Privacy zone added:', zone.name);
+        return zone;
+    }
+
+    async removeZone(id) {
+        if (this.locked) throw AtRestCrypto.lockedError();
+        this.zones = this.zones.filter(zone => zone.id !== id);
+        await this.save();
+    }
+
+    // { zoneMode, precision, offset }; omitted options keep their value
+    async setOptions(options) {
+        if (this.locked) throw AtRestCrypto.lockedError();
+        const settings = MotionExport.resolvePrivacySettings({ ...this.options, ...options });
+        this.options = { zoneMode: settings.zoneMode, precision: settings.precision, offset: settings.offset };
+        await this.save();
+    }
+
+    // Forget everything (Clear All Data, after the database was emptied)
+    async reset() {
+        this.zones = [];
+        this.options = defaultOptions();
+        this.locked = false;
+        await this.save();
+    }
+
+    validateZone(input) {
+        const lat = Number(input.lat);
+        const lon = Number(input.lon);
+        const radius = Number(input.radius);
+
+        if (!Number.isFinite(lat) || Math.abs(lat) > 90) {
+            throw new Error('Latitude must be between -90 and 90');
+        }
+        if (!Number.isFinite(lon) || Math.abs(lon) > 180) {
+            throw new Error('Longitude must be between -180 and 180');
+        }
+        if (!Number.isFinite(radius) || radius < MIN_ZONE_RADIUS || radius > MAX_ZONE_RADIUS) {
+            throw new Error(`Radius must be between ${MIN_ZONE_RADIUS} and ${MAX_ZONE_RADIUS} m`);
+        }
+
+        return {
+            name: (input.name || '').trim() || `Zone ${this.zones.length + 1}`,
+            lat,
+            lon,
+            radius
+        };
+    }
+}
@@ -0,0 +1,285 @@
+// ============================================
+// recording-import.js - Load Exported CSV Files and ZIP Bundles Back Into the App
+// ============================================
+//
+// Accepts CSV files in the layout of MotionExport.CSV_HEADERS (one recording each) and
+// "Download all" ZIP bundles exported as CSV (a CSV per recording plus manifest.json, whose
+// recording metadata and labels are restored too). Files are streamed row by row, so a large
+// recording is never in memory at once. Each row is checked with validateSensorData;
+// rows that fail are skipped and reported with their line number.
+//
+// A recording whose user already has a recording starting with the same data point is
+// reported as a duplicate and not imported again.
+
+import { validateSensorData } from './utils.js';
+
+// Rows written to IndexedDB at a time
+const BATCH_SIZE = 5000;
+
+// Row errors kept per recording for the report; the rest are only counted
+const MAX_REPORTED_ERRORS = 50;
+
+// How long before its first data point a recording can have started
+const DUPLICATE_WINDOW_MS = 10 * 60 * 1000;
+
+function isZip(file) {
+    return file.name.toLowerCase().endsWith('.zip') || file.type === 'application/zip';
+}
+
+export class RecordingImporter {
+    constructor(app) {
+        this.app = app;
+    }
+
+    get db() {
+        return this.app.databaseManager;
+    }
+
+    // Import the files; resolves one result per recording found:
+    //   { source, status: 'imported' | 'duplicate' | 'failed', recordingId, rows, skippedRows,
+    //     errors: [{ line, message }], message }
+    // onProgress(source, rows) runs after every batch written.
+    async importFiles(files, { onProgress = null } = {}) {
+        const results = [];
+
+        for (const file of files) {
+            try {
+                if (isZip(file)) {
+                    results.push(...await this.importBundle(file, onProgress));
+                } else {
+                    results.push(await this.importCSV(file.stream(), file.name, null, onProgress));
+                }
+            } catch (error) {
+                console.error('Import failed:', file.name, error);
+                results.push(this.failure(file.name, error));
+            }
+        }
+
+        return results;
+    }
+
+    async importBundle(file, onProgress) {
+        const entries = await ZipArchive.readZipDirectory(file);
+        const csvEntries = entries.filter(entry => entry.name.toLowerCase().endsWith('.csv'));
+        if (csvEntries.length === 0) {
+            throw new Error('The archive has no CSV files');
+        }
+
+        // Bundles from "Download all" describe each file in manifest.json
+        const manifestEntry = entries.find(entry => entry.name === 'manifest.json');
+        const manifest = manifestEntry
+            ? JSON.parse(await new Response(await ZipArchive.openZipEntry(file, manifestEntry)).text())
+            : null;
+        const described = new Map((manifest?.recordings || []).map(entry => [entry.file, entry]));
+
+        const results = [];
+        for (const entry of csvEntries) {
+            const source = `${file.name}/${entry.name}`;
+            try {
+                const stream = await ZipArchive.openZipEntry(file, entry);
+                results.push(await this.importCSV(stream, source, described.get(entry.name) || null, onProgress));
+            } catch (error) {
+                console.error('Import failed:', source, error);
+                results.push(this.failure(source, error));
+            }
+        }
+        return results;
+    }
+
+    failure(source, error) {
+        return { source, status: 'failed', recordingId: null, rows: 0, skippedRows: 0, errors: [], message: error.message };
+    }
+
+    // Import one CSV byte stream as a new recording. described is its manifest.json entry, if any.
+    async importCSV(byteStream, source, described, onProgress) {
+        const reader = byteStream.pipeThrough(new TextDecoderStream()).getReader();
+        // Created with the first piece of text, which shows the file's delimiter
+        let parser = null;
+        const result = { source, status: 'imported', recordingId: null, rows: 0, skippedRows: 0, errors: [], message: null };
+
+        let rowReader = null;
+        let recording = null;
+        let batch = [];
+        let labels = [];
+        let currentLabel = null;
+        let firstTimestamp = null;
+        let lastTimestamp = null;
+
+        const skipRow = (line, message) => {
+            result.skippedRows++;
+            if (result.errors.length < MAX_REPORTED_ERRORS) {
+                result.errors.push({ line, message });
+            }
+        };
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                parser ||= MotionExport.createCSVParser(done ? ',' : MotionExport.detectCSVDelimiter(value));
+                const records = done ? parser.finish() : parser.push(value);
+
+                for (const { line, fields } of records) {
+                    // Blank lines and the '#' summary block of older exports
+                    if ((fields.length === 1 && fields[0].trim() === '') || fields[0].startsWith('#')) continue;
+
+                    if (!rowReader) {
+                        rowReader = MotionExport.createCSVRowReader(fields);
+                        if (rowReader.unknownColumns.length > 0) {
+                            console.warn(`${source}: ignoring unknown columns`, rowReader.unknownColumns);
+                        }
+                        continue;
+                    }
+
+                    const { point, label, errors } = rowReader.read(fields);
+                    errors.push(...this.validate(point));
+                    if (lastTimestamp !== null && point.timestamp < lastTimestamp) {
+                        errors.push('timestamp is earlier than the previous row');
+                    }
+                    if (errors.length > 0) {
+                        skipRow(line, errors.join('; '));
+                        continue;
+                    }
+
+                    if (!recording) {
+                        const userId = point.userId || described?.recording?.userId || this.app.userManager.getUserId();
+                        const duplicate = await this.findDuplicate(userId, point.timestamp);
+                        if (duplicate) {
+                            await reader.cancel();
+                            return { ...result, status: 'duplicate', recordingId: duplicate.id };
+                        }
+
+                        recording = await this.createRecording(userId, point.timestamp, described, source);
+                        result.recordingId = recording.id;
+                        firstTimestamp = point.timestamp;
+                    }
+
+                    // The Label column repeats the active label on every row; store the changes
+                    if (label !== currentLabel) {
+                        labels.push({ recordingId: recording.id, timestamp: point.timestamp, label });
+                        currentLabel = label;
+                    }
+
+                    batch.push(point);
+                    lastTimestamp = point.timestamp;
+                    result.rows++;
+
+                    if (batch.length >= BATCH_SIZE) {
+                        await this.db.saveDataPoints(batch, recording.id);
+                        batch = [];
+                        if (onProgress) {
+                            onProgress(source, result.rows);
+                        }
+                    }
+                }
+
+                if (done) break;
+            }
+
+            if (!rowReader) {
+                throw new Error('The file is empty');
+            }
+            if (!recording) {
+                throw new Error(result.skippedRows > 0 ? 'No valid rows' : 'No data rows');
+            }
+
+            await this.db.saveDataPoints(batch, recording.id);
+
+            // Labels from the manifest keep their exact times
+            if (described?.labels) {
+                labels = described.labels.map(({ timestamp, label }) => ({ recordingId: recording.id, timestamp, label }));
+            }
+            for (const label of labels) {
+                await this.db.saveLabel(label);
+            }
+
+            const duration = (lastTimestamp - new Date(recording.timestamp).getTime()) / 1000;
+            await this.db.updateRecording(recording.id, {
+                status: 'completed',
+                endTime: new Date(lastTimestamp).toISOString(),
+                dataPointCount: result.rows,
+                averageHz: duration > 0 ? result.rows / duration : 0
+            });
+
+            console.log(`📥 Imported ${result.rows} data points from ${source} as recording ${recording.id}` +
+                (result.skippedRows > 0 ? ` (${result.skippedRows} rows skipped)` : ''));
+            return result;
+
+        } catch (error) {
+            reader.cancel().catch(() => {});
+            // Don't leave half an import behind
+            if (recording) {
+                await this.app.deleteRecording(recording.id);
+            }
+            throw error;
+        }
+    }
+
+    // Row problems that validateSensorData and the value ranges catch
+    validate(point) {
+        const errors = [];
+
+        if (point.accelX !== undefined && !validateSensorData('accel', { x: point.accelX, y: point.accelY, z: point.accelZ })) {
+            errors.push('invalid accelerometer reading');
+        }
+        if (point.linearAccelX !== undefined && !validateSensorData('accel', { x: point.linearAccelX, y: point.linearAccelY, z: point.linearAccelZ })) {
+            errors.push('invalid linear acceleration reading');
+        }
+        if (point.gyroAlpha !== undefined && !validateSensorData('gyro', { alpha: point.gyroAlpha, beta: point.gyroBeta, gamma: point.gyroGamma })) {
+            errors.push('invalid gyroscope reading');
+        }
+        if (point.gpsLat !== undefined || point.gpsLon !== undefined) {
+            if (!(Math.abs(point.gpsLat) <= 90 && Math.abs(point.gpsLon) <= 180)) {
+                errors.push('invalid GPS position');
+            }
+        }
+
+        return errors;
+    }
+
+    // An existing recording of the user whose first data point is at firstTimestamp
+    async findDuplicate(userId, firstTimestamp) {
+        const candidates = await this.db.findRecordings({
+            from: new Date(firstTimestamp - DUPLICATE_WINDOW_MS),
+            to: new Date(firstTimestamp),
+            userId
+        });
+
+        for (const candidate of candidates) {
+            const { dataPoints } = await this.db.getDataPointsPage(candidate.id, { limit: 1, fields: ['timestamp'] });
+            if (dataPoints[0]?.timestamp === firstTimestamp) {
+                return candidate;
+            }
+        }
+        return null;
+    }
+
+    // The recording stays 'importing' until all of its rows are written
+    async createRecording(userId, firstTimestamp, described, source) {
+        const original = described?.recording || {};
+        const recording = {
+            userId,
+            timestamp: original.timestamp || new Date(firstTimestamp).toISOString(),
+            status: 'importing',
+            name: original.name || null,
+            notes: original.notes || null,
+            tags: original.tags || [],
+            sampleRate: original.sampleRate ?? null,
+            sensorBackend: original.sensorBackend ?? null,
+            dataPointCount: 0,
+            importedFrom: source,
+            importedAt: new Date().toISOString()
+        };
+
+        recording.id = await this.db.saveRecording(recording);
+        return recording;
+    }
+
+    // Recordings left 'importing' by a tab that closed mid-import
+    async discardUnfinished() {
+        const unfinished = await this.db.getRecordingsByStatus('importing');
+        for (const recording of unfinished) {
+            await this.app.deleteRecording(recording.id);
+            console.log('🧹 Removed unfinished import:', recording.id);
+        }
+    }
+}
@@ -0,0 +1,118 @@
+// ============================================
+// recording-recovery.js - Salvage Recordings Left Behind by a Crashed or Closed Tab
+// ============================================
+//
+// The worker writes data points to IndexedDB as it records, so a recording whose tab died
+// still has everything up to the last flush. On startup, rows stuck in status 'recording'
+// are marked 'interrupted' with an end time and point count taken from the stored data,
+// and the user is offered to export or discard them.
+//
+// A recording tab holds a Web Lock for its recording, so another open tab's recording
+// is never mistaken for an orphan.
+
+import { ErrorBoundary } from './utils.js';
+
+const LOCK_PREFIX = 'motion-recording-';
+
+export class RecordingRecovery {
+    constructor(app) {
+        this.app = app;
+        this.lockRelease = null;
+    }
+
+    // Hold the lock for as long as this tab is recording
+    acquireLock(recordingId) {
+        if (!navigator.locks) return;
+
+        navigator.locks.request(`${LOCK_PREFIX}${recordingId}`, () => new Promise(resolve => {
+            this.lockRelease = resolve;
+        })).catch(error => console.warn('Recording lock unavailable:', error));
+    }
+
+    releaseLock() {
+        if (this.lockRelease) {
+            this.lockRelease();
+            this.lockRelease = null;
+        }
+    }
+
+    async getLockedRecordingIds() {
+        if (!navigator.locks?.query) return new Set();
+
+        const { held = [] } = await navigator.locks.query();
+        return new Set(held
+            .filter(lock => lock.name?.startsWith(LOCK_PREFIX))
+            .map(lock => Number(lock.name.slice(LOCK_PREFIX.length))));
+    }
+
+    // Mark orphaned recordings as interrupted; returns the recovered recordings
+    async recover() {
+        const db = this.app.databaseManager;
+        const orphans = await db.getRecordingsByStatus('recording');
+        if (orphans.length === 0) return [];
+
+        const locked = await this.getLockedRecordingIds();
+        const recovered = [];
+
+        for (const recording of orphans) {
+            if (locked.has(recording.id) || recording.id === this.app.currentRecordingId) continue;
+
+            const dataPointCount = await db.getDataPointsCount(recording.id);
+            const lastPoint = await db.getLastDataPoint(recording.id);
+            const startTime = new Date(recording.timestamp).getTime();
+            const endTime = lastPoint?.timestamp ?? recording.lastSampleAt ?? startTime;
+            const duration = (endTime - startTime) / 1000;
+
+            const updated = await db.updateRecording(recording.id, {
+                status: 'interrupted',
+                endTime: new Date(endTime).toISOString(),
+                dataPointCount,
+                averageHz: duration > 0 ? dataPointCount / duration : 0,
+                interruptedAt: new Date().toISOString()
+            });
+            recovered.push(updated);
+            console.log('🩹 Recovered interrupted recording:', recording.id, `(${dataPointCount} data points)`);
+        }
+
+        return recovered;
+    }
+
+    async run() {
+        try {
+            const recovered = await this.recover();
+            if (recovered.length === 0) return;
+
+            this.app.recordingsBrowser.render();
+            await this.prompt(recovered);
+
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Recording Recovery');
+        }
+    }
+
+    async prompt(recovered) {
+        const points = recovered.reduce((sum, recording) => sum + (recording.dataPointCount || 0), 0);
+        const message = recovered.length === 1
+            ? `A recording was interrupted before it was stopped. ${points} data points were recovered.`
+            : `${recovered.length} recordings were interrupted before they were stopped. ${points} data points were recovered.`;
+
+        const action = await this.app.uiManager.showActionNotification(message, [
+            { id: 'discard', label: 'Discard' },
+            { id: 'export', label: 'Export' }
+        ]);
+
+        if (action === 'export') {
+            for (const recording of recovered) {
+                if (recording.dataPointCount > 0) {
+                    await this.app.downloadRecording(recording.id);
+                }
+            }
+        } else if (action === 'discard') {
+            for (const recording of recovered) {
+                await this.app.deleteRecording(recording.id, 'manual');
+            }
+            this.app.uiManager.showNotification('Interrupted recordings discarded', 'success');
+            this.app.recordingsBrowser.render();
+        }
+    }
+}
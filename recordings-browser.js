@@ -0,0 +1,246 @@
+// ============================================
+// recordings-browser.js - Paginated Recording History for the Data Tab
+// ============================================
+
+import { ErrorBoundary, escapeHTML } from './utils.js';
+
+const PAGE_SIZE = 10;
+
+export class RecordingsBrowser {
+    constructor(app) {
+        this.app = app;
+        this.page = 0;
+        this.totalCount = 0;
+        this.isRendering = false;
+        this.renderQueued = false;
+        this.listenersAttached = false;
+    }
+
+    get container() {
+        return document.querySelector('#recordings-list .recordings-container');
+    }
+
+    // Re-render the current page; calls made during a render are coalesced into one more pass
+    async render() {
+        const container = this.container;
+        if (!container || !this.app.databaseManager?.db) return;
+
+        if (this.isRendering) {
+            this.renderQueued = true;
+            return;
+        }
+        this.isRendering = true;
+        this.attachListeners();
+
+        try {
+            const userId = this.app.userManager?.getUserId();
+            this.totalCount = await this.app.databaseManager.getRecordingsCount(userId);
+
+            // Stay on a valid page after deletions
+            const pageCount = Math.max(1, Math.ceil(this.totalCount / PAGE_SIZE));
+            this.page = Math.min(this.page, pageCount - 1);
+
+            const recordings = await this.app.databaseManager.getRecordings(userId, {
+                limit: PAGE_SIZE,
+                offset: this.page * PAGE_SIZE
+            });
+
+            const totalEl = document.getElementById('total-recordings');
+            if (totalEl) {
+                totalEl.textContent = this.totalCount;
+            }
+
+            if (recordings.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <span class="material-icons">folder_open</span>
+                        <p>No recordings yet. Start recording to see your data here.</p>
+                    </div>
+                `;
+            } else {
+                container.innerHTML = recordings.map(recording => this.renderRow(recording)).join('');
+            }
+
+            this.renderPagination(pageCount);
+
+        } catch (error) {
+            console.error('Failed to update recordings list:', error);
+            container.innerHTML = `
+                <div class="empty-state">
+                    <span class="material-icons">error</span>
+                    <p>Failed to load recordings.</p>
+                </div>
+            `;
+        } finally {
+            this.isRendering = false;
+            if (this.renderQueued) {
+                this.renderQueued = false;
+                this.render();
+            }
+        }
+    }
+
+    renderRow(recording) {
+        const start = new Date(recording.timestamp);
+        const title = recording.name || `${start.toLocaleDateString()} ${start.toLocaleTimeString()}`;
+        const isActive = recording.status === 'recording';
+
+        const details = [
+            recording.name ? `${start.toLocaleDateString()} ${start.toLocaleTimeString()}` : null,
+            this.formatDuration(recording),
+            `${recording.dataPointCount || 0} data points`,
+            `${(recording.averageHz || 0).toFixed(1)} Hz`
+        ].filter(Boolean).join(' • ');
+
+        const uploadTitle = recording.uploadStatus === 'failed' ? 'Upload failed - use re-upload to try again' : '';
+
+        return `
+            <div class="recording-item" data-recording-id="${recording.id}">
+                <div class="recording-info">
+                    <div class="recording-title">${escapeHTML(title)}</div>
+                    <div class="recording-details">${details}</div>
+                    ${recording.notes ? `<div class="recording-notes">${escapeHTML(recording.notes)}</div>` : ''}
+                    ${recording.tags?.length ? `
+                        <div class="recording-tags">
+                            ${recording.tags.map(tag => `<span class="recording-tag">${escapeHTML(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="recording-meta">
+                    <div class="recording-status recording-status-${escapeHTML(recording.status || 'completed')}">${escapeHTML(recording.status || 'completed')}</div>
+                    ${recording.uploadStatus ? `
+                        <div class="upload-status upload-status-${recording.uploadStatus}" title="${uploadTitle}">
+                            ${recording.uploadStatus}
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="recording-actions">
+                    <button class="icon-button" data-action="download" title="Download" aria-label="Download" ${isActive ? 'disabled' : ''}>
+                        <span class="material-icons">download</span>
+                    </button>
+                    <button class="icon-button" data-action="upload" title="Re-upload" aria-label="Re-upload" ${isActive ? 'disabled' : ''}>
+                        <span class="material-icons">cloud_upload</span>
+                    </button>
+                    <button class="icon-button" data-action="edit" title="Rename or annotate" aria-label="Rename or annotate">
+                        <span class="material-icons">edit</span>
+                    </button>
+                    <button class="icon-button icon-button-danger" data-action="delete" title="Delete" aria-label="Delete" ${isActive ? 'disabled' : ''}>
+                        <span class="material-icons">delete</span>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderPagination(pageCount) {
+        const pagination = document.getElementById('recordings-pagination');
+        if (!pagination) return;
+
+        if (this.totalCount <= PAGE_SIZE) {
+            pagination.hidden = true;
+            return;
+        }
+
+        pagination.hidden = false;
+        const first = this.page * PAGE_SIZE + 1;
+        const last = Math.min(this.totalCount, (this.page + 1) * PAGE_SIZE);
+
+        pagination.querySelector('.pagination-info').textContent = `${first}–${last} of ${this.totalCount}`;
+        pagination.querySelector('[data-page="prev"]').disabled = this.page === 0;
+        pagination.querySelector('[data-page="next"]').disabled = this.page >= pageCount - 1;
+    }
+
+    formatDuration(recording) {
+        if (!recording.endTime) return null;
+
+        const seconds = Math.max(0, Math.round((new Date(recording.endTime) - new Date(recording.timestamp)) / 1000));
+        const minutes = Math.floor(seconds / 60);
+        const hours = Math.floor(minutes / 60);
+
+        if (hours > 0) {
+            return `${hours}h ${(minutes % 60).toString().padStart(2, '0')}m`;
+        }
+        return `${minutes.toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+    }
+
+    attachListeners() {
+        if (this.listenersAttached) return;
+        this.listenersAttached = true;
+
+        // One delegated listener survives every re-render
+        this.container.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button || button.disabled) return;
+
+            const row = button.closest('[data-recording-id]');
+            const recordingId = Number(row.dataset.recordingId);
+            this.handleAction(button.dataset.action, recordingId);
+        });
+
+        document.getElementById('recordings-pagination')?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-page]');
+            if (!button || button.disabled) return;
+
+            this.page += button.dataset.page === 'next' ? 1 : -1;
+            this.render();
+        });
+    }
+
+    async handleAction(action, recordingId) {
+        try {
+            switch (action) {
+                case 'download':
+                    await this.app.downloadRecording(recordingId);
+                    break;
+
+                case 'upload':
+                    await this.app.uploadRecordingNow(recordingId);
+                    break;
+
+                case 'edit':
+                    await this.editRecording(recordingId);
+                    break;
+
+                case 'delete':
+                    await this.deleteRecording(recordingId);
+                    break;
+            }
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Recordings Browser');
+        }
+    }
+
+    async editRecording(recordingId) {
+        const recording = await this.app.databaseManager.getRecording(recordingId);
+        if (!recording) return;
+
+        const details = await this.app.uiManager.showRecordingDetailsDialog(recording);
+        if (!details) return;
+
+        await this.app.databaseManager.updateRecording(recordingId, {
+            name: details.name || null,
+            notes: details.notes || null,
+            tags: details.tags
+        });
+
+        this.app.uiManager.showNotification('Recording updated', 'success');
+        this.render();
+    }
+
+    async deleteRecording(recordingId) {
+        const recording = await this.app.databaseManager.getRecording(recordingId);
+        if (!recording) return;
+
+        const label = recording.name || new Date(recording.timestamp).toLocaleString();
+        const confirmed = await this.app.uiManager.showConfirmDialog(
+            'Delete Recording',
+            `Delete "${escapeHTML(label)}" and its ${recording.dataPointCount || 0} data points? This cannot be undone.`,
+            'Delete'
+        );
+        if (!confirmed) return;
+
+        await this.app.deleteRecording(recordingId, 'manual');
+        this.app.uiManager.showNotification('Recording deleted', 'success');
+        this.render();
+    }
+}
@@ -0,0 +1,179 @@
+// ============================================
+// request-signing.js - Signed upload requests (security.uploadSigning)
+// Loaded by the page (classic <script>) and sw.js - no access to window or DOM
+// ============================================
+//
+// Every request to a target with signing on carries the headers in HEADERS: the device's
+// key id, a Unix timestamp, a random nonce, the SHA-256 of the body exactly as sent
+// (after gzip) and a signature over canonicalRequest(). The server looks the key up,
+// rejects stale timestamps and reused nonces, and so knows which enrolled device - and
+// which user - sent the upload. upload-signature.js is the matching server-side check.
+//
+// The key comes from enrolling with the collector (upload-signer.js): an HMAC secret the
+// server issues, or an ECDSA P-256 key pair whose public half the server keeps. Either is
+// imported non-extractable and stored as a credential record in the 'keys' store, one
+// per upload target.
+
+(function (scope) {
+    const VERSION = 'MR1';
+    const KEY_STORE = 'keys';
+
+    const ALGORITHMS = {
+        HMAC: 'HMAC-SHA256',
+        ECDSA: 'ECDSA-P256-SHA256'
+    };
+
+    const HEADERS = {
+        keyId: 'X-Upload-Key-Id',
+        timestamp: 'X-Upload-Timestamp',
+        nonce: 'X-Upload-Nonce',
+        contentHash: 'X-Upload-Content-SHA256',
+        signature: 'X-Upload-Signature'
+    };
+
+    // WebCrypto parameters to sign with, per algorithm
+    const SIGN_PARAMS = {
+        [ALGORITHMS.HMAC]: { name: 'HMAC' },
+        [ALGORITHMS.ECDSA]: { name: 'ECDSA', hash: 'SHA-256' }
+    };
+
+    const textEncoder = new TextEncoder();
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function toBase64(buffer) {
+        let binary = '';
+        for (const byte of new Uint8Array(buffer)) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    function credentialId(targetId) {
+        return `signing:${targetId}`;
+    }
+
+    // The string both sides sign: one field per line, so no field can run into the next
+    function canonicalRequest({ algorithm, method, path, timestamp, nonce, keyId, contentHash }) {
+        return [`${VERSION}-${algorithm}`, method.toUpperCase(), path, timestamp, nonce, keyId, contentHash].join('\n');
+    }
+
+    // The body as the bytes that go on the wire. FormData is serialized here, because the
+    // browser would otherwise pick the multipart boundary after signing; its Content-Type
+    // (with the boundary) is returned alongside. Returns { body, bytes, contentType }.
+    // The bytes are hashed in one go, which is why single-request uploads are capped at
+    // api.maxPayloadSize; chunked uploads sign one part at a time.
+    async function serializeBody(body) {
+        if (body === null || body === undefined) {
+            return { body: null, bytes: new Uint8Array(0), contentType: null };
+        }
+        if (typeof body === 'string') {
+            return { body, bytes: textEncoder.encode(body), contentType: null };
+        }
+        if (body instanceof Blob) {
+            return { body, bytes: new Uint8Array(await body.arrayBuffer()), contentType: null };
+        }
+
+        const serialized = new Response(body);
+        const blob = await serialized.blob();
+        return {
+            body: blob,
+            bytes: new Uint8Array(await blob.arrayBuffer()),
+            contentType: serialized.headers.get('Content-Type')
+        };
+    }
+
+    // { body, headers } to send instead of the given ones, signed with credential.
+    // Call it again for every attempt - a nonce is only accepted once.
+    async function signRequest(credential, { method, url, body = null, headers = {} }) {
+        const serialized = await serializeBody(body);
+        const contentHash = toHex(await crypto.subtle.digest('SHA-256', serialized.bytes));
+        const { pathname, search } = new URL(url, scope.location?.href);
+        const timestamp = String(Math.floor((Date.now() + (credential.clockOffset || 0)) / 1000));
+        const nonce = toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+        const canonical = canonicalRequest({
+            algorithm: credential.algorithm,
+            method,
+            path: pathname + search,
+            timestamp,
+            nonce,
+            keyId: credential.keyId,
+            contentHash
+        });
+        const signature = await crypto.subtle.sign(SIGN_PARAMS[credential.algorithm], credential.key, textEncoder.encode(canonical));
+
+        return {
+            body: serialized.body,
+            headers: {
+                ...(serialized.contentType ? { 'Content-Type': serialized.contentType } : {}),
+                ...headers,
+                [HEADERS.keyId]: credential.keyId,
+                [HEADERS.timestamp]: timestamp,
+                [HEADERS.nonce]: nonce,
+                [HEADERS.contentHash]: contentHash,
+                [HEADERS.signature]: toBase64(signature)
+            }
+        };
+    }
+
+    // ---- Keys ----
+
+    // A new ECDSA key pair; the private key can't be exported, the public one is sent at enrollment
+    async function generateKeyPair() {
+        const keyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+        return {
+            privateKey: keyPair.privateKey,
+            publicKey: await crypto.subtle.exportKey('jwk', keyPair.publicKey)
+        };
+    }
+
+    // The HMAC secret the server issued at enrollment (base64), as a non-extractable key
+    function importSecret(secret) {
+        return crypto.subtle.importKey('raw', fromBase64(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    }
+
+    function request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    // Credential record for a target; null if the device hasn't enrolled with it
+    async function loadCredential(db, targetId) {
+        if (!db.objectStoreNames.contains(KEY_STORE)) return null;
+        const result = await request(db.transaction([KEY_STORE], 'readonly').objectStore(KEY_STORE).get(credentialId(targetId)));
+        return result || null;
+    }
+
+    async function saveCredential(db, credential) {
+        const record = { ...credential, id: credentialId(credential.targetId) };
+        await request(db.transaction([KEY_STORE], 'readwrite').objectStore(KEY_STORE).put(record));
+        return record;
+    }
+
+    // Forget a credential the server no longer accepts, so the next upload enrolls again
+    async function deleteCredential(db, targetId) {
+        if (!db.objectStoreNames.contains(KEY_STORE)) return;
+        await request(db.transaction([KEY_STORE], 'readwrite').objectStore(KEY_STORE).delete(credentialId(targetId)));
+    }
+
+    scope.UploadSigning = {
+        ALGORITHMS,
+        HEADERS,
+        canonicalRequest,
+        signRequest,
+        generateKeyPair,
+        importSecret,
+        loadCredential,
+        saveCredential,
+        deleteCredential
+    };
+})(self);
@@ -0,0 +1,266 @@
+// ============================================
+// retention-policy.js - Data retention rules and the deletion log
+// Loaded by the page (classic <script>) and sw.js - no access to window or DOM
+// ============================================
+//
+// storage.autoCleanup and storage.cleanupThreshold decide how long recordings stay on the
+// device. The service worker can't read config.js, so the page stores the resolved policy
+// in the 'settings' store and both apply it: the page on startup, the service worker on
+// 'periodicsync'. A recording is purged once it is older than the threshold and its upload
+// is confirmed (its upload queue entry is 'uploaded'); recordings that never went out stay
+// unless the user opted in to deleting them as well. Every deletion leaves an entry in
+// the 'deletionLog' store.
+//
+// Only fields that stay in the clear (AtRestCrypto.RECORDING_CLEAR_FIELDS) are used, so
+// encrypted recordings are purged even while the passphrase hasn't been entered.
+
+(function (scope) {
+    const SETTINGS_STORE = 'settings';
+    const LOG_STORE = 'deletionLog';
+    const POLICY_ID = 'retention';
+    const PERIODIC_SYNC_TAG = 'data-retention';
+    const DAY = 86400000;
+
+    // Oldest log entries are dropped beyond this
+    const MAX_LOG_ENTRIES = 500;
+
+    // Every store holding part of a recording
+    const RECORDING_STORES = ['recordings', 'dataChunks', 'performanceMetrics', 'uploadQueue', 'uploadSessions', 'labels'];
+
+    // Never purged: still being written
+    const ACTIVE_STATUSES = ['recording', 'importing'];
+
+    // The policy record from the `storage` config section and the user's choices in the Data tab.
+    // cacheDuration bounds how long an unfinished chunked upload session is kept.
+    function resolvePolicy(storage = {}, preferences = {}) {
+        const thresholdDays = Number(storage.cleanupThreshold);
+        const cacheDuration = Number(storage.cacheDuration);
+        const hasThreshold = Number.isFinite(thresholdDays) && thresholdDays > 0;
+
+        return {
+            id: POLICY_ID,
+            enabled: storage.autoCleanup === true && hasThreshold,
+            thresholdDays: hasThreshold ? thresholdDays : null,
+            deleteUnuploaded: preferences.deleteUnuploaded === true,
+            sessionMaxAge: Number.isFinite(cacheDuration) && cacheDuration > 0 ? cacheDuration : null,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    function request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    function done(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.addEventListener('complete', () => resolve());
+            transaction.addEventListener('error', () => reject(transaction.error));
+            transaction.addEventListener('abort', () => reject(transaction.error || new Error('Transaction aborted')));
+        });
+    }
+
+    function hasStores(db) {
+        return db.objectStoreNames.contains(SETTINGS_STORE) && db.objectStoreNames.contains(LOG_STORE);
+    }
+
+    // Stored policy record; null before the page has saved one
+    async function loadPolicy(db) {
+        if (!hasStores(db)) return null;
+        const result = await request(db.transaction([SETTINGS_STORE], 'readonly').objectStore(SETTINGS_STORE).get(POLICY_ID));
+        return result || null;
+    }
+
+    async function savePolicy(db, policy) {
+        const transaction = db.transaction([SETTINGS_STORE], 'readwrite');
+        transaction.objectStore(SETTINGS_STORE).put({ ...policy, id: POLICY_ID });
+        await done(transaction);
+    }
+
+    // Age of a recording in ms, from when it ended (or started, if it never finished)
+    function recordingAge(recording, now) {
+        const time = Date.parse(recording.endTime || recording.timestamp);
+        return Number.isFinite(time) ? now - time : 0;
+    }
+
+    // Why the policy keeps a recording it would otherwise purge, or null to purge it
+    function keepReason(policy, recording, entry, now) {
+        if (ACTIVE_STATUSES.includes(recording.status)) return 'active';
+        if (recordingAge(recording, now) <= policy.thresholdDays * DAY) return 'recent';
+        if (entry?.status === 'uploaded') return null;
+        if (entry?.status === 'uploading') return 'uploading';
+        return policy.deleteUnuploaded ? null : 'not-uploaded';
+    }
+
+    // Delete a recording and everything stored for it inside transaction, which must cover
+    // RECORDING_STORES and, to log the deletion, LOG_STORE. shouldDelete(recording, entry)
+    // is checked against the records as read in this transaction, so a recording uploaded
+    // or changed meanwhile is judged on its current state. Resolves with the log entry
+    // (null if nothing was logged) once the transaction completes.
+    function deleteRecordingRecords(transaction, recordingId, details = null, shouldDelete = null) {
+        let logged = null;
+        const completed = done(transaction);
+
+        const recordingRequest = transaction.objectStore('recordings').get(recordingId);
+        const entryRequest = transaction.objectStore('uploadQueue').get(recordingId);
+
+        // Requests in one transaction complete in order, so the recording is read by now
+        entryRequest.onsuccess = () => {
+            const recording = recordingRequest.result;
+            const entry = entryRequest.result;
+            if (shouldDelete && !(recording && shouldDelete(recording, entry))) return;
+
+            transaction.objectStore('recordings').delete(recordingId);
+            transaction.objectStore('uploadQueue').delete(recordingId);
+
+            const dataStore = transaction.objectStore('dataChunks');
+            deleteByCursor(dataStore.index('recordingEnd').openKeyCursor(SampleCodec.chunkRange(recordingId)), dataStore);
+            for (const storeName of ['uploadSessions', 'labels', 'performanceMetrics']) {
+                const store = transaction.objectStore(storeName);
+                deleteByCursor(store.index('recordingId').openKeyCursor(recordingId), store);
+            }
+
+            if (recording && details) {
+                logged = {
+                    recordingId,
+                    userId: recording.userId ?? null,
+                    recordedAt: recording.timestamp ?? null,
+                    endTime: recording.endTime ?? null,
+                    dataPointCount: recording.dataPointCount ?? null,
+                    uploadStatus: entry?.status ?? null,
+                    uploadedAt: entry?.uploadedAt ?? null,
+                    ...details,
+                    deletedAt: new Date().toISOString()
+                };
+                transaction.objectStore(LOG_STORE).add(logged);
+            }
+        };
+
+        return completed.then(() => logged);
+    }
+
+    function deleteByCursor(cursorRequest, store) {
+        cursorRequest.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+    }
+
+    // Apply policy to every recording. source ('app', 'service-worker') goes into the log.
+    // Resolves with { deleted: [log entries], kept: { reason: count }, sessionsDropped }.
+    async function purgeExpired(db, policy, { source = 'app', now = Date.now() } = {}) {
+        const result = { deleted: [], kept: {}, sessionsDropped: 0 };
+        if (!policy || !hasStores(db)) return result;
+
+        if (policy.sessionMaxAge) {
+            result.sessionsDropped = await dropStaleSessions(db, now - policy.sessionMaxAge);
+        }
+        if (!policy.enabled) return result;
+
+        const transaction = db.transaction(['recordings', 'uploadQueue'], 'readonly');
+        const [recordings, entries] = await Promise.all([
+            request(transaction.objectStore('recordings').getAll()),
+            request(transaction.objectStore('uploadQueue').getAll())
+        ]);
+        const entriesById = new Map(entries.map(entry => [entry.recordingId, entry]));
+
+        const details = { reason: 'retention', source, thresholdDays: policy.thresholdDays };
+        const shouldDelete = (recording, entry) => keepReason(policy, recording, entry, now) === null;
+
+        for (const recording of recordings) {
+            const reason = keepReason(policy, recording, entriesById.get(recording.id), now);
+            if (reason) {
+                result.kept[reason] = (result.kept[reason] || 0) + 1;
+                continue;
+            }
+
+            // One transaction per recording keeps each one short
+            const deleteTransaction = db.transaction([...RECORDING_STORES, LOG_STORE], 'readwrite');
+            const logged = await deleteRecordingRecords(deleteTransaction, recording.id, details, shouldDelete);
+            if (logged) {
+                result.deleted.push(logged);
+            }
+        }
+
+        if (result.deleted.length > 0) {
+            await trimLog(db);
+        }
+        return result;
+    }
+
+    // Chunked upload sessions not touched since before cutoff; the server has expired them by then
+    async function dropStaleSessions(db, cutoff) {
+        const transaction = db.transaction(['uploadSessions'], 'readwrite');
+        const store = transaction.objectStore('uploadSessions');
+        let dropped = 0;
+
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if ((cursor.value.updatedAt || 0) < cutoff) {
+                cursor.delete();
+                dropped++;
+            }
+            cursor.continue();
+        };
+
+        await done(transaction);
+        return dropped;
+    }
+
+    async function trimLog(db) {
+        const transaction = db.transaction([LOG_STORE], 'readwrite');
+        const store = transaction.objectStore(LOG_STORE);
+
+        store.count().onsuccess = (event) => {
+            let excess = event.target.result - MAX_LOG_ENTRIES;
+            if (excess <= 0) return;
+
+            // Keys are auto-incremented, so the cursor starts at the oldest entry
+            store.openCursor().onsuccess = (cursorEvent) => {
+                const cursor = cursorEvent.target.result;
+                if (!cursor || excess-- <= 0) return;
+                cursor.delete();
+                cursor.continue();
+            };
+        };
+
+        await done(transaction);
+    }
+
+    // Most recent log entries first
+    async function readLog(db, limit = 50) {
+        if (!hasStores(db)) return [];
+
+        const entries = [];
+        const transaction = db.transaction([LOG_STORE], 'readonly');
+        transaction.objectStore(LOG_STORE).openCursor(null, 'prev').onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor || entries.length >= limit) return;
+            entries.push(cursor.value);
+            cursor.continue();
+        };
+
+        await done(transaction);
+        return entries;
+    }
+
+    scope.RetentionPolicy = {
+        SETTINGS_STORE,
+        LOG_STORE,
+        PERIODIC_SYNC_TAG,
+        RECORDING_STORES,
+        resolvePolicy,
+        keepReason,
+        loadPolicy,
+        savePolicy,
+        deleteRecordingRecords,
+        purgeExpired,
+        readLog
+    };
+})(self);
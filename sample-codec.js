@@ -0,0 +1,313 @@
+// ============================================
+// sample-codec.js - Columnar encoding of data points for the dataChunks store
+// Loaded by the page (classic <script>), worker.js and sw.js - no access to window or DOM
+// ============================================
+//
+// A chunk holds up to CHUNK_SIZE consecutive data points of one recording:
+//   { recordingId, schemaVersion, startIndex, endIndex, count, startTime, endTime,
+//     shared: { userId, recordingTimestamp }, columns: { accelX: Float32Array, ... }, extras }
+// startIndex/endIndex are the chunk's position in the recording ([startIndex, endIndex)),
+// so the last chunk's endIndex is the recording's point count.
+//
+// Only channels with at least one value get a column. Missing values are NaN (-1 for
+// booleans) and come back out as absent fields. ISO timestamp strings are stored as epoch ms.
+// Anything that does not fit the schema (unknown fields, odd values) is kept row by row
+// in `extras`, so decode(encode(rows)) returns the same rows - except that f32 channels
+// (the sensor readings) come back at Float32 precision: 9.81 reads as 9.8100004. Times
+// and GPS positions are f64 and exact.
+
+(function (scope) {
+    const SCHEMA_VERSION = 1;
+    const CHUNK_SIZE = 1000;
+
+    // f64/f32: numbers, time: ISO string stored as epoch ms, bool: Int8 with -1 for missing
+    const CHANNELS = {
+        timestamp: 'f64',
+        gpsTimestamp: 'time',
+        gpsLat: 'f64',
+        gpsLon: 'f64',
+        gpsError: 'f32',
+        gpsAlt: 'f32',
+        gpsAltAccuracy: 'f32',
+        gpsHeading: 'f32',
+        gpsSpeed: 'f32',
+        accelTimestamp: 'time',
+        accelX: 'f32',
+        accelY: 'f32',
+        accelZ: 'f32',
+        gyroTimestamp: 'time',
+        gyroAlpha: 'f32',
+        gyroBeta: 'f32',
+        gyroGamma: 'f32',
+        linearAccelX: 'f32',
+        linearAccelY: 'f32',
+        linearAccelZ: 'f32',
+        orientationAlpha: 'f32',
+        orientationBeta: 'f32',
+        orientationGamma: 'f32',
+        orientationAbsolute: 'bool',
+        compassHeading: 'f32',
+        motionInterval: 'f32',
+        magX: 'f32',
+        magY: 'f32',
+        magZ: 'f32',
+        quatX: 'f32',
+        quatY: 'f32',
+        quatZ: 'f32',
+        quatW: 'f32',
+        duplicateSamples: 'f32',
+        droppedSamples: 'f32'
+    };
+
+    // Channel filters: a row carries the channel when this column has a value
+    const CHANNEL_FILTERS = {
+        gps: 'gpsLat',
+        accel: 'accelX',
+        gyro: 'gyroAlpha',
+        linearAccel: 'linearAccelX',
+        orientation: 'orientationAlpha',
+        magnetometer: 'magX',
+        quaternion: 'quatX'
+    };
+
+    // The same for every row of a recording - stored once per chunk
+    const SHARED_FIELDS = ['userId', 'recordingTimestamp'];
+
+    // Set by the store, not part of the sample
+    const SKIPPED_FIELDS = ['id', 'recordingId'];
+
+    const ARRAY_TYPES = {
+        f64: Float64Array,
+        f32: Float32Array,
+        time: Float64Array,
+        bool: Int8Array
+    };
+
+    // Float32 rounding must not turn a value into something else entirely
+    const FLOAT32_MAX = 3.4e38;
+
+    function isMissing(value) {
+        return value === undefined || value === null;
+    }
+
+    // Encoded number for the column, or undefined if the value can't be stored there
+    function encodeValue(type, value) {
+        switch (type) {
+            case 'time': {
+                if (typeof value !== 'string') return undefined;
+                const time = Date.parse(value);
+                // Only exact round trips - anything else is kept verbatim in extras
+                return Number.isFinite(time) && new Date(time).toISOString() === value ? time : undefined;
+            }
+            case 'bool':
+                return typeof value === 'boolean' ? (value ? 1 : 0) : undefined;
+            case 'f32':
+                return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) < FLOAT32_MAX ? value : undefined;
+            default:
+                return typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+        }
+    }
+
+    function decodeValue(type, value) {
+        switch (type) {
+            case 'time':
+                return Number.isNaN(value) ? undefined : new Date(value).toISOString();
+            case 'bool':
+                return value < 0 ? undefined : value === 1;
+            default:
+                return Number.isNaN(value) ? undefined : value;
+        }
+    }
+
+    function createColumn(type, length) {
+        const column = new ARRAY_TYPES[type](length);
+        column.fill(type === 'bool' ? -1 : NaN);
+        return column;
+    }
+
+    // Encode up to CHUNK_SIZE rows starting at startIndex of the recording
+    function encodeChunk(rows, recordingId, startIndex = 0) {
+        const count = rows.length;
+        const columns = {};
+        const extras = [];
+        const shared = {};
+
+        for (const field of SHARED_FIELDS) {
+            const first = rows.find(row => !isMissing(row[field]));
+            if (first) {
+                shared[field] = first[field];
+            }
+        }
+
+        for (let i = 0; i < count; i++) {
+            const row = rows[i];
+            let extra = null;
+
+            for (const field in row) {
+                const value = row[field];
+                if (SKIPPED_FIELDS.includes(field) || value === undefined) continue;
+
+                if (SHARED_FIELDS.includes(field)) {
+                    if (value !== shared[field]) {
+                        (extra ||= {})[field] = value;
+                    }
+                    continue;
+                }
+
+                const type = CHANNELS[field];
+                const encoded = type && value !== null ? encodeValue(type, value) : undefined;
+                if (encoded === undefined) {
+                    // Unknown field, null or a value the column can't hold
+                    (extra ||= {})[field] = value;
+                    continue;
+                }
+
+                (columns[field] ||= createColumn(type, count))[i] = encoded;
+            }
+
+            // Shared fields missing from this row must stay missing
+            for (const field of SHARED_FIELDS) {
+                if (field in shared && isMissing(row[field])) {
+                    (extra ||= {})[field] = row[field] === null ? null : undefined;
+                }
+            }
+
+            if (extra) {
+                extras.push([i, extra]);
+            }
+        }
+
+        const times = columns.timestamp;
+        return {
+            recordingId,
+            schemaVersion: SCHEMA_VERSION,
+            startIndex,
+            endIndex: startIndex + count,
+            count,
+            startTime: times && !Number.isNaN(times[0]) ? times[0] : null,
+            endTime: times && !Number.isNaN(times[count - 1]) ? times[count - 1] : null,
+            shared,
+            columns,
+            extras
+        };
+    }
+
+    // Split rows into chunks, numbering them from startIndex
+    function encodeChunks(rows, recordingId, startIndex = 0, chunkSize = CHUNK_SIZE) {
+        const chunks = [];
+        for (let i = 0; i < rows.length; i += chunkSize) {
+            chunks.push(encodeChunk(rows.slice(i, i + chunkSize), recordingId, startIndex + i));
+        }
+        return chunks;
+    }
+
+    // Returns decode(i) -> row i of the chunk as a plain data point object.
+    // fields limits decoding to those fields (null = all).
+    function createDecoder(chunk, fields = null) {
+        if (chunk.schemaVersion !== SCHEMA_VERSION) {
+            throw new Error(`Unsupported data chunk schema version ${chunk.schemaVersion}`);
+        }
+
+        const wanted = fields ? new Set(fields) : null;
+        const columnNames = Object.keys(chunk.columns).filter(name => !wanted || wanted.has(name));
+        const sharedNames = Object.keys(chunk.shared).filter(name => !wanted || wanted.has(name));
+        const extras = new Map(chunk.extras);
+
+        return (i) => {
+            const row = {};
+
+            for (const name of sharedNames) {
+                row[name] = chunk.shared[name];
+            }
+            for (const name of columnNames) {
+                const value = decodeValue(CHANNELS[name], chunk.columns[name][i]);
+                if (value !== undefined) {
+                    row[name] = value;
+                }
+            }
+
+            const extra = extras.get(i);
+            if (extra) {
+                for (const name in extra) {
+                    if (wanted && !wanted.has(name)) continue;
+                    if (extra[name] === undefined) {
+                        delete row[name];
+                    } else {
+                        row[name] = extra[name];
+                    }
+                }
+            }
+
+            if (!wanted || wanted.has('recordingId')) {
+                row.recordingId = chunk.recordingId;
+            }
+            return row;
+        };
+    }
+
+    // Rows [from, to) of the chunk as plain data point objects
+    function decodeChunk(chunk, from = 0, to = chunk.count, fields = null) {
+        const decode = createDecoder(chunk, fields);
+        const rows = [];
+        for (let i = from; i < to; i++) {
+            rows.push(decode(i));
+        }
+        return rows;
+    }
+
+    // Positions in [from, to) of the rows that carry `channel` (see CHANNEL_FILTERS)
+    // and whose timestamp lies within [start, end]. null means no restriction.
+    function findRows(chunk, { from = 0, to = chunk.count, channel = null, start = null, end = null } = {}) {
+        let channelColumn = null;
+        if (channel) {
+            const field = CHANNEL_FILTERS[channel];
+            if (!field) {
+                throw new Error(`Unknown channel "${channel}"`);
+            }
+            channelColumn = chunk.columns[field];
+            // No column - no row in this chunk has the channel
+            if (!channelColumn) return [];
+        }
+
+        const times = chunk.columns.timestamp;
+        const byTime = start !== null || end !== null;
+        const positions = [];
+
+        for (let i = from; i < to; i++) {
+            if (channelColumn && Number.isNaN(channelColumn[i])) continue;
+            if (byTime) {
+                const time = times ? times[i] : NaN;
+                if (Number.isNaN(time) || (start !== null && time < start) || (end !== null && time > end)) continue;
+            }
+            positions.push(i);
+        }
+        return positions;
+    }
+
+    // Key range over the 'recordingEnd' index ([recordingId, endIndex]) for the chunks
+    // holding points fromIndex onwards, in recording order
+    function chunkRange(recordingId, fromIndex = 0) {
+        return IDBKeyRange.bound([recordingId, fromIndex], [recordingId, Infinity], true, false);
+    }
+
+    // Key range over the 'recordingTime' index ([recordingId, endTime]) for the chunks
+    // that end at or after `start`. Chunks are written in time order, so walking it
+    // can stop at the first chunk starting after the window.
+    function timeRange(recordingId, start = -Infinity) {
+        return IDBKeyRange.bound([recordingId, start], [recordingId, Infinity]);
+    }
+
+    scope.SampleCodec = {
+        SCHEMA_VERSION,
+        CHUNK_SIZE,
+        CHANNELS,
+        CHANNEL_FILTERS,
+        chunkRange,
+        timeRange,
+        encodeChunk,
+        encodeChunks,
+        createDecoder,
+        decodeChunk,
+        findRows
+    };
+})(self);
@@ -0,0 +1,315 @@
+// ============================================
+// sensor-fusion.js - Merge motion and GPS samples into aligned rows
+// Loaded by worker.js with importScripts() - no access to window or DOM
+// ============================================
+//
+// Input samples come from SensorManager: one motion sample per sensor event (accel, gyro,
+// orientation... fields, timestamped with the event time) and one GPS sample per position fix.
+//
+// 'fused' layout: one row per motion event with accel, gyro and a GPS fix attached
+//   according to gpsPolicy:
+//     'latest'       - the most recent fix received
+//     'nearest'      - the fix closest in time, if within gpsMaxGapMs
+//     'interpolated' - linear interpolation between the fixes before and after the event,
+//                      falling back to 'nearest' when only one side is available
+//   'nearest' and 'interpolated' hold rows back until the next fix arrives or
+//   gpsMaxGapMs has passed, so rows can be emitted up to gpsMaxGapMs late.
+// 'sparse' layout: the legacy output - separate accel-only, gyro-only and GPS-only rows.
+//
+// createDecimator() runs before fusion: it thins motion events down to the target sample
+// rate and counts duplicate events and events the browser dropped (gaps in event time).
+
+(function (scope) {
+    const GPS_FIELDS = ['gpsTimestamp', 'gpsLat', 'gpsLon', 'gpsError', 'gpsAlt', 'gpsAltAccuracy', 'gpsHeading', 'gpsSpeed'];
+
+    // Fixes kept for matching against delayed rows
+    const MAX_FIX_HISTORY = 10;
+
+    // Without motion events for this long, GPS fixes are written as rows of their own
+    const MOTION_IDLE_MS = 1000;
+
+    const DEFAULT_OPTIONS = {
+        layout: 'fused',
+        gpsPolicy: 'latest',
+        gpsMaxGapMs: 1000
+    };
+
+    function isGPSSample(sample) {
+        return sample.gpsLat !== undefined && sample.gpsLat !== null;
+    }
+
+    function hasAccel(sample) {
+        return sample.accelX !== undefined && sample.accelX !== null;
+    }
+
+    function hasGyro(sample) {
+        return sample.gyroAlpha !== undefined && sample.gyroAlpha !== null;
+    }
+
+    function hasLinearAccel(sample) {
+        return sample.linearAccelX !== undefined && sample.linearAccelX !== null;
+    }
+
+    function hasOrientation(sample) {
+        return sample.orientationAlpha !== undefined && sample.orientationAlpha !== null;
+    }
+
+    function isMotionSample(sample) {
+        return hasAccel(sample) || hasGyro(sample) || hasLinearAccel(sample) || hasOrientation(sample);
+    }
+
+    // Time of the fix itself, not when it reached us
+    function fixTime(fix) {
+        const parsed = fix.gpsTimestamp ? Date.parse(fix.gpsTimestamp) : NaN;
+        return Number.isFinite(parsed) ? parsed : fix.timestamp;
+    }
+
+    function pickGPS(fix) {
+        const fields = {};
+        for (const field of GPS_FIELDS) {
+            fields[field] = fix[field];
+        }
+        return fields;
+    }
+
+    function lerp(a, b, t) {
+        if (typeof a !== 'number' || typeof b !== 'number') {
+            return t < 0.5 ? a : b;
+        }
+        return a + (b - a) * t;
+    }
+
+    function interpolateGPS(prev, next, time) {
+        const t0 = fixTime(prev);
+        const t1 = fixTime(next);
+        const t = t1 > t0 ? (time - t0) / (t1 - t0) : 0;
+
+        return {
+            gpsTimestamp: new Date(time).toISOString(),
+            gpsLat: lerp(prev.gpsLat, next.gpsLat, t),
+            gpsLon: lerp(prev.gpsLon, next.gpsLon, t),
+            gpsAlt: lerp(prev.gpsAlt, next.gpsAlt, t),
+            gpsSpeed: lerp(prev.gpsSpeed, next.gpsSpeed, t),
+            // Headings wrap around, so take the closer fix rather than averaging
+            gpsHeading: t < 0.5 ? prev.gpsHeading : next.gpsHeading,
+            // Report the worse of the two accuracies
+            gpsError: worse(prev.gpsError, next.gpsError),
+            gpsAltAccuracy: worse(prev.gpsAltAccuracy, next.gpsAltAccuracy)
+        };
+    }
+
+    function worse(a, b) {
+        if (typeof a === 'number' && typeof b === 'number') {
+            return Math.max(a, b);
+        }
+        return a ?? b;
+    }
+
+    // Split a motion sample into the legacy accel-only and gyro-only rows.
+    // Linear acceleration travels with the accel row; orientation and interval with both.
+    function splitMotion(sample) {
+        const {
+            accelTimestamp, accelX, accelY, accelZ, linearAccelX, linearAccelY, linearAccelZ,
+            gyroTimestamp, gyroAlpha, gyroBeta, gyroGamma, ...common
+        } = sample;
+        const rows = [];
+
+        if (hasAccel(sample) || hasLinearAccel(sample)) {
+            rows.push({ ...common, accelTimestamp, accelX, accelY, accelZ, linearAccelX, linearAccelY, linearAccelZ });
+        }
+        if (hasGyro(sample)) {
+            rows.push({ ...common, gyroTimestamp, gyroAlpha, gyroBeta, gyroGamma });
+        }
+        if (rows.length === 0 && hasOrientation(sample)) {
+            rows.push(common);
+        }
+        return rows;
+    }
+
+    // Thin motion samples (timestamped with the sensor event time) to at most `rate` per second.
+    // push() returns { keep, duplicate, dropped } where dropped is the number of events
+    // estimated missing since the previous one.
+    function createDecimator(rate) {
+        const counts = { received: 0, kept: 0, duplicates: 0, dropped: 0, decimated: 0 };
+        let period = 1000 / rate;
+        let nextSlot = null;
+        let lastEventTime = null;
+        let averageInterval = null;
+
+        function push(sample) {
+            if (isGPSSample(sample) || !isMotionSample(sample)) {
+                return { keep: true, duplicate: false, dropped: 0 };
+            }
+
+            const time = sample.timestamp;
+            counts.received++;
+
+            // Same event delivered twice (or out of order)
+            if (lastEventTime !== null && time <= lastEventTime) {
+                counts.duplicates++;
+                return { keep: false, duplicate: true, dropped: 0 };
+            }
+
+            // Expected spacing: what the browser reports, else the running average
+            let dropped = 0;
+            if (lastEventTime !== null) {
+                const gap = time - lastEventTime;
+                const expected = sample.motionInterval > 0 ? sample.motionInterval : averageInterval;
+                if (expected > 0) {
+                    dropped = Math.max(0, Math.round(gap / expected) - 1);
+                    counts.dropped += dropped;
+                }
+                averageInterval = averageInterval === null ? gap : averageInterval * 0.9 + gap * 0.1;
+            }
+            lastEventTime = time;
+
+            // Allow a little jitter so a sensor running at exactly the target rate isn't thinned
+            const tolerance = Math.min(period, averageInterval || period) / 4;
+            if (nextSlot !== null && time < nextSlot - tolerance) {
+                counts.decimated++;
+                return { keep: false, duplicate: false, dropped };
+            }
+
+            nextSlot = nextSlot === null || nextSlot + period < time ? time + period : nextSlot + period;
+            counts.kept++;
+            return { keep: true, duplicate: false, dropped };
+        }
+
+        function setRate(newRate) {
+            period = 1000 / newRate;
+        }
+
+        return {
+            push,
+            setRate,
+            counts
+        };
+    }
+
+    function createFusionStage(options = {}) {
+        const config = { ...DEFAULT_OPTIONS, ...options };
+        const fixes = [];
+        const pending = [];
+        let clock = 0;
+        let lastMotionAt = null;
+
+        const waitsForNextFix = config.gpsPolicy === 'nearest' || config.gpsPolicy === 'interpolated';
+
+        function findFixes(time) {
+            let prev = null;
+            let next = null;
+            for (const fix of fixes) {
+                if (fixTime(fix) <= time) {
+                    prev = fix;
+                } else if (!next) {
+                    next = fix;
+                }
+            }
+            return { prev, next };
+        }
+
+        function nearestWithinGap(time, prev, next) {
+            const candidates = [prev, next]
+                .filter(Boolean)
+                .map(fix => ({ fix, gap: Math.abs(fixTime(fix) - time) }))
+                .filter(candidate => candidate.gap <= config.gpsMaxGapMs)
+                .sort((a, b) => a.gap - b.gap);
+            return candidates.length > 0 ? pickGPS(candidates[0].fix) : null;
+        }
+
+        function attachGPS(row, final = false) {
+            if (config.gpsPolicy === 'latest') {
+                const latest = fixes[fixes.length - 1];
+                return latest ? { ...row, ...pickGPS(latest) } : row;
+            }
+
+            const { prev, next } = findFixes(row.timestamp);
+
+            // Still waiting for the fix after this row
+            if (!next && !final && row.timestamp + config.gpsMaxGapMs > clock) {
+                return null;
+            }
+
+            let gps;
+            if (config.gpsPolicy === 'interpolated' && prev && next) {
+                gps = interpolateGPS(prev, next, row.timestamp);
+            } else {
+                gps = nearestWithinGap(row.timestamp, prev, next);
+            }
+            return gps ? { ...row, ...gps } : row;
+        }
+
+        // Emit pending rows (in order) that can now be resolved
+        function release(final = false) {
+            const ready = [];
+            while (pending.length > 0) {
+                const row = attachGPS(pending[0], final);
+                if (!row) break;
+                ready.push(row);
+                pending.shift();
+            }
+            return ready;
+        }
+
+        function addFix(fix) {
+            fixes.push(fix);
+            fixes.sort((a, b) => fixTime(a) - fixTime(b));
+            if (fixes.length > MAX_FIX_HISTORY) {
+                fixes.shift();
+            }
+        }
+
+        // Feed one sample; returns the rows that are ready to store
+        function push(sample) {
+            if (sample.timestamp > clock) {
+                clock = sample.timestamp;
+            }
+
+            if (config.layout === 'sparse') {
+                return isGPSSample(sample) ? [sample] : splitMotion(sample);
+            }
+
+            if (isGPSSample(sample)) {
+                addFix(sample);
+
+                // Nothing to attach the fix to - keep it as its own row
+                if (lastMotionAt === null || sample.timestamp - lastMotionAt > MOTION_IDLE_MS) {
+                    return [...release(), sample];
+                }
+                return release();
+            }
+
+            if (!isMotionSample(sample)) {
+                return release();
+            }
+
+            lastMotionAt = sample.timestamp;
+
+            if (!waitsForNextFix) {
+                return [attachGPS(sample)];
+            }
+
+            pending.push(sample);
+            return release();
+        }
+
+        // Emit everything still held back, e.g. when recording stops
+        function flush() {
+            return release(true);
+        }
+
+        return {
+            options: config,
+            push,
+            flush,
+            pendingCount: () => pending.length
+        };
+    }
+
+    scope.SensorFusion = {
+        GPS_FIELDS,
+        createDecimator,
+        createFusionStage,
+        splitMotion
+    };
+})(self);
@@ -0,0 +1,361 @@
+// ============================================
+// sensor-sources.js - Pluggable Motion Sensor Backends
+// ============================================
+//
+// A source produces plain motion samples and hands them to onSample(sample):
+//   accelTimestamp, accelX/Y/Z            acceleration including gravity (m/s²)
+//   linearAccelX/Y/Z                      acceleration without gravity (m/s²)
+//   gyroTimestamp, gyroAlpha/Beta/Gamma   rotation rate (°/s, devicemotion axes)
+//   motionInterval                        time between sensor readings (ms)
+//   orientationAlpha/Beta/Gamma, orientationAbsolute, compassHeading
+//   magX/Y/Z                              magnetic field (µT, Generic Sensor API only)
+//   quatX/Y/Z/W                           absolute orientation quaternion (Generic Sensor API only)
+//
+// Backends:
+//   GenericSensorSource  - Accelerometer, Gyroscope, ... at an explicit frequency (Chromium)
+//   DeviceMotionSource   - every devicemotion event
+//
+// Every sample carries `timestamp`: wall-clock ms of the sensor reading
+// (performance.timeOrigin + the event's high-resolution time), not the time it was handled.
+
+import { validateSensorData } from './utils.js';
+
+export const SensorBackend = {
+    GENERIC_SENSOR: 'generic-sensor',
+    DEVICE_MOTION: 'devicemotion'
+};
+
+export const SENSOR_BACKEND_LABELS = {
+    [SensorBackend.GENERIC_SENSOR]: 'Generic Sensor API',
+    [SensorBackend.DEVICE_MOTION]: 'DeviceMotion events'
+};
+
+// Give up on the Generic Sensor API if the accelerometer has not produced a reading by then
+const GENERIC_START_TIMEOUT = 2000;
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+const isValidNumber = (value) => typeof value === 'number' && isFinite(value);
+
+export function isGenericSensorSupported() {
+    return typeof window !== 'undefined' && 'Accelerometer' in window && 'Gyroscope' in window;
+}
+
+// Pick the backend for the configured preference ('auto', 'generic-sensor' or 'devicemotion')
+export function createSensorSource(preference, options) {
+    if (preference !== SensorBackend.DEVICE_MOTION && isGenericSensorSupported()) {
+        return new GenericSensorSource(options);
+    }
+    return new DeviceMotionSource(options);
+}
+
+// Feeds the latest deviceorientation reading into the orientation channel.
+// Prefers the earth-referenced event where the browser has one.
+function listenForOrientation(onReading) {
+    if (!('DeviceOrientationEvent' in window)) {
+        return () => {};
+    }
+
+    const eventName = 'ondeviceorientationabsolute' in window
+        ? 'deviceorientationabsolute'
+        : 'deviceorientation';
+
+    const handler = (event) => {
+        onReading({
+            alpha: event.alpha,
+            beta: event.beta,
+            gamma: event.gamma,
+            absolute: event.absolute === true,
+            // iOS Safari only - degrees from magnetic north
+            compassHeading: event.webkitCompassHeading
+        });
+    };
+
+    window.addEventListener(eventName, handler, { passive: true });
+    return () => window.removeEventListener(eventName, handler);
+}
+
+function addOrientation(sample, orientation) {
+    if (!orientation || orientation.alpha === null || orientation.alpha === undefined) return;
+
+    sample.orientationAlpha = orientation.alpha;
+    sample.orientationBeta = orientation.beta;
+    sample.orientationGamma = orientation.gamma;
+    sample.orientationAbsolute = orientation.absolute;
+    if (isValidNumber(orientation.compassHeading)) {
+        sample.compassHeading = orientation.compassHeading;
+    }
+}
+
+export class GenericSensorSource {
+    constructor({ getRate, channels, onSample }) {
+        this.backend = SensorBackend.GENERIC_SENSOR;
+        this.getRate = getRate;
+        this.channels = channels;
+        this.onSample = onSample;
+        this.sensors = {};
+        this.frequency = null;
+        this.latestOrientation = null;
+        this.lastReadingTime = null;
+        this.stopOrientation = null;
+    }
+
+    // Resolves once the accelerometer delivers its first reading, rejects if it cannot start
+    async start() {
+        this.frequency = this.getRate();
+
+        await this.checkPermissions(['accelerometer', 'gyroscope']);
+
+        const { Accelerometer, Gyroscope, LinearAccelerationSensor, Magnetometer, AbsoluteOrientationSensor } = window;
+        const options = { frequency: this.frequency };
+
+        this.sensors.accel = new Accelerometer(options);
+        this.sensors.gyro = new Gyroscope(options);
+
+        // Optional sensors - missing ones leave their columns empty
+        if (this.channels.linearAcceleration) {
+            this.sensors.linear = this.createOptional(LinearAccelerationSensor, options);
+        }
+        if (this.channels.magnetometer) {
+            this.sensors.mag = this.createOptional(Magnetometer, options);
+        }
+        if (this.channels.orientationQuaternion) {
+            this.sensors.quat = this.createOptional(AbsoluteOrientationSensor, options);
+        }
+
+        if (this.channels.orientation) {
+            this.stopOrientation = listenForOrientation(reading => {
+                this.latestOrientation = reading;
+            });
+        }
+
+        const firstReading = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Accelerometer did not produce a reading')), GENERIC_START_TIMEOUT);
+
+            this.sensors.accel.addEventListener('reading', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+
+            for (const sensor of [this.sensors.accel, this.sensors.gyro]) {
+                sensor.addEventListener('error', (event) => {
+                    clearTimeout(timer);
+                    reject(event.error);
+                }, { once: true });
+            }
+        });
+
+        // One sample per accelerometer reading, with the latest value of every other sensor
+        this.sensors.accel.addEventListener('reading', () => this.emit());
+
+        for (const sensor of Object.values(this.sensors)) {
+            sensor?.start();
+        }
+
+        try {
+            await firstReading;
+        } catch (error) {
+            this.stop();
+            throw error;
+        }
+
+        console.log(`✅ Generic Sensor API started at ${this.frequency} Hz`);
+    }
+
+    async checkPermissions(names) {
+        if (!navigator.permissions?.query) return;
+
+        for (const name of names) {
+            try {
+                const status = await navigator.permissions.query({ name });
+                if (status.state === 'denied') {
+                    throw new Error(`Permission to use ${name} denied`);
+                }
+            } catch (error) {
+                // Unknown permission names throw TypeError - let the sensor itself report
+                if (!(error instanceof TypeError)) throw error;
+            }
+        }
+    }
+
+    createOptional(SensorClass, options) {
+        if (typeof SensorClass !== 'function') return null;
+
+        try {
+            const sensor = new SensorClass(options);
+            sensor.addEventListener('error', (event) => {
+                console.warn(`${SensorClass.name} unavailable:`, event.error?.name || event.error);
+            });
+            return sensor;
+        } catch (error) {
+            console.warn(`${SensorClass.name} unavailable:`, error.message);
+            return null;
+        }
+    }
+
+    emit() {
+        const { accel, gyro, linear, mag, quat } = this.sensors;
+        const readingTime = accel.timestamp;
+        const timestamp = new Date(performance.timeOrigin + readingTime).toISOString();
+        const sample = {};
+
+        if (validateSensorData('accel', { x: accel.x, y: accel.y, z: accel.z })) {
+            sample.accelTimestamp = timestamp;
+            sample.accelX = accel.x;
+            sample.accelY = accel.y;
+            sample.accelZ = accel.z;
+        }
+
+        // rad/s around x, y, z -> °/s as beta, gamma, alpha to match devicemotion rotationRate
+        if (gyro.hasReading && isValidNumber(gyro.x)) {
+            sample.gyroTimestamp = new Date(performance.timeOrigin + gyro.timestamp).toISOString();
+            sample.gyroAlpha = gyro.z * RAD_TO_DEG;
+            sample.gyroBeta = gyro.x * RAD_TO_DEG;
+            sample.gyroGamma = gyro.y * RAD_TO_DEG;
+        }
+
+        if (linear?.hasReading && validateSensorData('accel', { x: linear.x, y: linear.y, z: linear.z })) {
+            sample.linearAccelX = linear.x;
+            sample.linearAccelY = linear.y;
+            sample.linearAccelZ = linear.z;
+        }
+
+        if (mag?.hasReading && isValidNumber(mag.x)) {
+            sample.magX = mag.x;
+            sample.magY = mag.y;
+            sample.magZ = mag.z;
+        }
+
+        if (quat?.hasReading && Array.isArray(quat.quaternion)) {
+            [sample.quatX, sample.quatY, sample.quatZ, sample.quatW] = quat.quaternion;
+        }
+
+        if (this.channels.interval && this.lastReadingTime !== null) {
+            sample.motionInterval = readingTime - this.lastReadingTime;
+        }
+        this.lastReadingTime = readingTime;
+
+        if (this.channels.orientation) {
+            addOrientation(sample, this.latestOrientation);
+        }
+
+        sample.timestamp = performance.timeOrigin + readingTime;
+        this.onSample(sample);
+    }
+
+    stop() {
+        for (const sensor of Object.values(this.sensors)) {
+            try {
+                sensor?.stop();
+            } catch (error) {
+                console.warn('Failed to stop sensor:', error);
+            }
+        }
+        this.sensors = {};
+        this.lastReadingTime = null;
+
+        if (this.stopOrientation) {
+            this.stopOrientation();
+            this.stopOrientation = null;
+        }
+    }
+}
+
+// One sample per devicemotion event, timestamped with the event's own time.
+// Thinning to the sample rate happens in the worker.
+export class DeviceMotionSource {
+    constructor({ getRate, channels, onSample }) {
+        this.backend = SensorBackend.DEVICE_MOTION;
+        this.getRate = getRate;
+        this.channels = channels;
+        this.onSample = onSample;
+        this.frequency = null;
+        this.motionHandler = null;
+        this.stopOrientation = null;
+    }
+
+    async start() {
+        let latestOrientation = null;
+
+        // Recorded rate; the browser decides how often devicemotion fires
+        this.frequency = this.getRate();
+
+        this.motionHandler = (event) => {
+            const time = performance.timeOrigin + event.timeStamp;
+            const timestamp = new Date(time).toISOString();
+            const sample = {};
+
+            // Log first few events for debugging
+            if (performance.now() < 5000) { // First 5 seconds
+                console.log('📱 Motion event:', {
+                    accel: event.accelerationIncludingGravity,
+                    gyro: event.rotationRate
+                });
+            }
+
+            // Process acceleration
+            if (event.accelerationIncludingGravity) {
+                const { x, y, z } = event.accelerationIncludingGravity;
+                if (validateSensorData('accel', { x, y, z })) {
+                    sample.accelTimestamp = timestamp;
+                    sample.accelX = x;
+                    sample.accelY = y;
+                    sample.accelZ = z;
+                }
+            }
+
+            // Process gyroscope
+            if (event.rotationRate) {
+                const { alpha, beta, gamma } = event.rotationRate;
+                if (isValidNumber(alpha) || isValidNumber(beta) || isValidNumber(gamma)) {
+                    sample.gyroTimestamp = timestamp;
+                    sample.gyroAlpha = alpha;
+                    sample.gyroBeta = beta;
+                    sample.gyroGamma = gamma;
+                }
+            }
+
+            // Gravity-free acceleration
+            if (this.channels.linearAcceleration && event.acceleration) {
+                const { x, y, z } = event.acceleration;
+                if (validateSensorData('accel', { x, y, z })) {
+                    sample.linearAccelX = x;
+                    sample.linearAccelY = y;
+                    sample.linearAccelZ = z;
+                }
+            }
+
+            // Sampling interval reported by the browser (ms)
+            if (this.channels.interval && isValidNumber(event.interval)) {
+                sample.motionInterval = event.interval;
+            }
+
+            // Latest device orientation
+            if (this.channels.orientation) {
+                addOrientation(sample, latestOrientation);
+            }
+
+            sample.timestamp = time;
+            this.onSample(sample);
+        };
+
+        window.addEventListener('devicemotion', this.motionHandler, { passive: true });
+
+        if (this.channels.orientation) {
+            this.stopOrientation = listenForOrientation(reading => {
+                latestOrientation = reading;
+            });
+        }
+    }
+
+    stop() {
+        if (this.motionHandler) {
+            window.removeEventListener('devicemotion', this.motionHandler);
+            this.motionHandler = null;
+        }
+        if (this.stopOrientation) {
+            this.stopOrientation();
+            this.stopOrientation = null;
+        }
+    }
+}
@@ -2,16 +2,20 @@
 // sensors.js - Sensor Management - FIXED VERSION
 // ============================================
 
-import { ErrorBoundary, validateSensorData } from './utils.js';
+import { ErrorBoundary } from './utils.js';
+import { SensorBackend, SENSOR_BACKEND_LABELS, createSensorSource, DeviceMotionSource } from './sensor-sources.js';
 
 export class SensorManager {
     constructor(onDataCallback) {
         this.onDataCallback = onDataCallback;
         this.watchId = null;
-        this.sensorRafId = null;
+        this.motionSource = null;
         this.batchInterval = null;
         this.cleanupMotion = null;
+        this.motionStart = Promise.resolve(); // Last (re)start of the motion source
         this.adaptiveSampleRate = 140;
+        this.sampleRateLimit = null; // Upper bound set while short of storage (storage-guard.js)
+        this.batteryLevel = 1; // Last level passed to adjustSampleRateForBattery
         this.isTracking = false;
         
         // Don't start UI tracking immediately - wait for permission check
@@ -71,6 +75,16 @@ export class SensorManager {
                     console.log('✅ Motion sensors permission granted');
                     this.updatePermissionStatus('accel', 'granted');
                     this.updatePermissionStatus('gyro', 'granted');
+                    
+                    // Orientation has its own prompt on iOS
+                    if (this.getChannels().orientation && typeof DeviceOrientationEvent?.requestPermission === 'function') {
+                        try {
+                            const orientationPermission = await DeviceOrientationEvent.requestPermission();
+                            console.log('Orientation permission response:', orientationPermission);
+                        } catch (error) {
+                            console.warn('Orientation permission request failed:', error);
+                        }
+                    }
                     return true;
                 } else {
                     console.log('❌ Motion sensors permission denied');
@@ -282,8 +296,21 @@ export class SensorManager {
         );
     }
     
-    // Start motion tracking for UI display (always active)
+    // Start (or restart) motion tracking for UI display (always active). Restarts run one
+    // after another - a battery change and a rate cap arriving together would otherwise
+    // both start a source and leave one of them running.
     startMotionForUI() {
+        this.motionStart = this.motionStart
+            .then(() => this.restartMotion())
+            .catch(error => {
+                ErrorBoundary.handle(error, 'Motion Sensors');
+                this.updatePermissionStatus('accel', 'error');
+                this.updatePermissionStatus('gyro', 'error');
+            });
+        return this.motionStart;
+    }
+    
+    async restartMotion() {
         if (typeof window === 'undefined') return;
         
         console.log('📱 Starting motion tracking for UI...');
@@ -291,149 +318,108 @@ export class SensorManager {
         // Clean up existing motion tracking
         if (this.cleanupMotion) {
             this.cleanupMotion();
+            this.cleanupMotion = null;
         }
         
-        // Store latest sensor data
-        let latestMotionEvent = null;
-        let lastProcessTime = 0;
         let lastUIUpdate = 0;
         
-        // Motion handler
-        const motionHandler = (event) => {
-            latestMotionEvent = {
-                acceleration: event.accelerationIncludingGravity,
-                rotationRate: event.rotationRate,
-                timestamp: event.timeStamp || performance.now()
-            };
-            
-            // Log first few events for debugging
-            if (performance.now() < 5000) { // First 5 seconds
-                console.log('📱 Motion event:', {
-                    accel: event.accelerationIncludingGravity,
-                    gyro: event.rotationRate
-                });
-            }
-        };
-        
-        window.addEventListener('devicemotion', motionHandler, { passive: true });
+        // One sample per processed motion event; the worker aligns them with GPS fixes
+        let motionBatch = [];
         
-        // High-frequency processing loop
-        const targetInterval = 1000 / this.adaptiveSampleRate;
-        let accelBatch = [];
-        let gyroBatch = [];
-        
-        const processMotionData = (currentTime) => {
-            if (!latestMotionEvent) {
-                this.sensorRafId = requestAnimationFrame(processMotionData);
-                return;
-            }
+        const onSample = (sample) => {
+            const currentTime = performance.now();
             
-            const deltaTime = currentTime - lastProcessTime;
-            
-            // Only process if enough time has passed (rate limiting)
-            if (deltaTime >= targetInterval) {
-                const now = Date.now();
-                const timestamp = new Date().toISOString();
-                
-                // Process acceleration
-                if (latestMotionEvent.acceleration) {
-                    const { x, y, z } = latestMotionEvent.acceleration;
-                    
-                    if (validateSensorData('accel', { x, y, z })) {
-                        // Update UI every 100ms (10Hz)
-                        if (currentTime - lastUIUpdate > 100) {
-                            this.updateAccelUI(x, y, z);
-                        }
-                        
-                        // Send data if recording (tracking mode)
-                        if (this.isTracking) {
-                            accelBatch.push({
-                                recordingTimestamp: this.recordingStartTime,
-                                userId: this.recordingUserId,
-                                accelTimestamp: timestamp,
-                                accelX: x,
-                                accelY: y,
-                                accelZ: z,
-                                timestamp: now
-                            });
-                        }
-                    }
+            // Update UI every 100ms (10Hz)
+            if (currentTime - lastUIUpdate > 100) {
+                if (sample.accelX !== undefined) {
+                    this.updateAccelUI(sample.accelX, sample.accelY, sample.accelZ);
                 }
-                
-                // Process gyroscope
-                if (latestMotionEvent.rotationRate) {
-                    const { alpha, beta, gamma } = latestMotionEvent.rotationRate;
-                    
-                    if (this.isValidGyroData(alpha, beta, gamma)) {
-                        // Update UI every 100ms (10Hz)
-                        if (currentTime - lastUIUpdate > 100) {
-                            this.updateGyroUI(alpha, beta, gamma);
-                            lastUIUpdate = currentTime;
-                        }
-                        
-                        // Send data if recording (tracking mode)
-                        if (this.isTracking) {
-                            gyroBatch.push({
-                                recordingTimestamp: this.recordingStartTime,
-                                userId: this.recordingUserId,
-                                gyroTimestamp: timestamp,
-                                gyroAlpha: alpha,
-                                gyroBeta: beta,
-                                gyroGamma: gamma,
-                                timestamp: now
-                            });
-                        }
-                    }
-                }
-                
-                // Send batches when they reach target size (only when recording)
-                if (this.isTracking && this.onDataCallback && accelBatch.length >= 10) {
-                    this.onDataCallback(accelBatch);
-                    accelBatch = [];
+                if (sample.gyroAlpha !== undefined) {
+                    this.updateGyroUI(sample.gyroAlpha, sample.gyroBeta, sample.gyroGamma);
                 }
-                
-                if (this.isTracking && this.onDataCallback && gyroBatch.length >= 10) {
-                    this.onDataCallback(gyroBatch);
-                    gyroBatch = [];
-                }
-                
-                lastProcessTime = currentTime;
+                lastUIUpdate = currentTime;
             }
             
-            this.sensorRafId = requestAnimationFrame(processMotionData);
+            // Send data if recording (tracking mode); the sample keeps its sensor timestamp
+            if (!this.isTracking || Object.keys(sample).length <= 1) return;
+            
+            motionBatch.push({
+                recordingTimestamp: this.recordingStartTime,
+                userId: this.recordingUserId,
+                ...sample
+            });
+            
+            // Send batches when they reach target size (only when recording)
+            if (this.onDataCallback && motionBatch.length >= 10) {
+                this.onDataCallback(motionBatch);
+                motionBatch = [];
+            }
+        };
+        
+        const options = {
+            getRate: () => this.adaptiveSampleRate,
+            channels: this.getChannels(),
+            onSample
         };
+        const preference = window.MotionRecorderConfig?.sensors?.backend || 'auto';
         
-        // Start processing loop
-        this.sensorRafId = requestAnimationFrame(processMotionData);
+        let source = createSensorSource(preference, options);
+        try {
+            await source.start();
+        } catch (error) {
+            console.warn(`⚠️ ${SENSOR_BACKEND_LABELS[source.backend]} failed, falling back to devicemotion:`, error);
+            source = new DeviceMotionSource(options);
+            await source.start();
+        }
+        this.motionSource = source;
+        this.updateBackendStatus(source);
         
         // Periodic batch flush for remaining data (only when recording)
         this.batchInterval = setInterval(() => {
-            if (this.isTracking && this.onDataCallback) {
-                if (accelBatch.length > 0) {
-                    this.onDataCallback(accelBatch);
-                    accelBatch = [];
-                }
-                if (gyroBatch.length > 0) {
-                    this.onDataCallback(gyroBatch);
-                    gyroBatch = [];
-                }
+            if (this.isTracking && this.onDataCallback && motionBatch.length > 0) {
+                this.onDataCallback(motionBatch);
+                motionBatch = [];
             }
         }, 100);
         
-        // Store cleanup function
+        // Store cleanup function; samples still batched go out before the source stops
         this.cleanupMotion = () => {
-            window.removeEventListener('devicemotion', motionHandler);
-            if (this.sensorRafId) {
-                cancelAnimationFrame(this.sensorRafId);
-                this.sensorRafId = null;
+            if (this.isTracking && this.onDataCallback && motionBatch.length > 0) {
+                this.onDataCallback(motionBatch);
+                motionBatch = [];
             }
+            source.stop();
+            this.motionSource = null;
             if (this.batchInterval) {
                 clearInterval(this.batchInterval);
                 this.batchInterval = null;
             }
         };
         
-        console.log('✅ Motion tracking started');
+        console.log('✅ Motion tracking started with', source.backend);
+    }
+    
+    // Show the active backend in the Permissions tab
+    updateBackendStatus(source) {
+        if (typeof document === 'undefined') return;
+        
+        const element = document.getElementById('sensor-backend-status');
+        if (element) {
+            element.textContent = `${SENSOR_BACKEND_LABELS[source.backend]} @ ${source.frequency} Hz`;
+            element.className = 'permission-status status-granted';
+        }
+    }
+    
+    // Optional channels recorded alongside accel and gyro (MotionRecorderConfig.sensors.channels)
+    getChannels() {
+        const channels = (typeof window !== 'undefined' && window.MotionRecorderConfig?.sensors?.channels) || {};
+        return {
+            orientation: channels.orientation !== false,
+            linearAcceleration: channels.linearAcceleration !== false,
+            interval: channels.interval !== false,
+            magnetometer: channels.magnetometer !== false,
+            orientationQuaternion: channels.orientationQuaternion !== false
+        };
     }
     
     // Enhanced gyroscope data validation
@@ -554,6 +540,9 @@ export class SensorManager {
     }
     
     adjustSampleRateForBattery(batteryLevel) {
+        const previousRate = this.adaptiveSampleRate;
+        this.batteryLevel = batteryLevel;
+        
         if (batteryLevel < 0.2) {
             this.adaptiveSampleRate = 60;
             console.log('🔋 Battery low, reducing sample rate to 60Hz');
@@ -563,6 +552,29 @@ export class SensorManager {
             const targetRate = (typeof window !== 'undefined' && window.MotionRecorderConfig?.sensors?.targetRate) || 140;
             this.adaptiveSampleRate = targetRate;
         }
+        
+        if (this.sampleRateLimit) {
+            this.adaptiveSampleRate = Math.min(this.adaptiveSampleRate, this.sampleRateLimit);
+        }
+        
+        // Generic sensors take their frequency at construction time
+        if (this.adaptiveSampleRate !== previousRate && this.motionSource?.backend === SensorBackend.GENERIC_SENSOR) {
+            this.startMotionForUI();
+        }
+    }
+    
+    // Cap the sample rate (null removes the cap); battery adjustments stay below it
+    limitSampleRate(rate) {
+        this.sampleRateLimit = rate;
+        
+        if (!rate) {
+            this.adjustSampleRateForBattery(this.batteryLevel);
+        } else if (this.adaptiveSampleRate > rate) {
+            this.adaptiveSampleRate = rate;
+            if (this.motionSource?.backend === SensorBackend.GENERIC_SENSOR) {
+                this.startMotionForUI();
+            }
+        }
     }
     
     checkRecordingPermissions() {
@@ -0,0 +1,256 @@
+// ============================================
+// storage-guard.js - Storage Quota Checks Before and During Recording
+// ============================================
+//
+// IndexedDB writes start failing once the origin's quota is used up, and every sample
+// after that is lost. Before the first recording the guard asks the browser to make our
+// storage persistent, so it isn't evicted under pressure, and before each recording it
+// estimates what the recording will need at the current sample rate. While recording it
+// re-checks the free space every storage.quotaCheckInterval and, below
+// storage.lowSpaceThreshold, applies storage.lowSpacePolicy: 'downsample' caps the rate
+// at storage.downsampleRate, 'stop' ends the recording, 'warn' only warns. Below
+// storage.criticalSpaceThreshold, or when the worker hits a QuotaExceededError, the
+// recording is always stopped.
+
+const MB = 1048576;
+
+// Bytes per value in a data chunk column (sample-codec.js)
+const COLUMN_BYTES = { f64: 8, time: 8, f32: 4, bool: 1 };
+
+// Stored chunks take more than their column bytes (keys, indexes, record framing)
+const STORAGE_OVERHEAD = 1.3;
+
+const PERSIST_KEY = 'motionRecorder.persistRequested';
+
+export const LowSpacePolicy = {
+    DOWNSAMPLE: 'downsample',
+    STOP: 'stop',
+    WARN: 'warn'
+};
+
+// Stored bytes per data point with every channel present
+export function estimateRowBytes() {
+    const columns = Object.values(SampleCodec.CHANNELS).reduce((sum, type) => sum + COLUMN_BYTES[type], 0);
+    return Math.ceil(columns * STORAGE_OVERHEAD);
+}
+
+// Bytes a recording of durationMs at sampleRate Hz will take up
+export function estimateRecordingBytes(sampleRate, durationMs, layout = 'fused') {
+    // Sparse rows carry one sensor each: accelerometer and gyroscope rows at the sample rate
+    const rowsPerSecond = layout === 'sparse' ? sampleRate * 2 : sampleRate;
+    return Math.ceil(rowsPerSecond * (durationMs / 1000) * estimateRowBytes());
+}
+
+export function formatMB(bytes) {
+    return `${(bytes / MB).toFixed(bytes < 10 * MB ? 1 : 0)} MB`;
+}
+
+export class StorageGuard {
+    constructor(app) {
+        this.app = app;
+        this.checkTimer = null;
+        this.recordingId = null;
+        this.downsampled = false;
+        this.stopping = false;
+        this.lowSpaceWarned = false;
+    }
+
+    getSettings() {
+        const storage = window.MotionRecorderConfig?.storage || {};
+        const policy = Object.values(LowSpacePolicy).includes(storage.lowSpacePolicy)
+            ? storage.lowSpacePolicy
+            : LowSpacePolicy.DOWNSAMPLE;
+
+        return {
+            persistentStorage: storage.persistentStorage !== false,
+            lowSpaceBytes: (storage.lowSpaceThreshold ?? 200) * MB,
+            criticalSpaceBytes: (storage.criticalSpaceThreshold ?? 50) * MB,
+            policy,
+            downsampleRate: storage.downsampleRate || 30,
+            checkInterval: storage.quotaCheckInterval || 10000
+        };
+    }
+
+    // { usage, quota, available, low, critical }, or null where the browser can't tell
+    async getStatus() {
+        if (!navigator.storage?.estimate) return null;
+
+        const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+        if (!quota) return null;
+
+        const { lowSpaceBytes, criticalSpaceBytes } = this.getSettings();
+        const available = Math.max(0, quota - usage);
+        return {
+            usage,
+            quota,
+            available,
+            low: available < lowSpaceBytes,
+            critical: available < criticalSpaceBytes
+        };
+    }
+
+    // { text: '812 MB free · ~105 MB per hour at 140 Hz', low } for the Data tab; null if unknown
+    async describe() {
+        const status = await this.getStatus();
+        if (!status) return null;
+
+        const rate = this.app.sensorManager.adaptiveSampleRate;
+        const layout = window.MotionRecorderConfig?.sensors?.fusion?.layout;
+        const hourly = estimateRecordingBytes(rate, 3600000, layout);
+        return {
+            text: `${formatMB(status.available)} free · ~${formatMB(hourly)} per hour at ${rate} Hz`,
+            low: status.low
+        };
+    }
+
+    // Warn once at startup if space is already short
+    async init() {
+        try {
+            const status = await this.getStatus();
+            if (status?.low) {
+                this.warnLowSpace(status);
+            }
+        } catch (error) {
+            console.warn('Storage estimate unavailable:', error);
+        }
+    }
+
+    warnLowSpace(status) {
+        if (this.lowSpaceWarned) return;
+        this.lowSpaceWarned = true;
+
+        this.app.uiManager.showNotification(
+            `⚠️ Low storage: ${formatMB(status.available)} free. Upload or delete recordings to make room.`,
+            'warning'
+        );
+    }
+
+    // Ask for persistent storage once, at the first recording. Browsers decide on their own
+    // (site engagement, installed app) or prompt; either way we don't wait for the answer.
+    async requestPersistence() {
+        if (!this.getSettings().persistentStorage || !navigator.storage?.persist) return false;
+
+        try {
+            if (await navigator.storage.persisted()) return true;
+            if (localStorage.getItem(PERSIST_KEY)) return false;
+
+            localStorage.setItem(PERSIST_KEY, new Date().toISOString());
+            const granted = await navigator.storage.persist();
+            console.log(granted ? '💾 Persistent storage granted' : '⚠️ Persistent storage denied - data may be evicted under storage pressure');
+            return granted;
+        } catch (error) {
+            console.warn('Persistent storage request failed:', error);
+            return false;
+        }
+    }
+
+    // Estimate for a recording of durationMs at sampleRate against the free space:
+    // { bytes, available, fits, fitsMs, blocked }. blocked means there isn't even room to start.
+    async preflight(sampleRate, durationMs) {
+        const layout = window.MotionRecorderConfig?.sensors?.fusion?.layout;
+        const bytes = estimateRecordingBytes(sampleRate, durationMs, layout);
+        const status = await this.getStatus();
+        if (!status) {
+            return { bytes, available: null, fits: true, fitsMs: durationMs, blocked: false };
+        }
+
+        // Recording continues until the free space reaches the critical threshold
+        const { criticalSpaceBytes } = this.getSettings();
+        const usable = Math.max(0, status.available - criticalSpaceBytes);
+        const bytesPerMs = bytes / durationMs;
+
+        return {
+            bytes,
+            available: status.available,
+            fits: usable >= bytes,
+            fitsMs: Math.min(durationMs, Math.floor(usable / bytesPerMs)),
+            blocked: status.critical
+        };
+    }
+
+    // Watch the free space while recordingId is being recorded
+    start(recordingId) {
+        this.stop();
+        this.recordingId = recordingId;
+        this.checkTimer = setInterval(() => this.check(), this.getSettings().checkInterval);
+    }
+
+    stop() {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+        if (this.downsampled) {
+            this.app.sensorManager.limitSampleRate(null);
+        }
+        this.recordingId = null;
+        this.downsampled = false;
+        this.stopping = false;
+    }
+
+    async check() {
+        if (!this.app.isRecording || this.stopping) return;
+
+        try {
+            const status = await this.getStatus();
+            if (!status?.low) return;
+
+            const { policy } = this.getSettings();
+            if (status.critical || policy === LowSpacePolicy.STOP) {
+                await this.stopRecording(`only ${formatMB(status.available)} of storage left`);
+            } else if (policy === LowSpacePolicy.DOWNSAMPLE) {
+                await this.downsample(status);
+            } else {
+                this.warnLowSpace(status);
+            }
+        } catch (error) {
+            console.warn('Storage check failed:', error);
+        }
+    }
+
+    async downsample(status) {
+        const { downsampleRate } = this.getSettings();
+        if (this.downsampled || this.app.sensorManager.adaptiveSampleRate <= downsampleRate) return;
+        this.downsampled = true;
+
+        this.app.sensorManager.limitSampleRate(downsampleRate);
+        this.app.workerManager.setSampleRate(this.app.sensorManager.adaptiveSampleRate);
+        await this.recordLimit({ action: 'downsample', rate: downsampleRate, available: status.available });
+
+        console.log(`💾 Storage low (${formatMB(status.available)} free) - sample rate reduced to ${downsampleRate} Hz`);
+        this.app.uiManager.showNotification(
+            `⚠️ Storage low (${formatMB(status.available)} free): recording continues at ${downsampleRate} Hz`,
+            'warning'
+        );
+    }
+
+    // The worker couldn't write a batch because the quota is used up
+    handleStorageFull() {
+        return this.stopRecording('storage is full');
+    }
+
+    async stopRecording(reason) {
+        if (!this.app.isRecording || this.stopping) return;
+        this.stopping = true;
+
+        // Stop first - the note below may fail for the same lack of space
+        const recordingId = this.recordingId;
+        console.warn(`💾 Stopping recording: ${reason}`);
+        await this.app.stopRecording();
+        this.app.uiManager.showNotification(`⛔ Recording stopped: ${reason}. Upload or delete recordings to make room.`, 'error');
+        await this.recordLimit({ action: 'stop', reason }, recordingId);
+    }
+
+    // Note on the recording what the guard did to it, for whoever analyses the data
+    async recordLimit(limit, recordingId = this.recordingId) {
+        if (!recordingId) return;
+
+        try {
+            await this.app.databaseManager.updateRecording(recordingId, {
+                storageLimit: { ...limit, at: new Date().toISOString() }
+            });
+        } catch (error) {
+            console.warn('Failed to note storage limit on recording:', error);
+        }
+    }
+}
@@ -1,5 +1,26 @@
-const CACHE_NAME = 'motion-recorder-v2';
-const CACHE_VERSION = '2.0.0';
+const CACHE_NAME = 'motion-recorder-v3';
+const CACHE_VERSION = '2.1.0';
+
+// Shared CSV formatting (also used by worker.js)
+importScripts('./export-formats.js');
+
+// Columnar data chunk decoding (shared with database.js and worker.js)
+importScripts('./sample-codec.js');
+
+// Decryption of data encrypted at rest (shared with database.js and worker.js)
+importScripts('./at-rest-crypto.js');
+
+// Data retention rules (shared with the page)
+importScripts('./retention-policy.js');
+
+// Signing uploads with the device key the page enrolled (shared with the page)
+importScripts('./request-signing.js');
+
+// IndexedDB owned by the page (database.js) - the service worker never upgrades it
+const DB_NAME = 'MotionRecorderDB';
+
+// Rough size of one encoded row - the estimate app.js uses to pick chunked uploads
+const ESTIMATED_ROW_BYTES = 200;
 
 // Essential files that must be cached
 const CRITICAL_RESOURCES = [
@@ -8,6 +29,27 @@ const CRITICAL_RESOURCES = [
     './styles.css',
     './app.js',
     './worker.js',
+    './export-formats.js',
+    './sample-codec.js',
+    './at-rest-crypto.js',
+    './retention-policy.js',
+    './request-signing.js',
+    './sensor-fusion.js',
+    './sensor-sources.js',
+    './upload-queue.js',
+    './chunked-upload.js',
+    './upload-targets.js',
+    './privacy-zones.js',
+    './recordings-browser.js',
+    './activity-labels.js',
+    './export-stream.js',
+    './recording-recovery.js',
+    './zip-archive.js',
+    './recording-import.js',
+    './data-retention.js',
+    './consent.js',
+    './storage-guard.js',
+    './upload-signer.js',
     './manifest.json'
 ];
 
@@ -376,25 +418,345 @@ self.addEventListener('sync', (event) => {
     }
 });
 
+// ---- IndexedDB access for background uploads ----
+
+const openDatabase = () => {
+    return new Promise((resolve, reject) => {
+        // No version: open whatever the page created last
+        const request = indexedDB.open(DB_NAME);
+        
+        request.onupgradeneeded = () => {
+            // The page has never opened the database, so there is nothing to upload
+            request.transaction.abort();
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+const requestToPromise = (request) => {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+// Atomically move an entry to 'uploading' so the page and the service worker never upload the same recording
+const claimUploadEntry = (db, recordingId, staleAfter) => {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['uploadQueue', 'recordings'], 'readwrite');
+        const queueStore = transaction.objectStore('uploadQueue');
+        const recordingStore = transaction.objectStore('recordings');
+        let claimed = null;
+        
+        const getRequest = queueStore.get(recordingId);
+        getRequest.onsuccess = () => {
+            const entry = getRequest.result;
+            if (!entry) return;
+            
+            const now = Date.now();
+            const isStale = entry.status === 'uploading' && now - entry.updatedAt > staleAfter;
+            if (entry.status !== 'pending' && !isStale) return;
+            
+            entry.status = 'uploading';
+            entry.updatedAt = now;
+            queueStore.put(entry);
+            claimed = entry;
+            
+            const recordingRequest = recordingStore.get(recordingId);
+            recordingRequest.onsuccess = () => {
+                const recording = recordingRequest.result;
+                if (recording) {
+                    recording.uploadStatus = entry.status;
+                    recordingStore.put(recording);
+                }
+            };
+        };
+        
+        transaction.oncomplete = () => resolve(claimed);
+        transaction.onerror = () => reject(transaction.error);
+    });
+};
+
+// Save the queue entry and mirror its status onto the recording, like DatabaseManager.saveUploadEntry
+const saveUploadEntry = (db, entry) => {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['uploadQueue', 'recordings'], 'readwrite');
+        const recordingStore = transaction.objectStore('recordings');
+        
+        transaction.objectStore('uploadQueue').put(entry);
+        
+        const recordingRequest = recordingStore.get(entry.recordingId);
+        recordingRequest.onsuccess = () => {
+            const recording = recordingRequest.result;
+            if (recording) {
+                recording.uploadStatus = entry.status;
+                recordingStore.put(recording);
+            }
+        };
+        
+        transaction.oncomplete = () => resolve(entry);
+        transaction.onerror = () => reject(transaction.error);
+    });
+};
+
+// Data points of a recording from the chunk store, or the per-point store the page used before version 6.
+// Encrypted chunks are decrypted once read, which ends the transaction - make this its last request.
+const readDataPoints = async (transaction, recordingId, getDataKey) => {
+    if (transaction.objectStoreNames.contains('dataChunks')) {
+        const chunks = await requestToPromise(
+            transaction.objectStore('dataChunks').index('recordingEnd').getAll(SampleCodec.chunkRange(recordingId))
+        );
+        const dataPoints = [];
+        for (const chunk of chunks) {
+            const plain = chunk.encrypted ? await AtRestCrypto.decryptChunk(chunk, await getDataKey()) : chunk;
+            dataPoints.push(...SampleCodec.decodeChunk(plain));
+        }
+        return dataPoints;
+    }
+    return requestToPromise(transaction.objectStore('dataPoints').index('recordingId').getAll(recordingId));
+};
+
+// The location privacy settings the page stored (privacy-zones.js), decrypted if encryption
+// is on; null before the page has stored them
+const readPrivacySettings = async (db, getDataKey) => {
+    if (!db.objectStoreNames.contains('settings')) return null;
+    const record = await requestToPromise(db.transaction(['settings'], 'readonly').objectStore('settings').get('privacy'));
+    if (!record) return null;
+    return record.encrypted ? AtRestCrypto.decryptValue(record.encrypted, await getDataKey()) : record.settings;
+};
+
+const uploadRecording = async (db, entry) => {
+    // The labels and dataChunks stores only exist once the page has upgraded the database
+    const hasLabels = db.objectStoreNames.contains('labels');
+    const dataStore = db.objectStoreNames.contains('dataChunks') ? 'dataChunks' : 'dataPoints';
+    const transaction = db.transaction(hasLabels ? ['recordings', dataStore, 'labels'] : ['recordings', dataStore], 'readonly');
+    const storedRecording = await requestToPromise(transaction.objectStore('recordings').get(entry.recordingId));
+    const labels = hasLabels
+        ? (await requestToPromise(transaction.objectStore('labels').index('recordingId').getAll(entry.recordingId)))
+            .sort((a, b) => a.timestamp - b.timestamp)
+        : [];
+    
+    // A background upload holds the whole recording and body in memory. Recordings the page
+    // would upload in parts are left to it before any of their data is read.
+    const maxPayloadSize = entry.target?.maxPayloadSize || Infinity;
+    if ((storedRecording?.dataPointCount || 0) * ESTIMATED_ROW_BYTES > maxPayloadSize) {
+        return { deferred: true, reason: 'is too large for a background upload', dataPoints: 0 };
+    }
+    
+    // Data encrypted at rest opens with the device key; a passphrase-protected key only
+    // the page can unlock, so the upload waits for it
+    let dataKey = null;
+    const getDataKey = async () => dataKey ||= await AtRestCrypto.loadDataKey(db);
+    let recording;
+    let dataPoints;
+    let privacy;
+    try {
+        dataPoints = await readDataPoints(transaction, entry.recordingId, getDataKey);
+        recording = storedRecording?.encrypted
+            ? await AtRestCrypto.decryptRecording(storedRecording, await getDataKey())
+            : storedRecording;
+        privacy = await readPrivacySettings(db, getDataKey);
+    } catch (error) {
+        if (AtRestCrypto.isLockedError(error)) {
+            return { deferred: true, reason: 'is locked behind the passphrase', dataPoints: 0 };
+        }
+        throw error;
+    }
+    
+    if (dataPoints.length === 0) {
+        return { skipped: true, dataPoints: 0 };
+    }
+    
+    // Uploading without them could expose positions inside privacy zones
+    if (!privacy) {
+        return { deferred: true, reason: 'waits for the location privacy settings', dataPoints: dataPoints.length };
+    }
+    
+    const target = entry.target;
+    if (!target?.endpoint) {
+        throw new Error('Queue entry has no upload target');
+    }
+    
+    const userId = recording?.userId || dataPoints[0].userId || 'unknown';
+    const metadata = {
+        version: '2.0.0',
+        uploadTime: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        userId
+    };
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
+    const { extension } = MotionExport.EXPORT_FORMATS[target.format === 'csv-multipart' ? 'csv' : target.format];
+    // Entries queued before export settings were snapshotted use the defaults. Privacy is
+    // always the current setting, never a copy that older entries may still carry.
+    const settings = { ...(entry.exportSettings || MotionExport.EXPORT_DEFAULTS), privacy };
+    
+    const encoded = MotionExport.encodeUpload(target, { recording, dataPoints, labels, metadata, settings });
+    
+    // Larger than estimated: the page's chunked upload takes it from here
+    if (encoded.length > maxPayloadSize) {
+        return { deferred: true, reason: 'is too large for a background upload', dataPoints: dataPoints.length };
+    }
+    
+    // Signing targets need the key the page enrolled; without one the page enrolls first
+    const credential = target.signing ? await UploadSigning.loadCredential(db, target.id) : null;
+    if (target.signing && !credential) {
+        return { deferred: true, reason: 'needs this device enrolled with the server', dataPoints: dataPoints.length };
+    }
+    
+    const request = MotionExport.buildUploadRequest(target, {
+        recording,
+        dataPoints,
+        labels,
+        metadata,
+        content: encoded,
+        filename: `motion-data-${userId}-${timestamp}${extension}`
+    });
+    
+    // Signed per attempt, so the uncompressed fallback gets its own nonce
+    const send = async ({ headers, body }) => {
+        const signed = credential
+            ? await UploadSigning.signRequest(credential, { method: 'POST', url: target.endpoint, body, headers })
+            : { headers, body };
+        return fetch(target.endpoint, { method: 'POST', headers: signed.headers, body: signed.body });
+    };
+    
+    let response = null;
+    let compression = null;
+    if (shouldCompressUpload(target, settings)) {
+        const compressed = await MotionExport.compressUploadRequest(request);
+        response = await send(compressed);
+        compression = { originalBytes: compressed.originalSize, sentBytes: compressed.size };
+        
+        // Servers that don't take Content-Encoding get the same request uncompressed
+        if (MotionExport.isCompressionRejected(response.status)) {
+            log(`${target.name} rejected the gzipped upload (${response.status}) - sending it uncompressed`);
+            response = null;
+            compression = null;
+        }
+    }
+    if (!response) {
+        response = await send(request);
+    }
+    
+    // A rejected signature drops the key; the page enrolls again and takes the upload over
+    if (response.status === 401 && credential) {
+        await UploadSigning.deleteCredential(db, target.id);
+        return { deferred: true, reason: 'was rejected with this device\'s key', dataPoints: dataPoints.length };
+    }
+    
+    if (!response.ok) {
+        throw new Error(`Upload failed: ${response.status} ${response.statusText}`);
+    }
+    
+    return { dataPoints: dataPoints.length, compression };
+};
+
+// Same rule as the page: gzip when export.compressExports is on or the connection is poor,
+// unless the target rejected gzip bodies before the upload was queued
+const shouldCompressUpload = (target, settings) => {
+    if (typeof CompressionStream !== 'function' || target.acceptsCompression === false) {
+        return false;
+    }
+    const effectiveType = self.navigator.connection?.effectiveType;
+    return settings.compress || effectiveType === 'slow-2g' || effectiveType === '2g';
+};
+
 const uploadPendingData = async () => {
+    log('Attempting to upload pending data');
+    
+    let db;
+    try {
+        db = await openDatabase();
+    } catch (err) {
+        log('No local database to upload from', err?.message);
+        return;
+    }
+    
+    const uploaded = [];
+    const failed = [];
+    let shouldRetry = false;
+    
     try {
-        log('Attempting to upload pending data');
+        if (!db.objectStoreNames.contains('uploadQueue')) {
+            return;
+        }
         
-        // This would integrate with the main app's IndexedDB
-        // to find and upload any pending recordings
-        const clients = await self.clients.matchAll();
+        const entries = await requestToPromise(
+            db.transaction(['uploadQueue'], 'readonly').objectStore('uploadQueue').getAll()
+        );
         
-        for (const client of clients) {
-            client.postMessage({
-                type: 'SYNC_UPLOAD_REQUESTED',
-                timestamp: Date.now()
-            });
+        for (const entry of entries) {
+            if (entry.status !== 'pending' && entry.status !== 'uploading') continue;
+            
+            // Ignore backoff here - the browser only fires sync once connectivity is back
+            const claimed = await claimUploadEntry(db, entry.recordingId, NETWORK_TIMEOUT * 12);
+            if (!claimed) continue;
+            
+            try {
+                const result = await uploadRecording(db, claimed);
+                
+                if (result.deferred) {
+                    // Hand the entry back to the page without counting an attempt
+                    await saveUploadEntry(db, Object.assign(claimed, {
+                        status: 'pending',
+                        updatedAt: Date.now()
+                    }));
+                    log(`Recording ${claimed.recordingId} ${result.reason} - left for the app`);
+                    continue;
+                }
+                
+                await saveUploadEntry(db, Object.assign(claimed, {
+                    status: 'uploaded',
+                    uploadedAt: new Date().toISOString(),
+                    lastError: null,
+                    updatedAt: Date.now()
+                }));
+                
+                uploaded.push({ recordingId: claimed.recordingId, dataPoints: result.dataPoints, compression: result.compression });
+                log(`Uploaded recording ${claimed.recordingId} in background`);
+                
+            } catch (err) {
+                const attempts = (claimed.attempts || 0) + 1;
+                const retryAttempts = claimed.retryAttempts ?? 3;
+                const exhausted = attempts > retryAttempts;
+                
+                await saveUploadEntry(db, Object.assign(claimed, {
+                    status: exhausted ? 'failed' : 'pending',
+                    attempts,
+                    nextAttemptAt: Date.now(),
+                    lastError: err.message,
+                    updatedAt: Date.now()
+                }));
+                
+                if (exhausted) {
+                    failed.push(claimed.recordingId);
+                } else {
+                    shouldRetry = true;
+                }
+                error(`Background upload of recording ${claimed.recordingId} failed`, err);
+            }
         }
         
-        log('Upload sync message sent to clients');
+    } finally {
+        db.close();
         
-    } catch (err) {
-        error('Background upload failed', err);
+        if (uploaded.length > 0 || failed.length > 0) {
+            const clients = await self.clients.matchAll();
+            for (const client of clients) {
+                client.postMessage({
+                    type: 'SYNC_UPLOAD_COMPLETE',
+                    uploaded,
+                    failed,
+                    timestamp: Date.now()
+                });
+            }
+        }
+    }
+    
+    // Rejecting tells the browser to retry the sync later with its own backoff
+    if (shouldRetry) {
+        throw new Error('Some uploads failed - background sync will retry');
     }
 };
 
@@ -452,9 +814,41 @@ self.addEventListener('periodicsync', (event) => {
     
     if (event.tag === 'cache-maintenance') {
         event.waitUntil(manageCache());
+    } else if (event.tag === RetentionPolicy.PERIODIC_SYNC_TAG) {
+        event.waitUntil(enforceRetention());
     }
 });
 
+// Purge expired recordings with the policy the page last saved
+const enforceRetention = async () => {
+    let db;
+    try {
+        db = await openDatabase();
+        const policy = await RetentionPolicy.loadPolicy(db);
+        if (!policy) {
+            log('No retention policy saved yet - skipping cleanup');
+            return;
+        }
+        
+        const result = await RetentionPolicy.purgeExpired(db, policy, { source: 'service-worker' });
+        log(`Retention cleanup: ${result.deleted.length} recording(s) deleted, ${result.sessionsDropped} stale upload session(s) dropped`, result.kept);
+        
+        if (result.deleted.length > 0) {
+            const clients = await self.clients.matchAll();
+            for (const client of clients) {
+                client.postMessage({
+                    type: 'RETENTION_CLEANUP_COMPLETE',
+                    deleted: result.deleted.length
+                });
+            }
+        }
+    } catch (err) {
+        error('Retention cleanup failed', err);
+    } finally {
+        db?.close();
+    }
+};
+
 // Handle client communication
 self.addEventListener('message', (event) => {
     const { type, data } = event.data;
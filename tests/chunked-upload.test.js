@@ -0,0 +1,88 @@
+// Chunked, resumable uploads (chunked-upload.js) to mock-upload-server.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { ROOT, loadScripts, createDatabase, startMockServer } = require('./helpers');
+
+loadScripts('export-formats.js');
+
+const { ChunkedUploader, createCSVEncoder } = require(`${ROOT}/chunked-upload.js`);
+
+const START = Date.UTC(2024, 0, 15, 8, 30);
+
+// Not a multiple of the batch size, and batches end partway through chunks
+const TOTAL = 18 * 280;
+
+let databaseManager;
+let server;
+let outDir;
+
+test.before(async () => {
+    databaseManager = await createDatabase();
+    for (let c = 0; c < 18; c++) {
+        await databaseManager.saveDataChunk(Array.from({ length: 280 }, (_, i) => ({ timestamp: START + (c * 280 + i) * 10, accelX: c * 280 + i })), 1);
+    }
+
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chunked-upload-'));
+    // Every 4th part fails, so the upload has to resume
+    server = await startMockServer(['--out', outDir, '--fail-every', '4']);
+});
+
+test.after(async () => {
+    await server?.stop();
+    fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+const upload = (uploader, recordingId = 1) => uploader.upload({
+    recordingId,
+    targetId: 'mock',
+    format: 'csv',
+    totalDataPoints: TOTAL,
+    createEncoder: (state) => createCSVEncoder(state)
+});
+
+test('an upload that fails partway resumes and delivers every row', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const uploader = new ChunkedUploader(databaseManager, { baseUrl: server.url, partSize: 16 * 1024, batchSize: 1000 });
+
+    let result = null;
+    let failures = 0;
+    while (!result) {
+        try {
+            result = await upload(uploader);
+        } catch (error) {
+            assert.match(error.message, /503/);
+            assert.ok(++failures < 20, 'upload never finished');
+        }
+    }
+
+    assert.ok(failures > 0);
+    assert.equal(result.dataPoints, TOTAL);
+    assert.equal(await databaseManager.getUploadSession(ChunkedUploader.sessionKey(1, 'mock', 'csv')), null);
+
+    const [file] = fs.readdirSync(outDir);
+    const rows = fs.readFileSync(path.join(outDir, file), 'utf8').split('\n').slice(1).filter(line => line && !line.startsWith('#'));
+    assert.deepEqual(rows.map(line => Number(line.split(',')[MotionExport.CSV_HEADERS.indexOf('Accel X')])), Array.from({ length: TOTAL }, (_, i) => i));
+});
+
+test('an upload that reads fewer rows than the recording holds is not completed', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    // The same store, except that batches stop after the first one
+    const short = Object.assign(Object.create(databaseManager), {
+        async* getDataPointsBatch(...args) {
+            for await (const batch of databaseManager.getDataPointsBatch(...args)) {
+                yield batch;
+                return;
+            }
+        }
+    });
+    const files = fs.readdirSync(outDir).length;
+    const uploader = new ChunkedUploader(short, { baseUrl: server.url, partSize: 1024 * 1024, batchSize: 1000 });
+
+    await assert.rejects(upload(uploader), /Read 1000 of the 5040 data points of recording 1/);
+    assert.equal(fs.readdirSync(outDir).length, files);
+});
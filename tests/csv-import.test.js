@@ -0,0 +1,83 @@
+// Reading exported CSV files back into data points
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers');
+
+loadScripts('sample-codec.js', 'export-formats.js');
+
+const { resolveExportSettings, generateCSV, detectCSVDelimiter, createCSVParser, createCSVRowReader } = MotionExport;
+
+// Records of text pushed in pieces of `size` characters, as a stream would deliver it
+const parse = (text, delimiter = ',', size = text.length) => {
+    const parser = createCSVParser(delimiter);
+    const records = [];
+    for (let i = 0; i < text.length; i += size) {
+        records.push(...parser.push(text.slice(i, i + size)));
+    }
+    return [...records, ...parser.finish()];
+};
+
+// What RecordingImporter does with a file: skip blank and '#' lines, read the rest
+const importCSV = (text) => {
+    const records = parse(text, detectCSVDelimiter(text), 7);
+    const [header, ...rows] = records
+        .map(record => record.fields)
+        .filter(fields => !(fields.length === 1 && fields[0].trim() === '') && !fields[0].startsWith('#'));
+    const reader = createCSVRowReader(header);
+    return rows.map(fields => reader.read(fields));
+};
+
+test('quoted fields keep delimiters, quotes and line breaks', () => {
+    const records = parse('a,"b,c","say ""hi"""\r\n"two\nlines",x,\n', ',', 3);
+
+    assert.deepEqual(records.map(record => record.fields), [
+        ['a', 'b,c', 'say "hi"'],
+        ['two\nlines', 'x', '']
+    ]);
+    assert.deepEqual(records.map(record => record.line), [1, 2]);
+});
+
+test('the last record needs no line break', () => {
+    assert.deepEqual(parse('a,b\nc,d').map(record => record.fields), [['a', 'b'], ['c', 'd']]);
+    assert.deepEqual(parse(''), []);
+});
+
+test('the delimiter is read from the header', () => {
+    assert.equal(detectCSVDelimiter('Data Point Timestamp;User ID'), ';');
+    assert.equal(detectCSVDelimiter('\uFEFF"Data Point Timestamp"\tUser ID'), '\t');
+    assert.equal(detectCSVDelimiter('something else'), ',');
+});
+
+test('an export reads back as the points and labels it was written from', () => {
+    const start = Date.UTC(2024, 0, 15, 8, 30);
+    const points = [
+        { timestamp: start, userId: 'user;1', gpsTimestamp: new Date(start).toISOString(), gpsLat: 51.5, gpsLon: -0.125, accelX: 0.25, orientationAbsolute: true },
+        { timestamp: start + 20, userId: 'user;1', accelX: -1.5, gyroAlpha: 12.5 }
+    ];
+    const labels = [{ timestamp: start + 10, label: 'walking, fast' }];
+
+    for (const config of [{}, { csvDelimiter: ';', dateFormat: 'EPOCH' }, { csvDelimiter: '\t', dateFormat: 'LOCAL' }]) {
+        const rows = importCSV(generateCSV(points, labels, resolveExportSettings(config)));
+
+        assert.equal(rows.length, 2, JSON.stringify(config));
+        assert.deepEqual(rows.map(row => row.errors), [[], []]);
+        assert.deepEqual(rows.map(row => row.label), [null, 'walking, fast']);
+        assert.deepEqual(rows[0].point, points[0]);
+        assert.deepEqual(rows[1].point, points[1]);
+    }
+});
+
+test('bad rows are reported, unknown columns ignored', () => {
+    assert.throws(() => createCSVRowReader(['Time', 'Accel X']), /Data Point Timestamp/);
+
+    const reader = createCSVRowReader(['Data Point Timestamp', 'Accel X', 'Extra']);
+    assert.deepEqual(reader.unknownColumns, ['Extra']);
+
+    const { point, errors } = reader.read(['2024-01-15T08:30:00.000Z', 'fast', 'x']);
+    assert.deepEqual(point, { timestamp: Date.UTC(2024, 0, 15, 8, 30) });
+    assert.deepEqual(errors, ['invalid Accel X "fast"']);
+
+    assert.deepEqual(reader.read(['', '1']).errors, ['expected 3 fields, found 2', 'missing Data Point Timestamp']);
+});
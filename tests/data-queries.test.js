@@ -0,0 +1,130 @@
+// Paging, time windows and channel filters over stored data chunks (database.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDatabase } = require('./helpers');
+
+const START = Date.UTC(2024, 0, 15, 8, 30);
+
+// 18 chunks of 280 rows: neither 1000 nor 5000 is a multiple of the chunk size
+const CHUNKS = 18;
+const CHUNK_ROWS = 280;
+const TOTAL = CHUNKS * CHUNK_ROWS;
+
+// Every 7th row has a GPS fix
+const row = (i) => ({
+    timestamp: START + i * 10,
+    accelX: i,
+    ...(i % 7 === 0 ? { gpsLat: 51.5, gpsLon: -0.1 } : {})
+});
+
+const positions = (rows) => rows.map(point => point.accelX);
+const range = (from, to, step = 1) => Array.from({ length: Math.ceil((to - from) / step) }, (_, i) => from + i * step);
+
+let database;
+
+test.before(async () => {
+    database = await createDatabase();
+    for (let c = 0; c < CHUNKS; c++) {
+        await database.saveDataChunk(range(c * CHUNK_ROWS, (c + 1) * CHUNK_ROWS).map(row), 1);
+    }
+    // Another recording in the same store must not leak into the queries
+    await database.saveDataChunk(range(0, 50).map(row), 2);
+});
+
+test('the count is the end of the last chunk', async () => {
+    assert.equal(await database.getDataPointsCount(1), TOTAL);
+    assert.equal(await database.getDataPointsCount(2), 50);
+    assert.equal(await database.getDataPointsCount(3), 0);
+});
+
+for (const batchSize of [5000, 1000, CHUNK_ROWS, 333, TOTAL, TOTAL + 1]) {
+    test(`batches of ${batchSize} deliver every row once, in order`, async () => {
+        const batches = [];
+        for await (const batch of database.getDataPointsBatch(1, batchSize)) {
+            batches.push(batch);
+        }
+
+        assert.deepEqual(positions(batches.flat()), range(0, TOTAL));
+        assert.ok(batches.every(batch => batch.length <= batchSize));
+        assert.ok(batches.slice(0, -1).every(batch => batch.length === batchSize));
+        assert.ok(batches.flat().every(point => point.recordingId === 1));
+    });
+}
+
+test('batches can start at an offset', async () => {
+    const rows = [];
+    for await (const batch of database.getDataPointsBatch(1, 1000, 4000)) {
+        rows.push(...batch);
+    }
+    assert.deepEqual(positions(rows), range(4000, TOTAL));
+});
+
+test('pages ending in the middle of a chunk continue from there', async () => {
+    const first = await database.getDataPointsPage(1, { limit: 300 });
+    assert.deepEqual(positions(first.dataPoints), range(0, 300));
+    assert.equal(first.lastKey, 299);
+    assert.equal(first.done, false);
+
+    // Partway through the last chunk (4760-5039)
+    const inLast = await database.getDataPointsPage(1, { afterKey: 4899, limit: 100 });
+    assert.deepEqual(positions(inLast.dataPoints), range(4900, 5000));
+    assert.equal(inLast.lastKey, 4999);
+    assert.equal(inLast.done, false);
+
+    const rest = await database.getDataPointsPage(1, { afterKey: inLast.lastKey, limit: 100 });
+    assert.deepEqual(positions(rest.dataPoints), range(5000, TOTAL));
+    assert.equal(rest.done, true);
+});
+
+test('pages ending at the end of a chunk continue with the next one', async () => {
+    const first = await database.getDataPointsPage(1, { limit: CHUNK_ROWS });
+    assert.equal(first.lastKey, CHUNK_ROWS - 1);
+    assert.equal(first.done, false);
+
+    const second = await database.getDataPointsPage(1, { afterKey: first.lastKey, limit: CHUNK_ROWS });
+    assert.deepEqual(positions(second.dataPoints), range(CHUNK_ROWS, 2 * CHUNK_ROWS));
+
+    const last = await database.getDataPointsPage(1, { afterKey: TOTAL - CHUNK_ROWS - 1, limit: CHUNK_ROWS });
+    assert.equal(last.dataPoints.length, CHUNK_ROWS);
+    assert.equal(last.lastKey, TOTAL - 1);
+    assert.equal(last.done, true);
+
+    const empty = await database.getDataPointsPage(1, { afterKey: TOTAL - 1 });
+    assert.deepEqual(empty, { dataPoints: [], lastKey: TOTAL - 1, done: true });
+});
+
+test('channel pages only hold rows with that channel and skip the rest', async () => {
+    const rows = [];
+    let page = { lastKey: -1, done: false };
+    while (!page.done) {
+        page = await database.getDataPointsPage(1, { afterKey: page.lastKey, limit: 45, channel: 'gps', fields: ['accelX', 'gpsLat'] });
+        rows.push(...page.dataPoints);
+    }
+
+    assert.deepEqual(positions(rows), range(0, TOTAL, 7));
+    assert.deepEqual(rows[1], { accelX: 7, gpsLat: 51.5 });
+});
+
+test('unknown channels are refused', async (t) => {
+    // ErrorBoundary reports the error before it is rethrown
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'log', () => {});
+
+    await assert.rejects(database.getDataPointsPage(1, { channel: 'radar' }), /Unknown channel "radar"/);
+});
+
+test('time windows span chunk boundaries and take both ends', async () => {
+    // Rows 270-290 straddle the first two chunks
+    const rows = await database.getDataPointsInRange(1, START + 2700, START + 2900);
+    assert.deepEqual(positions(rows), range(270, 291));
+
+    const fixes = await database.getDataPointsInRange(1, START + 2700, START + 2900, { channel: 'gps' });
+    assert.deepEqual(positions(fixes), [273, 280, 287]);
+
+    const tail = await database.getDataPointsInRange(1, START + (TOTAL - 5) * 10, START + TOTAL * 10);
+    assert.deepEqual(positions(tail), range(TOTAL - 5, TOTAL));
+
+    assert.deepEqual(await database.getDataPointsInRange(1, START + TOTAL * 10, START + TOTAL * 20), []);
+});
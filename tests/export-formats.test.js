@@ -0,0 +1,184 @@
+// Export settings and the CSV, JSON and columnar encoders
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers');
+
+loadScripts('sample-codec.js', 'export-formats.js');
+
+const { CSV_HEADERS, EXPORT_DEFAULTS, resolveExportSettings, formatNumber, generateCSV, encodeAll, createCSVParser } = MotionExport;
+
+const START = Date.UTC(2024, 0, 15, 8, 30);
+
+const column = (name) => CSV_HEADERS.indexOf(name);
+
+// Header, data rows and the '# Label,value' summary lines of a CSV export
+const parseExport = (csv, delimiter = ',') => {
+    const parser = createCSVParser(delimiter);
+    const [header, ...records] = [...parser.push(csv), ...parser.finish()].map(record => record.fields);
+    const summary = Object.fromEntries(records
+        .filter(fields => fields[0].startsWith('# ') && fields.length === 2)
+        .map(([label, value]) => [label.slice(2), value]));
+    const rows = records.filter(fields => fields.length === header.length);
+    return { header, rows, summary };
+};
+
+test('export settings fall back to the defaults for invalid values', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    assert.deepEqual(resolveExportSettings(), EXPORT_DEFAULTS);
+    assert.deepEqual(resolveExportSettings(null), EXPORT_DEFAULTS);
+
+    const settings = resolveExportSettings({ csvDelimiter: ';', precision: 3, dateFormat: 'epoch', compressExports: true, includeStatistics: false });
+    assert.equal(settings.delimiter, ';');
+    assert.equal(settings.precision, 3);
+    assert.equal(settings.dateFormat, 'EPOCH');
+    assert.equal(settings.compress, true);
+    assert.equal(settings.includeStatistics, false);
+
+    const invalid = resolveExportSettings({ csvDelimiter: '"', precision: 2.5, dateFormat: 'julian' });
+    assert.equal(invalid.delimiter, ',');
+    assert.equal(invalid.precision, null);
+    assert.equal(invalid.dateFormat, 'ISO');
+    assert.equal(console.warn.mock.callCount(), 3);
+});
+
+test('formatNumber applies precision to every number, integers included', () => {
+    assert.equal(formatNumber(5), '5');
+    assert.equal(formatNumber(1.23456789), '1.234568');
+    assert.equal(formatNumber(123.456), '123.46');
+    assert.equal(formatNumber(5, 3), '5.000');
+    assert.equal(formatNumber(1.23456789, 2), '1.23');
+    assert.equal(formatNumber(5, null, 2), '5.00');
+    assert.equal(formatNumber(5, 0, 2), '5');
+    assert.equal(formatNumber(null, 3), '');
+    assert.equal(formatNumber('', 3), '');
+});
+
+test('CSV rows follow the delimiter, precision and date format', () => {
+    const settings = resolveExportSettings({ csvDelimiter: ';', precision: 3, dateFormat: 'EPOCH' });
+    const points = [
+        { timestamp: START, userId: 'user;1', gpsLat: 51.5, gpsLon: -0.1, accelX: 1 },
+        { timestamp: START + 20, userId: 'user;1', accelX: 2.25 }
+    ];
+    const { header, rows } = parseExport(generateCSV(points, [{ timestamp: START + 10, label: 'walking' }], settings), ';');
+
+    assert.deepEqual(header, CSV_HEADERS);
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0][column('Data Point Timestamp')], String(START));
+    assert.equal(rows[0][column('User ID')], 'user;1');
+    assert.equal(rows[0][column('GPS LAT')], '51.500');
+    assert.equal(rows[1][column('Accel X')], '2.250');
+    assert.equal(rows[1][column('GPS LAT')], '');
+    assert.equal(rows[1][column('Sample Time (ms)')], '20.000');
+    assert.equal(rows[1][column('Label')], 'walking');
+});
+
+test('sample time and frequency keep two decimals unless a precision is set', () => {
+    const points = [{ timestamp: START, accelX: 1 }, { timestamp: START + 3, accelX: 1 }];
+
+    const { rows } = parseExport(generateCSV(points));
+    assert.equal(rows[1][column('Sample Time (ms)')], '3.00');
+    assert.equal(rows[1][column('Frequency (Hz)')], '33.33');
+    assert.equal(rows[1][column('Accel X')], '1');
+
+    const precise = parseExport(generateCSV(points, [], resolveExportSettings({ precision: 4 })));
+    assert.equal(precise.rows[1][column('Sample Time (ms)')], '3.0000');
+    assert.equal(precise.rows[1][column('Frequency (Hz)')], '33.3333');
+    assert.equal(precise.rows[1][column('Accel X')], '1.0000');
+});
+
+test('summary figures use the precision and stay finite for a single sample', () => {
+    const { summary } = parseExport(generateCSV([{ timestamp: START, accelX: 1, gpsLat: 1, gpsLon: 1 }], [], resolveExportSettings({ precision: 1 })));
+
+    assert.equal(summary['Total Samples'], '1');
+    assert.equal(summary['Duration (seconds)'], '0.0');
+    assert.equal(summary['Average Sample Rate (Hz)'], '0.0');
+    assert.equal(summary['GPS Sample Rate (Hz)'], '0.0');
+    assert.equal(summary['Accelerometer Sample Rate (Hz)'], '0.0');
+
+    const statistics = parseExport(generateCSV([{ timestamp: START }, { timestamp: START + 500 }])).summary;
+    assert.equal(statistics['Duration (seconds)'], '0.50');
+    assert.equal(statistics['Average Sample Rate (Hz)'], '4.00');
+});
+
+test('JSON and NDJSON carry the header record and every point', () => {
+    const points = [{ timestamp: START, accelX: 1 }, { timestamp: START + 10, accelX: 2 }];
+    const headerRecord = { recording: { id: 7 }, metadata: { userId: 'user-1' } };
+
+    const json = JSON.parse(encodeAll('json', points, { headerRecord }));
+    assert.equal(json.metadata.userId, 'user-1');
+    assert.deepEqual(json.dataPoints, points);
+
+    const lines = encodeAll('ndjson', points, { headerRecord }).trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines[0].recording, { id: 7 });
+    assert.deepEqual(lines.slice(1), points);
+});
+
+// Header, row groups and footer of a columnar (MRC1) export
+const readColumnar = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const text = (from, to) => new TextDecoder().decode(bytes.subarray(from, to));
+    let offset = 4;
+    const readJSON = () => {
+        const length = view.getUint32(offset, true);
+        offset += 4 + length;
+        return JSON.parse(text(offset - length, offset));
+    };
+
+    assert.equal(text(0, 4), 'MRC1');
+    const header = readJSON();
+    const readers = {
+        f64: [8, (at) => view.getFloat64(at, true)],
+        f32: [4, (at) => view.getFloat32(at, true)],
+        i8: [1, (at) => view.getInt8(at)]
+    };
+
+    const groups = [];
+    for (let count = view.getUint32(offset, true); count > 0; count = view.getUint32(offset, true)) {
+        const present = header.columns.map((_, c) => bytes[offset + 4 + c] === 1);
+        offset += 4 + header.columns.length;
+        const group = {};
+        header.columns.forEach(({ name, type }, c) => {
+            if (!present[c]) return;
+            const [width, read] = readers[type];
+            group[name] = Array.from({ length: count }, (_, i) => read(offset + i * width));
+            offset += count * width;
+        });
+        groups.push(group);
+    }
+    offset += 4;
+    const footer = readJSON();
+
+    assert.equal(text(offset, offset + 4), 'MRC1');
+    assert.equal(offset + 4, bytes.length);
+    return { header, groups, footer };
+};
+
+test('columnar exports hold a column for each channel with values', () => {
+    const points = [
+        { timestamp: START, gpsTimestamp: new Date(START).toISOString(), gpsLat: 51.5, accelX: 0.25, orientationAbsolute: true },
+        { timestamp: START + 10, accelX: -1.5, orientationAbsolute: false },
+        { timestamp: START + 20 }
+    ];
+    const bytes = encodeAll('columnar', points, { headerRecord: { recording: { id: 7 } } });
+    assert.ok(bytes instanceof Uint8Array);
+
+    const { header, groups, footer } = readColumnar(bytes);
+    assert.equal(header.version, 1);
+    assert.deepEqual(header.recording, { id: 7 });
+    assert.deepEqual(header.columns.find(column => column.name === 'orientationAbsolute'), { name: 'orientationAbsolute', type: 'i8' });
+
+    assert.equal(groups.length, 1);
+    assert.deepEqual(Object.keys(groups[0]), ['timestamp', 'gpsTimestamp', 'gpsLat', 'accelX', 'orientationAbsolute']);
+    assert.deepEqual(groups[0].timestamp, [START, START + 10, START + 20]);
+    assert.deepEqual(groups[0].gpsTimestamp, [START, NaN, NaN]);
+    assert.deepEqual(groups[0].accelX, [0.25, -1.5, NaN]);
+    assert.deepEqual(groups[0].orientationAbsolute, [1, 0, -1]);
+
+    assert.equal(footer.rowGroups, 1);
+    assert.equal(footer.rows, 3);
+    assert.equal(footer.summary.totalSamples, 3);
+    assert.equal(footer.privacy, null);
+});
@@ -0,0 +1,93 @@
+// Recordings streamed out of IndexedDB through worker.js (export-stream.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ROOT, loadScripts, createDatabase, createWorkerManager } = require('./helpers');
+
+loadScripts('export-formats.js', 'zip-archive.js');
+
+const { createExportStream, createBundleStream, streamToBlob } = require(`${ROOT}/export-stream.js`);
+
+const START = Date.UTC(2024, 0, 15, 8, 30);
+
+// 18 chunks of 280 rows, so batch ends fall in the middle of chunks
+const TOTAL = 18 * 280;
+
+let app;
+
+test.before(async () => {
+    const databaseManager = await createDatabase();
+    for (let c = 0; c < 18; c++) {
+        await databaseManager.saveDataChunk(Array.from({ length: 280 }, (_, i) => ({ timestamp: START + (c * 280 + i) * 10, accelX: c * 280 + i })), 1);
+    }
+    await databaseManager.saveDataChunk([{ timestamp: START, accelX: 0 }], 2);
+
+    app = { databaseManager, workerManager: createWorkerManager() };
+});
+
+test.after(() => app.workerManager.terminate());
+
+// Data rows of a CSV export, without the header and the '#' summary
+const csvRows = (text) => text.split('\n').slice(1).filter(line => line && !line.startsWith('#'));
+
+// The same store, except that batches stop after the first one
+const losingTail = (databaseManager) => Object.assign(Object.create(databaseManager), {
+    async* getDataPointsBatch(...args) {
+        for await (const batch of databaseManager.getDataPointsBatch(...args)) {
+            yield batch;
+            return;
+        }
+    }
+});
+
+test('an export stream holds every row of the recording', async () => {
+    let summary = null;
+    const stream = createExportStream(app, 1, { batchSize: 1000, onComplete: (stats) => { summary = stats; } });
+    const rows = csvRows(await (await streamToBlob(stream, 'text/csv')).text());
+
+    assert.equal(rows.length, TOTAL);
+    assert.equal(summary.totalSamples, TOTAL);
+});
+
+test('a bundle holds every row of each recording', async () => {
+    const entries = [1, 2].map(recordingId => ({ recordingId, name: `recording-${recordingId}.csv`, date: START, format: 'csv', options: {} }));
+    const bundle = await streamToBlob(createBundleStream(app, entries, { buildManifest: () => ({}) }), 'application/zip');
+
+    const files = await ZipArchive.readZipDirectory(bundle);
+    const texts = await Promise.all(files.map(async (entry) => new Response(await ZipArchive.openZipEntry(bundle, entry)).text()));
+    assert.deepEqual(files.map(entry => entry.name), ['recording-1.csv', 'recording-2.csv', 'manifest.json']);
+    assert.deepEqual(texts.slice(0, 2).map(text => csvRows(text).length), [TOTAL, 1]);
+});
+
+test('bundles take entries in any export format', async () => {
+    const entries = [
+        { recordingId: 1, name: 'recording-1.ndjson', date: START, format: 'ndjson', options: { headerRecord: { recording: { id: 1 } } } },
+        { recordingId: 2, name: 'recording-2.mrc', date: START, format: 'columnar', options: { settings: MotionExport.EXPORT_DEFAULTS } }
+    ];
+    const bundle = await streamToBlob(createBundleStream(app, entries, { buildManifest: () => ({}) }), 'application/zip');
+    const [ndjson, columnar] = await ZipArchive.readZipDirectory(bundle);
+
+    const lines = (await new Response(await ZipArchive.openZipEntry(bundle, ndjson)).text()).trim().split('\n');
+    assert.deepEqual(JSON.parse(lines[0]).recording, { id: 1 });
+    assert.equal(lines.length, 1 + TOTAL);
+
+    const bytes = new Uint8Array(await new Response(await ZipArchive.openZipEntry(bundle, columnar)).arrayBuffer());
+    assert.equal(new TextDecoder().decode(bytes.subarray(0, 4)), 'MRC1');
+    assert.equal(new TextDecoder().decode(bytes.subarray(-4)), 'MRC1');
+});
+
+test('streams that get fewer rows than the recording holds fail instead of closing short', async () => {
+    const short = { ...app, databaseManager: losingTail(app.databaseManager) };
+
+    await assert.rejects(
+        streamToBlob(createExportStream(short, 1, { batchSize: 1000 }), 'text/csv'),
+        /Read 1000 of the 5040 data points of recording 1/
+    );
+
+    const entries = [{ recordingId: 1, name: 'recording-1.csv', date: START, format: 'csv', options: {} }];
+    await assert.rejects(
+        streamToBlob(createBundleStream(short, entries, { buildManifest: () => ({}) }), 'application/zip'),
+        /Read 5000 of the 5040 data points of recording 1/
+    );
+});
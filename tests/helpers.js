@@ -0,0 +1,182 @@
+// ============================================
+// helpers.js - Shared setup for the node tests
+// ============================================
+//
+// Run the tests with:  npm test   (node --test tests/)
+//
+// The shared scripts are classic scripts that attach to `self`, as they do in the worker
+// and the service worker. Tests load them through loadScripts() so they find one.
+// Page modules that use IndexedDB run on fake-indexeddb (npm install first), and
+// worker.js runs in a context of its own behind the ScriptWorker stand-in for Worker.
+// Uploads go to mock-upload-server.js in a child process.
+
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+globalThis.self = globalThis;
+
+const ROOT = path.join(__dirname, '..');
+
+// Load shared scripts by their file name in the repo root, in order
+function loadScripts(...files) {
+    for (const file of files) {
+        require(path.join(ROOT, file));
+    }
+}
+
+// A DatabaseManager (database.js) on a fresh, empty in-memory IndexedDB. Workers started
+// afterwards share that IndexedDB. With open false the database is left for init() to create.
+async function createDatabase({ open = true } = {}) {
+    require('fake-indexeddb/auto');
+    const { IDBFactory } = require('fake-indexeddb');
+    loadScripts('sample-codec.js', 'at-rest-crypto.js');
+    const { DatabaseManager } = require(path.join(ROOT, 'database.js'));
+
+    globalThis.indexedDB = new IDBFactory();
+    const databaseManager = new DatabaseManager();
+    if (open) {
+        await databaseManager.init();
+    }
+    return databaseManager;
+}
+
+const silentConsole = { log() {}, info() {}, debug() {}, warn() {}, error() {} };
+
+// Dedicated worker stand-in: runs the script in a global scope of its own, with the
+// IndexedDB current when it starts. Messages are cloned and delivered asynchronously in
+// order, both ways. `console` defaults to a silent one.
+class ScriptWorker {
+    constructor(file, { console = silentConsole } = {}) {
+        this.listeners = { message: [], error: [] };
+        this.timers = new Set();
+
+        const track = (set, clear) => ({
+            set: (callback, ms, ...args) => {
+                const id = set(callback, ms, ...args);
+                this.timers.add(() => clear(id));
+                return id;
+            },
+            clear
+        });
+        const interval = track(setInterval, clearInterval);
+        const timeout = track(setTimeout, clearTimeout);
+
+        const workerListeners = [];
+        this.scope = vm.createContext({
+            console,
+            setInterval: interval.set,
+            clearInterval: interval.clear,
+            setTimeout: timeout.set,
+            clearTimeout: timeout.clear,
+            TextEncoder,
+            TextDecoder,
+            crypto,
+            Blob,
+            Response,
+            ReadableStream,
+            CompressionStream,
+            DecompressionStream,
+            structuredClone,
+            indexedDB: globalThis.indexedDB,
+            IDBKeyRange: globalThis.IDBKeyRange,
+            addEventListener: (type, listener) => {
+                if (type === 'message') workerListeners.push(listener);
+            },
+            postMessage: (message) => this.deliver(this.listeners.message, message)
+        });
+        this.scope.self = this.scope;
+        this.scope.importScripts = (...files) => {
+            for (const name of files) {
+                vm.runInContext(fs.readFileSync(path.join(ROOT, name), 'utf8'), this.scope, { filename: name });
+            }
+        };
+        this.workerListeners = workerListeners;
+
+        this.scope.importScripts(file);
+    }
+
+    deliver(listeners, message) {
+        const data = structuredClone(message);
+        setImmediate(() => {
+            for (const listener of listeners) {
+                listener({ data });
+            }
+        });
+    }
+
+    postMessage(message) {
+        this.deliver(this.workerListeners, message);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type]?.push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        const listeners = this.listeners[type] || [];
+        if (listeners.includes(listener)) {
+            listeners.splice(listeners.indexOf(listener), 1);
+        }
+    }
+
+    terminate() {
+        for (const clear of this.timers) {
+            clear();
+        }
+        this.timers.clear();
+        this.workerListeners.length = 0;
+    }
+}
+
+// An initialised WorkerManager (worker-manager.js) on worker.js; terminate() stops it
+function createWorkerManager({ onRecordingStopped = null, onStatsUpdate = null, console } = {}) {
+    const { WorkerManager } = require(path.join(ROOT, 'worker-manager.js'));
+
+    globalThis.Worker = class extends ScriptWorker {
+        constructor(file) {
+            super(file, { console });
+        }
+    };
+    const workerManager = new WorkerManager(onRecordingStopped, onStatsUpdate);
+    workerManager.init();
+    return workerManager;
+}
+
+// mock-upload-server.js on a free port with the given arguments. Resolves with its base url
+// and stop(); stdout lines collect in `output`.
+function startMockServer(args = []) {
+    const server = spawn(process.execPath, [path.join(ROOT, 'mock-upload-server.js'), '--port', '0', ...args]);
+    const output = [];
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.on('exit', (code) => reject(new Error(`Mock server exited with ${code}: ${output.join('\n')}`)));
+        server.stdout.setEncoding('utf8');
+        server.stdout.on('data', (text) => {
+            output.push(...text.split('\n').filter(Boolean));
+            const listening = text.match(/Listening on (http:\/\/localhost:\d+)/);
+            if (listening) {
+                resolve({
+                    url: listening[1],
+                    output,
+                    stop: () => new Promise(done => {
+                        server.removeAllListeners('exit');
+                        server.on('exit', () => done());
+                        server.kill();
+                    })
+                });
+            }
+        });
+    });
+}
+
+module.exports = {
+    ROOT,
+    loadScripts,
+    createDatabase,
+    ScriptWorker,
+    createWorkerManager,
+    startMockServer
+};
@@ -0,0 +1,105 @@
+// Location privacy applied to exported rows
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers');
+
+loadScripts('sample-codec.js', 'export-formats.js');
+
+const { PRIVACY_DEFAULTS, resolvePrivacySettings, createPrivacyFilter } = MotionExport;
+
+const HOME = { id: 'zone-home', name: 'Home', lat: 51.5, lon: -0.1, radius: 200 };
+
+// About 100 m north of HOME, and about 1 km north
+const NEAR = 51.5009;
+const FAR = 51.509;
+
+const fix = (gpsLat, gpsLon = HOME.lon) => ({
+    timestamp: 1,
+    accelX: 0.5,
+    gpsTimestamp: '2024-01-15T08:30:00.000Z',
+    gpsLat,
+    gpsLon,
+    gpsError: 5,
+    gpsHeading: 90,
+    gpsSpeed: 1.2
+});
+
+// Metres between two nearby positions
+const metres = (a, b) => Math.hypot(
+    (a.gpsLat - b.gpsLat) * 111195,
+    (a.gpsLon - b.gpsLon) * 111195 * Math.cos(a.gpsLat * Math.PI / 180)
+);
+
+test('invalid settings fall back to the defaults', () => {
+    assert.deepEqual(resolvePrivacySettings(null), PRIVACY_DEFAULTS);
+
+    const settings = resolvePrivacySettings({
+        zones: [HOME, { lat: 91, lon: 0, radius: 100 }, { lat: 0, lon: 0, radius: -1 }],
+        zoneMode: 'blur',
+        precision: 12,
+        offset: -5
+    });
+    assert.deepEqual(settings.zones, [HOME]);
+    assert.equal(settings.zoneMode, 'drop');
+    assert.equal(settings.precision, null);
+    assert.equal(settings.offset, 0);
+});
+
+test('without settings points pass through untouched', () => {
+    const filter = createPrivacyFilter(null);
+    const point = fix(NEAR);
+
+    assert.equal(filter.active, false);
+    assert.equal(filter.apply(point), point);
+    assert.equal(filter.report(), null);
+});
+
+test('drop mode removes the fix of rows inside a zone but keeps their motion data', () => {
+    const filter = createPrivacyFilter({ zones: [HOME], zoneMode: 'drop' });
+
+    const inside = filter.apply(fix(NEAR));
+    assert.equal(inside.accelX, 0.5);
+    for (const field of ['gpsTimestamp', 'gpsLat', 'gpsLon', 'gpsError', 'gpsHeading', 'gpsSpeed']) {
+        assert.equal(field in inside, false, field);
+    }
+
+    const outside = filter.apply(fix(FAR));
+    assert.equal(outside.gpsLat, FAR);
+    assert.equal(filter.report().rowsInZones, 1);
+});
+
+test('snap mode reports the zone centre without heading or speed', () => {
+    const filter = createPrivacyFilter({ zones: [HOME], zoneMode: 'snap' });
+    const snapped = filter.apply(fix(NEAR));
+
+    assert.equal(snapped.gpsLat, HOME.lat);
+    assert.equal(snapped.gpsLon, HOME.lon);
+    assert.equal(snapped.gpsError, HOME.radius);
+    assert.equal('gpsHeading' in snapped, false);
+    assert.equal('gpsSpeed' in snapped, false);
+});
+
+test('precision rounds coordinates', () => {
+    const filter = createPrivacyFilter({ precision: 2 });
+    const rounded = filter.apply(fix(51.23456, -0.98765));
+
+    assert.equal(rounded.gpsLat, 51.23);
+    assert.equal(rounded.gpsLon, -0.99);
+    assert.deepEqual(filter.report(), { zones: 0, zoneMode: null, precision: 2, maxOffsetMeters: null, rowsInZones: 0 });
+});
+
+test('one random offset per export, within half to all of the maximum, kept across resumes', () => {
+    const filter = createPrivacyFilter({ offset: 500 });
+    const first = filter.apply(fix(FAR));
+    const second = filter.apply(fix(FAR + 0.001));
+
+    const shift = metres(first, fix(FAR));
+    assert.ok(shift >= 249 && shift <= 501, `shifted ${shift} m`);
+    // The same shift for every row, so the track keeps its shape
+    assert.ok(Math.abs(metres(second, fix(FAR + 0.001)) - shift) < 1);
+
+    const resumed = createPrivacyFilter({ offset: 500 }, filter.getState());
+    assert.deepEqual(resumed.apply(fix(FAR)), first);
+});
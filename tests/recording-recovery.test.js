@@ -0,0 +1,101 @@
+// Recordings left in status 'recording' by a tab that died (recording-recovery.js): marked
+// interrupted with what the worker had written, unless another tab still holds them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ROOT, createDatabase, createWorkerManager } = require('./helpers');
+
+const { RecordingRecovery } = require(`${ROOT}/recording-recovery.js`);
+
+const START = Date.UTC(2024, 0, 15, 8, 30);
+
+// Motion events at 140 Hz, numbered by accelX
+const samples = (from, to) => Array.from({ length: to - from }, (_, i) => ({
+    timestamp: START + (from + i) * 1000 / 140,
+    accelX: from + i,
+    motionInterval: 1000 / 140
+}));
+
+const saveOrphan = (databaseManager) => databaseManager.saveRecording({
+    userId: 'user-1',
+    timestamp: new Date(START).toISOString(),
+    status: 'recording'
+});
+
+// Web Locks as other tabs recording `recordingIds` would leave them
+const holdLocks = (t, recordingIds = []) => {
+    const held = recordingIds.map(id => ({ name: `motion-recording-${id}`, mode: 'exclusive' }));
+    Object.defineProperty(globalThis, 'navigator', {
+        value: { locks: { query: async () => ({ held }) } },
+        configurable: true,
+        writable: true
+    });
+    t.after(() => delete globalThis.navigator);
+};
+
+test('a recording whose tab died keeps the rows the worker wrote before it', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    holdLocks(t);
+    const databaseManager = await createDatabase();
+    const recordingId = await saveOrphan(databaseManager);
+
+    const workerManager = createWorkerManager();
+    workerManager.startRecording({ recordingId });
+    for (let i = 0; i < 2500; i += 500) {
+        workerManager.addDataBatch(samples(i, i + 500));
+    }
+
+    // The first 2000 rows are flushed; the tab goes away before the rest are
+    let written = 0;
+    for (let attempt = 0; attempt < 100 && written < 2000; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        written = await databaseManager.getDataPointsCount(recordingId);
+    }
+    workerManager.terminate();
+
+    const [recovered] = await new RecordingRecovery({ databaseManager, currentRecordingId: null }).recover();
+    const lastTimestamp = START + 1999 * 1000 / 140;
+
+    assert.equal(recovered.id, recordingId);
+    assert.equal(recovered.status, 'interrupted');
+    assert.equal(recovered.dataPointCount, 2000);
+    assert.equal(recovered.endTime, new Date(lastTimestamp).toISOString());
+    assert.equal(recovered.averageHz, 2000 / ((lastTimestamp - START) / 1000));
+    assert.ok(recovered.interruptedAt);
+    assert.deepEqual(await databaseManager.getRecording(recordingId), recovered);
+});
+
+test('recordings without data end when they started', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    holdLocks(t);
+    const databaseManager = await createDatabase();
+    const recordingId = await saveOrphan(databaseManager);
+
+    const [recovered] = await new RecordingRecovery({ databaseManager, currentRecordingId: null }).recover();
+
+    assert.equal(recovered.id, recordingId);
+    assert.equal(recovered.dataPointCount, 0);
+    assert.equal(recovered.endTime, new Date(START).toISOString());
+    assert.equal(recovered.averageHz, 0);
+});
+
+test('recordings still held by this tab or another one are left recording', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const databaseManager = await createDatabase();
+    const [orphan, ownRecording, otherTab] = [
+        await saveOrphan(databaseManager),
+        await saveOrphan(databaseManager),
+        await saveOrphan(databaseManager)
+    ];
+    holdLocks(t, [otherTab]);
+
+    const recovered = await new RecordingRecovery({ databaseManager, currentRecordingId: ownRecording }).recover();
+
+    assert.deepEqual(recovered.map(recording => recording.id), [orphan]);
+    assert.equal((await databaseManager.getRecording(ownRecording)).status, 'recording');
+    assert.equal((await databaseManager.getRecording(otherTab)).status, 'recording');
+
+    // Nothing is left to recover on the next start
+    assert.equal((await databaseManager.getRecordingsByStatus('interrupted')).length, 1);
+});
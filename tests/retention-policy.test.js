@@ -0,0 +1,70 @@
+// Which recordings the retention policy keeps
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers');
+
+loadScripts('retention-policy.js');
+
+const { resolvePolicy, keepReason } = RetentionPolicy;
+
+const DAY = 86400000;
+const NOW = Date.UTC(2024, 5, 1);
+
+const recording = (ageDays, fields = {}) => ({
+    id: 1,
+    status: 'completed',
+    timestamp: new Date(NOW - (ageDays + 1) * DAY).toISOString(),
+    endTime: new Date(NOW - ageDays * DAY).toISOString(),
+    ...fields
+});
+
+test('the policy is only enabled with autoCleanup and a positive threshold', () => {
+    assert.equal(resolvePolicy({ autoCleanup: true, cleanupThreshold: 30 }).enabled, true);
+    assert.equal(resolvePolicy({ autoCleanup: true, cleanupThreshold: 0 }).enabled, false);
+    assert.equal(resolvePolicy({ autoCleanup: false, cleanupThreshold: 30 }).enabled, false);
+    assert.equal(resolvePolicy({ autoCleanup: 'yes', cleanupThreshold: 30 }).enabled, false);
+
+    const policy = resolvePolicy({ autoCleanup: true, cleanupThreshold: '7', cacheDuration: 3600000 }, { deleteUnuploaded: true });
+    assert.equal(policy.id, 'retention');
+    assert.equal(policy.thresholdDays, 7);
+    assert.equal(policy.deleteUnuploaded, true);
+    assert.equal(policy.sessionMaxAge, 3600000);
+    assert.equal(resolvePolicy().sessionMaxAge, null);
+});
+
+test('expired recordings are purged once their upload is confirmed', () => {
+    const policy = resolvePolicy({ autoCleanup: true, cleanupThreshold: 30 });
+
+    assert.equal(keepReason(policy, recording(31), { status: 'uploaded' }, NOW), null);
+    assert.equal(keepReason(policy, recording(29), { status: 'uploaded' }, NOW), 'recent');
+    assert.equal(keepReason(policy, recording(31), { status: 'uploading' }, NOW), 'uploading');
+    assert.equal(keepReason(policy, recording(31), { status: 'failed' }, NOW), 'not-uploaded');
+    assert.equal(keepReason(policy, recording(31), null, NOW), 'not-uploaded');
+});
+
+test('recordings still being written are never purged', () => {
+    const policy = resolvePolicy({ autoCleanup: true, cleanupThreshold: 30 }, { deleteUnuploaded: true });
+
+    assert.equal(keepReason(policy, recording(90, { status: 'recording' }), { status: 'uploaded' }, NOW), 'active');
+    assert.equal(keepReason(policy, recording(90, { status: 'importing' }), null, NOW), 'active');
+});
+
+test('deleteUnuploaded purges expired recordings that never went out', () => {
+    const policy = resolvePolicy({ autoCleanup: true, cleanupThreshold: 30 }, { deleteUnuploaded: true });
+
+    assert.equal(keepReason(policy, recording(31), null, NOW), null);
+    assert.equal(keepReason(policy, recording(31), { status: 'failed' }, NOW), null);
+    // An upload in progress still finishes first
+    assert.equal(keepReason(policy, recording(31), { status: 'uploading' }, NOW), 'uploading');
+});
+
+test('age counts from the end of a recording, or its start if it never ended', () => {
+    const policy = resolvePolicy({ autoCleanup: true, cleanupThreshold: 30 });
+
+    assert.equal(keepReason(policy, recording(29, { timestamp: new Date(NOW - 40 * DAY).toISOString() }), { status: 'uploaded' }, NOW), 'recent');
+    assert.equal(keepReason(policy, recording(0, { endTime: null, timestamp: new Date(NOW - 31 * DAY).toISOString() }), { status: 'uploaded' }, NOW), null);
+    // Without a usable date it counts as new
+    assert.equal(keepReason(policy, recording(0, { endTime: null, timestamp: 'unknown' }), { status: 'uploaded' }, NOW), 'recent');
+});
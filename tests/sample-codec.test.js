@@ -0,0 +1,90 @@
+// Data point chunks encoded and decoded
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers');
+
+loadScripts('sample-codec.js');
+
+const { CHUNK_SIZE, encodeChunk, encodeChunks, decodeChunk, findRows } = SampleCodec;
+
+const START = Date.UTC(2024, 0, 15, 8, 30);
+
+// Sensor readings as devices report them; the f32 channels round them (9.81 -> 9.8100004)
+const ROWS = [
+    { id: 1, recordingId: 7, timestamp: START, userId: 'user-1', recordingTimestamp: '2024-01-15T08:29:00.000Z', gpsTimestamp: new Date(START).toISOString(), gpsLat: 51.123456789, gpsLon: -0.1276543, gpsError: 4.7, accelX: 9.81, accelY: -0.0349, orientationAbsolute: true },
+    { id: 2, recordingId: 7, timestamp: START + 7.142857, userId: 'user-1', recordingTimestamp: '2024-01-15T08:29:00.000Z', accelX: 9.7962, gyroAlpha: 12.345678, orientationAlpha: 359.99, orientationAbsolute: false },
+    // Values the columns can't hold, a field outside the schema and a missing shared field
+    { id: 3, recordingId: 7, timestamp: START + 14.285714, accelX: NaN, accelY: 1e39, gpsTimestamp: 'not a date', note: 'bump', orientationAbsolute: 'yes' },
+    { id: 4, recordingId: 7, timestamp: START + 21.428571, userId: 'user-2', recordingTimestamp: null, accelX: -0.0012 }
+];
+
+// The rows as decodeChunk returns them: store keys replaced by the chunk's recordingId
+const decoded = (rows, recordingId) => rows.map(({ id, recordingId: _, ...row }) => ({ ...row, recordingId }));
+
+// Decoded rows against the originals: f32 channels to Float32 precision, everything else exactly
+const assertRowsClose = (actual, expected) => {
+    assert.equal(actual.length, expected.length);
+    actual.forEach((row, i) => {
+        assert.deepEqual(Object.keys(row).sort(), Object.keys(expected[i]).sort(), `row ${i}`);
+        for (const [name, value] of Object.entries(expected[i])) {
+            if (SampleCodec.CHANNELS[name] === 'f32' && Number.isFinite(value)) {
+                assert.ok(Math.abs(row[name] - value) <= Math.abs(value) * 1e-7, `row ${i} ${name}: ${row[name]} for ${value}`);
+            } else {
+                assert.deepEqual(row[name], value, `row ${i} ${name}`);
+            }
+        }
+    });
+};
+
+test('decode(encode(rows)) returns the same rows, sensor readings at Float32 precision', () => {
+    const chunk = encodeChunk(ROWS, 7, 40);
+
+    assert.equal(chunk.startIndex, 40);
+    assert.equal(chunk.endIndex, 44);
+    assert.equal(chunk.startTime, START);
+    assert.equal(chunk.endTime, START + 21.428571);
+    assert.deepEqual(chunk.shared, { userId: 'user-1', recordingTimestamp: '2024-01-15T08:29:00.000Z' });
+    assert.ok(chunk.columns.accelX instanceof Float32Array);
+    assert.ok(chunk.columns.gpsLat instanceof Float64Array);
+    assert.equal('magX' in chunk.columns, false);
+
+    const rows = decodeChunk(chunk);
+    assertRowsClose(rows, decoded(ROWS, 7));
+    assert.equal(rows[0].accelX, Math.fround(9.81));
+    assert.notEqual(rows[0].accelX, 9.81);
+    // Times and positions are f64
+    assert.equal(rows[0].gpsLat, 51.123456789);
+    assert.equal(rows[1].timestamp, START + 7.142857);
+});
+
+test('decoding can be limited to a range of rows and some fields', () => {
+    const chunk = encodeChunk(ROWS, 7);
+
+    assertRowsClose(decodeChunk(chunk, 1, 3, ['timestamp', 'accelX', 'note']), [
+        { timestamp: START + 7.142857, accelX: 9.7962 },
+        { timestamp: START + 14.285714, accelX: NaN, note: 'bump' }
+    ]);
+});
+
+test('rows are split into numbered chunks', () => {
+    const rows = Array.from({ length: 25 }, (_, i) => ({ timestamp: START + i, accelX: i }));
+    const chunks = encodeChunks(rows, 'r1', 100, 10);
+
+    assert.deepEqual(chunks.map(chunk => [chunk.startIndex, chunk.endIndex, chunk.count]), [[100, 110, 10], [110, 120, 10], [120, 125, 5]]);
+    assert.deepEqual(chunks.flatMap(chunk => decodeChunk(chunk)), decoded(rows, 'r1'));
+    assert.equal(encodeChunks(rows, 'r1').length, Math.ceil(rows.length / CHUNK_SIZE));
+});
+
+test('findRows picks rows by channel and time', () => {
+    const chunk = encodeChunk(ROWS, 7);
+
+    assert.deepEqual(findRows(chunk, { channel: 'gps' }), [0]);
+    assert.deepEqual(findRows(chunk, { channel: 'accel' }), [0, 1, 3]);
+    assert.deepEqual(findRows(chunk, { start: START + 5, end: START + 15 }), [1, 2]);
+});
+
+test('chunks from another schema version are refused', () => {
+    assert.throws(() => decodeChunk({ ...encodeChunk(ROWS, 7), schemaVersion: 99 }), /schema version 99/);
+});
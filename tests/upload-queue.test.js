@@ -0,0 +1,128 @@
+// The durable upload queue (upload-queue.js): backoff between attempts, giving up after the
+// retry limit, and picking up uploads a closed tab left 'uploading'
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ROOT, createDatabase } = require('./helpers');
+
+const { UploadQueue, UploadStatus } = require(`${ROOT}/upload-queue.js`);
+
+const START = Date.UTC(2024, 0, 15, 8, 30);
+
+// Two retries after the first attempt; 'uploading' entries go stale after 2 s
+const API = { retryAttempts: 2, retryDelay: 1000, timeout: 1000 };
+
+// A queue on a fresh database whose uploads fail with `errors` in turn, then succeed. Time
+// stands still at START until t.mock.timers.tick() moves it.
+const startQueue = async (t, errors = []) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+    t.mock.timers.enable({ apis: ['Date'], now: START });
+    // ErrorBoundary reads the page url when it reports the final failure
+    globalThis.window = { MotionRecorderConfig: { api: API }, location: { href: 'http://localhost/' } };
+
+    const app = {
+        databaseManager: await createDatabase(),
+        uploads: [],
+        notifications: [],
+        getUploadTarget: () => ({ id: 'mock', format: 'csv' }),
+        getFormatSettings: () => ({}),
+        showNotification: (message, type) => app.notifications.push(type),
+        uploadRecording: async (recordingId) => {
+            app.uploads.push(recordingId);
+            if (errors.length > 0) throw errors.shift();
+            return { dataPoints: 100 };
+        }
+    };
+
+    const queue = new UploadQueue(app);
+    // Retries are driven by the tests, not the timer drain() schedules
+    queue.drainNow = async () => {
+        await queue.drain();
+        queue.destroy();
+    };
+    t.after(() => {
+        queue.destroy();
+        delete globalThis.window;
+    });
+    return queue;
+};
+
+test('failed uploads back off exponentially and fail for good after the retry limit', async (t) => {
+    const queue = await startQueue(t, [new Error('503'), new Error('503'), new Error('503')]);
+    const { databaseManager } = queue.app;
+
+    await queue.enqueue(1);
+    await queue.drainNow();
+    let entry = await databaseManager.getUploadEntry(1);
+    assert.equal(entry.status, UploadStatus.PENDING);
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.nextAttemptAt, START + 1000);
+
+    // Not due yet
+    t.mock.timers.tick(999);
+    await queue.drainNow();
+    assert.equal(queue.app.uploads.length, 1);
+
+    t.mock.timers.tick(1);
+    await queue.drainNow();
+    entry = await databaseManager.getUploadEntry(1);
+    assert.equal(entry.attempts, 2);
+    assert.equal(entry.nextAttemptAt, START + 1000 + 2000);
+
+    t.mock.timers.tick(2000);
+    await queue.drainNow();
+    entry = await databaseManager.getUploadEntry(1);
+    assert.equal(entry.status, UploadStatus.FAILED);
+    assert.equal(entry.attempts, 3);
+    assert.equal(entry.lastError, '503');
+    assert.deepEqual(queue.app.notifications, ['warning']);
+
+    // Failed entries are not retried until they are queued again
+    t.mock.timers.tick(60000);
+    await queue.drainNow();
+    assert.equal(queue.app.uploads.length, 3);
+});
+
+test('a locked store does not use up an attempt', async (t) => {
+    const queue = await startQueue(t, [AtRestCrypto.lockedError()]);
+    const { databaseManager } = queue.app;
+
+    await queue.enqueue(1);
+    await queue.drainNow();
+    const entry = await databaseManager.getUploadEntry(1);
+    assert.equal(entry.status, UploadStatus.PENDING);
+    assert.equal(entry.attempts, 0);
+    assert.equal(entry.nextAttemptAt, START);
+
+    await queue.drainNow();
+    assert.equal((await databaseManager.getUploadEntry(1)).status, UploadStatus.UPLOADED);
+});
+
+test('uploads left uploading past the stale limit are picked up again, recent ones are not', async (t) => {
+    const queue = await startQueue(t);
+    const { databaseManager } = queue.app;
+
+    // Claimed by a tab that was then closed, and by one that is still uploading
+    for (const recordingId of [1, 2]) {
+        await queue.enqueue(recordingId);
+    }
+    await databaseManager.claimUploadEntry(1, 0);
+    t.mock.timers.tick(2001);
+    await databaseManager.claimUploadEntry(2, 0);
+
+    await queue.drainNow();
+    assert.deepEqual(queue.app.uploads, [1]);
+    assert.equal((await databaseManager.getUploadEntry(1)).status, UploadStatus.UPLOADED);
+    assert.equal((await databaseManager.getUploadEntry(2)).status, UploadStatus.UPLOADING);
+
+    t.mock.timers.tick(2000);
+    await queue.drainNow();
+    assert.deepEqual(queue.app.uploads, [1]);
+
+    t.mock.timers.tick(1);
+    await queue.drainNow();
+    assert.deepEqual(queue.app.uploads, [1, 2]);
+});
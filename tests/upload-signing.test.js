@@ -0,0 +1,138 @@
+// Requests signed the way the app signs them (request-signing.js, on Node's WebCrypto)
+// must pass the server-side verifier (upload-signature.js), and anything altered must not.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers');
+
+loadScripts('request-signing.js');
+
+const {
+    ALGORITHMS,
+    canonicalRequest,
+    bearerToken,
+    createDeviceRegistry,
+    createVerifier
+} = require('../upload-signature.js');
+
+const ENDPOINT = 'https://collector.example/uploads/abc/parts/0?attempt=2';
+const PATH = '/uploads/abc/parts/0?attempt=2';
+
+const createServer = () => {
+    const registry = createDeviceRegistry({
+        authenticate: (headers, body) => bearerToken(headers) === 'enroll-me' ? body.userId : null
+    });
+    const verifier = createVerifier({ getDevice: keyId => registry.getDevice(keyId) });
+    return { registry, verifier };
+};
+
+// Enroll like upload-signer.js does and return the credential the app would store
+const enroll = async (registry, algorithm, userId = 'user-1') => {
+    const keyPair = algorithm === ALGORITHMS.ECDSA ? await UploadSigning.generateKeyPair() : null;
+    const result = await registry.enroll({
+        headers: { authorization: 'Bearer enroll-me' },
+        body: { userId, algorithm, publicKey: keyPair?.publicKey ?? null }
+    });
+    assert.equal(result.ok, true, result.error);
+
+    return {
+        keyId: result.response.keyId,
+        algorithm,
+        key: keyPair ? keyPair.privateKey : await UploadSigning.importSecret(result.response.secret),
+        clockOffset: 0
+    };
+};
+
+// What the server sees: lower-case headers and the body bytes
+const receive = async (signed) => ({
+    headers: Object.fromEntries(Object.entries(signed.headers).map(([name, value]) => [name.toLowerCase(), value])),
+    body: Buffer.from(await new Response(signed.body).arrayBuffer())
+});
+
+test('both sides build the same canonical request', () => {
+    const fields = {
+        algorithm: ALGORITHMS.HMAC,
+        method: 'put',
+        path: PATH,
+        timestamp: '1700000000',
+        nonce: 'abc123',
+        keyId: 'dev_1',
+        contentHash: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+    };
+    assert.equal(UploadSigning.canonicalRequest(fields), canonicalRequest(fields));
+    assert.equal(canonicalRequest(fields).split('\n')[1], 'PUT');
+});
+
+for (const algorithm of Object.values(ALGORITHMS)) {
+    test(`${algorithm} signed requests verify`, async () => {
+        const { registry, verifier } = createServer();
+        const credential = await enroll(registry, algorithm);
+
+        for (const body of ['a,b\n1,2\n', new Blob([new Uint8Array([1, 2, 3])]), null]) {
+            const signed = await UploadSigning.signRequest(credential, { method: 'PUT', url: ENDPOINT, body });
+            const result = await verifier.verify({ method: 'PUT', path: PATH, ...await receive(signed) });
+            assert.equal(result.ok, true, result.error);
+            assert.equal(result.device.userId, 'user-1');
+        }
+    });
+}
+
+test('multipart bodies are signed as sent, boundary included', async () => {
+    const { registry, verifier } = createServer();
+    const credential = await enroll(registry, ALGORITHMS.HMAC);
+
+    const form = new FormData();
+    form.append('file', new Blob(['a,b\n'], { type: 'text/csv' }), 'data.csv');
+    form.append('userId', 'user-1');
+    const signed = await UploadSigning.signRequest(credential, { method: 'POST', url: ENDPOINT, body: form });
+
+    assert.match(signed.headers['Content-Type'], /^multipart\/form-data; boundary=/);
+    const result = await verifier.verify({ method: 'POST', path: PATH, ...await receive(signed) });
+    assert.equal(result.ok, true, result.error);
+});
+
+test('altered, replayed, stale and unknown requests are rejected', async () => {
+    const { registry, verifier } = createServer();
+    const credential = await enroll(registry, ALGORITHMS.HMAC);
+    const sign = (overrides = {}) => UploadSigning.signRequest({ ...credential, ...overrides }, { method: 'PUT', url: ENDPOINT, body: 'payload' });
+    const verify = async (signed, request = {}) => {
+        const result = await verifier.verify({ method: 'PUT', path: PATH, ...await receive(signed), ...request });
+        return result.ok ? 'ok' : result.code;
+    };
+
+    const signed = await sign();
+    assert.equal(await verify(signed, { body: Buffer.from('tampered') }), 'content_mismatch');
+    assert.equal(await verify(signed, { method: 'POST' }), 'bad_signature');
+    assert.equal(await verify(signed, { path: '/uploads/other/parts/0' }), 'bad_signature');
+    assert.equal(await verify(signed), 'ok');
+    assert.equal(await verify(signed), 'replayed_nonce');
+
+    assert.equal(await verify(await sign({ clockOffset: -3600000 })), 'stale_timestamp');
+    assert.equal(await verify(await sign({ keyId: 'dev_unknown' })), 'unknown_key');
+    assert.equal((await verifier.verify({ method: 'PUT', path: PATH, headers: {}, body: Buffer.alloc(0) })).code, 'missing_signature');
+
+    // A key enrolled elsewhere can't sign for this device
+    const other = await enroll(createServer().registry, ALGORITHMS.HMAC);
+    assert.equal(await verify(await sign({ key: other.key })), 'bad_signature');
+});
+
+test('enrollment needs credentials and binds the device to their user', async () => {
+    const registry = createDeviceRegistry({
+        authenticate: (headers) => ({ 'token-1': 'user-1' })[bearerToken(headers)] || null
+    });
+    const enrollAs = (token, body) => registry.enroll({ headers: token ? { authorization: `Bearer ${token}` } : {}, body });
+
+    assert.equal((await enrollAs(null, { userId: 'user-1' })).code, 'enrollment_unauthorized');
+    assert.equal((await enrollAs('token-2', { userId: 'user-1' })).code, 'enrollment_unauthorized');
+    assert.equal((await enrollAs('token-1', { userId: 'user-2' })).code, 'user_mismatch');
+    assert.equal((await enrollAs('token-1', { algorithm: 'RSA' })).code, 'invalid_enrollment');
+    assert.equal((await enrollAs('token-1', { algorithm: ALGORITHMS.ECDSA })).code, 'invalid_enrollment');
+
+    const result = await enrollAs('token-1', {});
+    assert.equal(result.ok, true);
+    assert.equal(result.device.userId, 'user-1');
+    assert.equal(registry.getDevice(result.response.keyId), result.device);
+
+    assert.throws(() => createDeviceRegistry(), /authenticate/);
+});
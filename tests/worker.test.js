@@ -0,0 +1,154 @@
+// The recording worker (worker.js) behind WorkerManager: rows streamed to IndexedDB during
+// a recording, failed writes kept and retried, and the final stats
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createDatabase, createWorkerManager } = require('./helpers');
+
+const START = Date.UTC(2024, 0, 15, 8, 30);
+
+// Motion events at 140 Hz, numbered by accelX
+const samples = (from, to) => Array.from({ length: to - from }, (_, i) => ({
+    timestamp: START + (from + i) * 1000 / 140,
+    accelX: from + i,
+    motionInterval: 1000 / 140
+}));
+
+// A WorkerManager on worker.js. stopped() resolves with the next RECORDING_STOPPED;
+// next(type) with the data of the next message of that type the worker posts.
+const startWorker = (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    const stops = [];
+    const waiting = [];
+    const workerManager = createWorkerManager({
+        onRecordingStopped: (recordingId, stats) => {
+            const stop = { recordingId, stats };
+            waiting.length > 0 ? waiting.shift()(stop) : stops.push(stop);
+        }
+    });
+    t.after(() => workerManager.terminate());
+
+    workerManager.stopped = () => stops.length > 0 ? Promise.resolve(stops.shift()) : new Promise(resolve => waiting.push(resolve));
+    workerManager.next = (type) => new Promise(resolve => {
+        const listener = ({ data }) => {
+            if (data.type !== type) return;
+            workerManager.worker.removeEventListener('message', listener);
+            resolve(data.data);
+        };
+        workerManager.worker.addEventListener('message', listener);
+    });
+    return workerManager;
+};
+
+const storedRows = async (databaseManager, recordingId) => {
+    const rows = [];
+    for await (const batch of databaseManager.getDataPointsBatch(recordingId)) {
+        rows.push(...batch);
+    }
+    return rows.map(row => row.accelX);
+};
+
+const range = (from, to) => Array.from({ length: to - from }, (_, i) => from + i);
+
+test('rows are written to IndexedDB while recording, the rest when it stops', async (t) => {
+    const databaseManager = await createDatabase();
+    const recordingId = await databaseManager.saveRecording({ userId: 'user-1', timestamp: new Date(START).toISOString(), status: 'recording' });
+    const workerManager = startWorker(t);
+
+    workerManager.startRecording({ recordingId });
+    for (let i = 0; i < 4500; i += 500) {
+        workerManager.addDataBatch(samples(i, i + 500));
+    }
+
+    // The buffer flushes every 2000 rows without waiting for the stop
+    let written = 0;
+    for (let attempt = 0; attempt < 100 && written < 4000; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        written = await databaseManager.getDataPointsCount(recordingId);
+    }
+    assert.equal(written, 4000);
+
+    workerManager.stopRecording();
+    const { stats } = await workerManager.stopped();
+
+    assert.equal(stats.totalPoints, 4500);
+    assert.equal(stats.unsavedPoints, 0);
+    assert.deepEqual(await storedRows(databaseManager, recordingId), range(0, 4500));
+    assert.equal((await databaseManager.getRecording(recordingId)).dataPointCount, 4500);
+});
+
+test('a batch that fails to write is kept and written with the next flush, in order', async (t) => {
+    // No database yet: the worker can't open it, so the first flush fails
+    const databaseManager = await createDatabase({ open: false });
+    const workerManager = startWorker(t);
+
+    workerManager.startRecording({ recordingId: 1 });
+    const failed = workerManager.next('WORKER_ERROR');
+    workerManager.addDataBatch(samples(0, 2000));
+    // Buffered while the failing write is under way - the failed rows go back in front of these
+    workerManager.addDataBatch(samples(2000, 2300));
+    assert.match(await failed, /Failed to save 2000 data points/);
+
+    await databaseManager.init();
+    await databaseManager.saveRecording({ userId: 'user-1', timestamp: new Date(START).toISOString(), status: 'recording' });
+    workerManager.addDataBatch(samples(2300, 2600));
+
+    workerManager.stopRecording();
+    const { stats } = await workerManager.stopped();
+
+    // The failed rows are counted once, when they are written
+    assert.equal(stats.totalPoints, 2600);
+    assert.equal(stats.unsavedPoints, 0);
+    assert.deepEqual(await storedRows(databaseManager, 1), range(0, 2600));
+    assert.equal((await databaseManager.getRecording(1)).dataPointCount, 2600);
+});
+
+test('rows that still fail when the recording stops are reported as unsaved', async (t) => {
+    await createDatabase({ open: false });
+    const workerManager = startWorker(t);
+
+    workerManager.startRecording({ recordingId: 1 });
+    workerManager.addDataBatch(samples(0, 300));
+    workerManager.stopRecording();
+    const { stats } = await workerManager.stopped();
+
+    assert.equal(stats.totalPoints, 0);
+    assert.equal(stats.unsavedPoints, 300);
+});
+
+test('a recording started while the last one is stopping gets none of its rows', async (t) => {
+    const databaseManager = await createDatabase();
+    const first = await databaseManager.saveRecording({ userId: 'user-1', timestamp: new Date(START).toISOString(), status: 'recording' });
+    const second = await databaseManager.saveRecording({ userId: 'user-1', timestamp: new Date(START).toISOString(), status: 'recording' });
+    const workerManager = startWorker(t);
+
+    workerManager.startRecording({ recordingId: first });
+    workerManager.addDataBatch(samples(0, 300));
+    workerManager.stopRecording();
+    workerManager.startRecording({ recordingId: second });
+    workerManager.addDataBatch(samples(300, 500));
+    workerManager.stopRecording();
+
+    const stops = [await workerManager.stopped(), await workerManager.stopped()];
+    assert.deepEqual(stops.map(stop => [stop.recordingId, stop.stats.totalPoints]), [[first, 300], [second, 200]]);
+    assert.deepEqual(await storedRows(databaseManager, first), range(0, 300));
+    assert.deepEqual(await storedRows(databaseManager, second), range(300, 500));
+});
+
+test('a recording stopped before any flush reports zero rates', async (t) => {
+    const workerManager = startWorker(t);
+
+    workerManager.startRecording({ recordingId: 1 });
+    workerManager.stopRecording();
+    const { recordingId, stats } = await workerManager.stopped();
+
+    assert.equal(recordingId, 1);
+    assert.equal(stats.totalPoints, 0);
+    assert.equal(stats.peakHz, 0);
+    assert.equal(stats.minHz, 0);
+    assert.equal(stats.averageHz, 0);
+});
@@ -0,0 +1,85 @@
+// ZIP bundles written and read back
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const { loadScripts } = require('./helpers');
+
+loadScripts('zip-archive.js');
+
+const { crc32, createZipWriter, readZipDirectory, openZipEntry } = ZipArchive;
+
+const FILES = [
+    { name: 'recording-1.csv', content: 'Data Point Timestamp,Accel X\n' + 'x,1\n'.repeat(5000) },
+    { name: 'nested/ünïcode.txt', content: 'héllo' },
+    { name: 'empty.txt', content: '' }
+];
+
+// A whole archive, writing each file in a few pieces as the bundle stream does
+const buildArchive = async (options) => {
+    const writer = createZipWriter(options);
+    const parts = [];
+    for (const { name, content } of FILES) {
+        parts.push(await writer.beginFile(name, { date: new Date(2024, 0, 15, 8, 30) }));
+        for (let i = 0; i < content.length; i += 4096) {
+            parts.push(await writer.write(content.slice(i, i + 4096)));
+        }
+        parts.push(await writer.endFile());
+    }
+    parts.push(writer.finish());
+    return new Blob(parts);
+};
+
+test('crc32 matches the standard check value and can continue', () => {
+    const bytes = new TextEncoder().encode('123456789');
+    assert.equal(crc32(bytes), 0xCBF43926);
+    assert.equal(crc32(bytes.subarray(4), crc32(bytes.subarray(0, 4))), 0xCBF43926);
+});
+
+for (const compress of [true, false]) {
+    test(`files read back from a ${compress ? 'deflated' : 'stored'} archive`, async () => {
+        const archive = await buildArchive({ compress });
+        const entries = await readZipDirectory(archive);
+
+        assert.deepEqual(entries.map(entry => entry.name), FILES.map(file => file.name));
+        for (const [i, entry] of entries.entries()) {
+            const content = await new Response(await openZipEntry(archive, entry)).text();
+            assert.equal(content, FILES[i].content, entry.name);
+            assert.equal(entry.size, Buffer.byteLength(FILES[i].content));
+        }
+        if (compress) {
+            assert.ok(entries[0].compressedSize < entries[0].size / 10);
+        }
+    });
+}
+
+test('the archive opens with unzip, where installed', async (t) => {
+    try {
+        execFileSync('unzip', ['-v'], { stdio: 'ignore' });
+    } catch (error) {
+        t.skip('unzip is not installed');
+        return;
+    }
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-archive-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'bundle.zip');
+    fs.writeFileSync(file, Buffer.from(await (await buildArchive({ compress: true })).arrayBuffer()));
+
+    execFileSync('unzip', ['-tq', file]);
+});
+
+test('writing out of order is refused', async () => {
+    const writer = createZipWriter({ compress: false });
+    await writer.beginFile('a.txt');
+    await assert.rejects(writer.beginFile('b.txt'), /still open/);
+    assert.throws(() => writer.finish(), /still open/);
+});
+
+test('a file that is not a ZIP is rejected', async () => {
+    await assert.rejects(readZipDirectory(new Blob(['not a zip archive at all, just some text'])));
+});
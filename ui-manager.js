@@ -2,9 +2,24 @@
 // ui-manager.js - UI Management and Event Handling - FIXED VERSION
 // ============================================
 
-import { showNotification } from './utils.js';
+import { showNotification, escapeHTML } from './utils.js';
 import { networkManager } from './network.js';
 import { wakeLockManager } from './wake-lock-manager.js';
+import { UPLOAD_FORMAT_LABELS, parseHeaderLines, formatHeaderLines } from './upload-targets.js';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Plain-language retention policy (retention-policy.js) for the consent screen and the Data tab
+function describeRetention(policy) {
+    if (!policy?.enabled) {
+        return 'Recordings stay on this device until you delete them.';
+    }
+    const days = policy.thresholdDays === 1 ? '1 day' : `${policy.thresholdDays} days`;
+    return `Recordings are deleted from this device ${days} after they end, once their upload is confirmed. `
+        + (policy.deleteUnuploaded
+            ? 'Recordings that were never uploaded are deleted then too.'
+            : 'Recordings that were never uploaded are kept until you delete them.');
+}
 
 export class UIManager {
     constructor(app) {
@@ -92,15 +107,23 @@ export class UIManager {
         const downloadBtn = document.getElementById('download-btn');
         const uploadBtn = document.getElementById('upload-btn');
         
+        const formatSelect = document.getElementById('export-format');
+        if (formatSelect) {
+            formatSelect.innerHTML = Object.entries(MotionExport.EXPORT_FORMATS)
+                .filter(([, format]) => format.label)
+                .map(([value, format]) => `<option value="${value}">${format.label}</option>`)
+                .join('');
+        }
+        
         if (downloadBtn) {
             downloadBtn.addEventListener('click', () => {
-                this.app.downloadCSV();
+                this.app.downloadRecording();
             });
         }
         
         if (uploadBtn) {
             uploadBtn.addEventListener('click', () => {
-                this.app.uploadJSON();
+                this.app.uploadRecordingNow();
             });
         }
         
@@ -124,6 +147,26 @@ export class UIManager {
             console.error('❌ Export/Upload All Data button not found!');
         }
         
+        const importInput = document.getElementById('import-input');
+        if (importInput) {
+            importInput.addEventListener('change', async () => {
+                const files = Array.from(importInput.files);
+                // Clear it so picking the same file again fires another change
+                importInput.value = '';
+                if (files.length > 0) {
+                    await this.app.importRecordings(files);
+                }
+            });
+        }
+        
+        const bundleForm = document.getElementById('bundle-export-form');
+        if (bundleForm) {
+            bundleForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.app.downloadAllRecordings(this.getBundleFilters(bundleForm));
+            });
+        }
+        
         // Permission retry buttons
         const retryButtons = document.querySelectorAll('.retry-permission');
         retryButtons.forEach(btn => {
@@ -132,6 +175,457 @@ export class UIManager {
                 this.app.sensorManager.retryPermission(sensor);
             });
         });
+        
+        this.setupUploadTargetSettings();
+        this.setupEncryptionSettings();
+        this.setupPrivacySettings();
+        this.setupRetentionSettings();
+    }
+    
+    // Upload destination picker and editor in the Data tab
+    setupUploadTargetSettings() {
+        const select = document.getElementById('upload-target-select');
+        const form = document.getElementById('upload-target-form');
+        if (!select || !form || !this.app.uploadTargets) return;
+        
+        const formatSelect = form.elements.format;
+        formatSelect.innerHTML = Object.entries(UPLOAD_FORMAT_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        
+        select.addEventListener('change', () => {
+            try {
+                this.app.uploadTargets.setActiveTarget(select.value);
+                this.showNotification(`Uploads will go to ${this.app.uploadTargets.getActiveTarget().name}`, 'success');
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+        
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            
+            try {
+                const saved = this.app.uploadTargets.saveTarget({
+                    id: form.elements.id.value || null,
+                    name: form.elements.name.value,
+                    endpoint: form.elements.endpoint.value,
+                    format: formatSelect.value,
+                    authToken: form.elements.authToken.value,
+                    headers: parseHeaderLines(form.elements.headers.value),
+                    signing: form.elements.signing.checked
+                });
+                this.app.uploadTargets.setActiveTarget(saved.id);
+                this.showNotification(`Saved upload destination "${saved.name}"`, 'success');
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+        
+        document.getElementById('upload-target-new-btn')?.addEventListener('click', () => {
+            this.fillUploadTargetForm(null);
+        });
+        
+        document.getElementById('upload-target-delete-btn')?.addEventListener('click', async () => {
+            const id = form.elements.id.value;
+            const target = id && this.app.uploadTargets.getTarget(id);
+            if (!target || target.builtIn) return;
+            
+            const confirmed = await this.showConfirmDialog(
+                'Delete Destination',
+                `Remove the upload destination "${escapeHTML(target.name)}"? Recordings already queued for it will still be sent there.`,
+                'Delete'
+            );
+            if (!confirmed) return;
+            
+            this.app.uploadTargets.removeTarget(id);
+            this.showNotification(`Removed upload destination "${target.name}"`, 'success');
+        });
+        
+        this.app.uploadTargets.onChange(() => this.renderUploadTargets());
+        this.renderUploadTargets();
+    }
+    
+    renderUploadTargets() {
+        const select = document.getElementById('upload-target-select');
+        if (!select) return;
+        
+        const targets = this.app.uploadTargets.getTargets();
+        const active = this.app.uploadTargets.getActiveTarget();
+        
+        select.innerHTML = '';
+        targets.forEach(target => {
+            const option = document.createElement('option');
+            option.value = target.id;
+            option.textContent = target.builtIn ? target.name : `${target.name} (custom)`;
+            option.selected = active?.id === target.id;
+            select.appendChild(option);
+        });
+        
+        const summary = document.getElementById('upload-target-summary');
+        if (summary) {
+            summary.textContent = active
+                ? `${UPLOAD_FORMAT_LABELS[active.format] || active.format}${active.signing ? ', signed' : ''} → ${active.endpoint || 'no endpoint set'}`
+                : 'No destination configured';
+        }
+        
+        this.fillUploadTargetForm(active);
+    }
+    
+    fillUploadTargetForm(target) {
+        const form = document.getElementById('upload-target-form');
+        if (!form) return;
+        
+        // Built-in targets come from config.js, so saving creates an editable copy
+        const editable = target && !target.builtIn;
+        form.elements.id.value = editable ? target.id : '';
+        form.elements.name.value = target ? (editable ? target.name : `${target.name} copy`) : '';
+        form.elements.endpoint.value = target?.endpoint || '';
+        form.elements.format.value = target?.format || 'csv-multipart';
+        form.elements.authToken.value = target?.authToken || '';
+        form.elements.headers.value = formatHeaderLines(target?.headers);
+        form.elements.signing.checked = target?.signing === true;
+        
+        const deleteBtn = document.getElementById('upload-target-delete-btn');
+        if (deleteBtn) {
+            deleteBtn.disabled = !editable;
+        }
+        
+        const hint = document.getElementById('upload-target-hint');
+        if (hint) {
+            hint.textContent = target && target.builtIn
+                ? 'This destination comes from config.js - saving creates an editable copy. Tokens are stored on this device only.'
+                : 'Tokens are stored on this device only.';
+        }
+    }
+    
+    // Unlock and passphrase settings for at-rest encryption in the Data tab
+    setupEncryptionSettings() {
+        const unlockForm = document.getElementById('encryption-unlock-form');
+        const passphraseForm = document.getElementById('encryption-passphrase-form');
+        if (!unlockForm || !passphraseForm) return;
+        
+        const databaseManager = this.app.databaseManager;
+        
+        unlockForm.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            
+            try {
+                this.showLoadingState('Unlocking...');
+                await databaseManager.unlock(unlockForm.elements.passphrase.value);
+                unlockForm.reset();
+                this.showNotification('Local data unlocked', 'success');
+                this.renderEncryptionSettings();
+                await this.app.privacyZones.init();
+                this.app.uploadQueue.drain();
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            } finally {
+                this.hideLoadingState();
+            }
+        });
+        
+        passphraseForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            
+            const { passphrase, confirm } = passphraseForm.elements;
+            if (passphrase.value.length < MIN_PASSPHRASE_LENGTH) {
+                this.showNotification(`Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters`, 'error');
+                return;
+            }
+            if (passphrase.value !== confirm.value) {
+                this.showNotification('The passphrases do not match', 'error');
+                return;
+            }
+            this.changePassphrase(passphrase.value);
+        });
+        
+        document.getElementById('encryption-remove-btn')?.addEventListener('click', async () => {
+            const confirmed = await this.showConfirmDialog(
+                'Remove Passphrase',
+                'Recordings stay encrypted, but the key will be protected by this browser only and anyone using it can read them.',
+                'Remove'
+            );
+            if (confirmed) {
+                this.changePassphrase(null);
+            }
+        });
+        
+        this.renderEncryptionSettings();
+    }
+    
+    // Protect the key with a new passphrase, or remove it (null)
+    async changePassphrase(passphrase) {
+        const form = document.getElementById('encryption-passphrase-form');
+        
+        try {
+            this.showLoadingState('Updating encryption key...');
+            await this.app.databaseManager.setPassphrase(passphrase, form.elements.current.value || null);
+            form.reset();
+            this.showNotification(passphrase ? 'Local data is now protected by your passphrase' : 'Passphrase removed', 'success');
+            this.renderEncryptionSettings();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        } finally {
+            this.hideLoadingState();
+        }
+    }
+    
+    renderEncryptionSettings() {
+        const section = document.getElementById('encryption-section');
+        if (!section) return;
+        
+        const { enabled, protection, locked } = this.app.databaseManager.getEncryptionStatus();
+        
+        // Also shown when the setting was turned off but earlier recordings are still encrypted
+        section.hidden = !enabled && !protection;
+        
+        let status;
+        if (locked) {
+            status = '🔒 Locked - enter your passphrase to record, open or upload recordings.';
+        } else if (protection === 'passphrase') {
+            status = '🔐 Recordings are encrypted on this device with a key protected by your passphrase.';
+        } else {
+            status = '🔐 Recordings are encrypted on this device with a key kept by this browser.';
+        }
+        if (!enabled) {
+            status += ' New recordings are stored unencrypted.';
+        }
+        document.getElementById('encryption-status').textContent = status;
+        
+        document.getElementById('encryption-unlock-form').hidden = !locked;
+        document.getElementById('encryption-editor').hidden = locked;
+        document.getElementById('encryption-current-field').hidden = protection !== 'passphrase';
+        document.getElementById('encryption-remove-btn').hidden = protection !== 'passphrase';
+    }
+    
+    // Privacy zones and coordinate options for exports and uploads in the Data tab
+    setupPrivacySettings() {
+        const zoneForm = document.getElementById('privacy-zone-form');
+        const optionsForm = document.getElementById('privacy-options-form');
+        const list = document.getElementById('privacy-zone-list');
+        if (!zoneForm || !optionsForm || !list || !this.app.privacyZones) return;
+        
+        const privacyZones = this.app.privacyZones;
+        
+        zoneForm.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            
+            const { name, lat, lon, radius } = zoneForm.elements;
+            try {
+                const zone = await privacyZones.addZone({
+                    name: name.value,
+                    // Empty fields would become 0, a valid but unintended coordinate
+                    lat: lat.value === '' ? NaN : lat.value,
+                    lon: lon.value === '' ? NaN : lon.value,
+                    radius: radius.value
+                });
+                zoneForm.reset();
+                this.showNotification(`Added privacy zone "${zone.name}"`, 'success');
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+        
+        document.getElementById('privacy-zone-locate-btn')?.addEventListener('click', () => {
+            if (!('geolocation' in navigator)) {
+                this.showNotification('Location is not available on this device', 'error');
+                return;
+            }
+            
+            this.showLoadingState('Getting current location...');
+            navigator.geolocation.getCurrentPosition(
+                (position) => {
+                    this.hideLoadingState();
+                    zoneForm.elements.lat.value = position.coords.latitude.toFixed(6);
+                    zoneForm.elements.lon.value = position.coords.longitude.toFixed(6);
+                },
+                (error) => {
+                    this.hideLoadingState();
+                    this.showNotification(`Could not get location: ${error.message}`, 'error');
+                },
+                { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+            );
+        });
+        
+        list.addEventListener('click', async (event) => {
+            const button = event.target.closest('[data-zone-id]');
+            if (!button) return;
+            
+            const zone = privacyZones.zones.find(item => item.id === button.dataset.zoneId);
+            if (!zone) return;
+            
+            const confirmed = await this.showConfirmDialog(
+                'Remove Privacy Zone',
+                `Remove the privacy zone "${escapeHTML(zone.name)}"? Positions inside it will be exported again.`,
+                'Remove'
+            );
+            if (!confirmed) return;
+            
+            try {
+                await privacyZones.removeZone(zone.id);
+                this.showNotification(`Removed privacy zone "${zone.name}"`, 'success');
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+        
+        optionsForm.addEventListener('change', async () => {
+            const { zoneMode, precision, offset } = optionsForm.elements;
+            try {
+                await privacyZones.setOptions({
+                    zoneMode: zoneMode.value,
+                    precision: precision.value === '' ? null : Number(precision.value),
+                    offset: Number(offset.value)
+                });
+                this.showNotification('Location privacy settings saved', 'success');
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+        
+        privacyZones.onChange(() => this.renderPrivacySettings());
+        this.renderPrivacySettings();
+    }
+    
+    renderPrivacySettings() {
+        const list = document.getElementById('privacy-zone-list');
+        const optionsForm = document.getElementById('privacy-options-form');
+        if (!list || !optionsForm) return;
+        
+        // Stored encrypted; the zones can't be shown or changed until the passphrase is entered
+        const locked = this.app.privacyZones.locked;
+        const editor = document.querySelector('#privacy-section .privacy-editor');
+        optionsForm.hidden = locked;
+        if (editor) editor.hidden = locked;
+        if (locked) {
+            list.innerHTML = '<li class="privacy-zone-empty">Locked - enter your passphrase under Local Encryption to see the privacy zones</li>';
+            return;
+        }
+        
+        const { zones, zoneMode, precision, offset } = this.app.privacyZones.getSettings();
+        
+        list.innerHTML = zones.length === 0
+            ? '<li class="privacy-zone-empty">No privacy zones</li>'
+            : zones.map(zone => `
+                <li class="privacy-zone">
+                    <span class="material-icons">shield</span>
+                    <span class="privacy-zone-name">${escapeHTML(zone.name)}</span>
+                    <span class="privacy-zone-detail">${zone.radius} m around ${zone.lat.toFixed(5)}, ${zone.lon.toFixed(5)}</span>
+                    <button type="button" class="icon-button" data-zone-id="${escapeHTML(zone.id)}" title="Remove zone" aria-label="Remove ${escapeHTML(zone.name)}">
+                        <span class="material-icons">delete</span>
+                    </button>
+                </li>
+            `).join('');
+        
+        optionsForm.elements.zoneMode.value = zoneMode;
+        optionsForm.elements.precision.value = precision === null ? '' : String(precision);
+        optionsForm.elements.offset.value = String(offset);
+    }
+    
+    // Retention policy, cleanup and deletion log in the Data tab
+    setupRetentionSettings() {
+        const checkbox = document.getElementById('retention-delete-unuploaded');
+        if (!checkbox || !this.app.dataRetention) return;
+        
+        checkbox.addEventListener('change', async () => {
+            if (checkbox.checked) {
+                const confirmed = await this.showConfirmDialog(
+                    'Delete Unuploaded Recordings',
+                    'Expired recordings will be deleted even if they never reached the server. Their data will be lost.',
+                    'Allow'
+                );
+                if (!confirmed) {
+                    checkbox.checked = false;
+                    return;
+                }
+            }
+            
+            try {
+                await this.app.dataRetention.setDeleteUnuploaded(checkbox.checked);
+                this.renderRetentionSettings();
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+            }
+        });
+        
+        document.getElementById('retention-run-btn')?.addEventListener('click', async () => {
+            const result = await this.app.dataRetention.run();
+            if (!result) return;
+            
+            const kept = result.kept['not-uploaded'] || 0;
+            this.showNotification(
+                `Deleted ${result.deleted.length} expired recording(s)${kept > 0 ? `, kept ${kept} not yet uploaded` : ''}`,
+                'success'
+            );
+            this.renderRetentionSettings();
+        });
+        
+        this.renderRetentionSettings();
+    }
+    
+    async renderRetentionSettings() {
+        const summary = document.getElementById('retention-summary');
+        const list = document.getElementById('retention-log-list');
+        if (!summary || !list || !this.app.dataRetention) return;
+        
+        const policy = this.app.dataRetention.getPolicy();
+        summary.textContent = describeRetention(policy);
+        
+        const checkbox = document.getElementById('retention-delete-unuploaded');
+        checkbox.checked = policy?.deleteUnuploaded === true;
+        checkbox.disabled = !policy?.enabled;
+        document.getElementById('retention-run-btn').disabled = !policy?.enabled;
+        
+        try {
+            const log = await this.app.dataRetention.getLog();
+            list.innerHTML = log.length === 0
+                ? '<li class="retention-log-empty">Nothing deleted yet</li>'
+                : log.map(entry => `
+                    <li class="retention-log-entry">
+                        <span class="retention-log-time">${escapeHTML(new Date(entry.deletedAt).toLocaleString())}</span>
+                        Recording ${escapeHTML(String(entry.recordingId))} from ${escapeHTML(new Date(entry.recordedAt).toLocaleString())}
+                        (${entry.dataPointCount ?? 0} points, ${escapeHTML(entry.uploadStatus || 'not uploaded')})
+                        - ${entry.reason === 'retention' ? `older than ${entry.thresholdDays} days` : 'deleted by you'}${entry.source === 'service-worker' ? ', in the background' : ''}
+                    </li>
+                `).join('');
+        } catch (error) {
+            console.warn('Failed to load deletion log:', error);
+        }
+    }
+    
+    // The first-run consent screen; resolves true if the user agrees
+    showConsentScreen({ version, policy, target }) {
+        const screen = document.getElementById('consent-screen');
+        if (!screen) return Promise.resolve(false);
+        
+        document.getElementById('consent-version').textContent = version;
+        document.getElementById('consent-retention').textContent = describeRetention(policy);
+        document.getElementById('consent-destination').textContent = target?.endpoint
+            ? `Each recording is uploaded when it ends to "${target.name}" (${new URL(target.endpoint, location.href).host}), including your user ID and device details. Location privacy settings in the Data tab apply to what is uploaded.`
+            : 'No upload destination is configured, so recordings stay on this device unless you export them.';
+        screen.querySelectorAll('.consent-user-id').forEach(element => {
+            element.textContent = this.app.userManager.getUserId() || 'not set';
+        });
+        
+        return new Promise((resolve) => {
+            const accept = document.getElementById('consent-accept-btn');
+            const decline = document.getElementById('consent-decline-btn');
+            
+            const close = (accepted) => {
+                accept.removeEventListener('click', onAccept);
+                decline.removeEventListener('click', onDecline);
+                screen.hidden = true;
+                resolve(accepted);
+            };
+            const onAccept = () => close(true);
+            const onDecline = () => close(false);
+            
+            accept.addEventListener('click', onAccept);
+            decline.addEventListener('click', onDecline);
+            screen.hidden = false;
+            accept.focus();
+        });
     }
     
     async confirmAndClearData() {
@@ -145,6 +639,8 @@ export class UIManager {
             try {
                 this.showLoadingState('Clearing all data...');
                 await this.app.clearAllData();
+                this.renderEncryptionSettings();
+                this.renderRetentionSettings();
                 this.hideLoadingState();
                 this.showNotification('All data cleared successfully', 'success');
             } catch (error) {
@@ -154,7 +650,7 @@ export class UIManager {
         }
     }
     
-    showConfirmDialog(title, message) {
+    showConfirmDialog(title, message, confirmLabel = 'Clear Data') {
         return new Promise((resolve) => {
             // Create custom modal dialog
             const overlay = document.createElement('div');
@@ -209,7 +705,7 @@ export class UIManager {
                         cursor: pointer;
                         font-family: inherit;
                         font-weight: 500;
-                    ">Clear Data</button>
+                    ">${confirmLabel}</button>
                 </div>
             `;
             
@@ -246,7 +742,126 @@ export class UIManager {
             });
         });
     }
-    
+
+    // Rename/annotate dialog; resolves { name, notes, tags } or null when cancelled
+    showRecordingDetailsDialog(recording) {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.style.cssText = `
+                position: fixed;
+                top: 0;
+                left: 0;
+                right: 0;
+                bottom: 0;
+                background: rgba(0, 0, 0, 0.5);
+                z-index: 10000;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 20px;
+            `;
+
+            const dialog = document.createElement('form');
+            dialog.style.cssText = `
+                background: var(--md-sys-color-surface);
+                border-radius: 12px;
+                padding: 24px;
+                max-width: 400px;
+                width: 100%;
+                box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+                color: var(--md-sys-color-on-surface);
+                display: flex;
+                flex-direction: column;
+                gap: 12px;
+            `;
+
+            const fieldStyle = `
+                padding: 8px 12px;
+                border: 1px solid var(--md-sys-color-outline);
+                border-radius: 8px;
+                background: var(--md-sys-color-surface);
+                color: var(--md-sys-color-on-surface);
+                font-family: inherit;
+                font-size: 14px;
+            `;
+
+            dialog.innerHTML = `
+                <h3 style="margin: 0 0 4px 0; font-size: 20px; font-weight: 500;">Recording Details</h3>
+                <label style="display: flex; flex-direction: column; gap: 4px; font-size: 14px;">
+                    Name
+                    <input name="name" type="text" maxlength="100" style="${fieldStyle}"
+                        placeholder="${escapeHTML(new Date(recording.timestamp).toLocaleString())}"
+                        value="${escapeHTML(recording.name || '')}">
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px; font-size: 14px;">
+                    Notes
+                    <textarea name="notes" rows="4" style="${fieldStyle}">${escapeHTML(recording.notes || '')}</textarea>
+                </label>
+                <label style="display: flex; flex-direction: column; gap: 4px; font-size: 14px;">
+                    Tags
+                    <input name="tags" type="text" style="${fieldStyle}" placeholder="commute, outdoor"
+                        value="${escapeHTML((recording.tags || []).join(', '))}">
+                </label>
+                <div style="display: flex; gap: 12px; justify-content: flex-end; margin-top: 12px;">
+                    <button type="button" data-role="cancel" style="
+                        padding: 8px 16px;
+                        border: 1px solid var(--md-sys-color-outline);
+                        background: transparent;
+                        color: var(--md-sys-color-on-surface);
+                        border-radius: 20px;
+                        cursor: pointer;
+                        font-family: inherit;
+                    ">Cancel</button>
+                    <button type="submit" style="
+                        padding: 8px 16px;
+                        border: none;
+                        background: var(--md-sys-color-primary);
+                        color: var(--md-sys-color-on-primary);
+                        border-radius: 20px;
+                        cursor: pointer;
+                        font-family: inherit;
+                        font-weight: 500;
+                    ">Save</button>
+                </div>
+            `;
+
+            overlay.appendChild(dialog);
+            document.body.appendChild(overlay);
+            dialog.elements.name.focus();
+
+            const close = (result) => {
+                document.removeEventListener('keydown', escapeHandler);
+                document.body.removeChild(overlay);
+                resolve(result);
+            };
+
+            const escapeHandler = (e) => {
+                if (e.key === 'Escape') {
+                    close(null);
+                }
+            };
+            document.addEventListener('keydown', escapeHandler);
+
+            dialog.addEventListener('submit', (e) => {
+                e.preventDefault();
+                close({
+                    name: dialog.elements.name.value.trim(),
+                    notes: dialog.elements.notes.value.trim(),
+                    // Comma separated, de-duplicated
+                    tags: [...new Set(dialog.elements.tags.value.split(',').map(tag => tag.trim()).filter(Boolean))]
+                });
+            });
+
+            dialog.querySelector('[data-role="cancel"]').addEventListener('click', () => close(null));
+
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) {
+                    close(null);
+                }
+            });
+        });
+    }
+
     initNetworkMonitoring() {
         // Use the NetworkManager for network status monitoring
         networkManager.onStatusChange((status, isOnline) => {
@@ -454,6 +1069,48 @@ export class UIManager {
         }
     }
     
+    // Notification with buttons that stays until one is picked.
+    // Resolves with the chosen action id, or null when dismissed.
+    showActionNotification(message, actions, type = 'warning') {
+        return new Promise((resolve) => {
+            const container = document.getElementById('notification-container');
+            if (!container) {
+                resolve(null);
+                return;
+            }
+            
+            const notification = document.createElement('div');
+            notification.className = `notification action-notification notification-${type}`;
+            notification.innerHTML = `
+                <div class="notification-content">
+                    <span class="material-icons">${type === 'error' ? 'error' : 'info'}</span>
+                    <span class="notification-text"></span>
+                    <button class="notification-close" data-action="" aria-label="Close notification">
+                        <span class="material-icons">close</span>
+                    </button>
+                </div>
+                <div class="notification-actions">
+                    ${actions.map(action => `
+                        <button type="button" class="notification-action" data-action="${escapeHTML(action.id)}">
+                            ${escapeHTML(action.label)}
+                        </button>
+                    `).join('')}
+                </div>
+            `;
+            notification.querySelector('.notification-text').textContent = message;
+            
+            notification.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action]');
+                if (!button) return;
+                
+                notification.remove();
+                resolve(button.dataset.action || null);
+            });
+            
+            container.appendChild(notification);
+        });
+    }
+    
     updateRecordingStats(stats) {
         // Update Material Tabs performance metrics
         if (window.materialTabs) {
@@ -525,6 +1182,58 @@ export class UIManager {
         });
     }
     
+    // One block per imported recording, with the rows that were skipped
+    renderImportReport(results) {
+        const report = document.getElementById('import-report');
+        if (!report) return;
+        
+        report.innerHTML = results.map(result => {
+            let summary;
+            if (result.status === 'imported') {
+                summary = `${result.rows} data points imported`;
+                if (result.skippedRows > 0) {
+                    summary += `, ${result.skippedRows} rows skipped`;
+                }
+            } else if (result.status === 'duplicate') {
+                summary = 'Already imported - skipped';
+            } else {
+                summary = `Failed: ${escapeHTML(result.message)}`;
+            }
+            
+            const unlisted = result.skippedRows - result.errors.length;
+            const errors = result.errors.length > 0 ? `
+                <ul class="import-errors">
+                    ${result.errors.map(error => `<li>Line ${error.line}: ${escapeHTML(error.message)}</li>`).join('')}
+                    ${unlisted > 0 ? `<li>…and ${unlisted} more</li>` : ''}
+                </ul>
+            ` : '';
+            
+            return `
+                <div class="import-result import-result-${result.status}">
+                    <div class="import-source">${escapeHTML(result.source)}</div>
+                    <div class="import-summary">${summary}</div>
+                    ${errors}
+                </div>
+            `;
+        }).join('');
+        report.hidden = results.length === 0;
+    }
+    
+    // Date inputs are local days; the range covers both days completely
+    getBundleFilters(form) {
+        const { from, to, userId } = form.elements;
+        return {
+            from: from.value ? new Date(`${from.value}T00:00:00`) : null,
+            to: to.value ? new Date(`${to.value}T23:59:59.999`) : null,
+            userId: userId.value.trim() || null
+        };
+    }
+    
+    // Format picked next to the download button (csv when the selector is missing)
+    getExportFormat() {
+        return document.getElementById('export-format')?.value || 'csv';
+    }
+    
     getFeatureSupport() {
         const requiredFeatures = {
             serviceWorker: 'serviceWorker' in navigator,
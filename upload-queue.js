@@ -0,0 +1,273 @@
+// ============================================
+// upload-queue.js - Durable Upload Queue with Retry and Backoff
+// ============================================
+
+import { ErrorBoundary } from './utils.js';
+
+export const UploadStatus = {
+    PENDING: 'pending',
+    UPLOADING: 'uploading',
+    UPLOADED: 'uploaded',
+    FAILED: 'failed'
+};
+
+// Tag handled by the service worker's 'sync' listener
+export const UPLOAD_SYNC_TAG = 'upload-pending-data';
+
+// ", gzip 5.2:1, 3.4 MB sent as 0.7 MB" for uploads that went compressed
+function formatCompression(compression) {
+    if (!compression || compression.sentBytes === 0) return '';
+
+    const size = (bytes) => bytes < 1048576 ? `${Math.ceil(bytes / 1024)} KB` : `${(bytes / 1048576).toFixed(1)} MB`;
+    const ratio = compression.originalBytes / compression.sentBytes;
+    return `, gzip ${ratio.toFixed(1)}:1, ${size(compression.originalBytes)} sent as ${size(compression.sentBytes)}`;
+}
+
+export class UploadQueue {
+    constructor(app) {
+        this.app = app;
+        this.isDraining = false;
+        this.retryTimer = null;
+    }
+
+    init() {
+        // The service worker reports uploads it completed while we were closed or offline
+        if (typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data?.type === 'SYNC_UPLOAD_COMPLETE') {
+                    console.log('🔄 Background sync finished uploads:', event.data);
+                    this.notifyChange();
+                }
+            });
+        }
+        
+        // Resume any uploads left over from a previous session
+        this.drain();
+    }
+
+    getRetryConfig() {
+        const api = window.MotionRecorderConfig?.api || {};
+        return {
+            retryAttempts: api.retryAttempts ?? 3,
+            retryDelay: api.retryDelay ?? 1000,
+            // An 'uploading' entry older than this was interrupted (tab closed mid-upload)
+            staleAfter: (api.timeout || 30000) * 2
+        };
+    }
+
+    // Add a recording to the queue (or reset a failed one) so the next drain picks it up.
+    // Uploaded recordings are left alone unless force is set.
+    async enqueue(recordingId, { force = false } = {}) {
+        const existing = await this.app.databaseManager.getUploadEntry(recordingId);
+        if (existing && existing.status === UploadStatus.UPLOADED && !force) {
+            return existing;
+        }
+
+        const now = Date.now();
+        const { retryAttempts } = this.getRetryConfig();
+        const entry = {
+            recordingId,
+            status: UploadStatus.PENDING,
+            attempts: 0,
+            nextAttemptAt: now,
+            lastError: null,
+            // Snapshot what the service worker needs, since it cannot read our config.
+            // Location privacy isn't part of it: the service worker reads the current settings.
+            target: this.app.getUploadTarget(),
+            exportSettings: this.app.getFormatSettings(),
+            retryAttempts,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        await this.app.databaseManager.saveUploadEntry(entry);
+        this.notifyChange();
+        console.log('📥 Recording queued for upload:', recordingId);
+        return entry;
+    }
+
+    // Upload every due entry; schedules itself again for entries waiting on backoff
+    async drain() {
+        if (this.isDraining || !this.app.databaseManager?.db) return;
+
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            console.log('📴 Offline - upload queue will drain when connection returns');
+            return;
+        }
+
+        // Recordings can't be read until the passphrase is entered; unlocking drains again
+        if (this.app.databaseManager.getEncryptionStatus().locked) {
+            console.log('🔒 Local data locked - upload queue will drain once unlocked');
+            return;
+        }
+
+        this.isDraining = true;
+        this.clearRetryTimer();
+
+        try {
+            const { staleAfter } = this.getRetryConfig();
+            const entries = await this.app.databaseManager.getUploadQueue([
+                UploadStatus.PENDING,
+                UploadStatus.UPLOADING
+            ]);
+
+            const now = Date.now();
+            const due = entries
+                .filter(entry => entry.status === UploadStatus.PENDING
+                    ? entry.nextAttemptAt <= now
+                    : now - entry.updatedAt > staleAfter)
+                .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+
+            if (due.length > 0) {
+                console.log(`📤 Draining upload queue: ${due.length} recording(s) due`);
+            }
+
+            for (const entry of due) {
+                await this.process(entry);
+            }
+
+            await this.scheduleNextAttempt();
+
+        } catch (error) {
+            ErrorBoundary.handle(error, 'Upload Queue');
+        } finally {
+            this.isDraining = false;
+        }
+    }
+
+    // Upload a single recording right away, bypassing backoff
+    async uploadNow(recordingId, options = {}) {
+        const entry = await this.enqueue(recordingId, options);
+        if (entry.status === UploadStatus.UPLOADED) return entry;
+        return this.process(entry);
+    }
+
+    async process(entry) {
+        const { retryAttempts, retryDelay, staleAfter } = this.getRetryConfig();
+
+        const claimed = await this.app.databaseManager.claimUploadEntry(entry.recordingId, staleAfter);
+        if (!claimed) {
+            console.log(`⏭️ Recording ${entry.recordingId} is already being uploaded elsewhere`);
+            return entry;
+        }
+        Object.assign(entry, claimed);
+        this.notifyChange();
+
+        try {
+            // Queued uploads go to the destination that was active when they were queued
+            const result = await this.app.uploadRecording(entry.recordingId, entry.target || this.app.getUploadTarget());
+
+            await this.updateEntry(entry, {
+                status: UploadStatus.UPLOADED,
+                uploadedAt: new Date().toISOString(),
+                lastError: null
+            });
+
+            if (!result?.skipped) {
+                this.app.showNotification(
+                    `✅ Recording uploaded successfully (${result.dataPoints} points${formatCompression(result.compression)})`,
+                    'success'
+                );
+            }
+
+        } catch (error) {
+            // Not a failed attempt - it goes out once the passphrase is entered
+            if (AtRestCrypto.isLockedError(error)) {
+                await this.updateEntry(entry, { status: UploadStatus.PENDING, lastError: error.message });
+                this.app.showNotification(`🔒 ${error.message}`, 'warning');
+                return entry;
+            }
+
+            const attempts = (entry.attempts || 0) + 1;
+
+            if (attempts > retryAttempts) {
+                await this.updateEntry(entry, {
+                    status: UploadStatus.FAILED,
+                    attempts,
+                    lastError: error.message
+                });
+
+                ErrorBoundary.handle(error, 'Upload Queue');
+                this.app.showNotification('⚠️ Upload failed. Data saved locally.', 'warning');
+            } else {
+                // Exponential backoff: retryDelay, 2x, 4x, ...
+                const delay = retryDelay * Math.pow(2, attempts - 1);
+
+                await this.updateEntry(entry, {
+                    status: UploadStatus.PENDING,
+                    attempts,
+                    nextAttemptAt: Date.now() + delay,
+                    lastError: error.message
+                });
+
+                console.warn(`⚠️ Upload of recording ${entry.recordingId} failed (attempt ${attempts}/${retryAttempts + 1}), retrying in ${delay}ms:`, error.message);
+            }
+        }
+
+        return entry;
+    }
+
+    async updateEntry(entry, updates) {
+        Object.assign(entry, updates, { updatedAt: Date.now() });
+        await this.app.databaseManager.saveUploadEntry(entry);
+        this.notifyChange();
+        return entry;
+    }
+
+    async scheduleNextAttempt() {
+        const pending = await this.app.databaseManager.getUploadQueue([UploadStatus.PENDING]);
+        if (pending.length === 0) return;
+
+        const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+        const delay = Math.max(0, nextAttemptAt - Date.now());
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.drain();
+        }, delay);
+    }
+
+    clearRetryTimer() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
+    // Let the service worker finish the upload even if this tab is closed
+    async registerBackgroundSync() {
+        if (!window.MotionRecorderConfig?.features?.backgroundSync) return false;
+        if (!('serviceWorker' in navigator)) return false;
+
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!registration.sync) {
+                console.log('⚠️ Background Sync not supported - upload will wait for this tab');
+                return false;
+            }
+
+            await registration.sync.register(UPLOAD_SYNC_TAG);
+            console.log('🔄 Background sync registered:', UPLOAD_SYNC_TAG);
+            return true;
+        } catch (error) {
+            console.warn('Failed to register background sync:', error);
+            return false;
+        }
+    }
+
+    async getStatus(recordingId) {
+        const entry = await this.app.databaseManager.getUploadEntry(recordingId);
+        return entry ? entry.status : null;
+    }
+
+    // Refresh the recordings list so per-recording status stays current
+    notifyChange() {
+        if (typeof window !== 'undefined' && window.materialTabs) {
+            window.materialTabs.updateRecordingsList();
+        }
+    }
+
+    destroy() {
+        this.clearRetryTimer();
+    }
+}
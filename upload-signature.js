@@ -0,0 +1,228 @@
+// ============================================
+// upload-signature.js - Server-side Verification of Signed Uploads
+// ============================================
+//
+// Node module (no dependencies) for collectors that receive uploads from the app, and
+// for mock-upload-server.js. Checks the headers request-signing.js adds to each request:
+//
+//   const { createDeviceRegistry, createVerifier, bearerToken } = require('./upload-signature');
+//   const registry = createDeviceRegistry({              // or your own { getDevice(keyId) }
+//       // Who may enroll: the user the target's Authorization header belongs to
+//       authenticate: (headers) => lookUpUser(bearerToken(headers))
+//   });
+//   const verifier = createVerifier({ getDevice: keyId => registry.getDevice(keyId) });
+//
+//   // POST {enrollPath}: body { userId, algorithm, publicKey? }
+//   const result = await registry.enroll({ headers, body });
+//   if (!result.ok) answer result.status with { error: result.error, code: result.code }
+//   else answer 201 with result.response
+//
+//   // Every upload request, with the raw body bytes as received (before gunzip)
+//   const result = await verifier.verify({ method, path, headers, body });
+//   if (!result.ok) answer result.status with { error: result.error, code: result.code }
+//   else result.device.userId is who sent it - refuse uploads that claim another user
+//
+// authenticate(headers, body) resolves with the userId the enrollment request's
+// credentials vouch for, or null to refuse it; a collector that hands out enrollment codes
+// instead checks the code and returns body.userId. A device is only enrolled for the user
+// its credentials belong to, so a signature proves both the device and the user.
+// Nonces are remembered in memory for the allowed clock skew; collectors running several
+// processes should pass a shared nonceStore.
+
+const crypto = require('crypto');
+
+const VERSION = 'MR1';
+
+const ALGORITHMS = {
+    HMAC: 'HMAC-SHA256',
+    ECDSA: 'ECDSA-P256-SHA256'
+};
+
+// Node lower-cases incoming header names
+const HEADERS = {
+    keyId: 'x-upload-key-id',
+    timestamp: 'x-upload-timestamp',
+    nonce: 'x-upload-nonce',
+    contentHash: 'x-upload-content-sha256',
+    signature: 'x-upload-signature'
+};
+
+const DEFAULT_MAX_CLOCK_SKEW = 300; // seconds
+
+// Must match canonicalRequest() in request-signing.js
+const canonicalRequest = ({ algorithm, method, path, timestamp, nonce, keyId, contentHash }) => {
+    return [`${VERSION}-${algorithm}`, method.toUpperCase(), path, timestamp, nonce, keyId, contentHash].join('\n');
+};
+
+const isSigned = (headers) => Boolean(headers[HEADERS.signature] || headers[HEADERS.keyId]);
+
+// Token of an `Authorization: Bearer <token>` header, or null
+const bearerToken = (headers) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+    return match ? match[1] : null;
+};
+
+const failure = (code, error, status) => ({ ok: false, status, code, error });
+
+// Nonces seen within the skew window; has() and add() may also be async in a shared store
+const createNonceStore = () => {
+    const seen = new Map();
+
+    return {
+        has: (key) => seen.has(key),
+        add(key, expiresAt) {
+            const now = Date.now();
+            for (const [stored, expiry] of seen) {
+                if (expiry <= now) seen.delete(stored);
+            }
+            seen.set(key, expiresAt);
+        }
+    };
+};
+
+// In-memory device keys. A collector would keep the same records in its database.
+// authenticate(headers, body) is required: see the top of this file.
+const createDeviceRegistry = ({ authenticate } = {}) => {
+    if (typeof authenticate !== 'function') {
+        throw new Error('createDeviceRegistry needs an authenticate(headers, body) function');
+    }
+    const devices = new Map();
+
+    return {
+        getDevice: (keyId) => devices.get(keyId) || null,
+
+        // Register a device from its enrollment request (headers as Node gives them, parsed
+        // JSON body). Resolves with { ok: true, device, response } - response, with the HMAC
+        // secret if one was issued, goes back to the device once - or { ok: false, status, code, error }.
+        async enroll({ headers = {}, body = {} }) {
+            const userId = await authenticate(headers, body);
+            if (!userId) {
+                return failure('enrollment_unauthorized', 'Enrollment needs valid credentials', 401);
+            }
+            if (body.userId && body.userId !== userId) {
+                return failure('user_mismatch', 'userId does not match the enrollment credentials', 403);
+            }
+
+            let device;
+            try {
+                device = createDevice({ userId, algorithm: body.algorithm ?? ALGORITHMS.HMAC, publicKey: body.publicKey ?? null });
+            } catch (error) {
+                return failure('invalid_enrollment', error.message, 400);
+            }
+            devices.set(device.keyId, device);
+
+            const response = {
+                keyId: device.keyId,
+                algorithm: device.algorithm,
+                serverTime: Date.now()
+            };
+            if (device.secret) {
+                response.secret = device.secret;
+            }
+            return { ok: true, device, response };
+        },
+
+        revoke: (keyId) => devices.delete(keyId)
+    };
+};
+
+// Device record for an enrollment request; throws on invalid input
+const createDevice = ({ userId, algorithm, publicKey }) => {
+    if (typeof userId !== 'string' || !userId) {
+        throw new Error('Enrollment needs a userId');
+    }
+
+    const device = {
+        keyId: `dev_${crypto.randomBytes(12).toString('hex')}`,
+        userId,
+        algorithm,
+        enrolledAt: new Date().toISOString()
+    };
+
+    if (algorithm === ALGORITHMS.HMAC) {
+        device.secret = crypto.randomBytes(32).toString('base64');
+    } else if (algorithm === ALGORITHMS.ECDSA) {
+        if (!publicKey || publicKey.kty !== 'EC' || publicKey.crv !== 'P-256') {
+            throw new Error('ECDSA enrollment needs a P-256 public key (JWK)');
+        }
+        device.publicKey = { kty: 'EC', crv: 'P-256', x: publicKey.x, y: publicKey.y };
+    } else {
+        throw new Error(`Unsupported signing algorithm: ${algorithm}`);
+    }
+    return device;
+};
+
+const checkSignature = (device, canonical, signature) => {
+    const data = Buffer.from(canonical, 'utf8');
+
+    if (device.algorithm === ALGORITHMS.HMAC) {
+        const expected = crypto.createHmac('sha256', Buffer.from(device.secret, 'base64')).update(data).digest();
+        return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+    if (device.algorithm === ALGORITHMS.ECDSA) {
+        const key = crypto.createPublicKey({ key: device.publicKey, format: 'jwk' });
+        // WebCrypto signatures are r || s, not DER
+        return crypto.verify('sha256', data, { key, dsaEncoding: 'ieee-p1363' }, signature);
+    }
+    return false;
+};
+
+// verify({ method, path, headers, body }) resolves with { ok: true, device } or
+// { ok: false, status, code, error }. path includes the query string; body is a Buffer.
+const createVerifier = ({ getDevice, maxClockSkew = DEFAULT_MAX_CLOCK_SKEW, nonceStore = createNonceStore() }) => {
+    const reject = (code, error, status = 401) => failure(code, error, status);
+
+    return {
+        async verify({ method, path, headers, body = Buffer.alloc(0) }) {
+            const keyId = headers[HEADERS.keyId];
+            const timestamp = headers[HEADERS.timestamp];
+            const nonce = headers[HEADERS.nonce];
+            const contentHash = headers[HEADERS.contentHash];
+            const signature = headers[HEADERS.signature];
+
+            if (!keyId || !timestamp || !nonce || !contentHash || !signature) {
+                return reject('missing_signature', 'Request is not signed');
+            }
+
+            const device = await getDevice(keyId);
+            if (!device) {
+                return reject('unknown_key', 'Unknown signing key');
+            }
+
+            const seconds = Number(timestamp);
+            if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - seconds) > maxClockSkew) {
+                return reject('stale_timestamp', 'Timestamp outside the allowed clock skew');
+            }
+
+            const actualHash = crypto.createHash('sha256').update(body).digest('hex');
+            if (actualHash !== contentHash) {
+                return reject('content_mismatch', 'Body does not match its signed hash');
+            }
+
+            const canonical = canonicalRequest({ algorithm: device.algorithm, method, path, timestamp, nonce, keyId, contentHash });
+            if (!checkSignature(device, canonical, Buffer.from(signature, 'base64'))) {
+                return reject('bad_signature', 'Signature does not match');
+            }
+
+            // Only remembered once the signature holds, so forged requests can't burn nonces
+            const nonceKey = `${keyId}:${nonce}`;
+            if (await nonceStore.has(nonceKey)) {
+                return reject('replayed_nonce', 'Nonce was already used');
+            }
+            await nonceStore.add(nonceKey, (seconds + maxClockSkew) * 1000);
+
+            return { ok: true, device };
+        }
+    };
+};
+
+module.exports = {
+    ALGORITHMS,
+    HEADERS,
+    canonicalRequest,
+    isSigned,
+    bearerToken,
+    createNonceStore,
+    createDeviceRegistry,
+    createVerifier
+};
@@ -0,0 +1,122 @@
+// ============================================
+// upload-signer.js - Device Enrollment and Signed Uploads
+// ============================================
+//
+// Targets with `signing: true` only take uploads signed with a key this device enrolled
+// (request-signing.js). The first upload to such a target enrolls: it POSTs
+// { userId, algorithm, publicKey } to security.uploadSigning.enrollPath, resolved against
+// the target endpoint, with the target's headers (so its auth token vouches for the
+// device). The server answers { keyId, algorithm, secret?, serverTime }; the key is
+// stored in the 'keys' store, where the service worker finds it for background uploads.
+// A signed request the server answers with 401 drops the credential, so the retry enrolls
+// again - that also picks up a fresh clock offset if the device clock was off.
+
+export class UploadSigner {
+    constructor(app) {
+        this.app = app;
+        this.credentials = new Map();
+        this.enrolling = new Map();
+    }
+
+    getSettings() {
+        const signing = window.MotionRecorderConfig?.security?.uploadSigning || {};
+        const algorithm = Object.values(UploadSigning.ALGORITHMS).includes(signing.algorithm)
+            ? signing.algorithm
+            : UploadSigning.ALGORITHMS.HMAC;
+
+        return {
+            algorithm,
+            enrollPath: signing.enrollPath || 'devices'
+        };
+    }
+
+    // Whether uploads to target (an UploadTargetManager snapshot) are signed; the snapshot
+    // already accounts for security.uploadSigning.enabled
+    isRequired(target) {
+        return target?.signing === true;
+    }
+
+    // The target's credential, enrolling this device first if it has none
+    async getCredential(target) {
+        if (this.credentials.has(target.id)) {
+            return this.credentials.get(target.id);
+        }
+
+        const stored = await UploadSigning.loadCredential(this.app.databaseManager.db, target.id);
+        if (stored && stored.userId === this.app.userManager.getUserId()) {
+            this.credentials.set(target.id, stored);
+            return stored;
+        }
+
+        // Concurrent uploads share one enrollment
+        if (!this.enrolling.has(target.id)) {
+            this.enrolling.set(target.id, this.enroll(target).finally(() => this.enrolling.delete(target.id)));
+        }
+        return this.enrolling.get(target.id);
+    }
+
+    async enroll(target) {
+        const { algorithm, enrollPath } = this.getSettings();
+        const userId = this.app.userManager.getUserId();
+        const url = new URL(enrollPath, target.endpoint).href;
+
+        const keyPair = algorithm === UploadSigning.ALGORITHMS.ECDSA ? await UploadSigning.generateKeyPair() : null;
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { ...(target.headers || {}), 'Content-Type': 'application/json' },
+            body: JSON.stringify({ userId, algorithm, publicKey: keyPair?.publicKey ?? null })
+        });
+        if (!response.ok) {
+            throw new Error(`Device enrollment with ${target.name} failed: ${response.status} ${response.statusText}`);
+        }
+
+        const enrollment = await response.json();
+        if (!enrollment.keyId || enrollment.algorithm !== algorithm) {
+            throw new Error(`Device enrollment with ${target.name} returned an unusable key`);
+        }
+
+        const credential = await UploadSigning.saveCredential(this.app.databaseManager.db, {
+            targetId: target.id,
+            keyId: enrollment.keyId,
+            algorithm,
+            key: keyPair ? keyPair.privateKey : await UploadSigning.importSecret(enrollment.secret),
+            userId,
+            enrollUrl: url,
+            // Server time minus ours, so timestamps stay inside the server's skew window
+            clockOffset: Number.isFinite(enrollment.serverTime) ? enrollment.serverTime - Date.now() : 0,
+            enrolledAt: new Date().toISOString()
+        });
+
+        this.credentials.set(target.id, credential);
+        console.log(`🔏 Device enrolled with ${target.name} (key ${credential.keyId}, ${algorithm})`);
+        return credential;
+    }
+
+    // request ({ body, headers }) as it should be sent to url; unchanged for unsigned targets
+    async sign(target, url, request, method = 'POST') {
+        if (!this.isRequired(target)) return request;
+
+        const credential = await this.getCredential(target);
+        return { ...request, ...await UploadSigning.signRequest(credential, { method, url, body: request.body, headers: request.headers }) };
+    }
+
+    // Signing hook for ChunkedUploader
+    signerFor(target) {
+        if (!this.isRequired(target)) return null;
+        return ({ method, url, body, headers }) => this.sign(target, url, { body, headers }, method);
+    }
+
+    // The server turned down a signed request - enroll again on the next attempt
+    async handleRejected(target) {
+        if (!this.isRequired(target)) return;
+
+        this.credentials.delete(target.id);
+        await UploadSigning.deleteCredential(this.app.databaseManager.db, target.id);
+        console.warn(`🔏 ${target.name} rejected this device's signature - it will enroll again`);
+    }
+
+    // Forget cached credentials (Clear All Data empties the keys store)
+    reset() {
+        this.credentials.clear();
+    }
+}
@@ -0,0 +1,257 @@
+// ============================================
+// upload-targets.js - Configurable Upload Destinations
+// ============================================
+//
+// Destinations come from MotionRecorderConfig.api.uploadTargets (read-only) plus any
+// custom targets added in the Data tab, which are kept in localStorage together with
+// the id of the active target and the targets that turned down gzipped uploads.
+// Targets with `signing: true` get requests signed with an enrolled device key (upload-signer.js).
+
+import { generateId } from './utils.js';
+
+export const UploadFormat = {
+    CSV_MULTIPART: 'csv-multipart',
+    JSON: 'json',
+    NDJSON: 'ndjson'
+};
+
+export const UPLOAD_FORMAT_LABELS = {
+    [UploadFormat.CSV_MULTIPART]: 'CSV (multipart form)',
+    [UploadFormat.JSON]: 'JSON',
+    [UploadFormat.NDJSON]: 'NDJSON (one JSON object per line)'
+};
+
+// Local server started with `node mock-upload-server.js`, offered when development.mockApi is set
+const MOCK_TARGET = {
+    id: 'mock-server',
+    name: 'Local mock server',
+    endpoint: 'http://localhost:8787/',
+    format: UploadFormat.CSV_MULTIPART,
+    headers: {},
+    // The mock server's default --enroll-token; device enrollment needs it
+    authToken: 'mock-enroll-token',
+    signing: true
+};
+
+const STORAGE_KEY = 'motionRecorder.uploadTargets';
+
+// RFC 7230 token characters
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+export class UploadTargetManager {
+    constructor() {
+        this.customTargets = [];
+        this.activeTargetId = null;
+        this.uncompressedTargetIds = [];
+        this.listeners = new Set();
+        this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (saved) {
+                this.customTargets = Array.isArray(saved.targets) ? saved.targets : [];
+                this.activeTargetId = saved.activeTargetId || null;
+                this.uncompressedTargetIds = Array.isArray(saved.uncompressedTargetIds) ? saved.uncompressedTargetIds : [];
+            }
+        } catch (error) {
+            console.warn('Failed to load upload targets, using config defaults:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                targets: this.customTargets,
+                activeTargetId: this.activeTargetId,
+                uncompressedTargetIds: this.uncompressedTargetIds
+            }));
+        } catch (error) {
+            console.warn('Failed to save upload targets:', error);
+        }
+        this.listeners.forEach(listener => listener(this.getActiveTarget()));
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    getConfigTargets() {
+        const config = window.MotionRecorderConfig || {};
+        const targets = (config.api?.uploadTargets || []).map(target => ({
+            ...target,
+            // A null endpoint means "use api.endpoint"
+            endpoint: target.endpoint || config.api?.endpoint || '',
+            builtIn: true
+        }));
+
+        if (config.development?.mockApi) {
+            targets.unshift({ ...MOCK_TARGET, builtIn: true });
+        }
+        return targets;
+    }
+
+    getTargets() {
+        return [
+            ...this.getConfigTargets(),
+            ...this.customTargets.map(target => ({ ...target, builtIn: false }))
+        ];
+    }
+
+    getTarget(id) {
+        return this.getTargets().find(target => target.id === id) || null;
+    }
+
+    getActiveTarget() {
+        const config = window.MotionRecorderConfig || {};
+        const targets = this.getTargets();
+
+        const preferredId = config.development?.mockApi && !this.activeTargetId
+            ? MOCK_TARGET.id
+            : this.activeTargetId || config.api?.activeUploadTarget;
+
+        return targets.find(target => target.id === preferredId) || targets[0] || null;
+    }
+
+    setActiveTarget(id) {
+        if (!this.getTarget(id)) {
+            throw new Error(`Unknown upload target: ${id}`);
+        }
+        this.activeTargetId = id;
+        this.save();
+        console.log('🎯 Active upload target:', id);
+    }
+
+    // Add or update a custom target; built-in targets are copied rather than changed
+    saveTarget(input) {
+        const target = this.validateTarget(input);
+        const index = this.customTargets.findIndex(existing => existing.id === target.id);
+
+        if (index !== -1) {
+            this.customTargets[index] = target;
+        } else {
+            if (!target.id || this.getTarget(target.id)) {
+                target.id = `target-${generateId(8)}`;
+            }
+            this.customTargets.push(target);
+        }
+
+        this.save();
+        return target;
+    }
+
+    removeTarget(id) {
+        const index = this.customTargets.findIndex(target => target.id === id);
+        if (index === -1) {
+            throw new Error('Built-in upload targets cannot be removed');
+        }
+
+        this.customTargets.splice(index, 1);
+        this.uncompressedTargetIds = this.uncompressedTargetIds.filter(targetId => targetId !== id);
+        if (this.activeTargetId === id) {
+            this.activeTargetId = null;
+        }
+        this.save();
+    }
+
+    validateTarget(input) {
+        const name = (input.name || '').trim();
+        if (!name) {
+            throw new Error('Upload target needs a name');
+        }
+
+        let endpoint;
+        try {
+            endpoint = new URL((input.endpoint || '').trim(), window.location.href);
+        } catch (error) {
+            throw new Error('Upload target endpoint is not a valid URL');
+        }
+        if (endpoint.protocol !== 'https:' && endpoint.protocol !== 'http:') {
+            throw new Error('Upload target endpoint must use http or https');
+        }
+
+        if (!Object.values(UploadFormat).includes(input.format)) {
+            throw new Error(`Unsupported upload format: ${input.format}`);
+        }
+
+        const headers = {};
+        for (const [headerName, value] of Object.entries(input.headers || {})) {
+            if (!HEADER_NAME_PATTERN.test(headerName)) {
+                throw new Error(`Invalid header name: ${headerName}`);
+            }
+            headers[headerName] = String(value);
+        }
+
+        return {
+            id: input.id || null,
+            name,
+            endpoint: endpoint.href,
+            format: input.format,
+            headers,
+            authToken: (input.authToken || '').trim() || null,
+            signing: input.signing === true
+        };
+    }
+
+    // Whether the target is known to reject Content-Encoding: gzip request bodies
+    rejectsCompression(id) {
+        return this.uncompressedTargetIds.includes(id);
+    }
+
+    // Remember that the target rejected a gzipped body, so later uploads go uncompressed straight away
+    markCompressionRejected(id) {
+        if (this.rejectsCompression(id)) return;
+        this.uncompressedTargetIds.push(id);
+        this.save();
+        console.log('🗜️ Upload target does not accept gzip bodies:', id);
+    }
+
+    // Request headers for a target, including its bearer token
+    getHeaders(target) {
+        const headers = { ...(target.headers || {}) };
+        if (target.authToken) {
+            headers['Authorization'] = `Bearer ${target.authToken}`;
+        }
+        return headers;
+    }
+
+    // Plain object stored with queued uploads so the service worker can send them
+    snapshot(target = this.getActiveTarget()) {
+        if (!target) return null;
+
+        return {
+            id: target.id,
+            name: target.name,
+            endpoint: target.endpoint,
+            format: target.format,
+            headers: this.getHeaders(target),
+            acceptsCompression: !this.rejectsCompression(target.id),
+            signing: target.signing === true && window.MotionRecorderConfig?.security?.uploadSigning?.enabled !== false,
+            maxPayloadSize: window.MotionRecorderConfig?.api?.maxPayloadSize || 10485760
+        };
+    }
+}
+
+// Parse "Name: value" lines from the settings form
+export function parseHeaderLines(text) {
+    const headers = {};
+    for (const line of (text || '').split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+
+        const separator = trimmed.indexOf(':');
+        if (separator <= 0) {
+            throw new Error(`Header must look like "Name: value": ${trimmed}`);
+        }
+        headers[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+    }
+    return headers;
+}
+
+export function formatHeaderLines(headers) {
+    return Object.entries(headers || {})
+        .map(([name, value]) => `${name}: ${value}`)
+        .join('\n');
+}
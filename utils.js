@@ -158,6 +158,7 @@ export class ErrorBoundary {
             'Save Recording Data': 'Error saving recording data. Please try again.',
             'Download CSV': 'Could not download data. Please try again.',
             'Upload JSON': 'Upload failed. Your data is saved locally.',
+            'Upload Queue': 'Upload failed after several retries. Your data is saved locally.',
             'Clear All Data': 'Error clearing data. Some data may remain.',
             'Database': 'Database error. Your data might not be saved properly.',
             'Sensor': 'Sensor error. Check device permissions.',
@@ -279,6 +280,16 @@ export class ErrorBoundary {
     }
 }
 
+// Escape text before putting it into innerHTML
+export function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Notification utility
 export function showNotification(message, type = 'info', duration = 8000) {
     if (typeof document === 'undefined') return;
@@ -5,13 +5,15 @@
 import { ErrorBoundary } from './utils.js';
 
 export class WorkerManager {
-    constructor(onDataReceived, onStatsUpdate) {
+    constructor(onRecordingStopped, onStatsUpdate) {
         this.worker = null;
-        this.onDataReceived = onDataReceived;
+        this.onRecordingStopped = onRecordingStopped;
         this.onStatsUpdate = onStatsUpdate;
         this.isInitialized = false;
         this.app = null; // Reference to main app for accessing userID
         this.currentStats = { totalPoints: 0, bufferSize: 0, averageHz: 0 }; // Cache for synchronous access
+        this.pendingRequests = new Map(); // requestId -> { resolve, reject }
+        this.nextRequestId = 1;
     }
     
     // Set app reference to access userManager
@@ -24,7 +26,7 @@ export class WorkerManager {
             this.worker = new Worker('worker.js');
             
             this.worker.addEventListener('message', (e) => {
-                const { type, data, userId, skipDownload } = e.data;
+                const { type, data, requestId, error } = e.data;
 
                 switch(type) {
                     case 'RECORDING_STARTED':
@@ -32,19 +34,24 @@ export class WorkerManager {
                         break;
 
                     case 'RECORDING_STOPPED':
-                        if (this.onDataReceived) {
-                            this.onDataReceived(data.data, data.stats);
+                        // Data points are already in IndexedDB; only the stats come back
+                        if (this.onRecordingStopped) {
+                            this.onRecordingStopped(data.recordingId, data.stats);
                         }
                         break;
 
-                    case 'CSV_GENERATED':
-                        // Only download if skipDownload is not set (for manual downloads)
-                        // When uploading, skipDownload will be true and we skip this
-                        if (!skipDownload) {
-                            const userIdForFilename = userId || this.app?.userManager?.getUserId() || 'unknown';
-                            this.downloadCSVFile(data, userIdForFilename);
+                    case 'REQUEST_RESULT': {
+                        const pending = this.pendingRequests.get(requestId);
+                        if (pending) {
+                            this.pendingRequests.delete(requestId);
+                            if (error) {
+                                pending.reject(new Error(error));
+                            } else {
+                                pending.resolve(data);
+                            }
                         }
                         break;
+                    }
                         
                     case 'STATS_UPDATE':
                         // Update cached stats for synchronous access
@@ -60,6 +67,11 @@ export class WorkerManager {
                         console.log('📊 Stats updated:', this.currentStats);
                         break;
                         
+                    case 'STORAGE_FULL':
+                        console.warn('Worker: Storage quota exceeded,', data.unsavedPoints, 'data points unsaved');
+                        this.app?.storageGuard.handleStorageFull();
+                        break;
+                        
                     case 'WORKER_ERROR':
                         ErrorBoundary.handle(new Error(data), 'Worker');
                         break;
@@ -79,9 +91,9 @@ export class WorkerManager {
         }
     }
     
-    startRecording() {
+    startRecording(options = {}) {
         if (this.worker) {
-            this.worker.postMessage({ type: 'START_RECORDING' });
+            this.worker.postMessage({ type: 'START_RECORDING', data: options });
         }
     }
     
@@ -91,6 +103,13 @@ export class WorkerManager {
         }
     }
     
+    // Motion events are decimated to this rate in the worker
+    setSampleRate(rate) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'SET_SAMPLE_RATE', data: rate });
+        }
+    }
+    
     addDataPoint(data) {
         if (this.worker) {
             this.worker.postMessage({
@@ -109,13 +128,17 @@ export class WorkerManager {
         }
     }
     
-    generateCSV(data) {
-        if (this.worker) {
-            this.worker.postMessage({
-                type: 'GENERATE_CSV',
-                data: data
-            });
+    // Send a message the worker answers with REQUEST_RESULT; resolves with the reply's data
+    request(type, data) {
+        if (!this.worker) {
+            return Promise.reject(new Error('Worker not available'));
         }
+        
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(requestId, { resolve, reject });
+            this.worker.postMessage({ type, data, requestId });
+        });
     }
     
     getStats() {
@@ -133,35 +156,14 @@ export class WorkerManager {
         }
     }
     
-    downloadCSVFile(csvContent, userId = 'unknown') {
-        try {
-            const blob = new Blob([csvContent], { type: 'text/csv' });
-            const url = URL.createObjectURL(blob);
-            
-            // Create filename with userID and timestamp
-            const timestamp = new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-');
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `motion-data-${userId}-${timestamp}.csv`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            
-            URL.revokeObjectURL(url);
-            
-            console.log('CSV download initiated with filename:', a.download);
-            
-        } catch (error) {
-            console.error('Error downloading CSV:', error);
-            ErrorBoundary.handle(error, 'CSV Download');
-        }
-    }
-    
     terminate() {
         if (this.worker) {
             this.worker.terminate();
             this.worker = null;
+            for (const pending of this.pendingRequests.values()) {
+                pending.reject(new Error('Worker terminated'));
+            }
+            this.pendingRequests.clear();
             this.isInitialized = false;
         }
     }
@@ -1,17 +1,47 @@
 // worker.js - Optimized for high-frequency data processing
-// This runs in a separate thread - no access to window, DOM, or external scripts
+// This runs in a separate thread - no access to window or DOM
+
+// Shared CSV formatting (also used by the service worker for background uploads)
+importScripts('export-formats.js');
+
+// Aligns accel, gyro and GPS samples into rows
+importScripts('sensor-fusion.js');
+
+// Columnar chunk encoding for the dataChunks store (shared with database.js)
+importScripts('sample-codec.js');
+
+// Streaming ZIP writer for bundle exports
+importScripts('zip-archive.js');
+
+// At-rest encryption of chunks (security.encryptLocalStorage)
+importScripts('at-rest-crypto.js');
 
 // Use larger buffers for 140Hz operation
 const BUFFER_FLUSH_SIZE = 2000; // Increased buffer size
 const BUFFER_FLUSH_INTERVAL = 2000; // Flush every 2 seconds
 const MAX_BUFFER_SIZE = 5000; // Emergency flush threshold
 
+// Flushed batches go straight to IndexedDB, so memory stays flat and a crash
+// loses at most the rows still in dataBuffer
+const DB_NAME = 'MotionRecorderDB';
+let db = null;
+let recordingId = null;
+let writeChain = Promise.resolve();
+let persistedPoints = 0;
+
+// AES-GCM key from the page while at-rest encryption is on, null to store plaintext
+let dataKey = null;
+
 // Pre-allocate arrays for better performance
-let recordingData = [];
 let dataBuffer = [];
 let statsBuffer = new Array(100).fill(0); // Circular buffer for rate calculation
 let statsIndex = 0;
 let isRecording = false;
+let fusion = SensorFusion.createFusionStage();
+let decimator = SensorFusion.createDecimator(140);
+
+// Duplicate/dropped events not yet written to a row - carried on the next row out of fusion
+let pendingQuality = { duplicateSamples: 0, droppedSamples: 0 };
 
 // Performance monitoring with reduced overhead
 let stats = {
@@ -35,20 +65,110 @@ let flushIntervalId = setInterval(() => {
     }
 }, BUFFER_FLUSH_INTERVAL);
 
+function openDatabase() {
+    if (db) return Promise.resolve(db);
+    
+    return new Promise((resolve, reject) => {
+        // No version: the page creates and upgrades the schema
+        const request = indexedDB.open(DB_NAME);
+        
+        request.onupgradeneeded = () => {
+            request.transaction.abort();
+        };
+        request.onsuccess = () => {
+            db = request.result;
+            // Don't block a newer page from upgrading the database
+            db.onversionchange = () => {
+                db.close();
+                db = null;
+            };
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Append a batch as encoded chunks after the recording's last chunk and keep its running count current
+async function writeBatch(batch, id, key) {
+    const database = await openDatabase();
+    
+    // Encrypt before the transaction opens - it would commit while WebCrypto runs.
+    // Chunks are numbered from 0 and moved behind the recording's last chunk below.
+    let chunks = SampleCodec.encodeChunks(batch, id, 0);
+    if (key) {
+        chunks = await Promise.all(chunks.map(chunk => AtRestCrypto.encryptChunk(chunk, key)));
+    }
+    
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(['dataChunks', 'recordings'], 'readwrite');
+        const chunkStore = transaction.objectStore('dataChunks');
+        const recordingStore = transaction.objectStore('recordings');
+        
+        const lastRequest = chunkStore.index('recordingEnd').openKeyCursor(SampleCodec.chunkRange(id), 'prev');
+        lastRequest.onsuccess = () => {
+            const startIndex = lastRequest.result ? lastRequest.result.key[1] : 0;
+            for (let i = 0; i < chunks.length; i++) {
+                chunkStore.add({
+                    ...chunks[i],
+                    startIndex: chunks[i].startIndex + startIndex,
+                    endIndex: chunks[i].endIndex + startIndex
+                });
+            }
+            
+            // Count and last sample time are clear fields of an encrypted recording
+            const getRequest = recordingStore.get(id);
+            getRequest.onsuccess = () => {
+                const recording = getRequest.result;
+                if (recording) {
+                    recording.dataPointCount = startIndex + batch.length;
+                    recording.lastSampleAt = batch[batch.length - 1].timestamp;
+                    recordingStore.put(recording);
+                }
+            };
+        };
+        
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Write aborted'));
+    });
+}
+
 // Optimized flush function
 function flushBuffer() {
     if (dataBuffer.length === 0) return;
     
-    const batchSize = dataBuffer.length;
-    
-    // Use more efficient array operations
-    if (recordingData.length === 0) {
-        recordingData = [...dataBuffer];
-    } else {
-        recordingData.push(...dataBuffer);
-    }
+    const batch = dataBuffer;
+    const batchSize = batch.length;
+    const id = recordingId;
+    const key = dataKey;
+    dataBuffer = [];
     
-    dataBuffer.length = 0; // Fast array clear
+    // Writes run one after another so rows land in order
+    writeChain = writeChain
+        .then(() => writeBatch(batch, id, key))
+        .then(() => {
+            persistedPoints += batchSize;
+        })
+        .catch(error => {
+            console.error('Worker: Failed to persist batch:', error);
+            // Keep the rows and try again with the next flush, which counts them again
+            dataBuffer = batch.concat(dataBuffer);
+            stats.totalPoints -= batchSize;
+            
+            // Out of quota - retrying won't help until space is freed, so the page stops the recording
+            if (error?.name === 'QuotaExceededError') {
+                self.postMessage({
+                    type: 'STORAGE_FULL',
+                    data: { recordingId: id, unsavedPoints: dataBuffer.length }
+                });
+                return;
+            }
+            
+            self.postMessage({
+                type: 'WORKER_ERROR',
+                data: `Failed to save ${batchSize} data points: ${error.message || error}`
+            });
+        });
     
     // Update stats efficiently
     stats.totalPoints += batchSize;
@@ -104,17 +224,39 @@ function updateStatistics() {
     });
 }
 
+// Set while STOP_RECORDING is still writing the last rows. Recording messages that arrive
+// meanwhile wait for it, so a new recording never shares the buffer, id or stats of the
+// one being finished.
+let stopping = null;
+const RECORDING_MESSAGES = ['START_RECORDING', 'SET_SAMPLE_RATE', 'STOP_RECORDING', 'ADD_DATA_POINT', 'ADD_DATA_BATCH', 'CLEAR_DATA'];
+
 // Main message handler from the main thread
 self.addEventListener('message', function(e) {
-    const { type, data, skipDownload } = e.data;
+    if (stopping && RECORDING_MESSAGES.includes(e.data.type)) {
+        // Callbacks run in the order they were added, so queued messages keep their order
+        stopping.then(() => handleMessage(e.data));
+        return;
+    }
+    handleMessage(e.data);
+});
 
+function handleMessage({ type, data, requestId }) {
     switch(type) {
         case 'START_RECORDING':
-            startRecording();
+            startRecording(data);
+            break;
+
+        case 'SET_SAMPLE_RATE':
+            decimator.setRate(data);
+            console.log('Worker: Sample rate set to', data, 'Hz');
             break;
 
         case 'STOP_RECORDING':
-            stopRecording();
+            stopping = stopRecording()
+                .catch(error => console.error('Worker: Failed to stop recording:', error))
+                .finally(() => {
+                    stopping = null;
+                });
             break;
 
         case 'ADD_DATA_POINT':
@@ -125,8 +267,19 @@ self.addEventListener('message', function(e) {
             addDataBatch(data);
             break;
 
-        case 'GENERATE_CSV':
-            generateCSV(data, skipDownload);
+        case 'EXPORT_BEGIN':
+        case 'EXPORT_ROWS':
+        case 'EXPORT_END':
+            handleExport(type, data, requestId);
+            break;
+            
+        case 'BUNDLE_BEGIN':
+        case 'BUNDLE_ENTRY_BEGIN':
+        case 'BUNDLE_ENTRY_ROWS':
+        case 'BUNDLE_ENTRY_END':
+        case 'BUNDLE_FILE':
+        case 'BUNDLE_END':
+            handleBundle(type, data, requestId);
             break;
             
         case 'GET_STATS':
@@ -140,12 +293,17 @@ self.addEventListener('message', function(e) {
         default:
             console.warn('Worker: Unknown message type:', type);
     }
-});
+}
 
-function startRecording() {
-    recordingData = [];
+function startRecording(options = {}) {
     dataBuffer = [];
+    recordingId = options.recordingId;
+    dataKey = options.dataKey || null;
+    persistedPoints = 0;
     isRecording = true;
+    fusion = SensorFusion.createFusionStage(options.fusion);
+    decimator = SensorFusion.createDecimator(options.sampleRate || 140);
+    pendingQuality = { duplicateSamples: 0, droppedSamples: 0 };
     statsBuffer.fill(0);
     statsIndex = 0;
     stats = {
@@ -158,25 +316,46 @@ function startRecording() {
     };
     
     self.postMessage({ type: 'RECORDING_STARTED' });
-    console.log('Worker: Recording started at', new Date().toISOString());
+    console.log('Worker: Recording', recordingId, 'started at', new Date().toISOString(), 'fusion:', fusion.options, 'rate:', options.sampleRate);
 }
 
-function stopRecording() {
+async function stopRecording() {
     isRecording = false;
+    const stoppedId = recordingId;
     
-    // Flush any remaining buffered data
+    // Rows held back waiting for a GPS fix are written with whatever is available now
+    bufferRows(fusion.flush());
+    
+    // Counts after the last row go on the last row
+    if (pendingQuality.duplicateSamples > 0 || pendingQuality.droppedSamples > 0) {
+        const lastRow = dataBuffer[dataBuffer.length - 1];
+        if (lastRow) {
+            addQuality(lastRow);
+        }
+    }
+    
+    // Write what is left; a failed batch gets one more attempt
+    flushBuffer();
+    await writeChain;
     if (dataBuffer.length > 0) {
         flushBuffer();
+        await writeChain;
     }
     
-    // Calculate final statistics
+    // Calculate final statistics; rates stay 0 if no flush was timed
     const duration = stats.startTime ? (Date.now() - stats.startTime) / 1000 : 0;
+    const sampledRates = statsBuffer.filter(rate => rate > 0);
     const finalStats = {
-        totalPoints: stats.totalPoints,
+        totalPoints: persistedPoints,
+        unsavedPoints: dataBuffer.length,
         duration: duration,
-        averageHz: duration > 0 ? stats.totalPoints / duration : 0,
-        peakHz: Math.max(...statsBuffer.filter(rate => rate > 0)),
-        minHz: Math.min(...statsBuffer.filter(rate => rate > 0)) || 0
+        averageHz: duration > 0 ? persistedPoints / duration : 0,
+        peakHz: sampledRates.length > 0 ? Math.max(...sampledRates) : 0,
+        minHz: sampledRates.length > 0 ? Math.min(...sampledRates) : 0,
+        sensorEvents: decimator.counts.received,
+        duplicateSamples: decimator.counts.duplicates,
+        droppedSamples: decimator.counts.dropped,
+        decimatedSamples: decimator.counts.decimated
     };
     
     console.log('Worker: Recording stopped. Stats:', finalStats);
@@ -184,20 +363,19 @@ function stopRecording() {
     self.postMessage({ 
         type: 'RECORDING_STOPPED', 
         data: {
-            data: recordingData,
+            recordingId: stoppedId,
             stats: finalStats
         }
     });
     
-    // Clear data after sending
-    recordingData = [];
     dataBuffer = [];
+    recordingId = null;
 }
 
 function addDataPoint(data) {
     if (!isRecording) return;
     
-    dataBuffer.push(data);
+    processSample(data);
     
     // Emergency flush for memory management
     if (dataBuffer.length >= MAX_BUFFER_SIZE) {
@@ -212,11 +390,8 @@ function addDataPoint(data) {
 function addDataBatch(data) {
     if (!isRecording || !Array.isArray(data) || data.length === 0) return;
     
-    // Direct array concatenation is faster than push(...data) for large arrays
-    if (data.length > 100) {
-        dataBuffer = dataBuffer.concat(data);
-    } else {
-        dataBuffer.push(...data);
+    for (const sample of data) {
+        processSample(sample);
     }
     
     // Emergency flush for memory management
@@ -228,6 +403,39 @@ function addDataBatch(data) {
     }
 }
 
+// Decimate to the target rate, then run through the fusion stage (which may hold rows back briefly)
+function processSample(sample) {
+    const result = decimator.push(sample);
+    if (result.duplicate) {
+        pendingQuality.duplicateSamples++;
+    }
+    pendingQuality.droppedSamples += result.dropped;
+    
+    if (result.keep) {
+        bufferRows(fusion.push(sample));
+    }
+}
+
+function bufferRows(rows) {
+    for (let i = 0; i < rows.length; i++) {
+        if (i === 0) {
+            addQuality(rows[i]);
+        }
+        dataBuffer.push(rows[i]);
+    }
+}
+
+// Per-row counts of events lost since the previous row; the CSV summary adds them up
+function addQuality(row) {
+    if (pendingQuality.duplicateSamples > 0) {
+        row.duplicateSamples = (row.duplicateSamples || 0) + pendingQuality.duplicateSamples;
+    }
+    if (pendingQuality.droppedSamples > 0) {
+        row.droppedSamples = (row.droppedSamples || 0) + pendingQuality.droppedSamples;
+    }
+    pendingQuality = { duplicateSamples: 0, droppedSamples: 0 };
+}
+
 function sendStats(responseType = 'STATS_UPDATE') {
     const currentStats = {
         totalPoints: stats.totalPoints + dataBuffer.length,
@@ -243,7 +451,6 @@ function sendStats(responseType = 'STATS_UPDATE') {
 }
 
 function clearData() {
-    recordingData = [];
     dataBuffer = [];
     statsBuffer.fill(0);
     statsIndex = 0;
@@ -259,196 +466,125 @@ function clearData() {
     console.log('Worker: Data cleared');
 }
 
-// Optimized CSV generation with streaming approach
-function generateCSV(data, skipDownload = false) {
+// Export streams: the page reads batches from IndexedDB and sends them here one at a time,
+// so only the current batch is ever in memory. Replies carry the encoded piece (text, or a
+// Uint8Array for binary formats); EXPORT_END replies with { trailer, summary }.
+// With options.settings.compress (export.compressExports) every piece is gzipped on the
+// way out, so the replies are Uint8Arrays of one .gz file.
+const exportStreams = new Map();
+const textEncoder = new TextEncoder();
+
+async function handleExport(type, data, requestId) {
     try {
-        console.log('Worker: Generating CSV for', data.length, 'data points', skipDownload ? '(for upload, no download)' : '(for download)');
-        
-        // Updated headers with Recording Session Start column removed
-        const headers = [
-            'Data Point Timestamp', 'User ID', 'GPS Date Timestamp',
-            'GPS LAT', 'GPS LON', 'GPS ERROR', 'GPS ALT', 'GPS ALT ACCURACY',
-            'GPS HEADING', 'GPS SPEED', 'Accel Date Timestamp',
-            'Accel X', 'Accel Y', 'Accel Z', 'Gyro Date Timestamp',
-            'Gyro Alpha', 'Gyro Beta', 'Gyro Gamma', 'Sample Time (ms)', 'Frequency (Hz)'
-        ];
-        
-        // Use array for better performance than string concatenation
-        const csvLines = [headers.join(',')];
-        
-        // Sort data once by the actual timestamp (when the data point was captured)
-        if (data && data.length > 0) {
-            data.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
-        }
-        
-        let lastTimestamp = null;
-        const frequencyWindow = new Array(10).fill(0);
-        let windowIndex = 0;
-        
-        // Process in chunks to avoid blocking
-        const CHUNK_SIZE = 1000;
-        let currentIndex = 0;
+        let result = '';
+        let piece = null;
         
-        function processChunk() {
-            const endIndex = Math.min(currentIndex + CHUNK_SIZE, data.length);
-            
-            for (let i = currentIndex; i < endIndex; i++) {
-                const point = data[i];
-                
-                // Efficient frequency calculation using the actual data point timestamp
-                let sampleTime = 0;
-                let frequency = 0;
-                
-                if (lastTimestamp && point.timestamp) {
-                    sampleTime = point.timestamp - lastTimestamp;
-                    if (sampleTime > 0) {
-                        frequency = 1000 / sampleTime;
-                        frequencyWindow[windowIndex] = frequency;
-                        windowIndex = (windowIndex + 1) % frequencyWindow.length;
-                    }
-                }
-                lastTimestamp = point.timestamp;
-                
-                // Calculate average frequency
-                const avgFrequency = frequencyWindow.reduce((a, b) => a + b, 0) / frequencyWindow.length;
-                
-                // Convert timestamp to readable format for the first column
-                const dataPointTimestamp = point.timestamp ? new Date(point.timestamp).toISOString() : '';
-                
-                // Build row efficiently - Recording Session Start column removed
-                const row = [
-                    escapeCSVField(dataPointTimestamp),                    // Unique timestamp for each data point
-                    escapeCSVField(point.userId || ''),
-                    escapeCSVField(point.gpsTimestamp || ''),
-                    formatNumber(point.gpsLat),
-                    formatNumber(point.gpsLon),
-                    formatNumber(point.gpsError),
-                    formatNumber(point.gpsAlt),
-                    formatNumber(point.gpsAltAccuracy),
-                    formatNumber(point.gpsHeading),
-                    formatNumber(point.gpsSpeed),
-                    escapeCSVField(point.accelTimestamp || ''),
-                    formatNumber(point.accelX),
-                    formatNumber(point.accelY),
-                    formatNumber(point.accelZ),
-                    escapeCSVField(point.gyroTimestamp || ''),
-                    formatNumber(point.gyroAlpha),
-                    formatNumber(point.gyroBeta),
-                    formatNumber(point.gyroGamma),
-                    sampleTime.toFixed(2),
-                    avgFrequency.toFixed(2)
-                ];
-                
-                csvLines.push(row.join(','));
+        if (type === 'EXPORT_BEGIN') {
+            const encoder = MotionExport.createStreamEncoder(data.format, data.options);
+            const compressor = data.options?.settings?.compress ? ZipArchive.createCompressor('gzip') : null;
+            exportStreams.set(data.exportId, { encoder, compressor });
+            result = piece = await compressPiece(compressor, encoder.header());
+        } else {
+            const current = exportStreams.get(data.exportId);
+            if (!current) {
+                throw new Error(`Unknown export ${data.exportId}`);
             }
+            const { encoder, compressor } = current;
             
-            currentIndex = endIndex;
-            
-            // Continue processing or finish
-            if (currentIndex < data.length) {
-                // Use setTimeout for non-blocking processing
-                setTimeout(processChunk, 0);
+            if (type === 'EXPORT_ROWS') {
+                result = piece = await compressPiece(compressor, encoder.rows(data.points));
             } else {
-                finishCSV();
-            }
-        }
-        
-        function finishCSV() {
-            // Add summary statistics
-            const duration = data.length > 1 
-                ? (data[data.length - 1].timestamp - data[0].timestamp) / 1000 
-                : 0;
-            const averageHz = duration > 0 ? data.length / duration : 0;
-            
-            // Get userID from the first data point
-            const userId = data.length > 0 ? data[0].userId : 'unknown';
-            
-            // Count different data types
-            const gpsCount = data.filter(d => d.gpsLat !== undefined && d.gpsLat !== null).length;
-            const accelCount = data.filter(d => d.accelX !== undefined && d.accelX !== null).length;
-            const gyroCount = data.filter(d => d.gyroAlpha !== undefined && d.gyroAlpha !== null).length;
-            
-            csvLines.push('');
-            csvLines.push('# Summary Statistics');
-            csvLines.push(`# User ID,${userId}`);
-            csvLines.push(`# Export Date,${new Date().toISOString()}`);
-            csvLines.push(`# Total Samples,${data.length}`);
-            csvLines.push(`# GPS Samples,${gpsCount}`);
-            csvLines.push(`# Accelerometer Samples,${accelCount}`);
-            csvLines.push(`# Gyroscope Samples,${gyroCount}`);
-            csvLines.push(`# Duration (seconds),${duration.toFixed(2)}`);
-            csvLines.push(`# Average Sample Rate (Hz),${averageHz.toFixed(2)}`);
-            
-            if (gpsCount > 0) {
-                csvLines.push(`# GPS Sample Rate (Hz),${(gpsCount / duration).toFixed(2)}`);
-            }
-            if (accelCount > 0) {
-                csvLines.push(`# Accelerometer Sample Rate (Hz),${(accelCount / duration).toFixed(2)}`);
-            }
-            if (gyroCount > 0) {
-                csvLines.push(`# Gyroscope Sample Rate (Hz),${(gyroCount / duration).toFixed(2)}`);
+                // EXPORT_END finishes the file; an aborted export just drops its encoder
+                exportStreams.delete(data.exportId);
+                if (!data.aborted) {
+                    piece = await compressPiece(compressor, encoder.trailer(), true);
+                    result = { trailer: piece, summary: encoder.summary() };
+                }
             }
-            
-            const csvContent = csvLines.join('\n');
-            console.log('Worker: CSV generated -', data.length, 'points,', averageHz.toFixed(2), 'Hz avg');
-
-            // Include userID and skipDownload flag in the response
-            self.postMessage({
-                type: 'CSV_GENERATED',
-                data: csvContent,
-                userId: userId,
-                skipDownload: skipDownload
-            });
         }
         
-        // Start processing
-        processChunk();
+        // Hand binary pieces over instead of copying them
+        const transfer = piece instanceof Uint8Array ? [piece.buffer] : [];
+        self.postMessage({ type: 'REQUEST_RESULT', requestId, data: result }, transfer);
         
     } catch (error) {
-        console.error('Worker: Error generating CSV:', error);
-        self.postMessage({
-            type: 'WORKER_ERROR',
-            data: `Failed to generate CSV: ${error.message}`
-        });
+        console.error('Worker: Export failed:', error);
+        exportStreams.delete(data?.exportId);
+        self.postMessage({ type: 'REQUEST_RESULT', requestId, error: error.message });
     }
 }
 
-// Optimized number formatting
-function formatNumber(value) {
-    if (value == null || value === '') return '';
+// Gzipped bytes of an encoded piece that are ready so far; the last piece flushes the rest
+async function compressPiece(compressor, piece, last = false) {
+    if (!compressor) return piece;
     
-    if (typeof value === 'number') {
-        // Fast path for integers
-        if (value === Math.floor(value)) {
-            return value.toString();
-        }
+    const bytes = typeof piece === 'string' ? textEncoder.encode(piece) : piece;
+    const ready = bytes.length > 0 ? await compressor.push(bytes) : new Uint8Array(0);
+    return last ? ZipArchive.concatBytes([ready, await compressor.finish()]) : ready;
+}
+
+// ZIP bundles: the same protocol as export streams, but each entry is encoded into a file
+// of one archive. Replies carry the archive bytes ready so far; BUNDLE_ENTRY_END replies
+// with { bytes, summary }.
+const bundles = new Map();
+
+async function handleBundle(type, data, requestId) {
+    try {
+        let result;
         
-        // Use appropriate precision based on magnitude
-        if (Math.abs(value) > 100) {
-            return value.toFixed(2);
+        if (type === 'BUNDLE_BEGIN') {
+            bundles.set(data.bundleId, { zip: ZipArchive.createZipWriter(), encoder: null });
+            result = new Uint8Array(0);
         } else {
-            return value.toFixed(6);
+            const bundle = bundles.get(data.bundleId);
+            if (!bundle) {
+                throw new Error(`Unknown bundle ${data.bundleId}`);
+            }
+            const { zip } = bundle;
+            
+            switch (type) {
+                case 'BUNDLE_ENTRY_BEGIN':
+                    bundle.encoder = MotionExport.createStreamEncoder(data.format, data.options);
+                    result = ZipArchive.concatBytes([
+                        await zip.beginFile(data.name, { date: new Date(data.date) }),
+                        await zip.write(bundle.encoder.header())
+                    ]);
+                    break;
+                    
+                case 'BUNDLE_ENTRY_ROWS':
+                    result = await zip.write(bundle.encoder.rows(data.points));
+                    break;
+                    
+                case 'BUNDLE_ENTRY_END':
+                    result = {
+                        bytes: ZipArchive.concatBytes([
+                            await zip.write(bundle.encoder.trailer()),
+                            await zip.endFile()
+                        ]),
+                        summary: bundle.encoder.summary()
+                    };
+                    bundle.encoder = null;
+                    break;
+                    
+                case 'BUNDLE_FILE':
+                    result = await zip.addFile(data.name, data.content);
+                    break;
+                    
+                default:
+                    // BUNDLE_END completes the archive; an aborted bundle is just dropped
+                    result = data.aborted ? new Uint8Array(0) : zip.finish();
+                    bundles.delete(data.bundleId);
+            }
         }
+        
+        const bytes = result instanceof Uint8Array ? result : result.bytes;
+        self.postMessage({ type: 'REQUEST_RESULT', requestId, data: result }, [bytes.buffer]);
+        
+    } catch (error) {
+        console.error('Worker: Bundle export failed:', error);
+        bundles.delete(data?.bundleId);
+        self.postMessage({ type: 'REQUEST_RESULT', requestId, error: error.message });
     }
-    
-    return value.toString();
-}
-
-function escapeCSVField(field) {
-    if (field === null || field === undefined) {
-        return '';
-    }
-    
-    // Convert to string
-    field = field.toString();
-    
-    // Check if field needs escaping
-    if (field.includes(',') || field.includes('"') || field.includes('\n') || field.includes('\r')) {
-        // Escape quotes by doubling them
-        return '"' + field.replace(/"/g, '""') + '"';
-    }
-    
-    return field;
 }
 
 // Handle worker errors
@@ -0,0 +1,320 @@
+// ============================================
+// zip-archive.js - Streaming ZIP writer and reader for bundle export and import
+// Loaded with importScripts() or a classic <script> - no access to window or DOM
+// ============================================
+//
+// Files are written one after another as they are produced: beginFile(), write() any
+// number of pieces, endFile(). Every call returns the archive bytes that are ready, so
+// the caller can stream them out and only the current piece is ever in memory. Sizes
+// and CRCs follow each file in a data descriptor, and finish() writes the central
+// directory. Files are deflated with CompressionStream('deflate-raw') where the browser
+// has it, otherwise stored. No ZIP64: archives are limited to 4 GB.
+//
+// readZipDirectory() and openZipEntry() read such archives (or any stored/deflated ZIP)
+// from a Blob, streaming each file out without loading the archive into memory.
+
+(function (scope) {
+    const LOCAL_HEADER = 0x04034b50;
+    const DATA_DESCRIPTOR = 0x08074b50;
+    const CENTRAL_HEADER = 0x02014b50;
+    const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+    const VERSION = 20;
+    // Bit 3: sizes and CRC follow in a data descriptor, bit 11: UTF-8 file names
+    const FLAGS = 0x0808;
+    const STORE = 0;
+    const DEFLATE = 8;
+    const MAX_SIZE = 0xffffffff;
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    // Running CRC-32; pass the previous result to continue
+    function crc32(bytes, crc = 0) {
+        crc = ~crc;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return ~crc >>> 0;
+    }
+
+    function concatBytes(parts) {
+        const out = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            out.set(part, offset);
+            offset += part.length;
+        }
+        return out;
+    }
+
+    function supportsDeflate() {
+        try {
+            return typeof CompressionStream === 'function' && !!new CompressionStream('deflate-raw');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Incremental CompressionStream ('deflate-raw' for ZIP entries, 'gzip' for .gz exports):
+    // push() returns whatever compressed output is ready so far
+    function createCompressor(format = 'deflate-raw') {
+        const stream = new CompressionStream(format);
+        const writer = stream.writable.getWriter();
+        const reader = stream.readable.getReader();
+        let output = [];
+
+        const drained = (async () => {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) return;
+                output.push(value);
+            }
+        })();
+
+        const take = () => {
+            const bytes = concatBytes(output);
+            output = [];
+            return bytes;
+        };
+
+        return {
+            async push(bytes) {
+                await writer.write(bytes);
+                return take();
+            },
+
+            async finish() {
+                await writer.close();
+                await drained;
+                return take();
+            }
+        };
+    }
+
+    // MS-DOS time and date of a Date, as stored in ZIP headers
+    function dosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    function createZipWriter({ compress = supportsDeflate() } = {}) {
+        const textEncoder = new TextEncoder();
+        const entries = [];
+        let offset = 0;
+        let current = null;
+
+        const emit = (bytes) => {
+            offset += bytes.length;
+            if (offset > MAX_SIZE) {
+                throw new Error('Archive exceeds the 4 GB ZIP limit');
+            }
+            return bytes;
+        };
+
+        return {
+            // Start a file; returns its local header
+            async beginFile(name, { date = new Date() } = {}) {
+                if (current) {
+                    throw new Error(`File ${current.name} is still open`);
+                }
+
+                const nameBytes = textEncoder.encode(name);
+                current = {
+                    name,
+                    nameBytes,
+                    method: compress ? DEFLATE : STORE,
+                    ...dosDateTime(date),
+                    offset,
+                    crc: 0,
+                    size: 0,
+                    compressedSize: 0,
+                    deflater: compress ? createCompressor() : null
+                };
+
+                const header = new Uint8Array(30 + nameBytes.length);
+                const view = new DataView(header.buffer);
+                view.setUint32(0, LOCAL_HEADER, true);
+                view.setUint16(4, VERSION, true);
+                view.setUint16(6, FLAGS, true);
+                view.setUint16(8, current.method, true);
+                view.setUint16(10, current.time, true);
+                view.setUint16(12, current.date, true);
+                // CRC and sizes (14-25) are left zero - they follow in the data descriptor
+                view.setUint16(26, nameBytes.length, true);
+                header.set(nameBytes, 30);
+                return emit(header);
+            },
+
+            // Add a piece (string or Uint8Array) of the open file
+            async write(data) {
+                const bytes = typeof data === 'string' ? textEncoder.encode(data) : data;
+                current.crc = crc32(bytes, current.crc);
+                current.size += bytes.length;
+
+                const out = current.deflater ? await current.deflater.push(bytes) : bytes;
+                current.compressedSize += out.length;
+                return emit(out);
+            },
+
+            // Close the open file; returns the rest of its data and its data descriptor
+            async endFile() {
+                const entry = current;
+                const rest = entry.deflater ? await entry.deflater.finish() : new Uint8Array(0);
+                entry.compressedSize += rest.length;
+                if (entry.size > MAX_SIZE) {
+                    throw new Error(`${entry.name} exceeds the 4 GB ZIP limit`);
+                }
+
+                const descriptor = new Uint8Array(16);
+                const view = new DataView(descriptor.buffer);
+                view.setUint32(0, DATA_DESCRIPTOR, true);
+                view.setUint32(4, entry.crc, true);
+                view.setUint32(8, entry.compressedSize, true);
+                view.setUint32(12, entry.size, true);
+
+                entries.push(entry);
+                current = null;
+                return emit(concatBytes([rest, descriptor]));
+            },
+
+            // A whole file in one call
+            async addFile(name, data, options = {}) {
+                return concatBytes([
+                    await this.beginFile(name, options),
+                    await this.write(data),
+                    await this.endFile()
+                ]);
+            },
+
+            // Central directory and end record; the archive is complete after this
+            finish() {
+                if (current) {
+                    throw new Error(`File ${current.name} is still open`);
+                }
+
+                const directoryOffset = offset;
+                const headers = entries.map(entry => {
+                    const header = new Uint8Array(46 + entry.nameBytes.length);
+                    const view = new DataView(header.buffer);
+                    view.setUint32(0, CENTRAL_HEADER, true);
+                    view.setUint16(4, VERSION, true);
+                    view.setUint16(6, VERSION, true);
+                    view.setUint16(8, FLAGS, true);
+                    view.setUint16(10, entry.method, true);
+                    view.setUint16(12, entry.time, true);
+                    view.setUint16(14, entry.date, true);
+                    view.setUint32(16, entry.crc, true);
+                    view.setUint32(20, entry.compressedSize, true);
+                    view.setUint32(24, entry.size, true);
+                    view.setUint16(28, entry.nameBytes.length, true);
+                    // Extra field, comment, disk number and attributes (30-41) stay zero
+                    view.setUint32(42, entry.offset, true);
+                    header.set(entry.nameBytes, 46);
+                    return header;
+                });
+                const directory = concatBytes(headers);
+
+                const end = new Uint8Array(22);
+                const view = new DataView(end.buffer);
+                view.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+                view.setUint16(8, entries.length, true);
+                view.setUint16(10, entries.length, true);
+                view.setUint32(12, directory.length, true);
+                view.setUint32(16, directoryOffset, true);
+                return emit(concatBytes([directory, end]));
+            }
+        };
+    }
+
+    // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+    async function findEndOfCentralDirectory(blob) {
+        const start = Math.max(0, blob.size - 22 - 0xffff);
+        const tail = new DataView(await blob.slice(start).arrayBuffer());
+
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+                return {
+                    count: tail.getUint16(i + 10, true),
+                    size: tail.getUint32(i + 12, true),
+                    offset: tail.getUint32(i + 16, true)
+                };
+            }
+        }
+        throw new Error('Not a ZIP archive');
+    }
+
+    // Files of the archive: [{ name, method, size, compressedSize, offset }]
+    async function readZipDirectory(blob) {
+        const end = await findEndOfCentralDirectory(blob);
+        const view = new DataView(await blob.slice(end.offset, end.offset + end.size).arrayBuffer());
+        const textDecoder = new TextDecoder();
+        const entries = [];
+        let position = 0;
+
+        for (let i = 0; i < end.count; i++) {
+            if (view.getUint32(position, true) !== CENTRAL_HEADER) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+
+            const nameLength = view.getUint16(position + 28, true);
+            const extraLength = view.getUint16(position + 30, true);
+            const commentLength = view.getUint16(position + 32, true);
+            const name = textDecoder.decode(new Uint8Array(view.buffer, position + 46, nameLength));
+
+            entries.push({
+                name,
+                method: view.getUint16(position + 10, true),
+                crc: view.getUint32(position + 16, true),
+                compressedSize: view.getUint32(position + 20, true),
+                size: view.getUint32(position + 24, true),
+                offset: view.getUint32(position + 42, true)
+            });
+            position += 46 + nameLength + extraLength + commentLength;
+        }
+
+        // Directories have no content
+        return entries.filter(entry => !entry.name.endsWith('/'));
+    }
+
+    // ReadableStream of the uncompressed bytes of one file from readZipDirectory()
+    async function openZipEntry(blob, entry) {
+        const header = new DataView(await blob.slice(entry.offset, entry.offset + 30).arrayBuffer());
+        if (header.getUint32(0, true) !== LOCAL_HEADER) {
+            throw new Error(`Corrupt ZIP entry ${entry.name}`);
+        }
+
+        const dataStart = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const data = blob.slice(dataStart, dataStart + entry.compressedSize).stream();
+
+        switch (entry.method) {
+            case STORE:
+                return data;
+            case DEFLATE:
+                return data.pipeThrough(new DecompressionStream('deflate-raw'));
+            default:
+                throw new Error(`${entry.name} uses an unsupported ZIP compression method (${entry.method})`);
+        }
+    }
+
+    scope.ZipArchive = {
+        crc32,
+        concatBytes,
+        createCompressor,
+        createZipWriter,
+        readZipDirectory,
+        openZipEntry
+    };
+})(self);